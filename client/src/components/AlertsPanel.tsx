@@ -137,6 +137,16 @@ export const AlertsPanel: React.FC<AlertsPanelProps> = ({
                       <span className="text-xs font-bold text-slate-700 bg-slate-200 px-2 py-0.5 rounded">
                         {alert.deviceId}
                       </span>
+                      {alert.escalation && alert.escalation.level > 0 && (
+                        <span
+                          className="text-xs font-bold text-purple-800 bg-purple-100 px-2 py-0.5 rounded"
+                          title={`${alert.escalation.policyName}: ${alert.escalation.steps
+                            .flatMap((step) => step.notify)
+                            .join(", ") || "severity raised"}`}
+                        >
+                          Escalated L{alert.escalation.level}
+                        </span>
+                      )}
                     </div>
 
                     {/* Message */}
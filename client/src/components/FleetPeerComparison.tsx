@@ -0,0 +1,203 @@
+import React, { useEffect, useState } from 'react';
+import { Card, CardContent, CardHeader, CardTitle } from './ui/card';
+import { Badge } from './ui/badge';
+import { Button } from './ui/button';
+import { fleetAPI, PeerComparison, PeerGroup, PeerGrouping } from '../services/api';
+
+interface FleetPeerComparisonProps {
+  onDeviceSelect?: (deviceId: string) => void;
+}
+
+type PeerRange = '1h' | '24h' | '7d';
+
+const GROUPING_LABELS: Record<PeerGrouping, string> = {
+  deviceType: 'Device type',
+  assetGroup: 'Asset group',
+};
+
+const groupLabel = (group: PeerGroup, groupBy: PeerGrouping) =>
+  group.group ?? (groupBy === 'deviceType' ? 'Untyped devices' : 'Ungrouped');
+
+// Bar and text color by how far past the outlier threshold a device sits
+const deviationColor = (z: number, outlierZ: number) => {
+  const magnitude = Math.abs(z);
+  if (magnitude >= outlierZ) return { bar: 'bg-red-500', text: 'text-red-700' };
+  if (magnitude >= outlierZ / 2) return { bar: 'bg-amber-400', text: 'text-amber-700' };
+  return { bar: 'bg-emerald-400', text: 'text-slate-600' };
+};
+
+const formatOffset = (offset: number, unit: string) =>
+  `${offset >= 0 ? '+' : ''}${offset.toFixed(2)}${unit ? ` ${unit}` : ''}`;
+
+export const FleetPeerComparison: React.FC<FleetPeerComparisonProps> = ({ onDeviceSelect }) => {
+  const [groupBy, setGroupBy] = useState<PeerGrouping>('deviceType');
+  const [range, setRange] = useState<PeerRange>('24h');
+  const [channel, setChannel] = useState('');
+  const [channelOptions, setChannelOptions] = useState<Array<{ key: string; name: string }>>([]);
+  const [comparison, setComparison] = useState<PeerComparison | null>(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState<string | null>(null);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    setLoading(true);
+    setError(null);
+    fleetAPI
+      .getPeerComparison(groupBy, range, channel || undefined)
+      .then((data) => {
+        if (cancelled) return;
+        setComparison(data);
+        // Only the unfiltered comparison lists every channel
+        if (!channel) {
+          const options = new Map<string, string>();
+          data.groups.forEach((group) => group.channels.forEach(({ key, name }) => options.set(key, name)));
+          setChannelOptions([...options].map(([key, name]) => ({ key, name })));
+        }
+      })
+      .catch((err) => {
+        console.error('Failed to load peer comparison:', err);
+        if (!cancelled) setError(err instanceof Error ? err.message : 'Failed to load peer comparison');
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [groupBy, range, channel]);
+
+  const handleGroupByChange = (value: PeerGrouping) => {
+    setGroupBy(value);
+    setChannel('');
+  };
+
+  return (
+    <Card>
+      <CardHeader className="bg-linear-to-r from-slate-50 to-slate-100">
+        <div className="flex flex-wrap items-center justify-between gap-3">
+          <div>
+            <CardTitle className="text-lg font-semibold">Fleet Peer Comparison</CardTitle>
+            <p className="mt-1 text-xs text-slate-500">
+              Devices ranked by how far each channel sits from the median of its peers over the same hours
+            </p>
+          </div>
+          <div className="flex flex-wrap items-center gap-2">
+            <select
+              value={groupBy}
+              onChange={(event) => handleGroupByChange(event.target.value as PeerGrouping)}
+              className="h-9 rounded-md border border-slate-300 bg-white px-2 text-sm"
+            >
+              {(Object.keys(GROUPING_LABELS) as PeerGrouping[]).map((value) => (
+                <option key={value} value={value}>
+                  {GROUPING_LABELS[value]}
+                </option>
+              ))}
+            </select>
+            <select
+              value={channel}
+              onChange={(event) => setChannel(event.target.value)}
+              className="h-9 rounded-md border border-slate-300 bg-white px-2 text-sm"
+            >
+              <option value="">All channels</option>
+              {channelOptions.map(({ key, name }) => (
+                <option key={key} value={key}>
+                  {name}
+                </option>
+              ))}
+            </select>
+            {(['1h', '24h', '7d'] as const).map((value) => (
+              <Button
+                key={value}
+                variant={range === value ? 'default' : 'outline'}
+                onClick={() => setRange(value)}
+                className="text-sm"
+                disabled={loading}
+              >
+                {value.toUpperCase()}
+              </Button>
+            ))}
+          </div>
+        </div>
+      </CardHeader>
+      <CardContent className="pt-6">
+        {error ? (
+          <p className="text-sm text-red-700">{error}</p>
+        ) : !comparison ? (
+          <p className="text-sm text-slate-500">Loading peer comparison...</p>
+        ) : comparison.groups.length === 0 ? (
+          <p className="text-sm text-slate-500">
+            No {GROUPING_LABELS[groupBy].toLowerCase()} has at least {comparison.minPeers} devices to compare.
+          </p>
+        ) : (
+          <div className="space-y-6">
+            {comparison.groups.map((group) => (
+              <div key={group.group ?? 'none'}>
+                <div className="mb-2 flex items-center gap-2">
+                  <h3 className="text-sm font-semibold text-slate-800">{groupLabel(group, groupBy)}</h3>
+                  <span className="text-xs text-slate-500">{group.deviceCount} devices</span>
+                  {group.outlierCount > 0 && (
+                    <Badge className="bg-red-100 text-xs text-red-800">
+                      {group.outlierCount} outlier{group.outlierCount > 1 ? 's' : ''}
+                    </Badge>
+                  )}
+                </div>
+
+                <div className="divide-y divide-slate-100 rounded-lg border border-slate-200">
+                  {group.devices.map((device, index) => {
+                    const key = channel || device.worstChannel;
+                    const detail = key ? device.channels[key] : undefined;
+                    const meta = group.channels.find((c) => c.key === key);
+                    const colors = detail ? deviationColor(detail.z, comparison.outlierZ) : null;
+
+                    return (
+                      <div
+                        key={device.deviceId}
+                        onClick={() => onDeviceSelect?.(device.deviceId)}
+                        className="flex cursor-pointer items-center gap-3 px-3 py-2 text-xs hover:bg-slate-50"
+                      >
+                        <span className="w-6 text-slate-400">{index + 1}</span>
+                        <div className="w-40">
+                          <p className="font-medium text-slate-900">{device.name}</p>
+                          <p className="text-slate-500">{device.deviceId}</p>
+                        </div>
+                        {!detail || !colors ? (
+                          <span className="flex-1 text-slate-400">Not enough overlapping data</span>
+                        ) : (
+                          <>
+                            <span className="w-24 text-slate-600">{meta?.name ?? key}</span>
+                            <div className="h-2 flex-1 rounded-full bg-slate-100">
+                              <div
+                                className={`h-2 rounded-full ${colors.bar}`}
+                                style={{ width: `${Math.min(Math.abs(detail.z) / (comparison.outlierZ * 2), 1) * 100}%` }}
+                              />
+                            </div>
+                            <span className={`w-14 text-right font-semibold ${colors.text}`}>
+                              z {detail.z.toFixed(1)}
+                            </span>
+                            <span className="w-48 text-right text-slate-500">
+                              {formatOffset(detail.offset, meta?.unit ?? '')} vs peers ({detail.value.toFixed(2)} /{' '}
+                              {detail.peerMedian.toFixed(2)})
+                            </span>
+                          </>
+                        )}
+                        {device.outlierChannels.length > 1 && !channel && (
+                          <Badge className="bg-red-50 text-xs text-red-700">
+                            +{device.outlierChannels.length - 1} more
+                          </Badge>
+                        )}
+                      </div>
+                    );
+                  })}
+                </div>
+              </div>
+            ))}
+          </div>
+        )}
+      </CardContent>
+    </Card>
+  );
+};
+
+export default FleetPeerComparison;
@@ -0,0 +1,148 @@
+import React, { useEffect, useState } from 'react';
+import {
+  LineChart,
+  Line,
+  XAxis,
+  YAxis,
+  CartesianGrid,
+  Tooltip,
+  Legend,
+  ResponsiveContainer,
+} from 'recharts';
+import { deviceAPI, HealthHistoryPoint } from '../services/api';
+import { CHART_COLORS, formatTooltipTimestamp } from '../utils/chartHelpers';
+import type { TimeRange } from '../hooks/useDeviceHistory';
+
+interface HealthHistoryChartProps {
+  deviceId: string;
+  timeRange: TimeRange;
+}
+
+interface HistoryTooltipProps {
+  active?: boolean;
+  payload?: Array<{ payload: HealthHistoryPoint }>;
+}
+
+// Day-scale ranges label the axis with dates, shorter ones with times
+const formatAxisTimestamp = (timestamp: string, timeRange: TimeRange): string => {
+  const date = new Date(timestamp);
+  if (timeRange === '7d' || timeRange === '30d') {
+    return date.toLocaleDateString('en-US', { month: 'short', day: 'numeric', hour: '2-digit' });
+  }
+  return date.toLocaleTimeString('en-US', { hour: '2-digit', minute: '2-digit', hour12: true });
+};
+
+export const HealthHistoryChart: React.FC<HealthHistoryChartProps> = ({
+  deviceId,
+  timeRange,
+}) => {
+  const [history, setHistory] = useState<HealthHistoryPoint[]>([]);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    setLoading(true);
+    deviceAPI
+      .getHealthHistory(deviceId, timeRange)
+      .then((data) => {
+        if (!cancelled) setHistory(data);
+      })
+      .catch((error) => {
+        console.error('Failed to load health history:', error);
+        if (!cancelled) setHistory([]);
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [deviceId, timeRange]);
+
+  const chartData = history.map((point) => ({
+    ...point,
+    time: formatAxisTimestamp(point.timestamp, timeRange),
+  }));
+
+  const CustomTooltip = ({ active, payload }: HistoryTooltipProps) => {
+    if (!active || !payload || payload.length === 0) return null;
+
+    const point: HealthHistoryPoint = payload[0].payload;
+    return (
+      <div className="rounded-lg border border-slate-200 bg-white p-3 shadow-lg">
+        <p className="text-xs font-semibold text-slate-700">
+          {formatTooltipTimestamp(point.timestamp)}
+        </p>
+        <p className="mt-2 text-xs font-medium text-slate-900">
+          Health: {point.healthScore}
+          {point.count && point.count > 1 ? ` (min ${point.minHealthScore}, ${point.count} predictions)` : ''}
+        </p>
+        <p className="text-xs text-slate-600">
+          {point.status} · {point.failureRisk} risk
+        </p>
+        {point.componentScores && (
+          <div className="mt-1 space-y-0.5">
+            {Object.entries(point.componentScores).map(([key, score]) => (
+              <p key={key} className="text-xs text-slate-500">
+                {key}: {Math.round(score)}
+              </p>
+            ))}
+          </div>
+        )}
+      </div>
+    );
+  };
+
+  if (loading && history.length === 0) {
+    return (
+      <div className="flex h-72 items-center justify-center">
+        <p className="text-sm text-slate-600">Loading health history...</p>
+      </div>
+    );
+  }
+
+  if (history.length === 0) {
+    return (
+      <div className="flex h-72 items-center justify-center">
+        <p className="text-sm text-slate-500">No health predictions recorded for this period</p>
+      </div>
+    );
+  }
+
+  return (
+    <ResponsiveContainer width="100%" height={300}>
+      <LineChart data={chartData} margin={{ top: 5, right: 30, left: 0, bottom: 5 }}>
+        <CartesianGrid strokeDasharray="3 3" stroke="#e2e8f0" />
+        <XAxis dataKey="time" tick={{ fontSize: 12, fill: '#64748b' }} stroke="#cbd5e1" minTickGap={24} />
+        <YAxis domain={[0, 100]} tick={{ fontSize: 12, fill: '#64748b' }} stroke="#cbd5e1" />
+        <Tooltip content={<CustomTooltip />} />
+        <Legend wrapperStyle={{ paddingTop: '20px' }} />
+        <Line
+          type="monotone"
+          dataKey="healthScore"
+          name="Health Score"
+          stroke={CHART_COLORS.healthScore}
+          strokeWidth={2}
+          dot={false}
+          isAnimationActive={false}
+        />
+        {chartData.some((point) => point.minHealthScore !== undefined) && (
+          <Line
+            type="monotone"
+            dataKey="minHealthScore"
+            name="Lowest in Bucket"
+            stroke={CHART_COLORS.failureRisk}
+            strokeDasharray="4 4"
+            strokeWidth={1}
+            dot={false}
+            isAnimationActive={false}
+          />
+        )}
+      </LineChart>
+    </ResponsiveContainer>
+  );
+};
+
+export default HealthHistoryChart;
@@ -0,0 +1,167 @@
+import React, { useEffect, useState } from 'react';
+import {
+  BarChart,
+  Bar,
+  Cell,
+  XAxis,
+  YAxis,
+  CartesianGrid,
+  Tooltip,
+  ResponsiveContainer,
+} from 'recharts';
+import { Card, CardContent, CardHeader, CardTitle } from './ui/card';
+import { deviceAPI, PredictionExplanation } from '../services/api';
+import { onDeviceHealth } from '../services/socket';
+import { CHART_COLORS } from '../utils/chartHelpers';
+
+interface HealthWaterfallProps {
+  deviceId: string;
+}
+
+interface WaterfallStep {
+  label: string;
+  detail: string;
+  // Invisible bar the visible one sits on
+  base: number;
+  value: number;
+  kind: 'start' | 'drop' | 'rise' | 'end';
+}
+
+interface WaterfallTooltipProps {
+  active?: boolean;
+  payload?: Array<{ payload: WaterfallStep }>;
+}
+
+const STEP_COLORS: Record<WaterfallStep['kind'], string> = {
+  start: '#94A3B8',
+  drop: '#EF4444',
+  rise: '#10B981',
+  end: CHART_COLORS.healthScore,
+};
+
+const capitalize = (value: string) => value.charAt(0).toUpperCase() + value.slice(1);
+
+// 100 → each penalty's impact on the overall score → final health score
+const buildSteps = (data: PredictionExplanation): WaterfallStep[] => {
+  const { explanation } = data;
+  if (!explanation) return [];
+
+  const steps: WaterfallStep[] = [
+    { label: 'Start', detail: 'Perfect health', base: 0, value: explanation.baseline, kind: 'start' },
+  ];
+  let level = explanation.baseline;
+
+  for (const step of explanation.waterfall) {
+    const penalty = step.channel
+      ? explanation.components[step.channel]?.penalties.find((p) => p.factor === step.factor)
+      : undefined;
+    const detail = penalty
+      ? `${step.factor} ${penalty.value} vs limit ${penalty.limit}: −${penalty.points} component points${penalty.capped ? ' (capped)' : ''}`
+      : 'Rounding to a whole score';
+
+    const next = level - step.impact;
+    steps.push({
+      label: step.channel ? `${capitalize(step.channel)} ${step.factor}` : 'Rounding',
+      detail,
+      base: Math.min(level, next),
+      value: Math.abs(step.impact),
+      kind: step.impact >= 0 ? 'drop' : 'rise',
+    });
+    level = next;
+  }
+
+  steps.push({ label: 'Health', detail: 'Final health score', base: 0, value: explanation.healthScore, kind: 'end' });
+  return steps;
+};
+
+const WaterfallTooltip = ({ active, payload }: WaterfallTooltipProps) => {
+  if (!active || !payload || payload.length === 0) return null;
+
+  const step = payload[payload.length - 1].payload;
+  const sign = step.kind === 'drop' ? '−' : step.kind === 'rise' ? '+' : '';
+  return (
+    <div className="rounded-lg border border-slate-200 bg-white p-3 shadow-lg">
+      <p className="text-xs font-semibold text-slate-700">{step.label}</p>
+      <p className="mt-1 text-xs font-medium text-slate-900">
+        {sign}
+        {step.value.toFixed(2)}
+      </p>
+      <p className="text-xs text-slate-500">{step.detail}</p>
+    </div>
+  );
+};
+
+export const HealthWaterfall: React.FC<HealthWaterfallProps> = ({ deviceId }) => {
+  const [data, setData] = useState<PredictionExplanation | null>(null);
+
+  useEffect(() => {
+    const load = () => {
+      deviceAPI
+        .getExplanation(deviceId)
+        .then(setData)
+        .catch((error) => console.error('Failed to load health explanation:', error));
+    };
+
+    load();
+
+    // A new prediction replaces the explanation
+    const unsubscribe = onDeviceHealth((update) => {
+      if (update.deviceId === deviceId) load();
+    });
+
+    return unsubscribe;
+  }, [deviceId]);
+
+  const steps = data ? buildSteps(data) : [];
+
+  return (
+    <Card>
+      <CardHeader className="flex flex-row items-center justify-between">
+        <CardTitle className="text-lg font-semibold">What Drove the Health Score</CardTitle>
+        {data?.timestamp && (
+          <span className="text-xs text-slate-500">
+            {data.engine ? `${data.engine} · ` : ''}
+            {new Date(data.timestamp).toLocaleTimeString()}
+          </span>
+        )}
+      </CardHeader>
+      <CardContent>
+        {!data ? (
+          <p className="text-sm text-slate-500">Loading explanation...</p>
+        ) : !data.explanation ? (
+          <p className="text-sm text-slate-500">
+            {data.engine
+              ? `The ${data.engine} engine does not report a per-factor breakdown.`
+              : 'No prediction yet.'}
+          </p>
+        ) : steps.length === 2 ? (
+          <p className="text-sm text-slate-500">No penalties applied: every component is within its limits.</p>
+        ) : (
+          <ResponsiveContainer width="100%" height={300}>
+            <BarChart data={steps} margin={{ top: 5, right: 30, left: 0, bottom: 40 }}>
+              <CartesianGrid strokeDasharray="3 3" stroke="#e2e8f0" />
+              <XAxis
+                dataKey="label"
+                tick={{ fontSize: 11, fill: '#64748b' }}
+                stroke="#cbd5e1"
+                angle={-30}
+                textAnchor="end"
+                interval={0}
+              />
+              <YAxis domain={[0, 100]} tick={{ fontSize: 12, fill: '#64748b' }} stroke="#cbd5e1" />
+              <Tooltip content={<WaterfallTooltip />} cursor={{ fill: '#f1f5f9' }} />
+              <Bar dataKey="base" stackId="waterfall" fill="transparent" isAnimationActive={false} />
+              <Bar dataKey="value" stackId="waterfall" isAnimationActive={false}>
+                {steps.map((step, index) => (
+                  <Cell key={index} fill={STEP_COLORS[step.kind]} />
+                ))}
+              </Bar>
+            </BarChart>
+          </ResponsiveContainer>
+        )}
+      </CardContent>
+    </Card>
+  );
+};
+
+export default HealthWaterfall;
@@ -0,0 +1,120 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import { Card, CardContent, CardHeader, CardTitle } from './ui/card';
+import { Badge } from './ui/badge';
+import { Button } from './ui/button';
+import { deviceAPI, MaintenanceAction, MaintenanceAdvice } from '../services/api';
+import { formatTooltipTimestamp } from '../utils/chartHelpers';
+
+interface MaintenanceAdvisorProps {
+  deviceId: string;
+}
+
+const PRIORITY_STYLES: Record<MaintenanceAction['priority'], string> = {
+  HIGH: 'bg-red-100 text-red-800',
+  MEDIUM: 'bg-yellow-100 text-yellow-800',
+  LOW: 'bg-green-100 text-green-800',
+};
+
+export const MaintenanceAdvisor: React.FC<MaintenanceAdvisorProps> = ({ deviceId }) => {
+  const [advice, setAdvice] = useState<MaintenanceAdvice | null>(null);
+  const [configured, setConfigured] = useState(true);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState<string | null>(null);
+  const [notice, setNotice] = useState<string | null>(null);
+
+  const loadAdvice = useCallback(
+    async (refresh: boolean, isCancelled: () => boolean = () => false) => {
+      setLoading(true);
+      setError(null);
+      setNotice(null);
+
+      try {
+        const data = await deviceAPI.getAdvice(deviceId, refresh);
+        if (isCancelled()) return;
+
+        setConfigured(data !== null);
+        setAdvice(data);
+        if (data?.rateLimited && data.retryAfterMs) {
+          setNotice(`Refresh available in ${Math.ceil(data.retryAfterMs / 60000)} min; showing the cached advice`);
+        }
+      } catch (err) {
+        console.error('Failed to load maintenance advice:', err);
+        if (!isCancelled()) setError(err instanceof Error ? err.message : 'Failed to load maintenance advice');
+      } finally {
+        if (!isCancelled()) setLoading(false);
+      }
+    },
+    [deviceId]
+  );
+
+  useEffect(() => {
+    let cancelled = false;
+    setAdvice(null);
+    loadAdvice(false, () => cancelled);
+
+    return () => {
+      cancelled = true;
+    };
+  }, [loadAdvice]);
+
+  // Nothing to show without an advisor on the server
+  if (!configured) return null;
+
+  return (
+    <Card>
+      <CardHeader className="flex flex-row items-center justify-between">
+        <div>
+          <CardTitle className="text-lg font-semibold">Maintenance Advisor</CardTitle>
+          {advice && (
+            <p className="mt-1 text-xs text-slate-500">
+              {advice.model} · {formatTooltipTimestamp(advice.generatedAt)} · written against health {advice.healthScore}
+            </p>
+          )}
+        </div>
+        <div className="flex items-center gap-2">
+          {advice?.urgency && (
+            <Badge className={`text-xs ${PRIORITY_STYLES[advice.urgency]}`}>{advice.urgency} urgency</Badge>
+          )}
+          <Button variant="outline" className="text-sm" onClick={() => loadAdvice(true)} disabled={loading}>
+            {loading ? 'Thinking...' : 'Refresh'}
+          </Button>
+        </div>
+      </CardHeader>
+      <CardContent>
+        {error && <p className="mb-3 text-sm text-red-700">{error}</p>}
+        {notice && <p className="mb-3 text-xs text-amber-700">{notice}</p>}
+
+        {!advice ? (
+          !error && <p className="text-sm text-slate-500">Asking the advisor...</p>
+        ) : (
+          <>
+            <p className="text-sm leading-relaxed text-slate-800">{advice.diagnosis}</p>
+
+            {advice.actions.length > 0 && (
+              <ol className="mt-4 space-y-3">
+                {advice.actions.map((item, index) => (
+                  <li key={`${index}-${item.action}`} className="flex items-start gap-3">
+                    <span className="mt-0.5 text-xs font-semibold text-slate-400">{index + 1}.</span>
+                    <div className="flex-1">
+                      <div className="flex flex-wrap items-center gap-2">
+                        <span className="text-sm font-medium text-slate-900">{item.action}</span>
+                        <Badge className={`text-xs ${PRIORITY_STYLES[item.priority]}`}>{item.priority}</Badge>
+                      </div>
+                      {item.rationale && <p className="mt-1 text-xs text-slate-600">{item.rationale}</p>}
+                    </div>
+                  </li>
+                ))}
+              </ol>
+            )}
+
+            <p className="mt-4 text-xs text-slate-400">
+              Generated by a language model from the data above; the health score comes from the formula engine.
+            </p>
+          </>
+        )}
+      </CardContent>
+    </Card>
+  );
+};
+
+export default MaintenanceAdvisor;
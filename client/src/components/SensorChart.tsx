@@ -8,14 +8,19 @@ import {
   Tooltip,
   Legend,
   ResponsiveContainer,
+  ReferenceDot,
 } from 'recharts';
 import { Card, CardContent, CardHeader, CardTitle } from '../components/ui/card';
-import { sensorAPI } from '../services/api';
+import { deviceAPI, sensorAPI, SensorChannel, CorrelationBreak } from '../services/api';
 import {
   transformSensorDataForChart,
   formatTooltipTimestamp,
-  CHART_COLORS,
+  formatChannelLabel,
+  getChannelColor,
+  toAnomalyMarkers,
+  DEFAULT_CHANNELS,
 } from '../utils/chartHelpers';
+import type { AnomalyMarker, ChartDataPoint } from '../utils/chartHelpers';
 
 interface SensorChartProps {
   deviceId: string;
@@ -26,11 +31,27 @@ export const SensorChart: React.FC<SensorChartProps> = ({
   deviceId,
   title,
 }) => {
-  const [chartData, setChartData] = useState<any[]>([]);
+  const [chartData, setChartData] = useState<ChartDataPoint[]>([]);
+  const [anomalyMarkers, setAnomalyMarkers] = useState<AnomalyMarker[]>([]);
+  const [correlationBreak, setCorrelationBreak] = useState<CorrelationBreak | null>(null);
+  const [channels, setChannels] = useState<SensorChannel[]>(DEFAULT_CHANNELS);
   const [loading, setLoading] = useState(true);
   const [isLive, setIsLive] = useState(false);
 
+  // Load the device's channel catalog
   useEffect(() => {
+    deviceAPI
+      .getChannels(deviceId)
+      .then((data) => setChannels(data.length > 0 ? data : DEFAULT_CHANNELS))
+      .catch((error) => {
+        console.error('Failed to load device channels:', error);
+        setChannels(DEFAULT_CHANNELS);
+      });
+  }, [deviceId]);
+
+  useEffect(() => {
+    const channelKeys = channels.map((c) => c.key);
+
     const loadData = async () => {
       try {
         setLoading(true);
@@ -38,9 +59,16 @@ export const SensorChart: React.FC<SensorChartProps> = ({
         console.log(`✓ Loaded ${data.length} sensor readings for ${deviceId}`);
         
         if (data && data.length > 0) {
-          const transformed = transformSensorDataForChart(data);
+          const transformed = transformSensorDataForChart(data, channelKeys);
           setChartData(transformed);
           setIsLive(true);
+
+          // Markers are optional; the chart still renders without them
+          const anomalies = await sensorAPI.getAnomalies(deviceId, '1h').catch(() => []);
+          setAnomalyMarkers(toAnomalyMarkers(anomalies, transformed, channelKeys));
+
+          const breaks = await sensorAPI.getCorrelationBreaks(deviceId, '1h').catch(() => []);
+          setCorrelationBreak(breaks.find((b) => b.endedAt === null) || null);
         }
       } catch (error) {
         console.error('Failed to load sensor data:', error);
@@ -57,7 +85,11 @@ export const SensorChart: React.FC<SensorChartProps> = ({
     const interval = setInterval(loadData, 10000);
 
     return () => clearInterval(interval);
-  }, [deviceId]);
+  }, [deviceId, channels]);
+
+  // Temperature (or the first channel) gets the left axis, everything else the right
+  const leftChannel = channels.find((c) => c.key === 'temperature') || channels[0];
+  const rightChannels = channels.filter((c) => c !== leftChannel);
 
   const CustomTooltip = (props: any) => {
     const { active, payload } = props;
@@ -93,6 +125,24 @@ export const SensorChart: React.FC<SensorChartProps> = ({
           <span className="text-xs text-slate-500">
             {isLive ? 'Live - Updating every 10s' : 'Connecting...'}
           </span>
+          {anomalyMarkers.length > 0 && (
+            <span className="rounded-full bg-amber-100 px-2 py-0.5 text-xs font-medium text-amber-700">
+              {anomalyMarkers.length} {anomalyMarkers.length === 1 ? 'anomaly' : 'anomalies'}
+            </span>
+          )}
+          {correlationBreak && (
+            <span
+              className={`rounded-full px-2 py-0.5 text-xs font-medium ${
+                correlationBreak.severity === 'CRITICAL' ? 'bg-red-100 text-red-700' : 'bg-amber-100 text-amber-700'
+              }`}
+              title={correlationBreak.pairs
+                .map((p) => `${p.channels.join('/')}: correlation ${p.baseline} → ${p.recent}`)
+                .join('\n') || `Distance ${correlationBreak.distance} vs limit ${correlationBreak.distanceLimit}`}
+            >
+              Correlation break:{' '}
+              {correlationBreak.channels.map((key) => channels.find((c) => c.key === key)?.name ?? key).join(', ')}
+            </span>
+          )}
         </div>
       </CardHeader>
       <CardContent>
@@ -114,18 +164,12 @@ export const SensorChart: React.FC<SensorChartProps> = ({
               margin={{ top: 5, right: 30, left: 0, bottom: 5 }}
             >
               <defs>
-                <linearGradient id="colorTemp" x1="0" y1="0" x2="0" y2="1">
-                  <stop offset="5%" stopColor={CHART_COLORS.temperature} stopOpacity={0.8}/>
-                  <stop offset="95%" stopColor={CHART_COLORS.temperature} stopOpacity={0}/>
-                </linearGradient>
-                <linearGradient id="colorVib" x1="0" y1="0" x2="0" y2="1">
-                  <stop offset="5%" stopColor={CHART_COLORS.vibration} stopOpacity={0.8}/>
-                  <stop offset="95%" stopColor={CHART_COLORS.vibration} stopOpacity={0}/>
-                </linearGradient>
-                <linearGradient id="colorPress" x1="0" y1="0" x2="0" y2="1">
-                  <stop offset="5%" stopColor={CHART_COLORS.pressure} stopOpacity={0.8}/>
-                  <stop offset="95%" stopColor={CHART_COLORS.pressure} stopOpacity={0}/>
-                </linearGradient>
+                {channels.map((channel, index) => (
+                  <linearGradient key={channel.key} id={`color-${channel.key}`} x1="0" y1="0" x2="0" y2="1">
+                    <stop offset="5%" stopColor={getChannelColor(channel.key, index)} stopOpacity={0.8}/>
+                    <stop offset="95%" stopColor={getChannelColor(channel.key, index)} stopOpacity={0}/>
+                  </linearGradient>
+                ))}
               </defs>
               <CartesianGrid strokeDasharray="3 3" stroke="#e2e8f0" />
               <XAxis
@@ -137,53 +181,45 @@ export const SensorChart: React.FC<SensorChartProps> = ({
                 yAxisId="left"
                 tick={{ fontSize: 12, fill: '#64748b' }}
                 stroke="#cbd5e1"
-                label={{ value: 'Temperature (°C)', angle: -90, position: 'insideLeft' }}
+                label={{ value: leftChannel ? formatChannelLabel(leftChannel) : '', angle: -90, position: 'insideLeft' }}
               />
               <YAxis
                 yAxisId="right"
                 orientation="right"
                 tick={{ fontSize: 12, fill: '#64748b' }}
                 stroke="#cbd5e1"
-                label={{ value: 'Vibration / Pressure', angle: 90, position: 'insideRight' }}
+                label={{ value: rightChannels.map((c) => c.name).join(' / '), angle: 90, position: 'insideRight' }}
               />
               <Tooltip content={<CustomTooltip />} />
               <Legend wrapperStyle={{ paddingTop: '20px' }} />
 
-              <Area
-                yAxisId="left"
-                type="monotone"
-                dataKey="temperature"
-                stroke={CHART_COLORS.temperature}
-                fillOpacity={1}
-                fill="url(#colorTemp)"
-                strokeWidth={2}
-                name="Temperature (°C)"
-                isAnimationActive={false}
-              />
-
-              <Area
-                yAxisId="right"
-                type="monotone"
-                dataKey="vibration"
-                stroke={CHART_COLORS.vibration}
-                fillOpacity={1}
-                fill="url(#colorVib)"
-                strokeWidth={2}
-                name="Vibration (mm/s)"
-                isAnimationActive={false}
-              />
+              {channels.map((channel, index) => (
+                <Area
+                  key={channel.key}
+                  yAxisId={channel === leftChannel ? 'left' : 'right'}
+                  type="monotone"
+                  dataKey={channel.key}
+                  stroke={getChannelColor(channel.key, index)}
+                  fillOpacity={1}
+                  fill={`url(#color-${channel.key})`}
+                  strokeWidth={2}
+                  name={formatChannelLabel(channel)}
+                  isAnimationActive={false}
+                />
+              ))}
 
-              <Area
-                yAxisId="right"
-                type="monotone"
-                dataKey="pressure"
-                stroke={CHART_COLORS.pressure}
-                fillOpacity={1}
-                fill="url(#colorPress)"
-                strokeWidth={2}
-                name="Pressure (bar)"
-                isAnimationActive={false}
-              />
+              {anomalyMarkers.map((marker) => (
+                <ReferenceDot
+                  key={marker.id}
+                  x={marker.time}
+                  y={marker.value}
+                  yAxisId={marker.channel === leftChannel?.key ? 'left' : 'right'}
+                  r={marker.severity === 'CRITICAL' ? 6 : 4}
+                  fill={marker.severity === 'CRITICAL' ? '#DC2626' : '#F59E0B'}
+                  stroke="#ffffff"
+                  strokeWidth={1.5}
+                />
+              ))}
             </AreaChart>
           </ResponsiveContainer>
         )}
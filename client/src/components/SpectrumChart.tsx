@@ -0,0 +1,188 @@
+import React, { useEffect, useState } from 'react';
+import {
+  AreaChart,
+  Area,
+  XAxis,
+  YAxis,
+  CartesianGrid,
+  Tooltip,
+  ReferenceLine,
+  ResponsiveContainer,
+} from 'recharts';
+import { Card, CardContent, CardHeader, CardTitle } from './ui/card';
+import { sensorAPI, SpectralBand, VibrationSpectrum } from '../services/api';
+import { onVibrationSpectrum } from '../services/socket';
+import { CHART_COLORS, formatTooltipTimestamp } from '../utils/chartHelpers';
+
+interface SpectrumChartProps {
+  deviceId: string;
+}
+
+interface SpectrumPoint {
+  frequency: number;
+  magnitude: number;
+}
+
+interface SpectrumTooltipProps {
+  active?: boolean;
+  payload?: Array<{ payload: SpectrumPoint }>;
+}
+
+const BAND_LABELS: Record<SpectralBand['name'], string> = {
+  ONE_X: '1×',
+  TWO_X: '2×',
+  BPFO: 'BPFO',
+  BPFI: 'BPFI',
+  BSF: 'BSF',
+  FTF: 'FTF',
+};
+
+// 1× is normal running energy; the rest point at misalignment or bearing wear
+const bandColor = (band: SpectralBand) => (band.name === 'ONE_X' ? '#94A3B8' : CHART_COLORS.failureRisk);
+
+const SpectrumTooltip = ({ active, payload }: SpectrumTooltipProps) => {
+  if (!active || !payload || payload.length === 0) return null;
+
+  const point = payload[0].payload;
+  return (
+    <div className="rounded-lg border border-slate-200 bg-white p-3 shadow-lg">
+      <p className="text-xs font-semibold text-slate-700">{point.frequency.toFixed(1)} Hz</p>
+      <p className="mt-1 text-xs text-slate-600">Amplitude: {point.magnitude.toFixed(4)}</p>
+    </div>
+  );
+};
+
+export const SpectrumChart: React.FC<SpectrumChartProps> = ({ deviceId }) => {
+  const [spectrum, setSpectrum] = useState<VibrationSpectrum | null>(null);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    setLoading(true);
+    sensorAPI
+      .getSpectrum(deviceId)
+      .then((data) => {
+        if (!cancelled) setSpectrum(data.latest);
+      })
+      .catch((error) => console.error('Failed to load vibration spectrum:', error))
+      .finally(() => {
+        if (!cancelled) setLoading(false);
+      });
+
+    // Each analysed frame replaces the chart
+    const unsubscribe = onVibrationSpectrum((update) => {
+      if (update.deviceId === deviceId) setSpectrum(update.spectrum);
+    });
+
+    return () => {
+      cancelled = true;
+      unsubscribe();
+    };
+  }, [deviceId]);
+
+  // Devices without a waveform sensor have nothing to show
+  if (!loading && !spectrum) return null;
+
+  const points: SpectrumPoint[] = spectrum
+    ? spectrum.spectrum.frequencies.map((frequency, index) => ({
+        frequency,
+        magnitude: spectrum.spectrum.magnitudes[index],
+      }))
+    : [];
+
+  return (
+    <Card>
+      <CardHeader className="flex flex-row items-center justify-between">
+        <CardTitle className="text-lg font-semibold">Vibration Spectrum</CardTitle>
+        {spectrum && (
+          <span className="text-xs text-slate-500">
+            {spectrum.sampleCount} samples @ {spectrum.sampleRate} Hz · {formatTooltipTimestamp(spectrum.timestamp)}
+          </span>
+        )}
+      </CardHeader>
+      <CardContent>
+        {!spectrum ? (
+          <p className="text-sm text-slate-500">Loading spectrum...</p>
+        ) : (
+          <>
+            <div className="mb-4 grid grid-cols-2 gap-3 text-xs text-slate-600 md:grid-cols-4">
+              <p>
+                RMS: <span className="font-medium text-slate-900">{spectrum.rms.toFixed(3)}</span>
+              </p>
+              <p>
+                Crest factor: <span className="font-medium text-slate-900">{spectrum.crestFactor ?? '-'}</span>
+              </p>
+              <p>
+                Dominant: <span className="font-medium text-slate-900">{spectrum.dominantFrequency} Hz</span>
+              </p>
+              <p>
+                Running speed:{' '}
+                <span className="font-medium text-slate-900">
+                  {spectrum.runningSpeedHz ? `${spectrum.runningSpeedHz} Hz` : 'unknown'}
+                </span>
+              </p>
+            </div>
+
+            <ResponsiveContainer width="100%" height={300}>
+              <AreaChart data={points} margin={{ top: 20, right: 30, left: 0, bottom: 5 }}>
+                <CartesianGrid strokeDasharray="3 3" stroke="#e2e8f0" />
+                <XAxis
+                  dataKey="frequency"
+                  type="number"
+                  domain={[0, 'dataMax']}
+                  unit=" Hz"
+                  tick={{ fontSize: 12, fill: '#64748b' }}
+                  stroke="#cbd5e1"
+                />
+                <YAxis tick={{ fontSize: 12, fill: '#64748b' }} stroke="#cbd5e1" />
+                <Tooltip content={<SpectrumTooltip />} />
+                {spectrum.bands.map((band) => (
+                  <ReferenceLine
+                    key={band.name}
+                    x={band.frequency}
+                    stroke={bandColor(band)}
+                    strokeDasharray="4 4"
+                    label={{ value: BAND_LABELS[band.name], position: 'top', fontSize: 11, fill: bandColor(band) }}
+                  />
+                ))}
+                <Area
+                  type="linear"
+                  dataKey="magnitude"
+                  stroke={CHART_COLORS.vibration}
+                  fill={CHART_COLORS.vibration}
+                  fillOpacity={0.2}
+                  isAnimationActive={false}
+                />
+              </AreaChart>
+            </ResponsiveContainer>
+
+            {spectrum.bands.length === 0 ? (
+              <p className="mt-3 text-xs text-slate-500">
+                Set the device's running speed (and bearing geometry) to measure band energies.
+              </p>
+            ) : (
+              <div className="mt-4 space-y-2">
+                {spectrum.bands.map((band) => (
+                  <div key={band.name} className="flex items-center gap-3 text-xs">
+                    <span className="w-12 font-medium text-slate-700">{BAND_LABELS[band.name]}</span>
+                    <span className="w-20 text-slate-500">{band.frequency.toFixed(1)} Hz</span>
+                    <div className="h-2 flex-1 rounded-full bg-slate-100">
+                      <div
+                        className="h-2 rounded-full"
+                        style={{ width: `${Math.min(band.ratio * 100, 100)}%`, backgroundColor: bandColor(band) }}
+                      />
+                    </div>
+                    <span className="w-12 text-right text-slate-600">{(band.ratio * 100).toFixed(1)}%</span>
+                  </div>
+                ))}
+              </div>
+            )}
+          </>
+        )}
+      </CardContent>
+    </Card>
+  );
+};
+
+export default SpectrumChart;
@@ -3,10 +3,11 @@ import { sensorAPI } from "../services/api";
 
 export interface HistoricalSensorData {
   timestamp: string;
-  temperature: number;
-  vibration: number;
-  pressure: number;
+  temperature?: number;
+  vibration?: number;
+  pressure?: number;
   _id?: string;
+  [channel: string]: string | number | undefined;
 }
 
 export interface HistoryStats {
@@ -83,9 +84,17 @@ export const useDeviceHistory = (
         };
       }
 
-      const temperatures = readings.map((r) => r.temperature);
-      const vibrations = readings.map((r) => r.vibration);
-      const pressures = readings.map((r) => r.pressure);
+      // Devices with a custom channel catalog may not report every default channel
+      const channelValues = (key: string): number[] => {
+        const values = readings
+          .map((r) => r[key])
+          .filter((v): v is number => typeof v === 'number');
+        return values.length > 0 ? values : [0];
+      };
+
+      const temperatures = channelValues("temperature");
+      const vibrations = channelValues("vibration");
+      const pressures = channelValues("pressure");
 
       return {
         avgTemperature:
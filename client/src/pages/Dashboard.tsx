@@ -5,11 +5,14 @@ import { deviceAPI, alertAPI, Device, Alert } from '../services/api';
 import {
   initSocket,
   onSensorUpdate,
+  onDeviceConnectivity,
   onNewAlert,
   onAlertAcknowledged,
   onAlertResolved,
+  onAlertEscalated,
 } from '../services/socket';
 import SensorChart from '../components/SensorChart';
+import FleetPeerComparison from '../components/FleetPeerComparison';
 
 interface DashboardProps {
   onDeviceSelect?: (deviceId: string) => void;
@@ -96,6 +99,22 @@ export const Dashboard: React.FC<DashboardProps> = ({ onDeviceSelect }) => {
     return unsubscribe;
   }, []);
 
+  // Devices going silent or reporting again
+  useEffect(() => {
+    const unsubscribe = onDeviceConnectivity((data) => {
+      setDevices((prevDevices) => {
+        if (!Array.isArray(prevDevices)) return prevDevices;
+        return prevDevices.map((device) =>
+          device.deviceId === data.deviceId
+            ? { ...device, connectivity: data.connectivity, offlineSince: data.offlineSince ?? null }
+            : device
+        );
+      });
+    });
+
+    return unsubscribe;
+  }, []);
+
   // Real-time alert updates
   useEffect(() => {
     const unsubscribe = onNewAlert((data) => {
@@ -151,6 +170,28 @@ export const Dashboard: React.FC<DashboardProps> = ({ onDeviceSelect }) => {
     return unsubscribe;
   }, []);
 
+  // Real-time alert escalation
+  useEffect(() => {
+    const unsubscribe = onAlertEscalated((data) => {
+      setAlerts((prevAlerts) => {
+        if (!Array.isArray(prevAlerts)) return prevAlerts;
+        return prevAlerts.map((alert) =>
+          alert._id === data._id
+            ? {
+                ...alert,
+                severity: data.severity,
+                escalation: alert.escalation
+                  ? { ...alert.escalation, level: data.level, steps: [...alert.escalation.steps, data.step] }
+                  : alert.escalation,
+              }
+            : alert
+        );
+      });
+    });
+
+    return unsubscribe;
+  }, []);
+
   // Stats calculations
   const healthyDevices = Array.isArray(devices) ? devices.filter((d) => d.healthScore > 80).length : 0;
   const criticalDevices = Array.isArray(devices) ? devices.filter((d) => d.healthScore < 60).length : 0;
@@ -284,14 +325,16 @@ export const Dashboard: React.FC<DashboardProps> = ({ onDeviceSelect }) => {
                     </div>
                     <Badge
                       className={`text-xs whitespace-nowrap ml-2 ${
-                        device.status === 'ACTIVE'
+                        device.connectivity === 'OFFLINE'
+                          ? 'bg-red-100 text-red-800'
+                          : device.status === 'ACTIVE'
                           ? 'bg-green-100 text-green-800'
                           : device.status === 'MAINTENANCE'
                           ? 'bg-blue-100 text-blue-800'
                           : 'bg-slate-100 text-slate-800'
                       }`}
                     >
-                      {device.status}
+                      {device.connectivity === 'OFFLINE' ? 'OFFLINE' : device.status}
                     </Badge>
                   </div>
 
@@ -359,7 +402,9 @@ export const Dashboard: React.FC<DashboardProps> = ({ onDeviceSelect }) => {
               <div className="mt-6 grid grid-cols-3 gap-4">
                 <div className="rounded-lg bg-white/10 p-4">
                   <p className="text-xs text-blue-100">Status</p>
-                  <p className="mt-2 text-lg font-bold text-white">{selectedDevice.status}</p>
+                  <p className="mt-2 text-lg font-bold text-white">
+                    {selectedDevice.connectivity === 'OFFLINE' ? 'OFFLINE' : selectedDevice.status}
+                  </p>
                 </div>
                 <div className="rounded-lg bg-white/10 p-4">
                   <p className="text-xs text-blue-100">Health Score</p>
@@ -403,6 +448,9 @@ export const Dashboard: React.FC<DashboardProps> = ({ onDeviceSelect }) => {
           </div>
         )}
 
+        {/* Fleet Peer Comparison */}
+        {!selectedDeviceId && <FleetPeerComparison onDeviceSelect={handleDeviceSelect} />}
+
         {/* Global Alerts Section */}
         {!selectedDeviceId && (
           <div className="grid grid-cols-1 gap-8 lg:grid-cols-3">
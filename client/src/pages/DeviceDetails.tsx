@@ -4,13 +4,18 @@
  * 
  * Architecture:
  * - Live Stream: Real-time SensorChart (Socket.IO, no DB latency)
- * - Historical View: Time-range filtered data from MongoDB
+ * - Vibration Spectrum: FFT of the latest waveform frame with fault band markers
+ * - Historical View: Time-range filtered data and health history from MongoDB
  * - Alerts: Real-time updates + historical list
  */
 
 import React, { useEffect, useState, useCallback } from 'react';
 import { HealthGauge } from '../components/HealthGauge';
 import { SensorChart } from '../components/SensorChart';
+import { HealthHistoryChart } from '../components/HealthHistoryChart';
+import { HealthWaterfall } from '../components/HealthWaterfall';
+import { SpectrumChart } from '../components/SpectrumChart';
+import { MaintenanceAdvisor } from '../components/MaintenanceAdvisor';
 import { AlertsPanel } from '../components/AlertsPanel';
 import { Card, CardContent, CardHeader, CardTitle } from '../components/ui/card';
 import { Badge } from '../components/ui/badge';
@@ -20,6 +25,7 @@ import {
   alertAPI,
   Device,
   Alert,
+  RemainingUsefulLife,
 } from '../services/api';
 import { useDeviceHistory } from '../hooks/useDeviceHistory';
 import type { TimeRange } from '../hooks/useDeviceHistory';
@@ -36,6 +42,7 @@ export const DeviceDetails: React.FC<DeviceDetailsProps> = ({
   // Device info
   const [device, setDevice] = useState<Device | null>(null);
   const [deviceAlerts, setDeviceAlerts] = useState<Alert[]>([]);
+  const [rul, setRul] = useState<RemainingUsefulLife | null>(null);
   
   // Historical data for analysis
   const [historyTimeRange, setHistoryTimeRange] = useState<TimeRange>('24h');
@@ -71,6 +78,15 @@ export const DeviceDetails: React.FC<DeviceDetailsProps> = ({
     }
   }, [deviceId]);
 
+  // Fetch remaining useful life estimate
+  const fetchRul = useCallback(async () => {
+    try {
+      setRul(await deviceAPI.getRul(deviceId));
+    } catch (err) {
+      console.error('Failed to fetch remaining useful life:', err);
+    }
+  }, [deviceId]);
+
   // Fetch device alerts
   const fetchDeviceAlerts = useCallback(async () => {
     try {
@@ -85,8 +101,9 @@ export const DeviceDetails: React.FC<DeviceDetailsProps> = ({
   useEffect(() => {
     fetchDevice();
     fetchHealth();
+    fetchRul();
     fetchDeviceAlerts();
-  }, [fetchDevice, fetchHealth, fetchDeviceAlerts]);
+  }, [fetchDevice, fetchHealth, fetchRul, fetchDeviceAlerts]);
 
   if (loadingDevice) {
     return (
@@ -131,6 +148,12 @@ export const DeviceDetails: React.FC<DeviceDetailsProps> = ({
   };
 
   // Get risk badge color
+  const formatHours = (hours: number | null | undefined) => {
+    if (hours === null || hours === undefined) return '∞';
+    if (hours < 48) return `${Math.round(hours)}h`;
+    return `${Math.round(hours / 24)}d`;
+  };
+
   const getRiskColor = (risk: string) => {
     switch (risk) {
       case 'LOW':
@@ -176,7 +199,7 @@ export const DeviceDetails: React.FC<DeviceDetailsProps> = ({
       )}
 
       {/* Health Overview */}
-      <div className="grid grid-cols-1 gap-6 sm:grid-cols-3">
+      <div className="grid grid-cols-1 gap-6 sm:grid-cols-2 lg:grid-cols-4">
         {/* Health Gauge */}
         <Card>
           <CardHeader>
@@ -207,6 +230,33 @@ export const DeviceDetails: React.FC<DeviceDetailsProps> = ({
           </CardContent>
         </Card>
 
+        {/* Remaining Useful Life */}
+        <Card>
+          <CardHeader>
+            <CardTitle className="text-sm font-semibold">Remaining Useful Life</CardTitle>
+          </CardHeader>
+          <CardContent className="space-y-2">
+            {!rul || rul.status === 'INSUFFICIENT_DATA' ? (
+              <p className="text-xs text-slate-600">Not enough history to estimate</p>
+            ) : rul.status === 'NO_DEGRADATION' ? (
+              <>
+                <p className="text-2xl font-bold text-green-700">No degradation</p>
+                <p className="text-xs text-slate-600">No limit crossing within a year</p>
+              </>
+            ) : (
+              <>
+                <p className={`text-2xl font-bold ${(rul.rulHours ?? 0) < 24 ? 'text-red-700' : 'text-slate-900'}`}>
+                  {formatHours(rul.rulHours)}
+                </p>
+                <p className="text-xs text-slate-600">
+                  {Math.round(rul.confidenceLevel * 100)}% range: {formatHours(rul.lowerHours)} – {formatHours(rul.upperHours)}
+                </p>
+                <p className="text-xs text-slate-600">Limiting factor: {rul.limitingFactor}</p>
+              </>
+            )}
+          </CardContent>
+        </Card>
+
         {/* Info Card */}
         <Card>
           <CardHeader>
@@ -235,6 +285,15 @@ export const DeviceDetails: React.FC<DeviceDetailsProps> = ({
         title="Real-Time Sensor Readings (Live Stream)"
       />
 
+      {/* Breakdown of the latest prediction */}
+      <HealthWaterfall deviceId={deviceId} />
+
+      {/* LLM diagnosis and recommended actions, when an advisor is configured */}
+      <MaintenanceAdvisor deviceId={deviceId} />
+
+      {/* FFT of the latest vibration waveform frame, for devices that send them */}
+      <SpectrumChart deviceId={deviceId} />
+
       {/* Historical Data Analysis Section */}
       <Card className="border-slate-200">
         <CardHeader className="bg-linear-to-r from-slate-50 to-slate-100">
@@ -261,6 +320,12 @@ export const DeviceDetails: React.FC<DeviceDetailsProps> = ({
             ))}
           </div>
 
+          {/* Health Over Time (stored predictions, same range) */}
+          <div className="mb-6">
+            <h3 className="mb-2 text-sm font-semibold text-slate-700">Health Over Time</h3>
+            <HealthHistoryChart deviceId={deviceId} timeRange={historyTimeRange} />
+          </div>
+
           {/* Statistics */}
           {historyStats && (
             <div className="mb-6 grid grid-cols-2 gap-4 sm:grid-cols-3 lg:grid-cols-6">
@@ -1,11 +1,26 @@
 // API service for device, sensor and alert endpoints
 const API_BASE_URL = import.meta.env.VITE_BACKEND_URI || "http://localhost:3000/api";
 
+export interface SensorChannel {
+  key: string;
+  name: string;
+  unit: string;
+  min?: number;
+  max?: number;
+  weight?: number;
+  required: boolean;
+}
+
 export interface Device {
   _id: string;
   deviceId: string;
   name: string;
+  deviceType?: string | null;
+  assetGroup?: string | null;
+  channels?: SensorChannel[];
   status: 'ACTIVE' | 'INACTIVE' | 'MAINTENANCE';
+  connectivity?: 'ONLINE' | 'OFFLINE';
+  offlineSince?: string | null;
   healthScore: number;
   failureRisk: 'LOW' | 'MEDIUM' | 'HIGH';
   lastUpdate: string;
@@ -18,13 +33,35 @@ export interface Device {
   };
 }
 
+// temperature/vibration/pressure are the default channels; devices may declare more
 export interface SensorData {
   _id: string;
   deviceId: string;
   timestamp: string;
-  temperature: number;
-  vibration: number;
-  pressure: number;
+  temperature?: number;
+  vibration?: number;
+  pressure?: number;
+  [channel: string]: string | number | undefined;
+}
+
+export interface AlertEscalationStep {
+  level: number;
+  at: string;
+  afterMinutes: number;
+  severityFrom: Alert['severity'];
+  severityTo: Alert['severity'];
+  notify: string[];
+}
+
+// Progress under the escalation policy that matched when the alert was raised
+export interface AlertEscalation {
+  policyId: string;
+  policyName: string;
+  level: number;
+  nextAt: string | null;
+  steps: AlertEscalationStep[];
+  stoppedAt?: string;
+  stopReason?: 'ACKNOWLEDGED' | 'RESOLVED' | 'COMPLETED' | 'POLICY_REMOVED';
 }
 
 export interface Alert {
@@ -34,6 +71,9 @@ export interface Alert {
   message: string;
   status: 'ACTIVE' | 'ACKNOWLEDGED' | 'RESOLVED';
   triggerType: string;
+  // Set when a user-defined alert rule raised the alert
+  ruleId?: string | null;
+  escalation?: AlertEscalation | null;
   createdAt: string;
   acknowledgedAt?: string;
   resolvedAt?: string;
@@ -47,6 +87,195 @@ export interface DeviceHealth {
   lastUpdate: string;
 }
 
+// Time until the health score or a channel crosses its limit, with a 95% interval
+export interface RemainingUsefulLife {
+  status: 'INSUFFICIENT_DATA' | 'NO_DEGRADATION' | 'DEGRADING' | 'LIMIT_EXCEEDED';
+  rulHours: number | null;
+  lowerHours?: number | null;
+  upperHours?: number | null;
+  limitingFactor?: string;
+  threshold?: number;
+  estimatedFailureAt?: string;
+  confidenceLevel: number;
+  windowHours: number;
+  sampleCount: number;
+  computedAt: string;
+}
+
+// A penalty the health formula applied to one component
+export interface HealthPenalty {
+  factor: 'average' | 'spike' | 'variance' | 'trend' | 'spectral' | 'correlation';
+  value: number;
+  limit: number;
+  points: number;
+  impact: number;
+  capped?: boolean;
+}
+
+// Why the latest prediction scored what it did: penalties per component and the drop from 100
+export interface HealthExplanation {
+  baseline: number;
+  healthScore: number;
+  components: Record<string, { score: number; weight: number; share: number; penalties: HealthPenalty[] }>;
+  waterfall: Array<{ channel: string | null; factor: HealthPenalty['factor'] | 'rounding'; impact: number }>;
+}
+
+export interface PredictionExplanation {
+  timestamp?: string;
+  healthScore?: number;
+  failureRisk?: 'LOW' | 'MEDIUM' | 'HIGH';
+  status?: string;
+  reason?: string;
+  engine?: string;
+  explanation: HealthExplanation | null;
+}
+
+// One stored prediction, or a bucket of them (min/max/count only set when bucketed)
+export interface HealthHistoryPoint {
+  timestamp: string;
+  healthScore: number;
+  minHealthScore?: number;
+  maxHealthScore?: number;
+  count?: number;
+  failureRisk: 'LOW' | 'MEDIUM' | 'HIGH';
+  status: string;
+  reason?: string;
+  componentScores?: Record<string, number>;
+  engine?: string;
+}
+
+// Reading that deviated from the device's learned baseline
+export interface AnomalyEvent {
+  _id: string;
+  deviceId: string;
+  channel: string;
+  timestamp: string;
+  method: 'SPIKE' | 'DRIFT';
+  severity: 'WARNING' | 'CRITICAL';
+  value: number;
+  expected: number;
+  stdDev: number;
+  zScore: number;
+  ewmaZ?: number;
+  seasonal: boolean;
+}
+
+// Channels that stopped moving together the way they normally do
+export interface CorrelationBreak {
+  _id: string;
+  deviceId: string;
+  startedAt: string;
+  endedAt: string | null;
+  severity: 'WARNING' | 'CRITICAL';
+  strength: number;
+  peakStrength: number;
+  channels: string[];
+  pairs: Array<{ channels: [string, string]; baseline: number; recent: number }>;
+  distance: number;
+  distanceLimit: number;
+}
+
+// Energy around one characteristic frequency of the vibration spectrum
+export interface SpectralBand {
+  name: 'ONE_X' | 'TWO_X' | 'BPFO' | 'BPFI' | 'BSF' | 'FTF';
+  frequency: number;
+  low: number;
+  high: number;
+  energy: number;
+  ratio: number;
+}
+
+// FFT features of one vibration waveform frame
+export interface VibrationSpectrum {
+  _id: string;
+  deviceId: string;
+  timestamp: string;
+  sampleRate: number;
+  sampleCount: number;
+  runningSpeedHz: number | null;
+  rms: number;
+  peak: number;
+  crestFactor: number | null;
+  dominantFrequency: number;
+  bands: SpectralBand[];
+  faultEnergyRatio: number | null;
+  faultBand: SpectralBand['name'] | null;
+  spectrum: { frequencies: number[]; magnitudes: number[] };
+}
+
+export type SpectralTrendPoint = Pick<
+  VibrationSpectrum,
+  'timestamp' | 'rms' | 'peak' | 'crestFactor' | 'dominantFrequency' | 'faultEnergyRatio' | 'faultBand'
+>;
+
+export interface SpectrumData {
+  latest: VibrationSpectrum | null;
+  history: SpectralTrendPoint[];
+}
+
+// LLM maintenance advice; the health score is the formula's, not the model's
+export interface MaintenanceAction {
+  action: string;
+  priority: 'LOW' | 'MEDIUM' | 'HIGH';
+  rationale: string;
+}
+
+export interface MaintenanceAdvice {
+  deviceId: string;
+  diagnosis: string;
+  urgency: 'LOW' | 'MEDIUM' | 'HIGH' | null;
+  actions: MaintenanceAction[];
+  healthScore: number;
+  model: string;
+  generatedAt: string;
+  expiresAt: string;
+  cached: boolean;
+  // Set when a refresh was refused and the cached advice returned instead
+  rateLimited?: boolean;
+  retryAfterMs?: number;
+}
+
+// One device's channel against its peers over the compared buckets
+export interface PeerChannelComparison {
+  value: number;
+  peerMedian: number;
+  offset: number;
+  z: number;
+  buckets: number;
+  outlier: boolean;
+}
+
+export interface PeerDeviceRanking {
+  deviceId: string;
+  name: string;
+  status: Device['status'];
+  // Largest |z| over the channels; null without enough overlapping data
+  score: number | null;
+  worstChannel: string | null;
+  outlierChannels: string[];
+  channels: Record<string, PeerChannelComparison>;
+}
+
+export interface PeerGroup {
+  group: string | null;
+  deviceCount: number;
+  outlierCount: number;
+  channels: Array<{ key: string; name: string; unit: string; peerMedian: number; spread: number; devices: number }>;
+  devices: PeerDeviceRanking[];
+}
+
+export type PeerGrouping = 'deviceType' | 'assetGroup';
+
+export interface PeerComparison {
+  groupBy: PeerGrouping;
+  since: string;
+  until: string;
+  bucketMs: number;
+  minPeers: number;
+  outlierZ: number;
+  groups: PeerGroup[];
+}
+
 // Device API
 export const deviceAPI = {
   getAll: async (): Promise<Device[]> => {
@@ -63,12 +292,57 @@ export const deviceAPI = {
     return response.json();
   },
 
+  getChannels: async (deviceId: string): Promise<SensorChannel[]> => {
+    const response = await fetch(`${API_BASE_URL}/devices/${deviceId}/channels`);
+    if (!response.ok) throw new Error(`Failed to fetch channels for ${deviceId}`);
+    const result = await response.json();
+    return Array.isArray(result) ? result : (result.data || []);
+  },
+
   getHealth: async (deviceId: string): Promise<DeviceHealth> => {
     const response = await fetch(`${API_BASE_URL}/devices/${deviceId}/health`);
     if (!response.ok) throw new Error(`Failed to fetch health for ${deviceId}`);
     return response.json();
   },
 
+  getExplanation: async (deviceId: string): Promise<PredictionExplanation> => {
+    const response = await fetch(`${API_BASE_URL}/devices/${deviceId}/health/explanation`);
+    if (!response.ok) throw new Error(`Failed to fetch health explanation for ${deviceId}`);
+    const result = await response.json();
+    return result.data;
+  },
+
+  // Resolves to null when the server has no advisor configured
+  getAdvice: async (deviceId: string, refresh = false): Promise<MaintenanceAdvice | null> => {
+    const response = await fetch(`${API_BASE_URL}/devices/${deviceId}/advice`, {
+      method: refresh ? 'POST' : 'GET',
+    });
+    if (response.status === 503) return null;
+    const result = await response.json().catch(() => ({}));
+    if (!response.ok) throw new Error(result.error || `Failed to fetch maintenance advice for ${deviceId}`);
+    return result.data;
+  },
+
+  getRul: async (deviceId: string): Promise<RemainingUsefulLife> => {
+    const response = await fetch(`${API_BASE_URL}/devices/${deviceId}/rul`);
+    if (!response.ok) throw new Error(`Failed to fetch RUL for ${deviceId}`);
+    const result = await response.json();
+    return result.data;
+  },
+
+  getHealthHistory: async (
+    deviceId: string,
+    range: '15m' | '1h' | '24h' | '7d' | '30d' = '7d',
+    bucket?: string
+  ): Promise<HealthHistoryPoint[]> => {
+    const params = new URLSearchParams({ range });
+    if (bucket) params.set('bucket', bucket);
+    const response = await fetch(`${API_BASE_URL}/devices/${deviceId}/health/history?${params}`);
+    if (!response.ok) throw new Error(`Failed to fetch health history for ${deviceId}`);
+    const result = await response.json();
+    return result.data || [];
+  },
+
   create: async (device: Omit<Device, '_id'>): Promise<Device> => {
     const response = await fetch(`${API_BASE_URL}/devices`, {
       method: 'POST',
@@ -103,6 +377,36 @@ export const sensorAPI = {
     return Array.isArray(result) ? result : (result.data || []);
   },
 
+  getAnomalies: async (
+    deviceId: string,
+    range: '15m' | '1h' | '24h' | '7d' = '1h'
+  ): Promise<AnomalyEvent[]> => {
+    const response = await fetch(`${API_BASE_URL}/sensors/${deviceId}/anomalies?range=${range}`);
+    if (!response.ok) throw new Error(`Failed to fetch anomalies for ${deviceId}`);
+    const result = await response.json();
+    return result.data || [];
+  },
+
+  getCorrelationBreaks: async (
+    deviceId: string,
+    range: '15m' | '1h' | '24h' | '7d' = '24h'
+  ): Promise<CorrelationBreak[]> => {
+    const response = await fetch(`${API_BASE_URL}/sensors/${deviceId}/correlation-breaks?range=${range}`);
+    if (!response.ok) throw new Error(`Failed to fetch correlation breaks for ${deviceId}`);
+    const result = await response.json();
+    return result.data || [];
+  },
+
+  getSpectrum: async (
+    deviceId: string,
+    range: '15m' | '1h' | '24h' | '7d' = '24h'
+  ): Promise<SpectrumData> => {
+    const response = await fetch(`${API_BASE_URL}/sensors/${deviceId}/spectrum?range=${range}`);
+    if (!response.ok) throw new Error(`Failed to fetch vibration spectrum for ${deviceId}`);
+    const result = await response.json();
+    return result.data || { latest: null, history: [] };
+  },
+
   getStats: async (deviceId: string): Promise<any> => {
     const response = await fetch(`${API_BASE_URL}/sensors/${deviceId}/stats`);
     if (!response.ok) throw new Error(`Failed to fetch sensor stats for ${deviceId}`);
@@ -110,6 +414,22 @@ export const sensorAPI = {
   },
 };
 
+// Fleet API
+export const fleetAPI = {
+  getPeerComparison: async (
+    groupBy: PeerGrouping = 'deviceType',
+    range: '1h' | '24h' | '7d' = '24h',
+    channel?: string
+  ): Promise<PeerComparison> => {
+    const params = new URLSearchParams({ groupBy, range });
+    if (channel) params.set('channel', channel);
+    const response = await fetch(`${API_BASE_URL}/fleet/peers?${params}`);
+    if (!response.ok) throw new Error('Failed to fetch fleet peer comparison');
+    const result = await response.json();
+    return result.data;
+  },
+};
+
 // Alert API
 export const alertAPI = {
   getAll: async (): Promise<Alert[]> => {
@@ -147,4 +467,4 @@ export const alertAPI = {
   },
 };
 
-export default { deviceAPI, sensorAPI, alertAPI };
+export default { deviceAPI, sensorAPI, fleetAPI, alertAPI };
@@ -1,5 +1,6 @@
 // Socket.IO service for real-time communication
 import { io, Socket } from 'socket.io-client';
+import type { AlertEscalationStep, VibrationSpectrum } from './api';
 
 const SOCKET_SERVER_URL = import.meta.env.VITE_SOCKET_URL || 'http://localhost:3000';
 
@@ -89,6 +90,35 @@ export const onDeviceHealth = (
   };
 };
 
+// Listen to newly analysed vibration waveform frames
+export const onVibrationSpectrum = (
+  callback: (data: { deviceId: string; timestamp: string; spectrum: VibrationSpectrum }) => void
+): (() => void) => {
+  const socketInstance = getSocket();
+  socketInstance.on('vibration:spectrum', callback);
+
+  return () => {
+    socketInstance.off('vibration:spectrum', callback);
+  };
+};
+
+// Listen to devices going silent or reporting again (broadcast to all clients)
+export const onDeviceConnectivity = (
+  callback: (data: {
+    deviceId: string;
+    connectivity: 'ONLINE' | 'OFFLINE';
+    lastSeenAt?: string;
+    offlineSince?: string;
+  }) => void
+): (() => void) => {
+  const socketInstance = getSocket();
+  socketInstance.on('device:connectivity', callback);
+
+  return () => {
+    socketInstance.off('device:connectivity', callback);
+  };
+};
+
 // Listen to new alerts
 export const onNewAlert = (
   callback: (data: {
@@ -131,6 +161,25 @@ export const onAlertResolved = (
   };
 };
 
+// Listen to alerts stepped up by their escalation policy
+export const onAlertEscalated = (
+  callback: (data: {
+    _id: string;
+    deviceId: string;
+    severity: 'INFO' | 'WARNING' | 'CRITICAL';
+    message: string;
+    level: number;
+    step: AlertEscalationStep;
+  }) => void
+): (() => void) => {
+  const socketInstance = getSocket();
+  socketInstance.on('alert:escalated', callback);
+
+  return () => {
+    socketInstance.off('alert:escalated', callback);
+  };
+};
+
 export default {
   initSocket,
   getSocket,
@@ -138,7 +187,9 @@ export default {
   isSocketConnected,
   onSensorUpdate,
   onDeviceHealth,
+  onDeviceConnectivity,
   onNewAlert,
   onAlertAcknowledged,
   onAlertResolved,
+  onAlertEscalated,
 };
@@ -1,5 +1,6 @@
 // Chart formatting and data transformation utilities
 import type { LiveSensorReading } from '../hooks/useLiveSensors';
+import type { AnomalyEvent, SensorChannel } from '../services/api';
 
 // Sensor color mapping
 export const CHART_COLORS = {
@@ -10,6 +11,26 @@ export const CHART_COLORS = {
   failureRisk: '#F59E0B', // Amber
 } as const;
 
+// Colors for catalog channels without a fixed entry in CHART_COLORS
+const CHANNEL_PALETTE = ['#14B8A6', '#F97316', '#EC4899', '#6366F1', '#84CC16', '#06B6D4'];
+
+// Channels shown when a device's catalog can't be loaded
+export const DEFAULT_CHANNELS: SensorChannel[] = [
+  { key: 'temperature', name: 'Temperature', unit: '°C', required: true },
+  { key: 'vibration', name: 'Vibration', unit: 'mm/s', required: true },
+  { key: 'pressure', name: 'Pressure', unit: 'bar', required: true },
+];
+
+export const getChannelColor = (key: string, index: number): string => {
+  if (key in CHART_COLORS) {
+    return CHART_COLORS[key as keyof typeof CHART_COLORS];
+  }
+  return CHANNEL_PALETTE[index % CHANNEL_PALETTE.length];
+};
+
+export const formatChannelLabel = (channel: SensorChannel): string =>
+  channel.unit ? `${channel.name} (${channel.unit})` : channel.name;
+
 export const formatChartTimestamp = (timestamp: string): string => {
   try {
     const date = new Date(timestamp);
@@ -40,26 +61,69 @@ export const formatTooltipTimestamp = (timestamp: string): string => {
   }
 };
 
-export const transformSensorDataForChart = (
-  readings: LiveSensorReading[]
-): Array<{
+export interface ChartSensorReading {
+  timestamp: string;
+  [channel: string]: string | number | undefined;
+}
+
+export type ChartDataPoint = {
   time: string;
   timestamp: string;
-  temperature: number;
-  vibration: number;
-  pressure: number;
-}> => {
+} & Record<string, string | number | undefined>;
+
+// Round each channel value; vibration keeps two decimals, others one
+export const transformSensorDataForChart = (
+  readings: ChartSensorReading[],
+  channelKeys: string[] = DEFAULT_CHANNELS.map((c) => c.key)
+): ChartDataPoint[] => {
   if (!Array.isArray(readings)) {
     return [];
   }
 
-  return readings.map((reading) => ({
-    time: formatChartTimestamp(reading.timestamp),
-    timestamp: reading.timestamp,
-    temperature: Math.round(reading.temperature * 10) / 10,
-    vibration: Math.round(reading.vibration * 100) / 100,
-    pressure: Math.round(reading.pressure * 10) / 10,
-  }));
+  return readings.map((reading) => {
+    const point: ChartDataPoint = {
+      time: formatChartTimestamp(reading.timestamp),
+      timestamp: reading.timestamp,
+    };
+
+    for (const key of channelKeys) {
+      const value = reading[key];
+      if (typeof value !== 'number') continue;
+      const precision = key === 'vibration' ? 100 : 10;
+      point[key] = Math.round(value * precision) / precision;
+    }
+
+    return point;
+  });
+};
+
+export interface AnomalyMarker {
+  id: string;
+  time: string;
+  channel: string;
+  value: number;
+  severity: AnomalyEvent['severity'];
+  method: AnomalyEvent['method'];
+}
+
+// Anomalies positioned on the chart's time axis; events without a plotted reading are dropped
+export const toAnomalyMarkers = (
+  anomalies: AnomalyEvent[],
+  chartData: ChartDataPoint[],
+  channelKeys: string[]
+): AnomalyMarker[] => {
+  const times = new Set(chartData.map((point) => point.time));
+
+  return anomalies
+    .map((anomaly) => ({
+      id: anomaly._id,
+      time: formatChartTimestamp(anomaly.timestamp),
+      channel: anomaly.channel,
+      value: anomaly.value,
+      severity: anomaly.severity,
+      method: anomaly.method,
+    }))
+    .filter((marker) => channelKeys.includes(marker.channel) && times.has(marker.time));
 };
 
 export const getValueColor = (
@@ -224,6 +288,9 @@ export const detectAnomalies = (
 
 export default {
   CHART_COLORS,
+  DEFAULT_CHANNELS,
+  getChannelColor,
+  formatChannelLabel,
   formatChartTimestamp,
   formatTooltipTimestamp,
   transformSensorDataForChart,
@@ -0,0 +1,103 @@
+// Embedded MQTT broker (TCP + WebSocket) for deployments without an external broker
+import net from "net";
+import http from "http";
+import crypto from "crypto";
+import { Aedes } from "aedes";
+import { WebSocketServer, createWebSocketStream } from "ws";
+import dotenv from "dotenv";
+
+dotenv.config();
+
+export const isEmbeddedBrokerEnabled = process.env.MQTT_EMBEDDED_BROKER === "true";
+
+const BROKER_HOST = process.env.MQTT_BROKER_HOST || "0.0.0.0";
+const BROKER_PORT = parseInt(process.env.MQTT_BROKER_PORT || "1883", 10);
+// 0 disables the WebSocket listener
+const BROKER_WS_PORT = parseInt(process.env.MQTT_BROKER_WS_PORT ?? "8888", 10);
+
+let broker = null;
+let tcpServer = null;
+let wsHttpServer = null;
+
+// URL local clients (ingestion, simulator) use when MQTT_BROKER_URL is not set
+export const getEmbeddedBrokerUrl = () => `mqtt://localhost:${BROKER_PORT}`;
+
+const safeEqual = (a, b) => {
+  const left = Buffer.from(a || "");
+  const right = Buffer.from(b || "");
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+};
+
+const listen = (server, port) =>
+  new Promise((resolve, reject) => {
+    server.once("error", reject);
+    server.listen(port, BROKER_HOST, () => {
+      server.off("error", reject);
+      resolve();
+    });
+  });
+
+export const startEmbeddedBroker = async () => {
+  if (broker) return broker;
+
+  const username = process.env.MQTT_USERNAME;
+  const password = process.env.MQTT_PASSWORD;
+
+  if (!username || !password) {
+    throw new Error("MQTT_USERNAME and MQTT_PASSWORD are required for the embedded broker");
+  }
+
+  try {
+    broker = await Aedes.createBroker();
+
+    broker.authenticate = (client, user, pass, callback) => {
+      const authorized = safeEqual(user, username) && safeEqual(pass?.toString(), password);
+      if (!authorized) {
+        console.warn(`⚠ MQTT authentication failed for client ${client?.id}`);
+        const error = new Error("Bad username or password");
+        error.returnCode = 4;
+        return callback(error, false);
+      }
+      callback(null, true);
+    };
+
+    broker.on("clientError", (client, err) => {
+      console.error(`✗ MQTT client ${client?.id} error:`, err.message);
+    });
+
+    tcpServer = net.createServer(broker.handle);
+    await listen(tcpServer, BROKER_PORT);
+    console.log(`✓ Embedded MQTT broker listening on tcp://${BROKER_HOST}:${BROKER_PORT}`);
+
+    if (BROKER_WS_PORT > 0) {
+      wsHttpServer = http.createServer();
+      const wss = new WebSocketServer({ server: wsHttpServer });
+      wss.on("connection", (websocket, req) => {
+        broker.handle(createWebSocketStream(websocket), req);
+      });
+      await listen(wsHttpServer, BROKER_WS_PORT);
+      console.log(`✓ Embedded MQTT broker listening on ws://${BROKER_HOST}:${BROKER_WS_PORT}`);
+    }
+
+    return broker;
+  } catch (error) {
+    console.error("✗ Failed to start embedded MQTT broker:", error.message);
+    await stopEmbeddedBroker();
+    throw error;
+  }
+};
+
+export const stopEmbeddedBroker = async () => {
+  const closeServer = (server) =>
+    new Promise((resolve) => (server ? server.close(() => resolve()) : resolve()));
+
+  if (broker) {
+    await new Promise((resolve) => broker.close(resolve));
+  }
+  await Promise.all([closeServer(tcpServer), closeServer(wsHttpServer)]);
+
+  if (broker) console.log("✓ Embedded MQTT broker stopped");
+  broker = null;
+  tcpServer = null;
+  wsHttpServer = null;
+};
@@ -1,23 +1,36 @@
 // MQTT broker connection configuration
 import mqtt from "mqtt";
 import dotenv from "dotenv";
+import {
+  decodePayload,
+  loadTopicDecodersFromEnv,
+  extractDeviceIdFromTopic,
+  topicMatches,
+} from "../services/decoder.service.js";
+import { quarantineMessage } from "../services/quarantine.service.js";
+import { isEmbeddedBrokerEnabled, getEmbeddedBrokerUrl } from "./broker.js";
 
 dotenv.config();
 
 console.log("🚀 Starting MQTT Publish + Subscribe Client...");
 
-const isMQTTConfigured = process.env.MQTT_BROKER_URL && 
+// With the embedded broker, the local listener is used unless a URL is given
+const BROKER_URL =
+  process.env.MQTT_BROKER_URL || (isEmbeddedBrokerEnabled ? getEmbeddedBrokerUrl() : null);
+
+const isMQTTConfigured = BROKER_URL && 
   process.env.MQTT_USERNAME && 
   process.env.MQTT_PASSWORD;
 
 if (!isMQTTConfigured) {
-  console.warn("⚠️  MQTT_BROKER_URL, MQTT_USERNAME, or MQTT_PASSWORD not set - MQTT will be skipped");
+  console.warn("⚠️  MQTT_BROKER_URL (or MQTT_EMBEDDED_BROKER), MQTT_USERNAME, or MQTT_PASSWORD not set - MQTT will be skipped");
 }
 
 let client = null;
 
-if (isMQTTConfigured) {
-  client = mqtt.connect(process.env.MQTT_BROKER_URL, {
+// Connect lazily so the embedded broker can be started first
+const createClient = () =>
+  mqtt.connect(BROKER_URL, {
     username: process.env.MQTT_USERNAME,
     password: process.env.MQTT_PASSWORD,
     clientId: `combined-${Date.now()}`,
@@ -25,32 +38,56 @@ if (isMQTTConfigured) {
     reconnectPeriod: 2000,
     connectTimeout: 10000
   });
-}
 
-const SUBSCRIBE_TOPIC = "iot/sensors/#";
+// Comma-separated list, e.g. "iot/sensors/#,spBv1.0/#"
+const SUBSCRIBE_TOPICS = (process.env.MQTT_SUBSCRIBE_TOPICS || "iot/sensors/#")
+  .split(",")
+  .map((topic) => topic.trim())
+  .filter(Boolean);
+
+// Raw vibration waveform frames (JSON: { sampleRate, samples[], rpm?, timestamp? }), e.g. "iot/waveforms/#"
+const WAVEFORM_TOPICS = (process.env.MQTT_WAVEFORM_TOPICS || "iot/waveforms/#")
+  .split(",")
+  .map((topic) => topic.trim())
+  .filter(Boolean);
+
+// Waveform frames bypass the reading decoders; deviceId falls back to the topic
+const parseWaveformFrame = (topic, message) => {
+  const frame = JSON.parse(message.toString("utf8"));
+  if (!frame || typeof frame !== "object" || Array.isArray(frame)) {
+    throw new Error("Waveform frame must be a JSON object");
+  }
+  return { ...frame, deviceId: frame.deviceId ?? extractDeviceIdFromTopic(topic) };
+};
 
-export const connectMQTT = (onMessageCallback) => {
-  if (!isMQTTConfigured || !client) {
+// onWaveformCallback(topic, frame) receives frames from MQTT_WAVEFORM_TOPICS
+export const connectMQTT = (onMessageCallback, onWaveformCallback) => {
+  if (!isMQTTConfigured) {
     console.warn("⚠️  MQTT is not configured - returning resolved promise");
     return Promise.resolve(null);
   }
 
+  loadTopicDecodersFromEnv();
+  client = client || createClient();
+
   return new Promise((resolve, reject) => {
     // Set up event handlers only once
     let resolved = false;
 
     const onConnect = () => {
       if (resolved) return;
-      console.log("✓ MQTT connected to HiveMQ Cloud");
+      console.log(`✓ MQTT connected to ${isEmbeddedBrokerEnabled ? "embedded broker" : "broker"}`);
+
+      const topics = onWaveformCallback ? [...SUBSCRIBE_TOPICS, ...WAVEFORM_TOPICS] : SUBSCRIBE_TOPICS;
 
-      client.subscribe(SUBSCRIBE_TOPIC, { qos: 0 }, (err) => {
+      client.subscribe(topics, { qos: 0 }, (err) => {
         if (resolved) return;
         resolved = true;
         if (err) {
           console.error("✗ Subscribe failed:", err.message);
           reject(err);
         } else {
-          console.log(`✓ Subscribed to ${SUBSCRIBE_TOPIC}`);
+          console.log(`✓ Subscribed to ${topics.join(", ")}`);
           resolve(client);
         }
       });
@@ -64,14 +101,44 @@ export const connectMQTT = (onMessageCallback) => {
     };
 
     const onMessage = (topic, message) => {
+      if (onWaveformCallback && WAVEFORM_TOPICS.some((pattern) => topicMatches(pattern, topic))) {
+        try {
+          onWaveformCallback(topic, parseWaveformFrame(topic, message));
+        } catch (err) {
+          console.error(`✗ Undecodable waveform on ${topic}: ${err.message}`);
+          quarantineMessage({
+            deviceId: extractDeviceIdFromTopic(topic),
+            source: "MQTT",
+            topic,
+            raw: message,
+            stage: "DECODE",
+            errors: [err.message],
+          });
+        }
+        return;
+      }
+
+      let readings;
       try {
-        const data = JSON.parse(message.toString());
+        readings = decodePayload(topic, message);
+      } catch (err) {
+        console.error(`✗ Undecodable message on ${topic}: ${err.message}`);
+        quarantineMessage({
+          deviceId: extractDeviceIdFromTopic(topic),
+          source: "MQTT",
+          topic,
+          raw: message,
+          stage: "DECODE",
+          errors: [err.message],
+        });
+        return;
+      }
+
+      for (const data of readings) {
         console.log("📥 Received:", topic, data);
         if (onMessageCallback) {
-          onMessageCallback(topic, data);
+          onMessageCallback(topic, data, message);
         }
-      } catch (err) {
-        console.error("✗ Invalid JSON message");
       }
     };
 
@@ -91,6 +158,7 @@ export const disconnectMQTT = () => {
     client.end(true, () => {
       console.log("✓ MQTT disconnected");
     });
+    client = null;
   }
 };
 
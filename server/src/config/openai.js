@@ -1,31 +1,63 @@
-// OpenAI API configuration for device health analysis
+// OpenAI-compatible chat API configuration for health analysis and the maintenance advisor.
+// OPENAI_BASE_URL points it at any compatible server (a local model server, a test stub...)
 import OpenAI from 'openai';
 
+const BASE_URL = process.env.OPENAI_BASE_URL || undefined;
+const MODEL = process.env.OPENAI_MODEL || 'gpt-4o-mini';
+const TIMEOUT_MS = parseInt(process.env.OPENAI_TIMEOUT_MS, 10) || 30000;
+
 let openai = null;
 
-if (process.env.OPENAI_API_KEY) {
+// Local servers usually ignore the key, but the client requires one
+if (process.env.OPENAI_API_KEY || BASE_URL) {
   openai = new OpenAI({
-    apiKey: process.env.OPENAI_API_KEY,
+    apiKey: process.env.OPENAI_API_KEY || 'not-needed',
+    baseURL: BASE_URL,
+    timeout: TIMEOUT_MS,
+    maxRetries: 1,
   });
 } else {
-  console.warn('⚠ OpenAI API key not configured - using rule-based predictions only');
+  console.warn('⚠ No LLM endpoint configured (OPENAI_BASE_URL / OPENAI_API_KEY) - llm engine and maintenance advisor disabled');
 }
 
-export const analyzeDeviceHealth = async (sensorData) => {
-  try {
-    if (!openai) {
-      console.log('ℹ Using fallback rule-based prediction (no OpenAI API key)');
-      return generateFallbackAnalysis(sensorData);
-    }
+export const isOpenAIConfigured = () => openai !== null;
+
+// Where requests go, without the key
+export const getLLMInfo = () => ({
+  baseURL: openai ? openai.baseURL : null,
+  model: MODEL,
+});
+
+// First JSON object in a chat completion; models often wrap it in prose or code fences
+const requestJSON = async (messages, { temperature, maxTokens }) => {
+  if (!openai) {
+    throw new Error('OpenAI API key not configured');
+  }
 
-    const sensorSummary = JSON.stringify(sensorData, null, 2);
+  const completion = await openai.chat.completions.create({
+    model: MODEL,
+    messages,
+    temperature,
+    max_tokens: maxTokens,
+  });
 
-    const message = await openai.chat.completions.create({
-      model: 'gpt-4-turbo-preview',
-      messages: [
-        {
-          role: 'system',
-          content: `You are an expert IoT device health analyst. Analyze the provided sensor data and determine:
+  const responseText = completion.choices?.[0]?.message?.content || '';
+  const jsonMatch = responseText.match(/\{[\s\S]*\}/);
+  if (!jsonMatch) {
+    throw new Error('No JSON found in OpenAI response');
+  }
+
+  return JSON.parse(jsonMatch[0]);
+};
+
+// Ask OpenAI for { healthScore, failureRisk, reason }; throws on any failure
+export const requestHealthAnalysis = async (sensorData) => {
+  const sensorSummary = JSON.stringify(sensorData, null, 2);
+
+  const analysis = await requestJSON([
+    {
+      role: 'system',
+      content: `You are an expert IoT device health analyst. Analyze the provided sensor data and determine:
 1. Health Score (0-100, where 100 is perfect health)
 2. Failure Risk (LOW, MEDIUM, or HIGH)
 3. A brief explanation of your assessment
@@ -42,37 +74,87 @@ Respond ONLY with valid JSON in this format:
   "failureRisk": "<LOW|MEDIUM|HIGH>",
   "reason": "<brief explanation>"
 }`,
-          role: 'system',
-        },
-        {
-          role: 'user',
-          content: `Analyze this sensor data: ${sensorSummary}`,
-        },
-      ],
-      temperature: 0.7,
-      max_tokens: 200,
-    });
-
-    const responseText = message.choices[0].message.content;
-    
-    // Extract JSON from response
-    const jsonMatch = responseText.match(/\{[\s\S]*\}/);
-    if (!jsonMatch) {
-      throw new Error('No JSON found in OpenAI response');
-    }
+    },
+    {
+      role: 'user',
+      content: `Analyze this sensor data: ${sensorSummary}`,
+    },
+  ], { temperature: 0.7, maxTokens: 200 });
+
+  // Validate response structure
+  if (
+    typeof analysis.healthScore !== 'number' ||
+    !['LOW', 'MEDIUM', 'HIGH'].includes(analysis.failureRisk) ||
+    typeof analysis.reason !== 'string'
+  ) {
+    throw new Error('Invalid response structure');
+  }
+
+  return analysis;
+};
+
+export const ADVICE_PRIORITIES = ['LOW', 'MEDIUM', 'HIGH'];
+const MAX_ADVICE_ACTIONS = 8;
+
+// Ask for { diagnosis, urgency, actions: [{ action, priority, rationale }] } about a device context.
+// The health score comes from the formula; the model explains it rather than re-scoring
+export const requestMaintenanceAdvice = async (context) => {
+  const advice = await requestJSON([
+    {
+      role: 'system',
+      content: `You are an experienced reliability engineer advising maintenance technicians on industrial equipment.
+You receive a device's health score and its breakdown from a deterministic formula, recent sensor statistics,
+the health trend, detected anomalies and open alerts. Treat the health score as given; do not compute your own.
+
+Write:
+1. A short diagnosis (2-4 sentences) of what is most likely going on and why, citing the evidence
+2. Overall urgency (LOW, MEDIUM or HIGH)
+3. Up to ${MAX_ADVICE_ACTIONS} concrete maintenance actions, most important first, each with a priority and a one-sentence rationale
+
+If the data shows nothing wrong, say so and recommend routine actions only.
+
+Respond ONLY with valid JSON in this format:
+{
+  "diagnosis": "<text>",
+  "urgency": "<LOW|MEDIUM|HIGH>",
+  "actions": [{ "action": "<text>", "priority": "<LOW|MEDIUM|HIGH>", "rationale": "<text>" }]
+}`,
+    },
+    {
+      role: 'user',
+      content: `Device context: ${JSON.stringify(context, null, 2)}`,
+    },
+  ], { temperature: 0.3, maxTokens: 700 });
+
+  if (typeof advice.diagnosis !== 'string' || !advice.diagnosis.trim() || !Array.isArray(advice.actions)) {
+    throw new Error('Invalid response structure');
+  }
 
-    const analysis = JSON.parse(jsonMatch[0]);
+  // Keep the well-formed actions rather than failing on one bad entry
+  const actions = advice.actions
+    .filter((item) => item && typeof item.action === 'string' && item.action.trim())
+    .slice(0, MAX_ADVICE_ACTIONS)
+    .map((item) => ({
+      action: item.action.trim(),
+      priority: ADVICE_PRIORITIES.includes(item.priority) ? item.priority : 'MEDIUM',
+      rationale: typeof item.rationale === 'string' ? item.rationale.trim() : '',
+    }));
+
+  return {
+    diagnosis: advice.diagnosis.trim(),
+    urgency: ADVICE_PRIORITIES.includes(advice.urgency) ? advice.urgency : null,
+    actions,
+  };
+};
 
-    // Validate response structure
-    if (
-      typeof analysis.healthScore !== 'number' ||
-      !['LOW', 'MEDIUM', 'HIGH'].includes(analysis.failureRisk) ||
-      typeof analysis.reason !== 'string'
-    ) {
-      throw new Error('Invalid response structure');
+export const analyzeDeviceHealth = async (sensorData) => {
+  try {
+    if (!openai) {
+      console.log('ℹ Using fallback rule-based prediction (no OpenAI API key)');
+      return generateFallbackAnalysis(sensorData);
     }
 
-    return analysis;
+    return await requestHealthAnalysis(sensorData);
   } catch (error) {
     console.error('✗ OpenAI analysis error:', error.message);
     
@@ -81,7 +163,7 @@ Respond ONLY with valid JSON in this format:
   }
 };
 
-const generateFallbackAnalysis = (sensorData) => {
+export const generateFallbackAnalysis = (sensorData) => {
   const { temperature = 70, vibration = 0.5, pressure = 30 } = sensorData;
 
   let healthScore = 100;
@@ -0,0 +1,35 @@
+// SMTP transport for email notifications.
+// SMTP_HOST points it at any server (a relay, a local test sink...); email is disabled without it
+import nodemailer from 'nodemailer';
+
+const HOST = process.env.SMTP_HOST || null;
+const PORT = parseInt(process.env.SMTP_PORT, 10) || 587;
+const FROM = process.env.SMTP_FROM || 'Predictive Maintenance <alerts@localhost>';
+const TIMEOUT_MS = parseInt(process.env.NOTIFICATION_TIMEOUT_MS, 10) || 10000;
+
+let transport = null;
+
+if (HOST) {
+  transport = nodemailer.createTransport({
+    host: HOST,
+    port: PORT,
+    // Implicit TLS (usually port 465); otherwise STARTTLS is used when the server offers it
+    secure: process.env.SMTP_SECURE === 'true',
+    auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined,
+    connectionTimeout: TIMEOUT_MS,
+    greetingTimeout: TIMEOUT_MS,
+    socketTimeout: TIMEOUT_MS,
+  });
+}
+
+export const isSMTPConfigured = () => transport !== null;
+
+// Resolves with the server's reply, e.g. "250 OK: queued"
+export const sendMail = async ({ to, subject, text }) => {
+  if (!transport) {
+    throw new Error('SMTP is not configured (set SMTP_HOST)');
+  }
+
+  const info = await transport.sendMail({ from: FROM, to, subject, text });
+  return info.response;
+};
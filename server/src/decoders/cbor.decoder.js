@@ -0,0 +1,14 @@
+// CBOR payload decoder for compact gateway messages
+import { decode } from 'cbor-x';
+
+export const decodeCBOR = (buffer) => {
+  const data = decode(buffer);
+
+  if (data === null || typeof data !== 'object') {
+    throw new Error('CBOR payload is not a map or array');
+  }
+
+  return Array.isArray(data) ? data : [data];
+};
+
+export default decodeCBOR;
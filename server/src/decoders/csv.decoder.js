@@ -0,0 +1,41 @@
+// CSV line decoder for legacy PLCs
+// Each line is one reading: deviceId,temperature,vibration,pressure[,timestamp]
+// An optional header line may reorder or rename the columns (e.g. to a device's channel keys).
+
+const DEFAULT_COLUMNS = ['deviceId', 'temperature', 'vibration', 'pressure', 'timestamp'];
+
+// A header names every column and has no numeric field; a data line always carries readings
+const isHeaderLine = (fields) =>
+  fields.every((field) => field !== '' && !Number.isFinite(Number(field)));
+
+export const decodeCSV = (buffer) => {
+  const lines = buffer
+    .toString()
+    .split(/\r?\n/)
+    .map((line) => line.trim())
+    .filter((line) => line && !line.startsWith('#'));
+
+  let columns = DEFAULT_COLUMNS;
+  const readings = [];
+
+  for (const line of lines) {
+    const fields = line.split(',').map((field) => field.trim());
+
+    if (isHeaderLine(fields)) {
+      columns = fields;
+      continue;
+    }
+
+    const reading = {};
+    columns.forEach((column, index) => {
+      if (fields[index] !== undefined && fields[index] !== '') {
+        reading[column] = fields[index];
+      }
+    });
+    readings.push(reading);
+  }
+
+  return readings;
+};
+
+export default decodeCSV;
@@ -0,0 +1,8 @@
+// JSON payload decoder (default format for iot/sensors/# topics)
+
+export const decodeJSON = (buffer) => {
+  const data = JSON.parse(buffer.toString());
+  return Array.isArray(data) ? data : [data];
+};
+
+export default decodeJSON;
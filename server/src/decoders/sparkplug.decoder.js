@@ -0,0 +1,56 @@
+// Sparkplug B (protobuf) decoder
+// Topic namespace: spBv1.0/<group>/<messageType>/<edgeNode>[/<device>]
+import sparkplug from 'sparkplug-payload';
+
+const spB = sparkplug.get('spBv1.0');
+
+// BIRTH messages announce metric names with aliases; later DATA messages may only carry the alias
+const aliasRegistry = new Map(); // "<group>/<edgeNode>/<device>" -> Map<alias, name>
+
+const DATA_MESSAGE_TYPES = ['NBIRTH', 'DBIRTH', 'NDATA', 'DDATA'];
+
+const toNumber = (value) => {
+  if (value && typeof value.toNumber === 'function') return value.toNumber();
+  return value;
+};
+
+export const decodeSparkplugB = (buffer, { topic }) => {
+  const [, group, messageType, edgeNode, device] = topic.split('/');
+
+  if (!DATA_MESSAGE_TYPES.includes(messageType)) {
+    return [];
+  }
+
+  const payload = spB.decodePayload(buffer);
+  const aliasKey = `${group}/${edgeNode}/${device || ''}`;
+
+  if (messageType.endsWith('BIRTH')) {
+    const aliases = new Map();
+    for (const metric of payload.metrics || []) {
+      if (metric.alias !== undefined && metric.name) {
+        aliases.set(String(toNumber(metric.alias)), metric.name);
+      }
+    }
+    aliasRegistry.set(aliasKey, aliases);
+  }
+
+  const aliases = aliasRegistry.get(aliasKey);
+  const reading = {
+    deviceId: device || edgeNode,
+    timestamp: toNumber(payload.timestamp),
+    sequence: toNumber(payload.seq),
+  };
+
+  for (const metric of payload.metrics || []) {
+    const name = metric.name || aliases?.get(String(toNumber(metric.alias)));
+    if (!name || metric.isNull) continue;
+
+    // Metric names may be folder-qualified, e.g. "Sensors/Temperature"
+    const field = name.split('/').pop().toLowerCase();
+    reading[field] = toNumber(metric.value);
+  }
+
+  return [reading];
+};
+
+export default decodeSparkplugB;
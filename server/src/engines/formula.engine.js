@@ -0,0 +1,16 @@
+// Formula engine: weighted per-channel health score (no external dependencies)
+import { generateHealthPrediction } from '../services/prediction.service.js';
+import { HEALTH_OUTPUT_SCHEMA } from './outputSchema.js';
+
+export const formulaEngine = {
+  name: 'formula',
+  description: 'Weighted per-channel health formula with variance, trend, vibration spectrum and correlation penalties',
+  outputSchema: {
+    ...HEALTH_OUTPUT_SCHEMA,
+    componentScores: { type: 'object', required: true },
+  },
+  predict: (readings, { channels, profile, spectral, correlation }) =>
+    generateHealthPrediction(readings, channels, profile, { spectral, correlation }),
+};
+
+export default formulaEngine;
@@ -0,0 +1,49 @@
+// LLM engine: asks OpenAI for a health assessment of a summarized reading window
+import { isOpenAIConfigured, requestHealthAnalysis } from '../config/openai.js';
+import { classifyHealthScore } from '../services/prediction.service.js';
+import { HEALTH_OUTPUT_SCHEMA } from './outputSchema.js';
+
+const round = (value) => Math.round(value * 1000) / 1000;
+
+// Per-channel statistics instead of raw readings keep the prompt small
+const summarizeReadings = (readings, channels) => {
+  const summary = { sampleCount: readings.length, channels: {} };
+
+  for (const channel of channels) {
+    const values = readings.map((r) => r[channel.key]).filter(Number.isFinite);
+    if (values.length === 0) continue;
+
+    summary.channels[channel.key] = {
+      unit: channel.unit,
+      normalRange: [channel.min, channel.max],
+      avg: round(values.reduce((a, b) => a + b, 0) / values.length),
+      min: round(Math.min(...values)),
+      max: round(Math.max(...values)),
+      first: values[0],
+      latest: values[values.length - 1],
+    };
+  }
+
+  return summary;
+};
+
+export const llmEngine = {
+  name: 'llm',
+  description: 'OpenAI health assessment of per-channel window statistics',
+  outputSchema: HEALTH_OUTPUT_SCHEMA,
+  predict: async (readings, { channels, profile }) => {
+    if (!isOpenAIConfigured()) {
+      throw new Error('OpenAI API key not configured');
+    }
+
+    const analysis = await requestHealthAnalysis(summarizeReadings(readings, channels));
+
+    // The model's own failureRisk is replaced: risk and status come from the same score classification
+    return {
+      ...analysis,
+      ...classifyHealthScore(analysis.healthScore, profile?.riskCutoffs),
+    };
+  },
+};
+
+export default llmEngine;
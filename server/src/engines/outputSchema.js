@@ -0,0 +1,10 @@
+// Output fields every prediction engine must produce; engines extend this with their own
+
+export const HEALTH_OUTPUT_SCHEMA = {
+  healthScore: { type: 'number', min: 0, max: 100, required: true },
+  failureRisk: { type: 'string', enum: ['LOW', 'MEDIUM', 'HIGH'], required: true },
+  status: { type: 'string', enum: ['STABLE', 'DEGRADING', 'CRITICAL'], required: true },
+  reason: { type: 'string', required: true },
+};
+
+export default HEALTH_OUTPUT_SCHEMA;
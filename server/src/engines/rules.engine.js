@@ -0,0 +1,30 @@
+// Rule-based engine: fixed temperature/vibration/pressure limits on window averages
+import { generateFallbackAnalysis } from '../config/openai.js';
+import { classifyHealthScore } from '../services/prediction.service.js';
+import { HEALTH_OUTPUT_SCHEMA } from './outputSchema.js';
+
+const average = (readings, key) => {
+  const values = readings.map((r) => r[key]).filter(Number.isFinite);
+  return values.length ? values.reduce((a, b) => a + b, 0) / values.length : undefined;
+};
+
+export const rulesEngine = {
+  name: 'rules',
+  description: 'Static limits on average temperature, vibration and pressure',
+  outputSchema: HEALTH_OUTPUT_SCHEMA,
+  predict: (readings, { profile } = {}) => {
+    const analysis = generateFallbackAnalysis({
+      temperature: average(readings, 'temperature'),
+      vibration: average(readings, 'vibration'),
+      pressure: average(readings, 'pressure'),
+    });
+
+    // Risk and status both follow the score so they can't contradict each other
+    return {
+      ...analysis,
+      ...classifyHealthScore(analysis.healthScore, profile?.riskCutoffs),
+    };
+  },
+};
+
+export default rulesEngine;
@@ -19,11 +19,8 @@ const alertSchema = new mongoose.Schema(
       required: true,
     },
     reason: String,
-    sensorReadings: {
-      temperature: Number,
-      vibration: Number,
-      pressure: Number,
-    },
+    // Latest value of every channel the device reports
+    sensorReadings: mongoose.Schema.Types.Mixed,
     acknowledged: {
       type: Boolean,
       default: false,
@@ -38,9 +35,56 @@ const alertSchema = new mongoose.Schema(
     },
     triggerType: {
       type: String,
-      enum: ['HEALTH_SCORE', 'FAILURE_RISK', 'TEMPERATURE', 'VIBRATION', 'PRESSURE', 'RULE_BASED'],
+      enum: ['HEALTH_SCORE', 'FAILURE_RISK', 'TEMPERATURE', 'VIBRATION', 'PRESSURE', 'RULE_BASED', 'THROTTLING', 'DEVICE_SILENT', 'ANOMALY', 'CORRELATION_BREAK', 'RULE'],
       required: true,
     },
+    // User-defined rule that raised the alert (triggerType RULE)
+    ruleId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'AlertRule',
+      default: null,
+      index: true,
+    },
+    // Progress under the escalation policy that matched when the alert was raised
+    escalation: {
+      type: new mongoose.Schema(
+        {
+          policyId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'EscalationPolicy',
+          },
+          policyName: String,
+          // Steps taken so far
+          level: {
+            type: Number,
+            default: 0,
+          },
+          // When the next step is due; null once escalation has stopped
+          nextAt: {
+            type: Date,
+            default: null,
+          },
+          steps: [
+            {
+              _id: false,
+              level: Number,
+              at: Date,
+              afterMinutes: Number,
+              severityFrom: String,
+              severityTo: String,
+              notify: [String],
+            },
+          ],
+          stoppedAt: Date,
+          stopReason: {
+            type: String,
+            enum: ['ACKNOWLEDGED', 'RESOLVED', 'COMPLETED', 'POLICY_REMOVED'],
+          },
+        },
+        { _id: false }
+      ),
+      default: null,
+    },
     timestamp: {
       type: Date,
       default: Date.now,
@@ -54,6 +98,7 @@ const alertSchema = new mongoose.Schema(
 
 alertSchema.index({ deviceId: 1, timestamp: -1 });
 alertSchema.index({ status: 1, timestamp: -1 });
+alertSchema.index({ status: 1, 'escalation.nextAt': 1 });
 
 const Alert = mongoose.model('Alert', alertSchema);
 
@@ -0,0 +1,59 @@
+// User-defined alert rule schema and model (evaluated on every live reading)
+import mongoose from 'mongoose';
+
+const alertRuleSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    description: String,
+    enabled: {
+      type: Boolean,
+      default: true,
+      index: true,
+    },
+    severity: {
+      type: String,
+      enum: ['INFO', 'WARNING', 'CRITICAL'],
+      default: 'WARNING',
+    },
+    // Replaces the generated alert message (rule name and matched conditions);
+    // the matched conditions are kept in the alert's reason either way
+    message: String,
+    // Devices the rule applies to; all lists empty means every device
+    target: {
+      deviceIds: { type: [String], default: [] },
+      deviceTypes: { type: [String], default: [] },
+      assetGroups: { type: [String], default: [] },
+    },
+    // Condition tree: { all: [...] }, { any: [...] } or a leaf
+    // { channel, metric: value|rateOfChange|deviation|zScore, operator, threshold, windowMinutes }
+    condition: {
+      type: mongoose.Schema.Types.Mixed,
+      required: true,
+    },
+    // How long the condition must hold before the rule fires (0 = on the first matching reading)
+    forMinutes: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    // Minimum time between two alerts from this rule for the same device
+    cooldownMinutes: {
+      type: Number,
+      default: 15,
+      min: 0,
+    },
+    lastTriggeredAt: Date,
+  },
+  {
+    collection: 'alert_rules',
+    timestamps: true,
+  }
+);
+
+const AlertRule = mongoose.model('AlertRule', alertRuleSchema);
+
+export default AlertRule;
@@ -0,0 +1,52 @@
+// Anomaly event schema and model (readings that deviate from the learned baseline)
+import mongoose from 'mongoose';
+
+const anomalyEventSchema = new mongoose.Schema(
+  {
+    deviceId: {
+      type: String,
+      required: true,
+      index: true,
+    },
+    channel: {
+      type: String,
+      required: true,
+    },
+    // Reading time
+    timestamp: {
+      type: Date,
+      required: true,
+    },
+    // SPIKE: single reading far from the (hour-of-day) baseline
+    // DRIFT: smoothed level (EWMA) has moved away from the baseline
+    method: {
+      type: String,
+      enum: ['SPIKE', 'DRIFT'],
+      required: true,
+    },
+    severity: {
+      type: String,
+      enum: ['WARNING', 'CRITICAL'],
+      required: true,
+    },
+    value: Number,
+    expected: Number,
+    stdDev: Number,
+    zScore: Number,
+    ewmaZ: Number,
+    seasonal: {
+      type: Boolean,
+      default: false,
+    },
+  },
+  {
+    collection: 'anomaly_events',
+    timestamps: true,
+  }
+);
+
+anomalyEventSchema.index({ deviceId: 1, timestamp: -1 });
+
+const AnomalyEvent = mongoose.model('AnomalyEvent', anomalyEventSchema);
+
+export default AnomalyEvent;
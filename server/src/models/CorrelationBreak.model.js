@@ -0,0 +1,59 @@
+// Correlation break schema and model (channels stopped moving together the way they normally do)
+import mongoose from 'mongoose';
+
+// Channel pair whose recent correlation departed from the envelope's
+const pairSchema = new mongoose.Schema(
+  {
+    channels: [String],
+    baseline: Number,
+    recent: Number,
+  },
+  { _id: false }
+);
+
+const correlationBreakSchema = new mongoose.Schema(
+  {
+    deviceId: {
+      type: String,
+      required: true,
+      index: true,
+    },
+    // Reading that started the break, and the one that ended it (null while ongoing)
+    startedAt: {
+      type: Date,
+      required: true,
+    },
+    endedAt: {
+      type: Date,
+      default: null,
+    },
+    severity: {
+      type: String,
+      enum: ['WARNING', 'CRITICAL'],
+      required: true,
+    },
+    // Largest of distance / distanceLimit and |recent - baseline| / delta over the pairs; >= 1 is a break
+    strength: Number,
+    peakStrength: Number,
+    // Channels implicated: broken pairs and the biggest contributors to the distance
+    channels: [String],
+    pairs: {
+      type: [pairSchema],
+      default: [],
+    },
+    // Smoothed Mahalanobis distance from the envelope and its control limit
+    distance: Number,
+    distanceLimit: Number,
+    values: mongoose.Schema.Types.Mixed,
+  },
+  {
+    collection: 'correlation_breaks',
+    timestamps: true,
+  }
+);
+
+correlationBreakSchema.index({ deviceId: 1, startedAt: -1 });
+
+const CorrelationBreak = mongoose.model('CorrelationBreak', correlationBreakSchema);
+
+export default CorrelationBreak;
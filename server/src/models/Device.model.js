@@ -1,5 +1,6 @@
 // Device schema and model
 import mongoose from 'mongoose';
+import { channelSchema } from './DeviceType.model.js';
 
 const deviceSchema = new mongoose.Schema(
   {
@@ -22,6 +23,23 @@ const deviceSchema = new mongoose.Schema(
       type: String,
       default: 'Unknown',
     },
+    // References DeviceType.typeId for the shared channel catalog
+    deviceType: {
+      type: String,
+      default: null,
+      index: true,
+    },
+    // Free-form asset group (line, site, customer...) for fleet peer comparison
+    assetGroup: {
+      type: String,
+      default: null,
+      index: true,
+    },
+    // Per-device channel catalog; overrides the device type when non-empty
+    channels: {
+      type: [channelSchema],
+      default: undefined,
+    },
     healthScore: {
       type: Number,
       min: 0,
@@ -37,11 +55,41 @@ const deviceSchema = new mongoose.Schema(
       type: Date,
       default: Date.now,
     },
+    // Set by the heartbeat watchdog; independent of the operator-controlled status
+    connectivity: {
+      type: String,
+      enum: ['ONLINE', 'OFFLINE'],
+      default: 'ONLINE',
+    },
+    offlineSince: {
+      type: Date,
+      default: null,
+    },
+    // How often the device is expected to report; falls back to HEARTBEAT_DEFAULT_INTERVAL_MS
+    reportingIntervalSec: {
+      type: Number,
+      min: 1,
+      default: null,
+    },
     lastPrediction: {
       timestamp: Date,
       healthScore: Number,
       failureRisk: String,
+      status: String,
       reason: String,
+      componentScores: mongoose.Schema.Types.Mixed,
+      // Penalties behind each component score and the waterfall from 100 (see prediction.service)
+      explanation: mongoose.Schema.Types.Mixed,
+      // Prediction engine that produced it, and any engines that failed first
+      engine: String,
+      fallbackFrom: [String],
+      // Remaining useful life estimate (see rul.service)
+      rul: mongoose.Schema.Types.Mixed,
+      // Health profile the formula used: { typeId, version } (version 0 = built-in default)
+      healthProfile: {
+        typeId: String,
+        version: Number,
+      },
     },
     alertThresholds: {
       temperature: {
@@ -61,6 +109,34 @@ const deviceSchema = new mongoose.Schema(
         default: 60,
       },
     },
+    // Units the device reports in, converted to canonical units at ingestion,
+    // e.g. { temperature: '°F', pressure: 'psi', vibration: { unit: 'g', frequencyHz: 29.5 } }
+    reportingUnits: {
+      type: mongoose.Schema.Types.Mixed,
+      default: undefined,
+    },
+    // Ordered prediction engine chain: first is primary, the rest are fallbacks.
+    // Overrides the device type's chain when non-empty
+    predictionEngines: {
+      type: [String],
+      default: undefined,
+    },
+    // Shaft speed and rolling-element bearing geometry that place the vibration spectrum bands
+    // (see spectral.service); contactAngle is in degrees
+    drivetrain: {
+      runningSpeedRpm: Number,
+      bearing: {
+        balls: Number,
+        ballDiameter: Number,
+        pitchDiameter: Number,
+        contactAngle: Number,
+      },
+    },
+    // Payload decoder override (json, cbor, csv, sparkplugb or a custom registered name)
+    payloadFormat: {
+      type: String,
+      default: null,
+    },
     metadata: mongoose.Schema.Types.Mixed,
   },
   {
@@ -0,0 +1,55 @@
+// Learned per-device, per-channel baseline (rolling mean/variance, by hour of day)
+import mongoose from 'mongoose';
+
+// Exponentially weighted running statistics
+const statsSchema = new mongoose.Schema(
+  {
+    count: { type: Number, default: 0 },
+    mean: { type: Number, default: 0 },
+    variance: { type: Number, default: 0 },
+  },
+  { _id: false }
+);
+
+const deviceBaselineSchema = new mongoose.Schema(
+  {
+    deviceId: {
+      type: String,
+      required: true,
+      index: true,
+    },
+    channel: {
+      type: String,
+      required: true,
+    },
+    overall: {
+      type: statsSchema,
+      default: () => ({}),
+    },
+    // Index 0-23: seasonality by hour of day (UTC)
+    hourly: {
+      type: [statsSchema],
+      default: () => Array.from({ length: 24 }, () => ({})),
+    },
+    // EWMA of standardized residuals, used for drift detection
+    ewmaZ: {
+      type: Number,
+      default: 0,
+    },
+    drifting: {
+      type: Boolean,
+      default: false,
+    },
+    lastValueAt: Date,
+  },
+  {
+    collection: 'device_baselines',
+    timestamps: true,
+  }
+);
+
+deviceBaselineSchema.index({ deviceId: 1, channel: 1 }, { unique: true });
+
+const DeviceBaseline = mongoose.model('DeviceBaseline', deviceBaselineSchema);
+
+export default DeviceBaseline;
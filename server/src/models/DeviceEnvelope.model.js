@@ -0,0 +1,45 @@
+// Learned multivariate operating envelope per device (mean vector and covariance of its channels)
+import mongoose from 'mongoose';
+
+const deviceEnvelopeSchema = new mongoose.Schema(
+  {
+    deviceId: {
+      type: String,
+      required: true,
+      unique: true,
+      index: true,
+    },
+    // Channel order of mean and covariance
+    channels: {
+      type: [String],
+      required: true,
+    },
+    count: {
+      type: Number,
+      default: 0,
+    },
+    mean: {
+      type: [Number],
+      default: [],
+    },
+    // channels.length × channels.length, row-major nested arrays
+    covariance: {
+      type: [[Number]],
+      default: [],
+    },
+    // EWMA of the squared Mahalanobis distance, used for drift detection
+    ewmaDistance2: {
+      type: Number,
+      default: 0,
+    },
+    lastValueAt: Date,
+  },
+  {
+    collection: 'device_envelopes',
+    timestamps: true,
+  }
+);
+
+const DeviceEnvelope = mongoose.model('DeviceEnvelope', deviceEnvelopeSchema);
+
+export default DeviceEnvelope;
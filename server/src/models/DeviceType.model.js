@@ -0,0 +1,65 @@
+// Device type schema and model (sensor channel catalog per type)
+import mongoose from 'mongoose';
+
+// A single sensor channel a device reports, e.g. temperature or rpm
+export const channelSchema = new mongoose.Schema(
+  {
+    key: {
+      type: String,
+      required: true,
+    },
+    name: {
+      type: String,
+      required: true,
+    },
+    unit: {
+      type: String,
+      default: '',
+    },
+    // Normal operating range; channels without a built-in formula are scored against it
+    min: Number,
+    max: Number,
+    // Physically plausible limits; readings outside them are quarantined
+    validMin: Number,
+    validMax: Number,
+    // Relative weight in the overall health score
+    weight: Number,
+    required: {
+      type: Boolean,
+      default: false,
+    },
+  },
+  { _id: false }
+);
+
+const deviceTypeSchema = new mongoose.Schema(
+  {
+    typeId: {
+      type: String,
+      required: true,
+      unique: true,
+      index: true,
+    },
+    name: {
+      type: String,
+      required: true,
+    },
+    description: String,
+    channels: {
+      type: [channelSchema],
+      default: [],
+    },
+    // Ordered prediction engine chain for devices of this type
+    predictionEngines: {
+      type: [String],
+      default: undefined,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+const DeviceType = mongoose.model('DeviceType', deviceTypeSchema);
+
+export default DeviceType;
@@ -0,0 +1,66 @@
+// Escalation policy schema and model (what happens to alerts nobody acknowledges)
+import mongoose from 'mongoose';
+
+const escalationStepSchema = new mongoose.Schema(
+  {
+    // Minutes after the alert was raised
+    afterMinutes: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    // Severity to raise the alert to; never lowers it
+    raiseSeverity: {
+      type: String,
+      enum: ['WARNING', 'CRITICAL', null],
+      default: null,
+    },
+    // Who to notify, e.g. "tier-2" or "plant-manager"
+    notify: {
+      type: [String],
+      default: [],
+    },
+  },
+  { _id: false }
+);
+
+const escalationPolicySchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    description: String,
+    enabled: {
+      type: Boolean,
+      default: true,
+      index: true,
+    },
+    // Lowest number wins when several policies match an alert
+    priority: {
+      type: Number,
+      default: 100,
+    },
+    // Alerts the policy applies to; empty lists match everything
+    match: {
+      severities: { type: [String], default: [] },
+      deviceIds: { type: [String], default: [] },
+      deviceTypes: { type: [String], default: [] },
+      assetGroups: { type: [String], default: [] },
+    },
+    // Ordered by afterMinutes
+    steps: {
+      type: [escalationStepSchema],
+      required: true,
+    },
+  },
+  {
+    collection: 'escalation_policies',
+    timestamps: true,
+  }
+);
+
+const EscalationPolicy = mongoose.model('EscalationPolicy', escalationPolicySchema);
+
+export default EscalationPolicy;
@@ -0,0 +1,30 @@
+// Labelled failure event schema and model (ground truth for backtesting predictions)
+import mongoose from 'mongoose';
+
+const failureEventSchema = new mongoose.Schema(
+  {
+    deviceId: {
+      type: String,
+      required: true,
+      index: true,
+    },
+    // When the failure happened (or was confirmed)
+    failedAt: {
+      type: Date,
+      required: true,
+    },
+    description: String,
+    // Failed part, e.g. "bearing" or "seal"
+    component: String,
+  },
+  {
+    collection: 'failure_events',
+    timestamps: true,
+  }
+);
+
+failureEventSchema.index({ deviceId: 1, failedAt: 1 });
+
+const FailureEvent = mongoose.model('FailureEvent', failureEventSchema);
+
+export default FailureEvent;
@@ -0,0 +1,43 @@
+// Health prediction history (one document per inference, MongoDB time-series collection)
+import mongoose from 'mongoose';
+
+const healthPredictionSchema = new mongoose.Schema(
+  {
+    deviceId: {
+      type: String,
+      required: true,
+    },
+    timestamp: {
+      type: Date,
+      required: true,
+      default: Date.now,
+    },
+    healthScore: Number,
+    failureRisk: String,
+    status: String,
+    reason: String,
+    componentScores: mongoose.Schema.Types.Mixed,
+    engine: String,
+    // Health profile the formula used (see HealthProfile)
+    healthProfile: {
+      typeId: String,
+      version: Number,
+    },
+  },
+  {
+    collection: 'health_predictions',
+    timeseries: {
+      timeField: 'timestamp',
+      metaField: 'deviceId',
+      granularity: 'minutes',
+    },
+    timestamps: false,
+    versionKey: false,
+  }
+);
+
+healthPredictionSchema.index({ deviceId: 1, timestamp: -1 });
+
+const HealthPrediction = mongoose.model('HealthPrediction', healthPredictionSchema);
+
+export default HealthPrediction;
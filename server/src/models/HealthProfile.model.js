@@ -0,0 +1,44 @@
+// Health profile schema and model (versioned scoring parameters per device type)
+import mongoose from 'mongoose';
+
+// Every edit is stored as a new version; old versions are kept so predictions stay traceable
+const healthProfileSchema = new mongoose.Schema(
+  {
+    typeId: {
+      type: String,
+      required: true,
+      index: true,
+    },
+    version: {
+      type: Number,
+      required: true,
+    },
+    // channel key -> penalty parameters (ideal range, spike, variance and trend limits/slopes)
+    components: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {},
+    },
+    // channel key -> relative weight in the overall score
+    weights: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {},
+    },
+    // Health score below which a device is CRITICAL / HIGH risk / MEDIUM risk
+    riskCutoffs: {
+      critical: Number,
+      high: Number,
+      medium: Number,
+    },
+    notes: String,
+  },
+  {
+    collection: 'health_profiles',
+    timestamps: true,
+  }
+);
+
+healthProfileSchema.index({ typeId: 1, version: -1 }, { unique: true });
+
+const HealthProfile = mongoose.model('HealthProfile', healthProfileSchema);
+
+export default HealthProfile;
@@ -0,0 +1,41 @@
+// Idempotency key schema and model (replay protection for bulk uploads)
+import mongoose from 'mongoose';
+
+const idempotencyKeySchema = new mongoose.Schema(
+  {
+    key: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    // Route the key was used on; the same key on another route is rejected
+    scope: {
+      type: String,
+      required: true,
+    },
+    // SHA-256 of the request body, so a reused key with a different body is rejected
+    requestHash: String,
+    // Set when the upload was truncated: requestHash covers only this many leading bytes
+    requestBytes: Number,
+    status: {
+      type: String,
+      enum: ['PROCESSING', 'COMPLETED'],
+      default: 'PROCESSING',
+    },
+    responseStatus: Number,
+    responseBody: mongoose.Schema.Types.Mixed,
+    createdAt: {
+      type: Date,
+      default: Date.now,
+      // Keys expire after 24 hours
+      expires: 86400,
+    },
+  },
+  {
+    collection: 'idempotency_keys',
+  }
+);
+
+const IdempotencyKey = mongoose.model('IdempotencyKey', idempotencyKeySchema);
+
+export default IdempotencyKey;
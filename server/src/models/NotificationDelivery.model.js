@@ -0,0 +1,62 @@
+// Notification delivery schema and model (one message to one subscriber, with its attempts)
+import mongoose from 'mongoose';
+
+const notificationDeliverySchema = new mongoose.Schema(
+  {
+    // null for test messages
+    alertId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Alert',
+      default: null,
+      index: true,
+    },
+    subscriptionId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'NotificationSubscription',
+      required: true,
+    },
+    subscriptionName: String,
+    channelType: {
+      type: String,
+      enum: ['WEBHOOK', 'EMAIL', 'SLACK', 'TEAMS'],
+      required: true,
+    },
+    event: {
+      type: String,
+      enum: ['ALERT_CREATED', 'ALERT_ESCALATED', 'TEST'],
+      required: true,
+    },
+    // Where it went: email addresses, or the webhook's origin (chat webhook URLs embed secrets)
+    target: String,
+    // Rendered once, so every retry sends the same message
+    subject: String,
+    text: String,
+    // Body of WEBHOOK requests
+    payload: mongoose.Schema.Types.Mixed,
+    status: {
+      type: String,
+      enum: ['PENDING', 'DELIVERED', 'FAILED'],
+      default: 'PENDING',
+    },
+    attempts: {
+      type: Number,
+      default: 0,
+    },
+    // Next attempt while PENDING; pushed ahead while an attempt is in flight
+    nextAttemptAt: Date,
+    lastError: String,
+    // Receiver's reply, e.g. "HTTP 200" or "250 OK"
+    response: String,
+    deliveredAt: Date,
+  },
+  {
+    collection: 'notification_deliveries',
+    timestamps: true,
+  }
+);
+
+notificationDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+
+const NotificationDelivery = mongoose.model('NotificationDelivery', notificationDeliverySchema);
+
+export default NotificationDelivery;
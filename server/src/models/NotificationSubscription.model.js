@@ -0,0 +1,59 @@
+// Notification subscription schema and model (who hears about which alerts, and through what channel)
+import mongoose from 'mongoose';
+
+const notificationSubscriptionSchema = new mongoose.Schema(
+  {
+    // Also how escalation steps address the subscriber, e.g. "tier-2"
+    name: {
+      type: String,
+      required: true,
+      unique: true,
+      trim: true,
+    },
+    enabled: {
+      type: Boolean,
+      default: true,
+      index: true,
+    },
+    channel: {
+      type: String,
+      enum: ['WEBHOOK', 'EMAIL', 'SLACK', 'TEAMS'],
+      required: true,
+    },
+    // WEBHOOK, SLACK and TEAMS
+    url: String,
+    // HMAC key for WEBHOOK signatures; never returned by the API
+    secret: String,
+    // EMAIL recipients
+    to: {
+      type: [String],
+      default: undefined,
+    },
+    // New alerts the subscriber receives; empty lists match everything
+    match: {
+      severities: { type: [String], default: [] },
+      triggerTypes: { type: [String], default: [] },
+      deviceIds: { type: [String], default: [] },
+      deviceTypes: { type: [String], default: [] },
+      assetGroups: { type: [String], default: [] },
+    },
+    // Only notify when an escalation step names this subscriber
+    escalationOnly: {
+      type: Boolean,
+      default: false,
+    },
+    // Overrides the default subject and body ({{placeholder}} syntax)
+    template: {
+      subject: String,
+      body: String,
+    },
+  },
+  {
+    collection: 'notification_subscriptions',
+    timestamps: true,
+  }
+);
+
+const NotificationSubscription = mongoose.model('NotificationSubscription', notificationSubscriptionSchema);
+
+export default NotificationSubscription;
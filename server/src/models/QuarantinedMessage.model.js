@@ -0,0 +1,63 @@
+// Quarantined telemetry schema and model (payloads rejected at ingestion)
+import mongoose from 'mongoose';
+
+const quarantinedMessageSchema = new mongoose.Schema(
+  {
+    deviceId: {
+      type: String,
+      default: null,
+      index: true,
+    },
+    source: {
+      type: String,
+      enum: ['MQTT', 'HTTP', 'REINGEST'],
+      required: true,
+    },
+    topic: String,
+    // Raw bytes as received (base64) so undecodable payloads can be replayed
+    rawPayload: String,
+    // Decoded payload, when decoding succeeded
+    payload: mongoose.Schema.Types.Mixed,
+    stage: {
+      type: String,
+      enum: ['DECODE', 'VALIDATION'],
+      required: true,
+    },
+    reason: {
+      type: String,
+      required: true,
+    },
+    validationErrors: [String],
+    status: {
+      type: String,
+      enum: ['QUARANTINED', 'REINGESTED'],
+      default: 'QUARANTINED',
+      index: true,
+    },
+    reingestAttempts: {
+      type: Number,
+      default: 0,
+    },
+    // Leading readings of the payload already saved by an earlier, partly failed re-ingest
+    reingestedReadings: {
+      type: Number,
+      default: 0,
+    },
+    reingestedAt: Date,
+    receivedAt: {
+      type: Date,
+      default: Date.now,
+      index: true,
+    },
+  },
+  {
+    timestamps: true,
+    collection: 'quarantine',
+  }
+);
+
+quarantinedMessageSchema.index({ status: 1, receivedAt: -1 });
+
+const QuarantinedMessage = mongoose.model('QuarantinedMessage', quarantinedMessageSchema);
+
+export default QuarantinedMessage;
@@ -1,4 +1,6 @@
 // Sensor data schema and model
+// temperature/vibration/pressure are the default channels; any other channel declared in a
+// device's catalog is stored as an additional top-level numeric field (hence strict: false)
 import mongoose from 'mongoose';
 
 const sensorDataSchema = new mongoose.Schema(
@@ -13,17 +15,15 @@ const sensorDataSchema = new mongoose.Schema(
       default: Date.now,
       index: true,
     },
-    temperature: {
-      type: Number,
-      required: true,
-    },
-    vibration: {
-      type: Number,
-      required: true,
-    },
-    pressure: {
-      type: Number,
-      required: true,
+    // Device message counter; part of the deduplication key
+    sequence: Number,
+    temperature: Number,
+    vibration: Number,
+    pressure: Number,
+    // Canonical unit of each channel value, e.g. { temperature: '°C', pressure: 'bar' }
+    units: {
+      type: mongoose.Schema.Types.Mixed,
+      default: undefined,
     },
     metadata: {
       type: {
@@ -36,10 +36,13 @@ const sensorDataSchema = new mongoose.Schema(
   {
     collection: 'sensor_data',
     timestamps: false,
+    strict: false,
   }
 );
 
 sensorDataSchema.index({ deviceId: 1, timestamp: -1 });
+// Redelivered or replayed readings are rejected as duplicates
+sensorDataSchema.index({ deviceId: 1, timestamp: 1, sequence: 1 }, { unique: true });
 
 const SensorData = mongoose.model('SensorData', sensorDataSchema);
 
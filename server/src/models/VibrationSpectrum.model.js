@@ -0,0 +1,69 @@
+// Vibration spectrum schema and model (FFT features of one waveform frame; raw samples are not kept)
+import mongoose from 'mongoose';
+
+const bandSchema = new mongoose.Schema(
+  {
+    // ONE_X, TWO_X, BPFO, BPFI, BSF, FTF
+    name: {
+      type: String,
+      required: true,
+    },
+    // Centre frequency (Hz) and the window summed around it
+    frequency: Number,
+    low: Number,
+    high: Number,
+    // Spectral energy in the window, and its share of the total
+    energy: Number,
+    ratio: Number,
+  },
+  { _id: false }
+);
+
+const vibrationSpectrumSchema = new mongoose.Schema(
+  {
+    deviceId: {
+      type: String,
+      required: true,
+      index: true,
+    },
+    // Time of the frame's first sample
+    timestamp: {
+      type: Date,
+      required: true,
+    },
+    sampleRate: {
+      type: Number,
+      required: true,
+    },
+    sampleCount: Number,
+    // Shaft speed the bands were placed on; null when unknown (no bands)
+    runningSpeedHz: Number,
+    // Time-domain features
+    rms: Number,
+    peak: Number,
+    crestFactor: Number,
+    dominantFrequency: Number,
+    bands: {
+      type: [bandSchema],
+      default: [],
+    },
+    // Largest share held by a fault band (everything but 1×) and which band it was
+    faultEnergyRatio: Number,
+    faultBand: String,
+    // Amplitude spectrum downsampled for charting
+    spectrum: {
+      frequencies: [Number],
+      magnitudes: [Number],
+    },
+  },
+  {
+    collection: 'vibration_spectra',
+    timestamps: true,
+  }
+);
+
+vibrationSpectrumSchema.index({ deviceId: 1, timestamp: -1 });
+
+const VibrationSpectrum = mongoose.model('VibrationSpectrum', vibrationSpectrumSchema);
+
+export default VibrationSpectrum;
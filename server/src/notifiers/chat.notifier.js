@@ -0,0 +1,15 @@
+// Chat incoming-webhook notifiers (Slack and Microsoft Teams style: a JSON "text" field)
+import { postJSON } from './webhook.notifier.js';
+
+export const sendSlack = (subscription, message, { timeoutMs }) =>
+  postJSON(subscription.url, JSON.stringify({ text: `*${message.subject}*\n${message.text}` }), { timeoutMs });
+
+// Teams markdown needs two trailing spaces for a line break
+export const sendTeams = (subscription, message, { timeoutMs }) =>
+  postJSON(
+    subscription.url,
+    JSON.stringify({ text: `**${message.subject}**\n\n${message.text.replace(/\n/g, '  \n')}` }),
+    { timeoutMs }
+  );
+
+export default sendSlack;
@@ -0,0 +1,7 @@
+// SMTP email notifier (plain text, one message to all of the subscription's addresses)
+import { sendMail } from '../config/smtp.js';
+
+export const sendEmail = (subscription, message) =>
+  sendMail({ to: subscription.to, subject: message.subject, text: message.text });
+
+export default sendEmail;
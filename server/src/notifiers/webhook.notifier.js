@@ -0,0 +1,39 @@
+// Generic HTTP webhook notifier: JSON POST signed with HMAC-SHA256 over "<timestamp>.<body>"
+import crypto from 'crypto';
+
+// POST a JSON body; resolves with "HTTP <status>", throws on network errors, timeouts and non-2xx replies
+export const postJSON = async (url, body, { headers = {}, timeoutMs }) => {
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...headers },
+    body,
+    signal: AbortSignal.timeout(timeoutMs),
+  });
+
+  if (!response.ok) {
+    const detail = (await response.text().catch(() => '')).slice(0, 200);
+    throw new Error(`HTTP ${response.status}${detail ? `: ${detail}` : ''}`);
+  }
+  return `HTTP ${response.status}`;
+};
+
+// Hex signature receivers recompute with the shared secret to authenticate a request
+export const signWebhook = (secret, timestamp, body) =>
+  crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+
+export const sendWebhook = async (subscription, message, { timeoutMs }) => {
+  const body = JSON.stringify(message.payload);
+  const timestamp = Math.floor(Date.now() / 1000).toString();
+
+  return postJSON(subscription.url, body, {
+    timeoutMs,
+    headers: {
+      // Same on every retry, so receivers can drop duplicates
+      'X-Notification-Id': message.deliveryId,
+      'X-Notification-Timestamp': timestamp,
+      'X-Notification-Signature': `sha256=${signWebhook(subscription.secret, timestamp, body)}`,
+    },
+  });
+};
+
+export default sendWebhook;
@@ -1,13 +1,15 @@
 // Alert management routes
 import express from 'express';
+import mongoose from 'mongoose';
 import Alert from '../models/Alert.model.js';
 import { acknowledgeAlert, resolveAlert, getActiveAlerts, getDeviceAlerts } from '../services/alert.service.js';
+import { getDeliveries } from '../services/notification.service.js';
 
 const router = express.Router();
 
 router.get('/', async (req, res) => {
   try {
-    const { status = 'all', deviceId, limit = 50 } = req.query;
+    const { status = 'all', deviceId, ruleId, limit = 50 } = req.query;
 
     let filter = {};
 
@@ -19,6 +21,17 @@ router.get('/', async (req, res) => {
       filter.deviceId = deviceId;
     }
 
+    // Alerts raised by one user-defined rule
+    if (ruleId) {
+      if (!mongoose.isValidObjectId(ruleId)) {
+        return res.status(400).json({
+          success: false,
+          error: 'ruleId must be a valid id',
+        });
+      }
+      filter.ruleId = ruleId;
+    }
+
     const alerts = await Alert.find(filter, null, {
       sort: { timestamp: -1 },
       limit: parseInt(limit, 10),
@@ -93,6 +106,34 @@ router.get('/:id', async (req, res) => {
 });
 
 
+// GET the notifications sent (or still being retried) for an alert
+router.get('/:id/notifications', async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!mongoose.isValidObjectId(id)) {
+      return res.status(404).json({
+        success: false,
+        error: 'Alert not found',
+      });
+    }
+
+    const deliveries = await getDeliveries({ alertId: id });
+
+    res.json({
+      success: true,
+      count: deliveries.length,
+      data: deliveries,
+    });
+  } catch (error) {
+    console.error('✗ GET /alerts/:id/notifications error:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch alert notifications',
+    });
+  }
+});
+
 router.post('/:id/ack', async (req, res) => {
   try {
     const { id } = req.params;
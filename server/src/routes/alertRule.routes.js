@@ -0,0 +1,112 @@
+// Alert rule routes (user-defined rules evaluated on live readings)
+import express from 'express';
+import {
+  listAlertRules,
+  getAlertRule,
+  createAlertRule,
+  updateAlertRule,
+  deleteAlertRule,
+} from '../services/alertRule.service.js';
+
+const router = express.Router();
+
+// GET all rules (?enabled=true|false)
+router.get('/', async (req, res) => {
+  try {
+    const { enabled } = req.query;
+    if (enabled !== undefined && enabled !== 'true' && enabled !== 'false') {
+      return res.status(400).json({
+        success: false,
+        error: 'enabled must be true or false',
+      });
+    }
+
+    const rules = await listAlertRules({ enabled: enabled === undefined ? undefined : enabled === 'true' });
+
+    res.json({
+      success: true,
+      count: rules.length,
+      data: rules,
+    });
+  } catch (error) {
+    console.error('✗ GET /alert-rules error:', error.message);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.statusCode ? error.message : 'Failed to fetch alert rules',
+    });
+  }
+});
+
+// GET one rule with the devices it is currently tracking
+router.get('/:id', async (req, res) => {
+  try {
+    const rule = await getAlertRule(req.params.id);
+
+    res.json({
+      success: true,
+      data: rule,
+    });
+  } catch (error) {
+    console.error('✗ GET /alert-rules/:id error:', error.message);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.statusCode ? error.message : 'Failed to fetch alert rule',
+    });
+  }
+});
+
+router.post('/', async (req, res) => {
+  try {
+    const rule = await createAlertRule(req.body);
+
+    res.status(201).json({
+      success: true,
+      message: 'Alert rule created successfully',
+      data: rule,
+    });
+  } catch (error) {
+    console.error('✗ POST /alert-rules error:', error.message);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.statusCode ? error.message : 'Failed to create alert rule',
+    });
+  }
+});
+
+// PUT update a rule; omitted fields keep their values
+router.put('/:id', async (req, res) => {
+  try {
+    const rule = await updateAlertRule(req.params.id, req.body);
+
+    res.json({
+      success: true,
+      message: 'Alert rule updated successfully',
+      data: rule,
+    });
+  } catch (error) {
+    console.error('✗ PUT /alert-rules/:id error:', error.message);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.statusCode ? error.message : 'Failed to update alert rule',
+    });
+  }
+});
+
+router.delete('/:id', async (req, res) => {
+  try {
+    await deleteAlertRule(req.params.id);
+
+    res.json({
+      success: true,
+      message: 'Alert rule deleted successfully',
+    });
+  } catch (error) {
+    console.error('✗ DELETE /alert-rules/:id error:', error.message);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.statusCode ? error.message : 'Failed to delete alert rule',
+    });
+  }
+});
+
+export default router;
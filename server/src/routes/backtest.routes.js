@@ -0,0 +1,132 @@
+// Backtest routes: replay stored telemetry and manage labelled failure events
+import express from 'express';
+import mongoose from 'mongoose';
+import FailureEvent from '../models/FailureEvent.model.js';
+import { runBacktest } from '../services/backtest.service.js';
+
+const router = express.Router();
+
+// POST run a backtest over a device's stored readings
+router.post('/', async (req, res) => {
+  try {
+    const {
+      deviceId,
+      from,
+      to,
+      engines,
+      profile,
+      profileVersion,
+      horizonHours,
+      failures,
+      includeTimeline,
+    } = req.body || {};
+
+    const result = await runBacktest({
+      deviceId,
+      from,
+      to,
+      engines,
+      profile,
+      profileVersion,
+      horizonHours: horizonHours === undefined ? undefined : Number(horizonHours),
+      failures,
+      includeTimeline: includeTimeline !== false,
+    });
+
+    res.json({
+      success: true,
+      data: result,
+    });
+  } catch (error) {
+    console.error('✗ POST /backtests error:', error.message);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.statusCode ? error.message : 'Failed to run backtest',
+    });
+  }
+});
+
+// GET labelled failure events, optionally for one device
+router.get('/failures', async (req, res) => {
+  try {
+    const { deviceId } = req.query;
+
+    const failures = await FailureEvent.find(deviceId ? { deviceId } : {}).sort({ failedAt: -1 });
+
+    res.json({
+      success: true,
+      count: failures.length,
+      data: failures,
+    });
+  } catch (error) {
+    console.error('✗ GET /backtests/failures error:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch failure events',
+    });
+  }
+});
+
+// POST label a failure event
+router.post('/failures', async (req, res) => {
+  try {
+    const { deviceId, failedAt, description, component } = req.body || {};
+    const failedAtDate = new Date(failedAt);
+
+    if (!deviceId || !failedAt || Number.isNaN(failedAtDate.getTime())) {
+      return res.status(400).json({
+        success: false,
+        error: 'deviceId and a valid failedAt are required',
+      });
+    }
+
+    const failure = await FailureEvent.create({
+      deviceId,
+      failedAt: failedAtDate,
+      description,
+      component,
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Failure event recorded',
+      data: failure,
+    });
+  } catch (error) {
+    console.error('✗ POST /backtests/failures error:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to record failure event',
+    });
+  }
+});
+
+router.delete('/failures/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const result = mongoose.isValidObjectId(id)
+      ? await FailureEvent.deleteOne({ _id: id })
+      : { deletedCount: 0 };
+
+    if (result.deletedCount === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Failure event not found',
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Failure event deleted successfully',
+    });
+  } catch (error) {
+    console.error('✗ DELETE /backtests/failures/:id error:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete failure event',
+    });
+  }
+});
+
+export default router;
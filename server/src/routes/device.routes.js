@@ -1,11 +1,28 @@
 // Device routes for CRUD operations
 import express from 'express';
 import Device from '../models/Device.model.js';
-import { generateHealthPrediction } from '../services/prediction.service.js';
 import { getRecentSensorData } from '../services/ingestion.service.js';
+import { setDeviceDecoder, getDecoderNames } from '../services/decoder.service.js';
+import { getDeviceChannels, validateChannelDefinitions } from '../services/channel.service.js';
+import { validateReportingUnits } from '../services/unit.service.js';
+import { listEngines, validateEngineChain } from '../services/engine.service.js';
+import { estimateRemainingUsefulLife } from '../services/rul.service.js';
+import { getDeviceHealthProfile } from '../services/healthProfile.service.js';
+import { getDeviceBaselines } from '../services/baseline.service.js';
+import { getDeviceEnvelope, resetDeviceEnvelope } from '../services/correlation.service.js';
+import { getHealthHistory } from '../services/healthHistory.service.js';
+import { validateDrivetrain } from '../services/spectral.service.js';
+import { getMaintenanceAdvice } from '../services/advisor.service.js';
+import { evaluateHealth } from '../services/evaluation.service.js';
+import { DURATION_UNITS_MS, parseDurationMs, defaultBucketMs } from '../utils/duration.js';
 
 const router = express.Router();
 
+const MAX_HISTORY_RANGE_MS = 365 * DURATION_UNITS_MS.d;
+const MAX_HISTORY_BUCKETS = 2000;
+// Buckets when none is requested: enough points for a chart, never below a minute
+const DEFAULT_HISTORY_POINTS = 200;
+
 router.get('/', async (req, res) => {
   try {
     const devices = await Device.find(
@@ -15,9 +32,13 @@ router.get('/', async (req, res) => {
         name: 1,
         status: 1,
         location: 1,
+        deviceType: 1,
+        assetGroup: 1,
         healthScore: 1,
         failureRisk: 1,
         lastUpdate: 1,
+        connectivity: 1,
+        offlineSince: 1,
       }
     ).sort({ lastUpdate: -1 });
 
@@ -35,6 +56,14 @@ router.get('/', async (req, res) => {
   }
 });
 
+// GET available prediction engines and their output schemas
+router.get('/engines', (req, res) => {
+  res.json({
+    success: true,
+    data: listEngines(),
+  });
+});
+
 router.get('/:id', async (req, res) => {
   try {
     const { id } = req.params;
@@ -61,9 +90,50 @@ router.get('/:id', async (req, res) => {
   }
 });
 
-router.get('/:id/health', async (req, res) => {
+// GET effective channel catalog (device override, device type or defaults)
+router.get('/:id/channels', async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const device = await Device.findOne({ deviceId: id });
+
+    if (!device) {
+      return res.status(404).json({
+        success: false,
+        error: 'Device not found',
+      });
+    }
+
+    const channels = await getDeviceChannels(device);
+
+    res.json({
+      success: true,
+      deviceId: id,
+      deviceType: device.deviceType,
+      reportingUnits: device.reportingUnits || {},
+      data: channels,
+    });
+  } catch (error) {
+    console.error('✗ GET /devices/:id/channels error:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch device channels',
+    });
+  }
+});
+
+// GET remaining useful life: time until the health score or a channel crosses its limit
+router.get('/:id/rul', async (req, res) => {
   try {
     const { id } = req.params;
+    const windowHours = parseFloat(req.query.windowHours) || undefined;
+
+    if (windowHours !== undefined && (windowHours <= 0 || windowHours > 24 * 90)) {
+      return res.status(400).json({
+        success: false,
+        error: 'windowHours must be between 0 and 2160',
+      });
+    }
 
     const device = await Device.findOne({ deviceId: id });
 
@@ -74,31 +144,297 @@ router.get('/:id/health', async (req, res) => {
       });
     }
 
-    // Generate fresh prediction
-    const prediction = await generateHealthPrediction(id);
+    const channels = await getDeviceChannels(device);
+    const profile = await getDeviceHealthProfile(device);
+    const rul = await estimateRemainingUsefulLife(id, channels, { windowHours, profile });
+
+    res.json({
+      success: true,
+      deviceId: id,
+      data: rul,
+    });
+  } catch (error) {
+    console.error('✗ GET /devices/:id/rul error:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to estimate remaining useful life',
+    });
+  }
+});
+
+// GET learned baselines (overall and hour-of-day) used for anomaly detection
+router.get('/:id/baselines', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const baselines = await getDeviceBaselines(id);
+
+    res.json({
+      success: true,
+      deviceId: id,
+      count: baselines.length,
+      data: baselines,
+    });
+  } catch (error) {
+    console.error('✗ GET /devices/:id/baselines error:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch baselines',
+    });
+  }
+});
+
+// GET learned multivariate operating envelope (channel correlations and distance) used for correlation breaks
+router.get('/:id/envelope', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const envelope = await getDeviceEnvelope(id);
+
+    if (!envelope) {
+      return res.status(404).json({
+        success: false,
+        error: 'No operating envelope learned for this device yet',
+      });
+    }
+
+    res.json({
+      success: true,
+      deviceId: id,
+      data: envelope,
+    });
+  } catch (error) {
+    console.error('✗ GET /devices/:id/envelope error:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch operating envelope',
+    });
+  }
+});
+
+// DELETE the learned envelope so it is relearned, e.g. after maintenance changed how the device runs
+router.delete('/:id/envelope', async (req, res) => {
+  try {
+    const { id } = req.params;
+    await resetDeviceEnvelope(id);
+
+    res.json({
+      success: true,
+      message: 'Operating envelope reset; it will be relearned from new readings',
+    });
+  } catch (error) {
+    console.error('✗ DELETE /devices/:id/envelope error:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to reset operating envelope',
+    });
+  }
+});
+
+// GET health prediction history: ?range=7d&bucket=1h (bucket=raw for every prediction)
+router.get('/:id/health/history', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { range = '7d', bucket } = req.query;
 
-    if (!prediction) {
+    const rangeMs = parseDurationMs(range);
+    if (!rangeMs || rangeMs > MAX_HISTORY_RANGE_MS) {
+      return res.status(400).json({
+        success: false,
+        error: 'range must look like 30m, 24h or 7d and be at most 365d',
+      });
+    }
+
+    let bucketMs = null;
+    if (bucket !== 'raw') {
+      bucketMs = bucket === undefined
+        ? defaultBucketMs(rangeMs, DEFAULT_HISTORY_POINTS)
+        : parseDurationMs(bucket);
+
+      if (!bucketMs || rangeMs / bucketMs > MAX_HISTORY_BUCKETS) {
+        return res.status(400).json({
+          success: false,
+          error: `bucket must be "raw" or a duration like 5m or 1h, with at most ${MAX_HISTORY_BUCKETS} buckets in the range`,
+        });
+      }
+    }
+
+    const until = new Date();
+    const since = new Date(until.getTime() - rangeMs);
+    const history = await getHealthHistory(id, { since, until, bucketMs });
+
+    res.json({
+      success: true,
+      deviceId: id,
+      range,
+      bucketMs,
+      count: history.length,
+      data: history,
+    });
+  } catch (error) {
+    console.error('✗ GET /devices/:id/health/history error:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch health history',
+    });
+  }
+});
+
+// GET what drove the latest prediction: per-component penalties and the waterfall from 100
+router.get('/:id/health/explanation', async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const device = await Device.findOne({ deviceId: id }, { lastPrediction: 1 }).lean();
+
+    if (!device) {
+      return res.status(404).json({
+        success: false,
+        error: 'Device not found',
+      });
+    }
+
+    const { timestamp, healthScore, failureRisk, status, reason, engine, componentScores, explanation } =
+      device.lastPrediction || {};
+
+    res.json({
+      success: true,
+      deviceId: id,
+      data: {
+        timestamp,
+        healthScore,
+        failureRisk,
+        status,
+        reason,
+        engine,
+        componentScores,
+        // Only engines that score per component (formula) can explain their result
+        explanation: explanation || null,
+      },
+    });
+  } catch (error) {
+    console.error('✗ GET /devices/:id/health/explanation error:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch health explanation',
+    });
+  }
+});
+
+// Advice responses share error handling: 404 unknown device, 429 rate limited, 502 model failure, 503 not configured
+const sendAdvice = async (req, res, refresh) => {
+  try {
+    const { id } = req.params;
+    const advice = await getMaintenanceAdvice(id, { refresh });
+
+    res.json({
+      success: true,
+      deviceId: id,
+      data: advice,
+    });
+  } catch (error) {
+    console.error(`✗ ${req.method} /devices/:id/advice error:`, error.message);
+    if (error.retryAfterMs) {
+      res.set('Retry-After', String(Math.ceil(error.retryAfterMs / 1000)));
+    }
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.statusCode ? error.message : 'Failed to get maintenance advice',
+      retryAfterMs: error.retryAfterMs,
+    });
+  }
+};
+
+// GET maintenance advice (LLM diagnosis and recommended actions), cached per device
+router.get('/:id/advice', (req, res) => sendAdvice(req, res, false));
+
+// POST regenerate maintenance advice; rate limited, returns the cached advice when limited
+router.post('/:id/advice', (req, res) => sendAdvice(req, res, true));
+
+// GET a fresh, read-only evaluation of the device's last 15 minutes (?range=1h for another window)
+router.get('/:id/health', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const rangeMs = parseDurationMs(req.query.range || '15m');
+
+    // Only the format is checked here; evaluateHealth enforces its own range and reading limits
+    if (!rangeMs) {
+      return res.status(400).json({
+        success: false,
+        error: 'range must look like 30m, 24h or 7d',
+      });
+    }
+
+    const device = await Device.findOne({ deviceId: id }, { deviceId: 1 }).lean();
+
+    if (!device) {
+      return res.status(404).json({
+        success: false,
+        error: 'Device not found',
+      });
+    }
+
+    const to = new Date();
+    let evaluation;
+    try {
+      evaluation = await evaluateHealth({ deviceId: id, from: new Date(to.getTime() - rangeMs), to });
+    } catch (evaluationError) {
+      if (evaluationError.statusCode !== 404) throw evaluationError;
       return res.status(400).json({
         success: false,
         error: 'No recent sensor data available',
       });
     }
 
+    const { prediction } = evaluation;
+
     res.json({
       success: true,
       data: {
         deviceId: id,
         healthScore: prediction.healthScore,
         failureRisk: prediction.failureRisk,
+        status: prediction.status,
         reason: prediction.reason,
-        timestamp: new Date(),
+        componentScores: prediction.componentScores,
+        engine: prediction.engine,
+        readingCount: evaluation.readingCount,
+        timestamp: evaluation.evaluatedAt,
       },
     });
   } catch (error) {
     console.error('✗ GET /devices/:id/health error:', error.message);
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.statusCode ? error.message : 'Failed to calculate health',
+    });
+  }
+});
+
+// POST what-if evaluation: score posted { readings: [...] } or a stored { from, to } window, optionally
+// with another engine chain or health profile. Returns the full prediction; nothing is stored or emitted
+router.post('/:id/health/evaluate', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { readings, from, to, engines, profile, profileVersion } = req.body || {};
+
+    const evaluation = await evaluateHealth({
+      deviceId: id,
+      readings,
+      from,
+      to,
+      engines,
+      profile,
+      profileVersion,
+    });
+
+    res.json({
+      success: true,
+      data: evaluation,
+    });
+  } catch (error) {
+    console.error('✗ POST /devices/:id/health/evaluate error:', error.message);
+    res.status(error.statusCode || 500).json({
       success: false,
-      error: 'Failed to calculate health',
+      error: error.statusCode ? error.message : 'Failed to evaluate health',
     });
   }
 });
@@ -106,7 +442,20 @@ router.get('/:id/health', async (req, res) => {
 // POST create or update device
 router.post('/', async (req, res) => {
   try {
-    const { deviceId, name, status, location, alertThresholds } = req.body;
+    const {
+      deviceId,
+      name,
+      status,
+      location,
+      alertThresholds,
+      payloadFormat,
+      deviceType,
+      assetGroup,
+      reportingUnits,
+      reportingIntervalSec,
+      drivetrain,
+    } = req.body;
+    let { channels, predictionEngines } = req.body;
 
     if (!deviceId || !name) {
       return res.status(400).json({
@@ -115,6 +464,27 @@ router.post('/', async (req, res) => {
       });
     }
 
+    if (payloadFormat && !getDecoderNames().includes(String(payloadFormat).toLowerCase())) {
+      return res.status(400).json({
+        success: false,
+        error: `Unknown payloadFormat. Supported: ${getDecoderNames().join(', ')}`,
+      });
+    }
+
+    if (channels || reportingUnits || predictionEngines || drivetrain) {
+      try {
+        if (channels) channels = validateChannelDefinitions(channels);
+        if (predictionEngines) predictionEngines = validateEngineChain(predictionEngines);
+        validateReportingUnits(reportingUnits);
+        validateDrivetrain(drivetrain);
+      } catch (validationError) {
+        return res.status(400).json({
+          success: false,
+          error: validationError.message,
+        });
+      }
+    }
+
     let device = await Device.findOne({ deviceId });
 
     if (device) {
@@ -125,6 +495,30 @@ router.post('/', async (req, res) => {
       if (alertThresholds) {
         device.alertThresholds = { ...device.alertThresholds, ...alertThresholds };
       }
+      if (payloadFormat !== undefined) {
+        device.payloadFormat = payloadFormat || null;
+      }
+      if (deviceType !== undefined) {
+        device.deviceType = deviceType || null;
+      }
+      if (assetGroup !== undefined) {
+        device.assetGroup = assetGroup || null;
+      }
+      if (channels) {
+        device.channels = channels;
+      }
+      if (reportingUnits !== undefined) {
+        device.reportingUnits = reportingUnits || undefined;
+      }
+      if (reportingIntervalSec !== undefined) {
+        device.reportingIntervalSec = reportingIntervalSec || null;
+      }
+      if (predictionEngines) {
+        device.predictionEngines = predictionEngines;
+      }
+      if (drivetrain !== undefined) {
+        device.drivetrain = drivetrain || undefined;
+      }
       device.updatedAt = new Date();
     } else {
       // Create new device
@@ -134,10 +528,19 @@ router.post('/', async (req, res) => {
         status,
         location,
         alertThresholds,
+        payloadFormat: payloadFormat || null,
+        deviceType: deviceType || null,
+        assetGroup: assetGroup || null,
+        channels,
+        reportingUnits,
+        reportingIntervalSec: reportingIntervalSec || null,
+        predictionEngines,
+        drivetrain,
       });
     }
 
     await device.save();
+    setDeviceDecoder(device.deviceId, device.payloadFormat);
 
     res.status(201).json({
       success: true,
@@ -159,6 +562,29 @@ router.put('/:id', async (req, res) => {
     const { id } = req.params;
     const updates = req.body;
 
+    if (updates.payloadFormat && !getDecoderNames().includes(String(updates.payloadFormat).toLowerCase())) {
+      return res.status(400).json({
+        success: false,
+        error: `Unknown payloadFormat. Supported: ${getDecoderNames().join(', ')}`,
+      });
+    }
+
+    if (updates.channels || updates.reportingUnits || updates.predictionEngines || updates.drivetrain) {
+      try {
+        if (updates.channels) updates.channels = validateChannelDefinitions(updates.channels);
+        if (updates.predictionEngines) {
+          updates.predictionEngines = validateEngineChain(updates.predictionEngines);
+        }
+        validateReportingUnits(updates.reportingUnits);
+        validateDrivetrain(updates.drivetrain);
+      } catch (validationError) {
+        return res.status(400).json({
+          success: false,
+          error: validationError.message,
+        });
+      }
+    }
+
     const device = await Device.findOneAndUpdate(
       { deviceId: id },
       { ...updates, updatedAt: new Date() },
@@ -172,6 +598,10 @@ router.put('/:id', async (req, res) => {
       });
     }
 
+    if (updates.payloadFormat !== undefined) {
+      setDeviceDecoder(device.deviceId, device.payloadFormat);
+    }
+
     res.json({
       success: true,
       message: 'Device updated successfully',
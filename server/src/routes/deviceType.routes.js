@@ -0,0 +1,243 @@
+// Device type routes (channel catalog and health profile management)
+import express from 'express';
+import DeviceType from '../models/DeviceType.model.js';
+import { validateChannelDefinitions, invalidateDeviceTypeCache } from '../services/channel.service.js';
+import { validateEngineChain } from '../services/engine.service.js';
+import {
+  DEFAULT_HEALTH_PROFILE,
+  validateHealthProfile,
+  getLatestHealthProfile,
+  getHealthProfileVersion,
+  listHealthProfileVersions,
+  saveHealthProfile,
+} from '../services/healthProfile.service.js';
+
+const router = express.Router();
+
+router.get('/', async (req, res) => {
+  try {
+    const deviceTypes = await DeviceType.find({}).sort({ typeId: 1 });
+
+    res.json({
+      success: true,
+      count: deviceTypes.length,
+      data: deviceTypes,
+    });
+  } catch (error) {
+    console.error('✗ GET /device-types error:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch device types',
+    });
+  }
+});
+
+router.get('/:typeId', async (req, res) => {
+  try {
+    const { typeId } = req.params;
+
+    const deviceType = await DeviceType.findOne({ typeId });
+
+    if (!deviceType) {
+      return res.status(404).json({
+        success: false,
+        error: 'Device type not found',
+      });
+    }
+
+    res.json({
+      success: true,
+      data: deviceType,
+    });
+  } catch (error) {
+    console.error('✗ GET /device-types/:typeId error:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch device type',
+    });
+  }
+});
+
+// PUT create or replace a device type and its channel catalog
+router.put('/:typeId', async (req, res) => {
+  try {
+    const { typeId } = req.params;
+    const { name, description, channels = [], predictionEngines = [] } = req.body;
+
+    let validChannels;
+    let validEngines;
+    try {
+      validChannels = validateChannelDefinitions(channels);
+      validEngines = validateEngineChain(predictionEngines);
+    } catch (validationError) {
+      return res.status(400).json({
+        success: false,
+        error: validationError.message,
+      });
+    }
+
+    const deviceType = await DeviceType.findOneAndUpdate(
+      { typeId },
+      {
+        typeId,
+        name: name || typeId,
+        description,
+        channels: validChannels,
+        predictionEngines: validEngines,
+      },
+      { upsert: true, new: true, runValidators: true }
+    );
+
+    invalidateDeviceTypeCache(typeId);
+
+    res.json({
+      success: true,
+      message: 'Device type saved successfully',
+      data: deviceType,
+    });
+  } catch (error) {
+    console.error('✗ PUT /device-types/:typeId error:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to save device type',
+    });
+  }
+});
+
+// GET the health profile the formula applies to this type (built-in default if none stored)
+router.get('/:typeId/health-profile', async (req, res) => {
+  try {
+    const { typeId } = req.params;
+    const profile = await getLatestHealthProfile(typeId);
+
+    res.json({
+      success: true,
+      isDefault: !profile,
+      data: profile || { ...DEFAULT_HEALTH_PROFILE, typeId },
+    });
+  } catch (error) {
+    console.error('✗ GET /device-types/:typeId/health-profile error:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch health profile',
+    });
+  }
+});
+
+// GET every stored version, newest first
+router.get('/:typeId/health-profile/versions', async (req, res) => {
+  try {
+    const { typeId } = req.params;
+    const versions = await listHealthProfileVersions(typeId);
+
+    res.json({
+      success: true,
+      count: versions.length,
+      data: versions,
+    });
+  } catch (error) {
+    console.error('✗ GET /device-types/:typeId/health-profile/versions error:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch health profile versions',
+    });
+  }
+});
+
+router.get('/:typeId/health-profile/versions/:version', async (req, res) => {
+  try {
+    const { typeId } = req.params;
+    const version = parseInt(req.params.version, 10);
+
+    const profile = Number.isInteger(version)
+      ? await getHealthProfileVersion(typeId, version)
+      : null;
+
+    if (!profile) {
+      return res.status(404).json({
+        success: false,
+        error: 'Health profile version not found',
+      });
+    }
+
+    res.json({
+      success: true,
+      data: profile,
+    });
+  } catch (error) {
+    console.error('✗ GET /device-types/:typeId/health-profile/versions/:version error:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch health profile version',
+    });
+  }
+});
+
+// PUT a new health profile version; earlier versions are kept
+router.put('/:typeId/health-profile', async (req, res) => {
+  try {
+    const { typeId } = req.params;
+
+    const deviceType = await DeviceType.exists({ typeId });
+    if (!deviceType) {
+      return res.status(404).json({
+        success: false,
+        error: 'Device type not found',
+      });
+    }
+
+    let profile;
+    try {
+      profile = validateHealthProfile(req.body);
+    } catch (validationError) {
+      return res.status(400).json({
+        success: false,
+        error: validationError.message,
+      });
+    }
+
+    const saved = await saveHealthProfile(typeId, profile);
+
+    res.json({
+      success: true,
+      message: `Health profile v${saved.version} saved successfully`,
+      data: saved,
+    });
+  } catch (error) {
+    console.error('✗ PUT /device-types/:typeId/health-profile error:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to save health profile',
+    });
+  }
+});
+
+router.delete('/:typeId', async (req, res) => {
+  try {
+    const { typeId } = req.params;
+
+    const result = await DeviceType.deleteOne({ typeId });
+
+    if (result.deletedCount === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Device type not found',
+      });
+    }
+
+    invalidateDeviceTypeCache(typeId);
+
+    res.json({
+      success: true,
+      message: 'Device type deleted successfully',
+    });
+  } catch (error) {
+    console.error('✗ DELETE /device-types/:typeId error:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete device type',
+    });
+  }
+});
+
+export default router;
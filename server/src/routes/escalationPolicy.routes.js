@@ -0,0 +1,103 @@
+// Escalation policy routes (what happens to alerts nobody acknowledges)
+import express from 'express';
+import {
+  listEscalationPolicies,
+  getEscalationPolicy,
+  createEscalationPolicy,
+  updateEscalationPolicy,
+  deleteEscalationPolicy,
+} from '../services/escalation.service.js';
+
+const router = express.Router();
+
+// GET all policies in the order they are matched
+router.get('/', async (req, res) => {
+  try {
+    const policies = await listEscalationPolicies();
+
+    res.json({
+      success: true,
+      count: policies.length,
+      data: policies,
+    });
+  } catch (error) {
+    console.error('✗ GET /escalation-policies error:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch escalation policies',
+    });
+  }
+});
+
+router.get('/:id', async (req, res) => {
+  try {
+    const policy = await getEscalationPolicy(req.params.id);
+
+    res.json({
+      success: true,
+      data: policy,
+    });
+  } catch (error) {
+    console.error('✗ GET /escalation-policies/:id error:', error.message);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.statusCode ? error.message : 'Failed to fetch escalation policy',
+    });
+  }
+});
+
+router.post('/', async (req, res) => {
+  try {
+    const policy = await createEscalationPolicy(req.body);
+
+    res.status(201).json({
+      success: true,
+      message: 'Escalation policy created successfully',
+      data: policy,
+    });
+  } catch (error) {
+    console.error('✗ POST /escalation-policies error:', error.message);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.statusCode ? error.message : 'Failed to create escalation policy',
+    });
+  }
+});
+
+// PUT update a policy; omitted fields keep their values
+router.put('/:id', async (req, res) => {
+  try {
+    const policy = await updateEscalationPolicy(req.params.id, req.body);
+
+    res.json({
+      success: true,
+      message: 'Escalation policy updated successfully',
+      data: policy,
+    });
+  } catch (error) {
+    console.error('✗ PUT /escalation-policies/:id error:', error.message);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.statusCode ? error.message : 'Failed to update escalation policy',
+    });
+  }
+});
+
+router.delete('/:id', async (req, res) => {
+  try {
+    await deleteEscalationPolicy(req.params.id);
+
+    res.json({
+      success: true,
+      message: 'Escalation policy deleted successfully',
+    });
+  } catch (error) {
+    console.error('✗ DELETE /escalation-policies/:id error:', error.message);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.statusCode ? error.message : 'Failed to delete escalation policy',
+    });
+  }
+});
+
+export default router;
@@ -0,0 +1,56 @@
+// Fleet routes: compare devices with their peers
+import express from 'express';
+import { comparePeers } from '../services/fleet.service.js';
+import { DURATION_UNITS_MS, parseDurationMs, defaultBucketMs } from '../utils/duration.js';
+
+const router = express.Router();
+
+const MAX_RANGE_MS = 31 * DURATION_UNITS_MS.d;
+const MAX_BUCKETS = 1000;
+// Buckets when none is requested
+const DEFAULT_BUCKETS = 24;
+
+// GET devices ranked by deviation from their peers: ?groupBy=deviceType&group=MOTOR&range=24h&bucket=1h&channel=temperature
+router.get('/peers', async (req, res) => {
+  try {
+    const { groupBy, group, channel, range = '24h', bucket } = req.query;
+
+    const rangeMs = parseDurationMs(range);
+    if (!rangeMs || rangeMs > MAX_RANGE_MS) {
+      return res.status(400).json({
+        success: false,
+        error: 'range must look like 30m, 24h or 7d and be at most 31d',
+      });
+    }
+
+    const bucketMs = bucket === undefined
+      ? defaultBucketMs(rangeMs, DEFAULT_BUCKETS)
+      : parseDurationMs(bucket);
+
+    if (!bucketMs || bucketMs > rangeMs || rangeMs / bucketMs > MAX_BUCKETS) {
+      return res.status(400).json({
+        success: false,
+        error: `bucket must be a duration like 15m or 1h, no longer than the range, with at most ${MAX_BUCKETS} buckets in it`,
+      });
+    }
+
+    const until = new Date();
+    const since = new Date(until.getTime() - rangeMs);
+    const comparison = await comparePeers({ groupBy, group, channel, since, until, bucketMs });
+
+    res.json({
+      success: true,
+      range,
+      count: comparison.groups.length,
+      data: comparison,
+    });
+  } catch (error) {
+    console.error('✗ GET /fleet/peers error:', error.message);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.statusCode ? error.message : 'Failed to compare devices with their peers',
+    });
+  }
+});
+
+export default router;
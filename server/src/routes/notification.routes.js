@@ -0,0 +1,165 @@
+// Notification routes (subscriptions to outbound alert messages and their delivery log)
+import express from 'express';
+import mongoose from 'mongoose';
+import {
+  listSubscriptions,
+  getSubscription,
+  createSubscription,
+  updateSubscription,
+  deleteSubscription,
+  sendTestNotification,
+  getDeliveries,
+} from '../services/notification.service.js';
+
+const router = express.Router();
+
+const DELIVERY_STATUSES = ['PENDING', 'DELIVERED', 'FAILED'];
+const MAX_DELIVERIES = 500;
+
+router.get('/subscriptions', async (req, res) => {
+  try {
+    const subscriptions = await listSubscriptions();
+
+    res.json({
+      success: true,
+      count: subscriptions.length,
+      data: subscriptions,
+    });
+  } catch (error) {
+    console.error('✗ GET /notifications/subscriptions error:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch notification subscriptions',
+    });
+  }
+});
+
+router.get('/subscriptions/:id', async (req, res) => {
+  try {
+    const subscription = await getSubscription(req.params.id);
+
+    res.json({
+      success: true,
+      data: subscription,
+    });
+  } catch (error) {
+    console.error('✗ GET /notifications/subscriptions/:id error:', error.message);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.statusCode ? error.message : 'Failed to fetch notification subscription',
+    });
+  }
+});
+
+router.post('/subscriptions', async (req, res) => {
+  try {
+    const subscription = await createSubscription(req.body);
+
+    res.status(201).json({
+      success: true,
+      message: 'Notification subscription created successfully',
+      data: subscription,
+    });
+  } catch (error) {
+    console.error('✗ POST /notifications/subscriptions error:', error.message);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.statusCode ? error.message : 'Failed to create notification subscription',
+    });
+  }
+});
+
+// PUT update a subscription; omitted fields keep their values
+router.put('/subscriptions/:id', async (req, res) => {
+  try {
+    const subscription = await updateSubscription(req.params.id, req.body);
+
+    res.json({
+      success: true,
+      message: 'Notification subscription updated successfully',
+      data: subscription,
+    });
+  } catch (error) {
+    console.error('✗ PUT /notifications/subscriptions/:id error:', error.message);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.statusCode ? error.message : 'Failed to update notification subscription',
+    });
+  }
+});
+
+router.delete('/subscriptions/:id', async (req, res) => {
+  try {
+    await deleteSubscription(req.params.id);
+
+    res.json({
+      success: true,
+      message: 'Notification subscription deleted successfully',
+    });
+  } catch (error) {
+    console.error('✗ DELETE /notifications/subscriptions/:id error:', error.message);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.statusCode ? error.message : 'Failed to delete notification subscription',
+    });
+  }
+});
+
+// POST send a test message now; the response is the delivery after its first attempt
+router.post('/subscriptions/:id/test', async (req, res) => {
+  try {
+    const delivery = await sendTestNotification(req.params.id);
+
+    res.json({
+      success: delivery.status === 'DELIVERED',
+      data: delivery,
+    });
+  } catch (error) {
+    console.error('✗ POST /notifications/subscriptions/:id/test error:', error.message);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.statusCode ? error.message : 'Failed to send test notification',
+    });
+  }
+});
+
+// GET the delivery log, newest first: ?alertId=&subscriptionId=&status=FAILED&limit=100
+router.get('/deliveries', async (req, res) => {
+  try {
+    const { alertId, subscriptionId, status, limit = 100 } = req.query;
+
+    if ([alertId, subscriptionId].some((id) => id !== undefined && !mongoose.isValidObjectId(id))) {
+      return res.status(400).json({
+        success: false,
+        error: 'alertId and subscriptionId must be valid ids',
+      });
+    }
+    if (status !== undefined && !DELIVERY_STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        error: `status must be one of ${DELIVERY_STATUSES.join(', ')}`,
+      });
+    }
+
+    const deliveries = await getDeliveries({
+      alertId,
+      subscriptionId,
+      status,
+      limit: Math.min(Math.max(parseInt(limit, 10) || 100, 1), MAX_DELIVERIES),
+    });
+
+    res.json({
+      success: true,
+      count: deliveries.length,
+      data: deliveries,
+    });
+  } catch (error) {
+    console.error('✗ GET /notifications/deliveries error:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch notification deliveries',
+    });
+  }
+});
+
+export default router;
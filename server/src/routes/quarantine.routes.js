@@ -0,0 +1,208 @@
+// Quarantine routes: browse rejected telemetry and re-ingest it
+import express from 'express';
+import mongoose from 'mongoose';
+import QuarantinedMessage from '../models/QuarantinedMessage.model.js';
+import {
+  getQuarantinedMessages,
+  reingestQuarantinedMessage,
+  deleteQuarantinedMessage,
+} from '../services/quarantine.service.js';
+
+const router = express.Router();
+
+const MAX_BULK_REINGEST = 500;
+const MAX_LIST = 500;
+
+router.get('/', async (req, res) => {
+  try {
+    const { deviceId, status = 'QUARANTINED', stage, source, limit = 50 } = req.query;
+
+    const messages = await getQuarantinedMessages({
+      deviceId,
+      status: status === 'all' ? undefined : status,
+      stage,
+      source,
+      limit: Math.min(Math.max(parseInt(limit, 10) || 50, 1), MAX_LIST),
+    });
+
+    res.json({
+      success: true,
+      count: messages.length,
+      data: messages,
+    });
+  } catch (error) {
+    console.error('✗ GET /quarantine error:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch quarantined messages',
+    });
+  }
+});
+
+// POST bulk re-ingest by IDs or by device
+router.post('/reingest', async (req, res) => {
+  try {
+    const { ids, deviceId } = req.body;
+
+    if (!Array.isArray(ids) && !deviceId) {
+      return res.status(400).json({
+        success: false,
+        error: 'ids array or deviceId is required',
+      });
+    }
+
+    if (Array.isArray(ids) && !ids.every((id) => mongoose.isValidObjectId(id))) {
+      return res.status(400).json({
+        success: false,
+        error: 'ids must be valid ids',
+      });
+    }
+
+    const filter = { status: 'QUARANTINED' };
+    if (Array.isArray(ids)) filter._id = { $in: ids };
+    if (deviceId) filter.deviceId = deviceId;
+
+    const messages = await QuarantinedMessage.find(filter, { _id: 1 }, {
+      sort: { receivedAt: 1 },
+      limit: MAX_BULK_REINGEST,
+    });
+
+    const results = [];
+    for (const message of messages) {
+      const result = await reingestQuarantinedMessage(message._id);
+      results.push({
+        id: message._id,
+        reingested: result?.reingested ?? false,
+        error: result?.error,
+      });
+    }
+
+    const reingestedCount = results.filter((r) => r.reingested).length;
+
+    res.json({
+      success: true,
+      count: results.length,
+      reingestedCount,
+      failedCount: results.length - reingestedCount,
+      data: results,
+    });
+  } catch (error) {
+    console.error('✗ POST /quarantine/reingest error:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to re-ingest quarantined messages',
+    });
+  }
+});
+
+router.get('/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!mongoose.isValidObjectId(id)) {
+      return res.status(404).json({
+        success: false,
+        error: 'Quarantined message not found',
+      });
+    }
+
+    const message = await QuarantinedMessage.findById(id);
+
+    if (!message) {
+      return res.status(404).json({
+        success: false,
+        error: 'Quarantined message not found',
+      });
+    }
+
+    res.json({
+      success: true,
+      data: message,
+    });
+  } catch (error) {
+    console.error('✗ GET /quarantine/:id error:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch quarantined message',
+    });
+  }
+});
+
+// POST re-ingest one message, optionally with a corrected payload
+router.post('/:id/reingest', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { payload } = req.body || {};
+
+    if (!mongoose.isValidObjectId(id)) {
+      return res.status(404).json({
+        success: false,
+        error: 'Quarantined message not found',
+      });
+    }
+
+    const result = await reingestQuarantinedMessage(id, payload);
+
+    if (!result) {
+      return res.status(404).json({
+        success: false,
+        error: 'Quarantined message not found',
+      });
+    }
+
+    if (!result.reingested) {
+      return res.status(422).json({
+        success: false,
+        error: result.error,
+        data: result.message,
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Message re-ingested',
+      data: result.message,
+    });
+  } catch (error) {
+    console.error('✗ POST /quarantine/:id/reingest error:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to re-ingest message',
+    });
+  }
+});
+
+router.delete('/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!mongoose.isValidObjectId(id)) {
+      return res.status(404).json({
+        success: false,
+        error: 'Quarantined message not found',
+      });
+    }
+
+    const deleted = await deleteQuarantinedMessage(id);
+
+    if (!deleted) {
+      return res.status(404).json({
+        success: false,
+        error: 'Quarantined message not found',
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Quarantined message deleted',
+    });
+  } catch (error) {
+    console.error('✗ DELETE /quarantine/:id error:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete quarantined message',
+    });
+  }
+});
+
+export default router;
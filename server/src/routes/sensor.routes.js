@@ -1,7 +1,23 @@
 // Sensor data retrieval routes
 import express from 'express';
+import readline from 'readline';
+import { createHash } from 'crypto';
 import SensorData from '../models/SensorData.model.js';
-import { getRecentSensorData, calculateAggregateStats, saveSensorData } from '../services/ingestion.service.js';
+import {
+  getRecentSensorData,
+  calculateAggregateStats,
+  saveSensorData,
+  ingestBulkReadings,
+} from '../services/ingestion.service.js';
+import {
+  claimIdempotencyKey,
+  completeIdempotencyKey,
+  releaseIdempotencyKey,
+} from '../services/idempotency.service.js';
+import { getRateLimitStats } from '../services/rateLimit.service.js';
+import { getAnomalyEvents } from '../services/baseline.service.js';
+import { ingestWaveform, getSpectra } from '../services/spectral.service.js';
+import { getCorrelationBreaks } from '../services/correlation.service.js';
 
 const router = express.Router();
 
@@ -21,6 +37,14 @@ const parseTimeRange = (range) => {
   return num * (unitMap[unit] || 1);
 };
 
+// GET ingestion rate limit configuration and overload counters
+router.get('/rate-limits', (req, res) => {
+  res.json({
+    success: true,
+    data: getRateLimitStats(),
+  });
+});
+
 // GET recent sensor data for a device
 router.get('/:deviceId', async (req, res) => {
   try {
@@ -86,25 +110,137 @@ router.get('/:deviceId/stats', async (req, res) => {
   }
 });
 
-// POST new sensor reading (for manual testing)
-router.post('/', async (req, res) => {
+// GET anomaly events flagged against the device's learned baseline
+router.get('/:deviceId/anomalies', async (req, res) => {
   try {
-    const { deviceId, temperature, vibration, pressure, timestamp } = req.body;
+    const { deviceId } = req.params;
+    const { range = '1h', channel, limit = 200 } = req.query;
 
-    if (!deviceId || temperature === undefined || vibration === undefined || pressure === undefined) {
-      return res.status(400).json({
+    const timeRangeMinutes = parseTimeRange(range);
+    const since = new Date(Date.now() - timeRangeMinutes * 60 * 1000);
+
+    const data = await getAnomalyEvents(deviceId, {
+      since,
+      channel,
+      limit: Math.min(parseInt(limit, 10) || 200, 1000),
+    });
+
+    res.json({
+      success: true,
+      count: data.length,
+      deviceId,
+      timeRange: range,
+      data,
+    });
+  } catch (error) {
+    console.error('✗ GET /sensors/:deviceId/anomalies error:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch anomalies',
+    });
+  }
+});
+
+// GET correlation breaks (channels leaving the device's multivariate operating envelope)
+router.get('/:deviceId/correlation-breaks', async (req, res) => {
+  try {
+    const { deviceId } = req.params;
+    const { range = '24h', limit = 200 } = req.query;
+
+    const timeRangeMinutes = parseTimeRange(range);
+    const since = new Date(Date.now() - timeRangeMinutes * 60 * 1000);
+
+    const data = await getCorrelationBreaks(deviceId, {
+      since,
+      limit: Math.min(parseInt(limit, 10) || 200, 1000),
+    });
+
+    res.json({
+      success: true,
+      count: data.length,
+      deviceId,
+      timeRange: range,
+      data,
+    });
+  } catch (error) {
+    console.error('✗ GET /sensors/:deviceId/correlation-breaks error:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch correlation breaks',
+    });
+  }
+});
+
+// GET newest vibration spectrum (with band energies) and the spectral feature trend
+router.get('/:deviceId/spectrum', async (req, res) => {
+  try {
+    const { deviceId } = req.params;
+    const { range = '24h', limit = 500 } = req.query;
+
+    const timeRangeMinutes = parseTimeRange(range);
+    const since = new Date(Date.now() - timeRangeMinutes * 60 * 1000);
+
+    const { latest, history } = await getSpectra(deviceId, {
+      since,
+      limit: Math.min(parseInt(limit, 10) || 500, 2000),
+    });
+
+    res.json({
+      success: true,
+      deviceId,
+      timeRange: range,
+      data: {
+        latest,
+        history,
+      },
+    });
+  } catch (error) {
+    console.error('✗ GET /sensors/:deviceId/spectrum error:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch vibration spectrum',
+    });
+  }
+});
+
+// POST a raw vibration waveform frame: { deviceId, timestamp?, sampleRate, samples[], rpm? }
+router.post('/waveform', async (req, res) => {
+  try {
+    const spectrum = await ingestWaveform(req.body);
+
+    if (spectrum.throttled) {
+      return res.status(429).json({
         success: false,
-        error: 'Missing required fields: deviceId, temperature, vibration, pressure',
+        error: 'Ingestion rate limit exceeded',
       });
     }
 
-    const sensorData = await saveSensorData({
-      deviceId,
-      temperature,
-      vibration,
-      pressure,
-      timestamp,
+    res.status(201).json({
+      success: true,
+      message: 'Waveform analysed',
+      data: spectrum,
+    });
+  } catch (error) {
+    console.error('✗ POST /sensors/waveform error:', error.message);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.statusCode ? error.message : 'Failed to analyse waveform',
     });
+  }
+});
+
+// POST new sensor reading (for manual testing)
+router.post('/', async (req, res) => {
+  try {
+    // Validated against the device's channel catalog; rejects are quarantined
+    const sensorData = await saveSensorData(req.body, { source: 'HTTP' });
+
+    if (sensorData.throttled) {
+      return res.status(429).json({
+        success: false,
+        error: 'Ingestion rate limit exceeded',
+      });
+    }
 
     res.status(201).json({
       success: true,
@@ -113,9 +249,153 @@ router.post('/', async (req, res) => {
     });
   } catch (error) {
     console.error('✗ POST /sensors error:', error.message);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.statusCode ? error.message : 'Failed to save sensor data',
+    });
+  }
+});
+
+const BULK_SCOPE = 'POST /api/sensors/bulk';
+
+const isNdjsonRequest = (req) => Boolean(req.is(['application/x-ndjson', 'application/ndjson']));
+
+// Yield one entry per NDJSON line while hashing (and counting) the raw bytes
+async function* readNdjsonEntries(stream, hash, read) {
+  stream.on('data', (chunk) => {
+    hash.update(chunk);
+    read.bytes += chunk.length;
+  });
+  const lines = readline.createInterface({ input: stream, crlfDelay: Infinity });
+
+  let index = 0;
+  for await (const line of lines) {
+    if (!line.trim()) continue;
+    try {
+      yield { index, record: JSON.parse(line) };
+    } catch {
+      yield { index, error: 'Invalid JSON line' };
+    }
+    index += 1;
+  }
+}
+
+function* readJsonEntries(records) {
+  for (let index = 0; index < records.length; index++) {
+    yield { index, record: records[index] };
+  }
+}
+
+// byteLimit: hash only that many leading bytes (the part a truncated upload read);
+// the rest of the stream is still drained
+const hashRequestBody = async (req, byteLimit = Infinity) => {
+  const hash = createHash('sha256');
+  if (isNdjsonRequest(req)) {
+    let remaining = byteLimit;
+    for await (const chunk of req) {
+      if (remaining <= 0) continue;
+      hash.update(chunk.length > remaining ? chunk.subarray(0, remaining) : chunk);
+      remaining -= chunk.length;
+    }
+  } else {
+    hash.update(JSON.stringify(req.body));
+  }
+  return hash.digest('hex');
+};
+
+// POST many readings at once: JSON array (or { readings: [...] }) or NDJSON stream.
+// An Idempotency-Key header makes retries of the same upload safe.
+router.post('/bulk', async (req, res) => {
+  const idempotencyKey = req.get('Idempotency-Key');
+  let claimed = false;
+
+  try {
+    const ndjson = isNdjsonRequest(req);
+    const records = ndjson ? null : Array.isArray(req.body) ? req.body : req.body?.readings;
+
+    if (!ndjson && !Array.isArray(records)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Body must be a JSON array of readings, { readings: [...] } or application/x-ndjson',
+      });
+    }
+
+    if (idempotencyKey) {
+      const claim = await claimIdempotencyKey(idempotencyKey, BULK_SCOPE);
+
+      if (!claim.claimed) {
+        const { record } = claim;
+
+        if (record.scope !== BULK_SCOPE) {
+          return res.status(422).json({
+            success: false,
+            error: 'Idempotency-Key was already used on a different endpoint',
+          });
+        }
+
+        if (record.status === 'PROCESSING') {
+          return res.status(409).json({
+            success: false,
+            error: 'A request with this Idempotency-Key is still being processed',
+          });
+        }
+
+        const requestHash = await hashRequestBody(req, record.requestBytes ?? Infinity);
+        if (requestHash !== record.requestHash) {
+          return res.status(422).json({
+            success: false,
+            error: 'Idempotency-Key was already used with a different request body',
+          });
+        }
+
+        res.set('Idempotent-Replayed', 'true');
+        return res.status(record.responseStatus).json(record.responseBody);
+      }
+
+      claimed = true;
+    }
+
+    const hash = createHash('sha256');
+    const read = { bytes: 0 };
+    let entries;
+    if (ndjson) {
+      entries = readNdjsonEntries(req, hash, read);
+    } else {
+      hash.update(JSON.stringify(req.body));
+      entries = readJsonEntries(records);
+    }
+
+    const summary = await ingestBulkReadings(entries);
+
+    const responseBody = {
+      success: true,
+      message: `${summary.acceptedCount} of ${summary.total} readings accepted`,
+      ...summary,
+    };
+
+    // The rest of a truncated stream is never read: store the hash of the bytes that were,
+    // so a retry is matched on that prefix, and don't reuse the connection
+    const unread = ndjson && summary.truncated;
+    if (claimed) {
+      await completeIdempotencyKey(
+        idempotencyKey,
+        hash.digest('hex'),
+        200,
+        responseBody,
+        unread ? read.bytes : undefined
+      );
+    }
+    if (unread) res.set('Connection', 'close');
+
+    res.json(responseBody);
+  } catch (error) {
+    console.error('✗ POST /sensors/bulk error:', error.message);
+    if (claimed) {
+      await releaseIdempotencyKey(idempotencyKey);
+    }
     res.status(500).json({
       success: false,
-      error: 'Failed to save sensor data',
+      error: 'Failed to ingest bulk sensor data',
     });
   }
 });
@@ -1,9 +1,71 @@
 // Sample device data for seeding database
 import Device from '../models/Device.model.js';
+import DeviceType from '../models/DeviceType.model.js';
+import HealthProfile from '../models/HealthProfile.model.js';
+import { validateHealthProfile } from '../services/healthProfile.service.js';
+
+export const SAMPLE_DEVICE_TYPES = [
+  {
+    typeId: 'MOTOR',
+    name: 'Electric Motor',
+    channels: [
+      { key: 'temperature', name: 'Temperature', unit: '°C', min: 60, max: 80, weight: 0.25, required: true },
+      { key: 'vibration', name: 'Vibration', unit: 'mm/s', min: 0, max: 0.3, weight: 0.3, required: true },
+      { key: 'pressure', name: 'Pressure', unit: 'bar', min: 30, max: 40, weight: 0.15, required: true },
+      { key: 'current', name: 'Current Draw', unit: 'A', min: 8, max: 14, weight: 0.15 },
+      { key: 'rpm', name: 'Shaft Speed', unit: 'rpm', min: 1440, max: 1500, weight: 0.1 },
+      { key: 'windingHumidity', name: 'Winding Humidity', unit: '%RH', min: 20, max: 60, weight: 0.05 },
+    ],
+  },
+  {
+    typeId: 'PUMP',
+    name: 'Hydraulic Pump',
+    channels: [
+      { key: 'temperature', name: 'Temperature', unit: '°C', min: 60, max: 80, required: true },
+      { key: 'vibration', name: 'Vibration', unit: 'mm/s', min: 0, max: 0.3, required: true },
+      { key: 'pressure', name: 'Pressure', unit: 'bar', min: 30, max: 40, required: true },
+    ],
+  },
+  {
+    typeId: 'COMPRESSOR',
+    name: 'Air Compressor',
+    channels: [
+      { key: 'temperature', name: 'Temperature', unit: '°C', min: 60, max: 80, required: true },
+      { key: 'vibration', name: 'Vibration', unit: 'mm/s', min: 0, max: 0.3, required: true },
+      { key: 'pressure', name: 'Pressure', unit: 'bar', min: 30, max: 40, required: true },
+    ],
+  },
+];
+
+// Initial health profiles (version 1); unlisted parameters keep the built-in values
+export const SAMPLE_HEALTH_PROFILES = [
+  {
+    typeId: 'PUMP',
+    notes: 'Hydraulic pump: pressure dominates, tighter pressure spike and drift limits',
+    weights: { temperature: 0.2, vibration: 0.3, pressure: 0.5 },
+    components: {
+      temperature: { idealMax: 75 },
+      vibration: { spikeMax: 0.6 },
+      pressure: { spikeMax: 45, spikeSlope: 3, varianceMax: 2, trendMax: 1.5, trendSlope: 3 },
+    },
+  },
+  {
+    typeId: 'COMPRESSOR',
+    notes: 'Air compressor: runs hotter and tolerates more vibration',
+    weights: { temperature: 0.4, vibration: 0.3, pressure: 0.3 },
+    components: {
+      temperature: { idealMin: 65, idealMax: 85, aboveSlope: 2 },
+      vibration: { idealMax: 0.4, spikeMax: 1.0, spikeSlope: 25 },
+      pressure: { idealMax: 45, spikeMax: 50 },
+    },
+    riskCutoffs: { critical: 35 },
+  },
+];
 
 export const SAMPLE_DEVICES = [
   {
     deviceId: 'MOTOR_01',
+    deviceType: 'MOTOR',
     name: 'Industrial Motor #1',
     status: 'ACTIVE',
     location: 'Factory Floor A',
@@ -18,6 +80,7 @@ export const SAMPLE_DEVICES = [
   },
   {
     deviceId: 'MOTOR_02',
+    deviceType: 'MOTOR',
     name: 'Industrial Motor #2',
     status: 'ACTIVE',
     location: 'Factory Floor B',
@@ -32,6 +95,7 @@ export const SAMPLE_DEVICES = [
   },
   {
     deviceId: 'PUMP_01',
+    deviceType: 'PUMP',
     name: 'Hydraulic Pump #1',
     status: 'ACTIVE',
     location: 'Pump Station',
@@ -46,6 +110,7 @@ export const SAMPLE_DEVICES = [
   },
   {
     deviceId: 'COMPRESSOR_01',
+    deviceType: 'COMPRESSOR',
     name: 'Air Compressor #1',
     status: 'MAINTENANCE',
     location: 'Utility Room',
@@ -60,12 +125,37 @@ export const SAMPLE_DEVICES = [
   },
 ];
 
+// Upsert the sample channel catalogs without touching user-edited types
+const ensureSampleDeviceTypes = async () => {
+  for (const deviceType of SAMPLE_DEVICE_TYPES) {
+    await DeviceType.updateOne(
+      { typeId: deviceType.typeId },
+      { $setOnInsert: deviceType },
+      { upsert: true }
+    );
+  }
+};
+
+// Create version 1 of each sample profile; later versions are left alone
+const ensureSampleHealthProfiles = async () => {
+  for (const { typeId, ...profile } of SAMPLE_HEALTH_PROFILES) {
+    await HealthProfile.updateOne(
+      { typeId, version: 1 },
+      { $setOnInsert: { typeId, version: 1, ...validateHealthProfile(profile) } },
+      { upsert: true }
+    );
+  }
+};
+
 /**
  * Initialize sample devices if none exist
  * Called on server startup
  */
 export const initializeSampleDevices = async () => {
   try {
+    await ensureSampleDeviceTypes();
+    await ensureSampleHealthProfiles();
+
     const existingDevices = await Device.countDocuments();
 
     if (existingDevices === 0) {
@@ -92,6 +182,8 @@ export const seedDevices = async () => {
     await Device.deleteMany({});
 
     console.log('📦 Seeding sample devices...');
+    await ensureSampleDeviceTypes();
+    await ensureSampleHealthProfiles();
     await Device.insertMany(SAMPLE_DEVICES);
 
     console.log(`✓ Successfully seeded ${SAMPLE_DEVICES.length} devices`);
@@ -110,4 +202,6 @@ export default {
   initializeSampleDevices,
   seedDevices,
   SAMPLE_DEVICES,
+  SAMPLE_DEVICE_TYPES,
+  SAMPLE_HEALTH_PROFILES,
 };
@@ -7,15 +7,36 @@ import connectDB from "./config/db.js";
 import deviceRoutes from "./routes/device.routes.js";
 import sensorRoutes from "./routes/sensor.routes.js";
 import alertRoutes from "./routes/alert.routes.js";
+import alertRuleRoutes from "./routes/alertRule.routes.js";
+import escalationPolicyRoutes from "./routes/escalationPolicy.routes.js";
+import notificationRoutes from "./routes/notification.routes.js";
+import deviceTypeRoutes from "./routes/deviceType.routes.js";
+import quarantineRoutes from "./routes/quarantine.routes.js";
+import backtestRoutes from "./routes/backtest.routes.js";
+import fleetRoutes from "./routes/fleet.routes.js";
 import { initializeSocket } from "./sockets/realtime.socket.js";
 import { connectMQTT, disconnectMQTT } from "./config/mqtt.js";
-import { saveSensorData, flushAllBatches } from "./services/ingestion.service.js";
+import {
+  isEmbeddedBrokerEnabled,
+  startEmbeddedBroker,
+  stopEmbeddedBroker,
+} from "./config/broker.js";
+import { saveSensorData, flushAllBatches, replayJournal } from "./services/ingestion.service.js";
+import { loadDeviceDecoders } from "./services/decoder.service.js";
+import { loadEngineModules } from "./services/engine.service.js";
+import { startHeartbeatMonitor, stopHeartbeatMonitor } from "./services/heartbeat.service.js";
+import { startEscalationScheduler, stopEscalationScheduler } from "./services/escalation.service.js";
+import { startNotificationScheduler, stopNotificationScheduler } from "./services/notification.service.js";
+import { flushBaselines } from "./services/baseline.service.js";
+import { flushEnvelopes } from "./services/correlation.service.js";
+import { ingestWaveform } from "./services/spectral.service.js";
 
 const PORT = process.env.PORT || 3000;
 
 const app = express();
 
-app.use(express.json());
+// Bulk sensor uploads can carry thousands of readings
+app.use(express.json({ limit: process.env.HTTP_BODY_LIMIT || "10mb" }));
 app.use(express.urlencoded({ extended: true }));
 
 app.use((req, res, next) => {
@@ -24,7 +45,7 @@ app.use((req, res, next) => {
     process.env.FRONTEND_URL || "http://localhost:5173"
   );
   res.header("Access-Control-Allow-Methods", "GET, POST, PUT, DELETE, OPTIONS");
-  res.header("Access-Control-Allow-Headers", "Content-Type, Authorization");
+  res.header("Access-Control-Allow-Headers", "Content-Type, Authorization, Idempotency-Key");
 
   if (req.method === "OPTIONS") {
     return res.sendStatus(200);
@@ -66,7 +87,7 @@ app.post("/api/init-devices", async (req, res) => {
           vibration: 0.2 + Math.random() * 0.3,
           pressure: 30 + Math.random() * 10,
           timestamp: timestamp.toISOString(),
-        });
+        }, { throttle: false });
       }
     }
     
@@ -83,6 +104,13 @@ app.post("/api/init-devices", async (req, res) => {
 app.use("/api/devices", deviceRoutes);
 app.use("/api/sensors", sensorRoutes);
 app.use("/api/alerts", alertRoutes);
+app.use("/api/alert-rules", alertRuleRoutes);
+app.use("/api/escalation-policies", escalationPolicyRoutes);
+app.use("/api/notifications", notificationRoutes);
+app.use("/api/device-types", deviceTypeRoutes);
+app.use("/api/quarantine", quarantineRoutes);
+app.use("/api/backtests", backtestRoutes);
+app.use("/api/fleet", fleetRoutes);
 
 const server = http.createServer(app);
 initializeSocket(server);
@@ -94,29 +122,44 @@ const startServer = async () => {
     await connectDB();
     console.log("✓ MongoDB connected");
 
+    await replayJournal();
+
+    const deviceDecoderCount = await loadDeviceDecoders();
+    console.log(`✓ Payload decoders loaded (${deviceDecoderCount} device overrides)`);
+
+    const engineModuleCount = await loadEngineModules();
+    console.log(`✓ Prediction engines loaded (${engineModuleCount} custom)`);
+
+    startHeartbeatMonitor();
+    startEscalationScheduler();
+    startNotificationScheduler();
+
     try {
-      const mqttPromise = connectMQTT((topic, payload) => {
-        const { deviceId, temperature, vibration, pressure, timestamp } = payload;
+      if (isEmbeddedBrokerEnabled) {
+        await startEmbeddedBroker();
+      }
+
+      const mqttPromise = connectMQTT((topic, payload, raw) => {
+        const { deviceId, timestamp, units, ...channelValues } = payload;
 
         console.log("\n📥 ═══════════════════════════════════════════════");
         console.log(`📥 MQTT Message Received from: ${topic}`);
         console.log("📥 ───────────────────────────────────────────────");
         console.log(`📥 Device ID:    ${deviceId}`);
-        console.log(`📥 Temperature:  ${temperature}°C`);
-        console.log(`📥 Vibration:    ${vibration}`);
-        console.log(`📥 Pressure:     ${pressure}`);
+        for (const [channel, value] of Object.entries(channelValues)) {
+          if (value !== undefined) {
+            console.log(`📥 ${`${channel}:`.padEnd(13)} ${value}`);
+          }
+        }
         console.log(`📥 Timestamp:    ${timestamp}`);
         console.log("📥 ═══════════════════════════════════════════════\n");
 
-        saveSensorData({
-          deviceId,
-          temperature,
-          vibration,
-          pressure,
-          timestamp,
-        }).catch((error) => {
+        saveSensorData(payload, { source: "MQTT", topic, raw }).catch((error) => {
           console.error("✗ Error processing sensor data:", error.message);
         });
+      }, (topic, frame) => {
+        console.log(`📥 Waveform frame from ${topic}: ${frame.samples?.length ?? 0} samples`);
+        ingestWaveform(frame).catch(() => {});
       });
 
       await Promise.race([
@@ -144,7 +187,9 @@ const startServer = async () => {
       );
       console.log(
         `📡 MQTT Broker: ${
-          process.env.MQTT_BROKER_URL ? "Configured" : "Not configured"
+          isEmbeddedBrokerEnabled
+            ? "Embedded"
+            : process.env.MQTT_BROKER_URL ? "Configured" : "Not configured"
         }`
       );
       console.log("\n✓ Backend ready to receive MQTT + REST + WebSockets\n");
@@ -158,8 +203,13 @@ const startServer = async () => {
 
 const shutdown = () => {
   console.log("\n⚠ Shutting down server...");
-  flushAllBatches().then(() => {
+  stopHeartbeatMonitor();
+  stopEscalationScheduler();
+  stopNotificationScheduler();
+  flushAllBatches().then(() => Promise.all([flushBaselines(), flushEnvelopes()])).then(() => {
     disconnectMQTT();
+    return stopEmbeddedBroker();
+  }).then(() => {
     server.close(() => {
       console.log("✓ Server closed");
       process.exit(0);
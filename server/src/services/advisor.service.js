@@ -0,0 +1,186 @@
+// Maintenance advisor: an LLM narrative diagnosis and recommended actions for a device.
+// Advisory only: the formula engine stays the source of the health score.
+import Device from '../models/Device.model.js';
+import Alert from '../models/Alert.model.js';
+import { isOpenAIConfigured, getLLMInfo, requestMaintenanceAdvice } from '../config/openai.js';
+import { calculateAggregateStats } from './ingestion.service.js';
+import { getHealthHistory } from './healthHistory.service.js';
+import { getAnomalyEvents } from './baseline.service.js';
+import { readNumber } from '../utils/env.js';
+import { httpError } from '../utils/errors.js';
+
+// Advice is reused until it is this old
+const CACHE_TTL_MS = readNumber('ADVISOR_CACHE_TTL_MS', 30 * 60 * 1000);
+// Forced refreshes of one device are at least this far apart
+const MIN_REFRESH_MS = readNumber('ADVISOR_MIN_REFRESH_MS', 2 * 60 * 1000);
+// Model requests across all devices in any rolling hour
+const MAX_REQUESTS_PER_HOUR = Math.round(readNumber('ADVISOR_MAX_REQUESTS_PER_HOUR', 30));
+
+const STATS_WINDOW_MINUTES = 60;
+const TREND_DAYS = 7;
+const TREND_BUCKET_MS = 12 * 60 * 60 * 1000;
+const ANOMALY_WINDOW_MS = 24 * 60 * 60 * 1000;
+const MAX_CONTEXT_ALERTS = 10;
+const MAX_CONTEXT_ANOMALIES = 10;
+const MAX_CONTEXT_PENALTIES = 6;
+
+const adviceCache = new Map(); // deviceId -> advice
+const pendingAdvice = new Map(); // deviceId -> Promise<advice>
+const requestTimes = []; // ms timestamps of model requests in the last hour
+
+const round = (value, digits = 3) =>
+  Number.isFinite(value) ? Math.round(value * 10 ** digits) / 10 ** digits : null;
+
+const capitalize = (key) => key.charAt(0).toUpperCase() + key.slice(1);
+
+// Milliseconds until the hourly budget allows another request (0 = now)
+const globalRetryAfter = (now) => {
+  while (requestTimes.length > 0 && now - requestTimes[0] >= 60 * 60 * 1000) {
+    requestTimes.shift();
+  }
+  return requestTimes.length < MAX_REQUESTS_PER_HOUR ? 0 : requestTimes[0] + 60 * 60 * 1000 - now;
+};
+
+// Everything the model sees about the device: compact, numbers rounded, no raw readings
+export const buildAdvisorContext = async (device) => {
+  const { deviceId } = device;
+  const now = Date.now();
+
+  const [stats, trend, alerts, anomalies] = await Promise.all([
+    calculateAggregateStats(deviceId, STATS_WINDOW_MINUTES),
+    getHealthHistory(deviceId, { since: new Date(now - TREND_DAYS * 24 * 60 * 60 * 1000), bucketMs: TREND_BUCKET_MS }),
+    Alert.find({ deviceId, status: { $in: ['ACTIVE', 'ACKNOWLEDGED'] } })
+      .sort({ timestamp: -1 })
+      .limit(MAX_CONTEXT_ALERTS)
+      .lean(),
+    getAnomalyEvents(deviceId, { since: new Date(now - ANOMALY_WINDOW_MS), limit: MAX_CONTEXT_ANOMALIES }),
+  ]);
+
+  const recentStats = {};
+  for (const channel of stats?.channels || []) {
+    const name = capitalize(channel.key);
+    if (!Number.isFinite(stats[`avg${name}`])) continue;
+
+    recentStats[channel.key] = {
+      unit: channel.unit,
+      normalRange: [channel.min, channel.max],
+      avg: round(stats[`avg${name}`]),
+      min: round(stats[`min${name}`]),
+      max: round(stats[`max${name}`]),
+    };
+  }
+
+  const prediction = device.lastPrediction || {};
+  const rul = prediction.rul;
+
+  return {
+    device: {
+      deviceId,
+      name: device.name,
+      deviceType: device.deviceType,
+      status: device.status,
+      connectivity: device.connectivity,
+      location: device.location,
+    },
+    health: {
+      healthScore: prediction.healthScore ?? device.healthScore,
+      failureRisk: prediction.failureRisk ?? device.failureRisk,
+      status: prediction.status,
+      reason: prediction.reason,
+      componentScores: prediction.componentScores,
+      largestPenalties: (prediction.explanation?.waterfall || [])
+        .filter((step) => step.channel)
+        .slice(0, MAX_CONTEXT_PENALTIES),
+      remainingUsefulLife: rul
+        ? { status: rul.status, hours: rul.rulHours, limitingFactor: rul.limitingFactor }
+        : null,
+      predictedAt: prediction.timestamp,
+    },
+    recentStats: {
+      windowMinutes: STATS_WINDOW_MINUTES,
+      sampleCount: stats?.sampleCount || 0,
+      channels: recentStats,
+    },
+    healthTrend: trend.map(({ timestamp, healthScore, minHealthScore }) => ({ timestamp, healthScore, minHealthScore })),
+    openAlerts: alerts.map(({ severity, triggerType, message, status, timestamp }) => ({
+      severity,
+      triggerType,
+      message,
+      status,
+      timestamp,
+    })),
+    recentAnomalies: anomalies.map(({ channel, method, severity, value, expected, timestamp }) => ({
+      channel,
+      method,
+      severity,
+      value: round(value),
+      expected: round(expected),
+      timestamp,
+    })),
+  };
+};
+
+const generateAdvice = async (device) => {
+  const context = await buildAdvisorContext(device);
+
+  let advice;
+  try {
+    advice = await requestMaintenanceAdvice(context);
+  } catch (error) {
+    console.error(`✗ Maintenance advisor error for ${device.deviceId}:`, error.message);
+    throw httpError(502, 'Maintenance advisor request failed');
+  }
+
+  const generatedAt = new Date();
+  return {
+    deviceId: device.deviceId,
+    ...advice,
+    // The formula's score the advice was written against
+    healthScore: context.health.healthScore,
+    model: getLLMInfo().model,
+    generatedAt,
+    expiresAt: new Date(generatedAt.getTime() + CACHE_TTL_MS),
+  };
+};
+
+// Cached advice while fresh; otherwise (or with refresh) a new model request within the rate limits.
+// A refresh that is rate limited falls back to the cached advice when there is one.
+export const getMaintenanceAdvice = async (deviceId, { refresh = false } = {}) => {
+  if (!isOpenAIConfigured()) {
+    throw httpError(503, 'Maintenance advisor is not configured (set OPENAI_BASE_URL or OPENAI_API_KEY)');
+  }
+
+  const now = Date.now();
+  const cached = adviceCache.get(deviceId);
+  const age = cached ? now - cached.generatedAt.getTime() : Infinity;
+
+  if (!refresh && age < CACHE_TTL_MS) {
+    return { ...cached, cached: true };
+  }
+
+  if (pendingAdvice.has(deviceId)) {
+    return pendingAdvice.get(deviceId);
+  }
+
+  const retryAfterMs = Math.max(refresh ? MIN_REFRESH_MS - age : 0, globalRetryAfter(now));
+  if (retryAfterMs > 0) {
+    if (cached) return { ...cached, cached: true, rateLimited: true, retryAfterMs: Math.ceil(retryAfterMs) };
+    throw httpError(429, 'Maintenance advisor rate limit reached', { retryAfterMs: Math.ceil(retryAfterMs) });
+  }
+
+  const device = await Device.findOne({ deviceId }).lean();
+  if (!device) {
+    throw httpError(404, 'Device not found');
+  }
+
+  requestTimes.push(now);
+  const pending = generateAdvice(device)
+    .then((advice) => {
+      adviceCache.set(deviceId, advice);
+      return { ...advice, cached: false };
+    })
+    .finally(() => pendingAdvice.delete(deviceId));
+
+  pendingAdvice.set(deviceId, pending);
+  return pending;
+};
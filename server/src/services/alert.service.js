@@ -1,16 +1,19 @@
 // Alert creation and management logic
 import Alert from '../models/Alert.model.js';
-import Device from '../models/Device.model.js';
+import { planEscalation, stopEscalation } from './escalation.service.js';
+import { notifyAlertCreated } from './notification.service.js';
 
 const alertQueues = new Map(); // Per-device alert deduplication
 
-export const createAlert = async (deviceId, severity, message, triggerType, sensorReadings = null) => {
+// details: extra alert fields, e.g. { ruleId, reason }; a ruleId also scopes deduplication to that rule
+export const createAlert = async (deviceId, severity, message, triggerType, sensorReadings = null, details = {}) => {
   try {
     // Check for duplicate alerts within 1 minute
     const existingAlert = await Alert.findOne(
       {
         deviceId,
         triggerType,
+        ...(details.ruleId ? { ruleId: details.ruleId } : {}),
         status: { $in: ['ACTIVE', 'ACKNOWLEDGED'] },
         createdAt: { $gte: new Date(Date.now() - 60000) }, // Last 1 minute
       },
@@ -23,19 +26,30 @@ export const createAlert = async (deviceId, severity, message, triggerType, sens
       return existingAlert;
     }
 
+    // A failed policy lookup leaves the alert unescalated rather than unsaved
+    const escalation = await planEscalation(deviceId, severity).catch((planError) => {
+      console.error(`✗ Error planning escalation for ${deviceId}:`, planError.message);
+      return null;
+    });
+
     const alert = new Alert({
       deviceId,
       severity,
       message,
       triggerType,
       sensorReadings,
+      ...details,
       status: 'ACTIVE',
+      escalation,
     });
 
     await alert.save();
 
     console.log(`🚨 Alert created for ${deviceId}: [${severity}] ${message}`);
 
+    // Outbound notifications never hold up the caller
+    notifyAlertCreated(alert).catch(() => {});
+
     return alert;
   } catch (error) {
     console.error('✗ Error creating alert:', error.message);
@@ -43,97 +57,6 @@ export const createAlert = async (deviceId, severity, message, triggerType, sens
   }
 };
 
-export const evaluateDeviceAlerts = async (deviceId, healthData) => {
-  try {
-    const device = await Device.findOne({ deviceId });
-
-    if (!device) {
-      console.warn(`⚠ Device ${deviceId} not found for alert evaluation`);
-      return [];
-    }
-
-    const { healthScore, failureRisk } = healthData;
-    const { temperature, vibration, pressure } = healthData.sensorReadings || {};
-
-    const alerts = [];
-    const thresholds = device.alertThresholds;
-
-    // Check health score threshold
-    if (healthScore < thresholds.healthScoreMin) {
-      const alert = await createAlert(
-        deviceId,
-        'WARNING',
-        `Device health score critically low: ${healthScore}%`,
-        'HEALTH_SCORE',
-        { temperature, vibration, pressure }
-      );
-      if (alert) alerts.push(alert);
-    }
-
-    // Check failure risk
-    if (failureRisk === 'HIGH') {
-      const alert = await createAlert(
-        deviceId,
-        'CRITICAL',
-        `High failure risk detected`,
-        'FAILURE_RISK',
-        { temperature, vibration, pressure }
-      );
-      if (alert) alerts.push(alert);
-    } else if (failureRisk === 'MEDIUM') {
-      const alert = await createAlert(
-        deviceId,
-        'WARNING',
-        `Medium failure risk detected`,
-        'FAILURE_RISK',
-        { temperature, vibration, pressure }
-      );
-      if (alert) alerts.push(alert);
-    }
-
-    // Temperature threshold
-    if (temperature !== undefined && temperature > thresholds.temperature) {
-      const alert = await createAlert(
-        deviceId,
-        temperature > thresholds.temperature + 10 ? 'CRITICAL' : 'WARNING',
-        `Temperature exceeds threshold: ${temperature}°C`,
-        'TEMPERATURE',
-        { temperature, vibration, pressure }
-      );
-      if (alert) alerts.push(alert);
-    }
-
-    // Vibration threshold
-    if (vibration !== undefined && vibration > thresholds.vibration) {
-      const alert = await createAlert(
-        deviceId,
-        vibration > thresholds.vibration + 0.2 ? 'CRITICAL' : 'WARNING',
-        `Vibration exceeds threshold: ${vibration}`,
-        'VIBRATION',
-        { temperature, vibration, pressure }
-      );
-      if (alert) alerts.push(alert);
-    }
-
-    // Pressure threshold
-    if (pressure !== undefined && pressure > thresholds.pressure) {
-      const alert = await createAlert(
-        deviceId,
-        pressure > thresholds.pressure + 10 ? 'CRITICAL' : 'WARNING',
-        `Pressure exceeds threshold: ${pressure}`,
-        'PRESSURE',
-        { temperature, vibration, pressure }
-      );
-      if (alert) alerts.push(alert);
-    }
-
-    return alerts;
-  } catch (error) {
-    console.error('✗ Error evaluating device alerts:', error.message);
-    throw error;
-  }
-};
-
 export const acknowledgeAlert = async (alertId, acknowledgedBy = null) => {
   try {
     const alert = await Alert.findByIdAndUpdate(
@@ -148,7 +71,7 @@ export const acknowledgeAlert = async (alertId, acknowledgedBy = null) => {
     );
 
     console.log(`✓ Alert acknowledged: ${alertId}`);
-    return alert;
+    return (alert?.escalation?.nextAt && (await stopEscalation(alertId, 'ACKNOWLEDGED'))) || alert;
   } catch (error) {
     console.error('✗ Error acknowledging alert:', error.message);
     throw error;
@@ -167,7 +90,7 @@ export const resolveAlert = async (alertId) => {
     );
 
     console.log(`✓ Alert resolved: ${alertId}`);
-    return alert;
+    return (alert?.escalation?.nextAt && (await stopEscalation(alertId, 'RESOLVED'))) || alert;
   } catch (error) {
     console.error('✗ Error resolving alert:', error.message);
     throw error;
@@ -0,0 +1,355 @@
+// User-defined alert rules: validation, management and evaluation on the live ingestion stream
+import mongoose from 'mongoose';
+import AlertRule from '../models/AlertRule.model.js';
+import { createAlert } from './alert.service.js';
+import { emitAlert } from '../sockets/realtime.socket.js';
+import { CHANNEL_KEY_PATTERN } from './channel.service.js';
+import { matchesDeviceTarget } from './device.service.js';
+import { getBaselineExpectation } from './baseline.service.js';
+import { fitLinearTrend } from './rul.service.js';
+import { readNumber } from '../utils/env.js';
+import { httpError } from '../utils/errors.js';
+import { validateStringList } from '../utils/validators.js';
+import { createCachedLoader } from '../utils/cache.js';
+
+// Enabled rules are re-read at least this often
+const RULE_CACHE_TTL_MS = readNumber('ALERT_RULE_CACHE_TTL_MS', 30000);
+const MINUTE_MS = 60 * 1000;
+const DEFAULT_RATE_WINDOW_MINUTES = 5;
+const MAX_RATE_WINDOW_MINUTES = 60;
+// Longest forMinutes / cooldownMinutes
+const MAX_DURATION_MINUTES = 24 * 60;
+const MAX_CONDITION_DEPTH = 4;
+const MAX_CONDITIONS = 20;
+// Readings kept per device for rate of change
+const MAX_HISTORY = 1000;
+
+export const RULE_METRICS = ['value', 'rateOfChange', 'deviation', 'zScore'];
+export const RULE_SEVERITIES = ['INFO', 'WARNING', 'CRITICAL'];
+
+const COMPARATORS = {
+  '>': (a, b) => a > b,
+  '>=': (a, b) => a >= b,
+  '<': (a, b) => a < b,
+  '<=': (a, b) => a <= b,
+  '==': (a, b) => a === b,
+  '!=': (a, b) => a !== b,
+};
+export const RULE_OPERATORS = Object.keys(COMPARATORS);
+
+const ruleStates = new Map(); // ruleId -> Map<deviceId, { matchingSince, fired, lastFiredAt }>
+const readingHistory = new Map(); // deviceId -> [{ time, reading }], oldest first
+
+const round = (value, digits = 3) => Math.round(value * 10 ** digits) / 10 ** digits;
+
+// Bad rule definitions
+const invalidRule = (detail) => httpError(400, `Invalid alert rule: ${detail}`);
+
+const ruleNotFound = () => httpError(404, 'Alert rule not found');
+
+const validateCondition = (node, path, depth, counter) => {
+  if (!node || typeof node !== 'object' || Array.isArray(node)) {
+    throw invalidRule(`${path} must be an object`);
+  }
+
+  const group = ['all', 'any'].find((key) => key in node);
+  if (group) {
+    const children = node[group];
+    if (Object.keys(node).length !== 1) throw invalidRule(`${path} must hold only "${group}"`);
+    if (!Array.isArray(children) || children.length === 0) {
+      throw invalidRule(`${path}.${group} must be a non-empty array`);
+    }
+    if (depth >= MAX_CONDITION_DEPTH) throw invalidRule(`conditions can be nested at most ${MAX_CONDITION_DEPTH} deep`);
+
+    return { [group]: children.map((child, i) => validateCondition(child, `${path}.${group}[${i}]`, depth + 1, counter)) };
+  }
+
+  counter.leaves += 1;
+  if (counter.leaves > MAX_CONDITIONS) throw invalidRule(`at most ${MAX_CONDITIONS} conditions per rule`);
+
+  const { channel, metric = 'value', operator, threshold, windowMinutes } = node;
+  if (typeof channel !== 'string' || !CHANNEL_KEY_PATTERN.test(channel)) {
+    throw invalidRule(`${path}.channel must be a channel key`);
+  }
+  if (!RULE_METRICS.includes(metric)) {
+    throw invalidRule(`${path}.metric must be one of ${RULE_METRICS.join(', ')}`);
+  }
+  if (!RULE_OPERATORS.includes(operator)) {
+    throw invalidRule(`${path}.operator must be one of ${RULE_OPERATORS.join(' ')}`);
+  }
+  if (typeof threshold !== 'number' || !Number.isFinite(threshold)) {
+    throw invalidRule(`${path}.threshold must be a number`);
+  }
+
+  const leaf = { channel, metric, operator, threshold };
+  if (metric === 'rateOfChange') {
+    const window = windowMinutes ?? DEFAULT_RATE_WINDOW_MINUTES;
+    if (typeof window !== 'number' || !(window > 0) || window > MAX_RATE_WINDOW_MINUTES) {
+      throw invalidRule(`${path}.windowMinutes must be between 0 and ${MAX_RATE_WINDOW_MINUTES}`);
+    }
+    leaf.windowMinutes = window;
+  } else if (windowMinutes !== undefined) {
+    throw invalidRule(`${path}.windowMinutes only applies to rateOfChange`);
+  }
+  return leaf;
+};
+
+const validateMinutes = (value, name, fallback) => {
+  if (value === undefined || value === null) return fallback;
+  if (typeof value !== 'number' || !Number.isFinite(value) || value < 0 || value > MAX_DURATION_MINUTES) {
+    throw invalidRule(`${name} must be between 0 and ${MAX_DURATION_MINUTES} minutes`);
+  }
+  return value;
+};
+
+// Normalized rule ready to store; throws a 400 error describing the first problem
+export const validateAlertRule = (rule) => {
+  if (!rule || typeof rule !== 'object' || Array.isArray(rule)) throw invalidRule('body must be an object');
+
+  const { name, description, enabled = true, severity = 'WARNING', message, target = {}, condition } = rule;
+
+  if (typeof name !== 'string' || !name.trim()) throw invalidRule('name is required');
+  if (typeof enabled !== 'boolean') throw invalidRule('enabled must be true or false');
+  if (!RULE_SEVERITIES.includes(severity)) throw invalidRule(`severity must be one of ${RULE_SEVERITIES.join(', ')}`);
+  if (message !== undefined && message !== null && typeof message !== 'string') throw invalidRule('message must be a string');
+  if (description !== undefined && description !== null && typeof description !== 'string') {
+    throw invalidRule('description must be a string');
+  }
+  if (!target || typeof target !== 'object' || Array.isArray(target)) throw invalidRule('target must be an object');
+  if (condition === undefined) throw invalidRule('condition is required');
+
+  return {
+    name: name.trim(),
+    description: description || undefined,
+    enabled,
+    severity,
+    message: message || undefined,
+    target: {
+      deviceIds: validateStringList(target.deviceIds, 'target.deviceIds', invalidRule),
+      deviceTypes: validateStringList(target.deviceTypes, 'target.deviceTypes', invalidRule),
+      assetGroups: validateStringList(target.assetGroups, 'target.assetGroups', invalidRule),
+    },
+    condition: validateCondition(condition, 'condition', 0, { leaves: 0 }),
+    forMinutes: validateMinutes(rule.forMinutes, 'forMinutes', 0),
+    cooldownMinutes: validateMinutes(rule.cooldownMinutes, 'cooldownMinutes', 15),
+  };
+};
+
+const enabledRules = createCachedLoader(
+  () => AlertRule.find({ enabled: true }).lean(),
+  RULE_CACHE_TTL_MS
+);
+export const invalidateAlertRuleCache = enabledRules.invalidate;
+
+const findRule = async (id) => {
+  if (!mongoose.isValidObjectId(id)) throw ruleNotFound();
+  const rule = await AlertRule.findById(id);
+  if (!rule) throw ruleNotFound();
+  return rule;
+};
+
+// Changing or removing a rule starts its episodes over
+const forgetRule = (id) => {
+  ruleStates.delete(String(id));
+  invalidateAlertRuleCache();
+};
+
+export const listAlertRules = async ({ enabled } = {}) => {
+  try {
+    const query = enabled === undefined ? {} : { enabled };
+    return await AlertRule.find(query).sort({ name: 1 }).lean();
+  } catch (error) {
+    console.error('✗ Error listing alert rules:', error.message);
+    throw error;
+  }
+};
+
+// A rule plus the devices it is currently tracking
+export const getAlertRule = async (id) => {
+  const rule = await findRule(id);
+  const states = ruleStates.get(String(rule._id)) || new Map();
+
+  return {
+    ...rule.toObject(),
+    state: [...states].map(([deviceId, { matchingSince, fired, lastFiredAt }]) => ({
+      deviceId,
+      matchingSince: matchingSince === null ? null : new Date(matchingSince),
+      fired,
+      lastFiredAt: lastFiredAt === null ? null : new Date(lastFiredAt),
+    })),
+  };
+};
+
+export const createAlertRule = async (definition) => {
+  const rule = await AlertRule.create(validateAlertRule(definition));
+  invalidateAlertRuleCache();
+  console.log(`✓ Alert rule created: ${rule.name}`);
+  return rule;
+};
+
+// Partial update: fields left out keep their stored values
+export const updateAlertRule = async (id, changes) => {
+  const rule = await findRule(id);
+  const { _id, createdAt, updatedAt, lastTriggeredAt, __v, ...current } = rule.toObject();
+
+  rule.set(validateAlertRule({ ...current, ...changes }));
+  await rule.save();
+  forgetRule(rule._id);
+  console.log(`✓ Alert rule updated: ${rule.name}`);
+  return rule;
+};
+
+export const deleteAlertRule = async (id) => {
+  const rule = await findRule(id);
+  await rule.deleteOne();
+  forgetRule(rule._id);
+  console.log(`✓ Alert rule deleted: ${rule.name}`);
+  return rule;
+};
+
+const recordHistory = (deviceId, reading, time) => {
+  if (!readingHistory.has(deviceId)) readingHistory.set(deviceId, []);
+  const history = readingHistory.get(deviceId);
+
+  history.push({ time, reading });
+  const cutoff = time - MAX_RATE_WINDOW_MINUTES * MINUTE_MS;
+  let stale = 0;
+  while (stale < history.length && history[stale].time < cutoff) stale += 1;
+  history.splice(0, Math.max(stale, history.length - MAX_HISTORY));
+  return history;
+};
+
+// Slope per minute over the window; needs three readings spanning at least half of it
+const rateOfChange = (leaf, context) => {
+  const windowMs = leaf.windowMinutes * MINUTE_MS;
+  const points = context.history
+    .filter(({ time, reading }) => time >= context.time - windowMs && Number.isFinite(reading[leaf.channel]))
+    .map(({ time, reading }) => ({ x: (time - context.time) / MINUTE_MS, y: reading[leaf.channel] }));
+
+  if (points.length < 3 || -Math.min(...points.map((p) => p.x)) * MINUTE_MS < windowMs / 2) return null;
+  return fitLinearTrend(points)?.slope ?? null;
+};
+
+// Observed quantity for a leaf, or null when it can't be measured yet
+const measure = async (leaf, context) => {
+  const value = context.reading[leaf.channel];
+  if (!Number.isFinite(value)) return null;
+
+  if (leaf.metric === 'value') return value;
+  if (leaf.metric === 'rateOfChange') return rateOfChange(leaf, context);
+
+  const channel = context.channels.find((c) => c.key === leaf.channel);
+  if (!channel) return null;
+  if (!context.expectations.has(channel.key)) {
+    context.expectations.set(channel.key, await getBaselineExpectation(context.deviceId, channel, context.time));
+  }
+  const expectation = context.expectations.get(channel.key);
+  if (!expectation) return null;
+
+  const deviation = value - expectation.expected;
+  return leaf.metric === 'deviation' ? deviation : deviation / expectation.stdDev;
+};
+
+const describeLeaf = (leaf, observed) => {
+  const labels = {
+    value: leaf.channel,
+    rateOfChange: `${leaf.channel} rate over ${leaf.windowMinutes} min`,
+    deviation: `${leaf.channel} deviation from baseline`,
+    zScore: `${leaf.channel} z-score`,
+  };
+  const unit = leaf.metric === 'rateOfChange' ? '/min' : '';
+  return `${labels[leaf.metric]} ${round(observed, 2)}${unit} ${leaf.operator} ${leaf.threshold}${unit}`;
+};
+
+// { matched, details }: details describe the leaves that made the condition true
+const evaluateCondition = async (node, context) => {
+  if (node.all || node.any) {
+    const results = [];
+    for (const child of node.all || node.any) {
+      results.push(await evaluateCondition(child, context));
+    }
+    const matched = node.all ? results.every((r) => r.matched) : results.some((r) => r.matched);
+    return { matched, details: matched ? results.flatMap((r) => r.details) : [] };
+  }
+
+  const observed = await measure(node, context);
+  const matched = observed !== null && COMPARATORS[node.operator](observed, node.threshold);
+  return { matched, details: matched ? [describeLeaf(node, observed)] : [] };
+};
+
+const fireRule = async (rule, deviceId, reading, channels, details) => {
+  try {
+    const sustained = rule.forMinutes > 0 ? ` (held for ${rule.forMinutes} min)` : '';
+    const reason = `${details.join('; ')}${sustained}`;
+    const sensorReadings = Object.fromEntries(
+      channels.filter((c) => Number.isFinite(reading[c.key])).map((c) => [c.key, reading[c.key]])
+    );
+
+    const alert = await createAlert(
+      deviceId,
+      rule.severity,
+      rule.message || `Rule "${rule.name}": ${reason}`,
+      'RULE',
+      sensorReadings,
+      { ruleId: rule._id, reason }
+    );
+    emitAlert(alert);
+    AlertRule.updateOne({ _id: rule._id }, { lastTriggeredAt: new Date() }).catch(() => {});
+    return alert;
+  } catch (error) {
+    console.error(`✗ Error firing alert rule "${rule.name}" for ${deviceId}:`, error.message);
+    return null;
+  }
+};
+
+// Evaluate every enabled rule that targets the device against a live reading (canonical units).
+// A rule fires once per episode: when its condition has held for forMinutes and the cooldown has passed;
+// the episode ends when a reading no longer matches. Returns the alerts raised.
+export const evaluateAlertRules = async (deviceId, reading, { device, channels }) => {
+  try {
+    const rules = (await enabledRules.get()).filter((rule) => matchesDeviceTarget(rule.target, deviceId, device));
+    if (rules.length === 0) return [];
+
+    const time = new Date(reading.timestamp).getTime();
+    const context = {
+      deviceId,
+      reading,
+      time,
+      channels,
+      history: recordHistory(deviceId, reading, time),
+      expectations: new Map(),
+    };
+    const alerts = [];
+
+    for (const rule of rules) {
+      const ruleId = String(rule._id);
+      const { matched, details } = await evaluateCondition(rule.condition, context);
+
+      if (!ruleStates.has(ruleId)) ruleStates.set(ruleId, new Map());
+      const states = ruleStates.get(ruleId);
+      const state = states.get(deviceId) || { matchingSince: null, fired: false, lastFiredAt: null };
+
+      if (!matched) {
+        if (state.lastFiredAt === null) states.delete(deviceId);
+        else states.set(deviceId, { ...state, matchingSince: null, fired: false });
+        continue;
+      }
+
+      state.matchingSince ??= time;
+      states.set(deviceId, state);
+
+      if (state.fired || time - state.matchingSince < rule.forMinutes * MINUTE_MS) continue;
+      if (state.lastFiredAt !== null && time - state.lastFiredAt < rule.cooldownMinutes * MINUTE_MS) continue;
+
+      state.fired = true;
+      state.lastFiredAt = time;
+      const alert = await fireRule(rule, deviceId, reading, channels, details);
+      if (alert) alerts.push(alert);
+    }
+
+    return alerts;
+  } catch (error) {
+    console.error(`✗ Alert rule evaluation error for ${deviceId}:`, error.message);
+    throw error;
+  }
+};
@@ -0,0 +1,261 @@
+// Backtesting: replay stored telemetry through a prediction configuration and score the
+// alerts it would have raised against labelled failure events
+import Device from '../models/Device.model.js';
+import SensorData from '../models/SensorData.model.js';
+import FailureEvent from '../models/FailureEvent.model.js';
+import { getDeviceChannels } from './channel.service.js';
+import { runPrediction, getDeviceEngineChain, validateEngineChain } from './engine.service.js';
+import { isAlertingPrediction } from './prediction.service.js';
+import { resolveHealthProfile } from './healthProfile.service.js';
+import { TIMELINE_SIZE, TIMELINE_TIMEOUT } from './ingestion.service.js';
+import { getSpectralFeatures } from './spectral.service.js';
+import { getCorrelationBreak } from './correlation.service.js';
+import { httpError } from '../utils/errors.js';
+import { parseDate } from '../utils/validators.js';
+
+const HOUR_MS = 60 * 60 * 1000;
+const MAX_RANGE_DAYS = parseInt(process.env.BACKTEST_MAX_RANGE_DAYS, 10) || 31;
+// An alert counts as a true positive if a failure follows within this horizon
+const DEFAULT_HORIZON_HOURS = 72;
+
+// Bad backtest parameters
+const invalidBacktest = (detail) => httpError(400, `Invalid backtest: ${detail}`);
+
+// Profile to score with; a bad inline profile or unknown version is an invalid backtest
+const resolveProfile = async (device, options) => {
+  try {
+    return await resolveHealthProfile(device, options);
+  } catch (error) {
+    throw error.statusCode === 400 ? invalidBacktest(error.message) : error;
+  }
+};
+
+// Readings are grouped the way processTimelineInference sees them live: a window closes after
+// windowSize readings, or once windowTimeoutMs has passed since its first reading
+async function* replayWindows(deviceId, from, to, { windowSize, windowTimeoutMs }) {
+  const cursor = SensorData.find(
+    { deviceId, timestamp: { $gte: from, $lte: to } },
+    { _id: 0, metadata: 0, units: 0, sequence: 0, __v: 0 }
+  )
+    .sort({ timestamp: 1 })
+    .lean()
+    .cursor();
+
+  let window = [];
+  for await (const reading of cursor) {
+    if (window.length > 0 && reading.timestamp - window[0].timestamp >= windowTimeoutMs) {
+      yield window;
+      window = [];
+    }
+
+    const { deviceId: _deviceId, ...values } = reading;
+    window.push(values);
+
+    if (window.length >= windowSize) {
+      yield window;
+      window = [];
+    }
+  }
+
+  if (window.length > 0) yield window;
+}
+
+// Lead time, detection rate and false-positive rate of the alerting windows against failures.
+// timeline: [{ timestamp, alert }], failures: [{ failedAt }]
+export const scoreBacktest = (timeline, failures, horizonHours = DEFAULT_HORIZON_HOURS) => {
+  const horizonMs = horizonHours * HOUR_MS;
+  const failureTimes = failures.map((f) => new Date(f.failedAt).getTime()).sort((a, b) => a - b);
+
+  // Does a failure follow this time within the horizon?
+  const precedesFailure = (time) => failureTimes.some((failedAt) => failedAt > time && failedAt - time <= horizonMs);
+
+  let truePositives = 0;
+  let falsePositives = 0;
+  let negativeWindows = 0;
+
+  for (const point of timeline) {
+    const time = new Date(point.timestamp).getTime();
+    const positive = precedesFailure(time);
+
+    if (!positive) negativeWindows += 1;
+    if (!point.alert) continue;
+
+    if (positive) {
+      truePositives += 1;
+    } else {
+      falsePositives += 1;
+    }
+  }
+
+  const detections = failureTimes.map((failedAt) => {
+    const firstAlert = timeline.find((point) => {
+      const time = new Date(point.timestamp).getTime();
+      return point.alert && time < failedAt && failedAt - time <= horizonMs;
+    });
+
+    return {
+      failedAt: new Date(failedAt),
+      detected: Boolean(firstAlert),
+      firstAlertAt: firstAlert ? new Date(firstAlert.timestamp) : null,
+      leadTimeHours: firstAlert
+        ? Math.round(((failedAt - new Date(firstAlert.timestamp).getTime()) / HOUR_MS) * 100) / 100
+        : null,
+    };
+  });
+
+  const leadTimes = detections.filter((d) => d.detected).map((d) => d.leadTimeHours).sort((a, b) => a - b);
+  const alertCount = truePositives + falsePositives;
+  const ratio = (numerator, denominator) =>
+    denominator > 0 ? Math.round((numerator / denominator) * 1000) / 1000 : null;
+
+  return {
+    horizonHours,
+    failures: detections,
+    failureCount: failureTimes.length,
+    detectedCount: leadTimes.length,
+    detectionRate: ratio(leadTimes.length, failureTimes.length),
+    meanLeadTimeHours: leadTimes.length
+      ? Math.round((leadTimes.reduce((a, b) => a + b, 0) / leadTimes.length) * 100) / 100
+      : null,
+    medianLeadTimeHours: leadTimes.length ? leadTimes[Math.floor((leadTimes.length - 1) / 2)] : null,
+    alertCount,
+    truePositiveAlerts: truePositives,
+    falsePositiveAlerts: falsePositives,
+    // Share of windows with no failure ahead that still raised an alert
+    falsePositiveRate: ratio(falsePositives, negativeWindows),
+    precision: ratio(truePositives, alertCount),
+  };
+};
+
+// Replay a device's stored readings between from and to.
+// options: engines (chain), profile (inline) or profileVersion, horizonHours,
+// failures (extra labels on top of stored FailureEvents), windowSize, windowTimeoutMs, includeTimeline
+export const runBacktest = async ({
+  deviceId,
+  from,
+  to,
+  engines,
+  profile,
+  profileVersion,
+  horizonHours = DEFAULT_HORIZON_HOURS,
+  failures = [],
+  windowSize = TIMELINE_SIZE,
+  windowTimeoutMs = TIMELINE_TIMEOUT,
+  includeTimeline = true,
+} = {}) => {
+  if (!deviceId) throw invalidBacktest('deviceId is required');
+
+  const start = parseDate(from, 'from', invalidBacktest);
+  const end = parseDate(to ?? new Date(), 'to', invalidBacktest);
+  if (start >= end) throw invalidBacktest('from must be before to');
+  if (end - start > MAX_RANGE_DAYS * 24 * HOUR_MS) {
+    throw invalidBacktest(`range must be at most ${MAX_RANGE_DAYS} days`);
+  }
+  if (!Number.isFinite(horizonHours) || horizonHours <= 0) {
+    throw invalidBacktest('horizonHours must be a positive number');
+  }
+  if (!Number.isInteger(windowSize) || windowSize < 1 || !Number.isFinite(windowTimeoutMs) || windowTimeoutMs <= 0) {
+    throw invalidBacktest('windowSize and windowTimeoutMs must be positive');
+  }
+  if (!Array.isArray(failures)) throw invalidBacktest('failures must be an array');
+
+  try {
+    const device = await Device.findOne(
+      { deviceId },
+      { deviceId: 1, deviceType: 1, channels: 1, predictionEngines: 1 }
+    );
+    if (!device) {
+      throw httpError(404, `Device ${deviceId} not found`);
+    }
+
+    let chain;
+    try {
+      chain = engines ? validateEngineChain(engines) : await getDeviceEngineChain(device);
+    } catch (validationError) {
+      throw invalidBacktest(validationError.message);
+    }
+
+    const channels = await getDeviceChannels(device);
+    const healthProfile = await resolveProfile(device, { profile, profileVersion });
+
+    // Failures up to one horizon past the range can still be predicted by readings inside it
+    const storedFailures = await FailureEvent.find(
+      { deviceId, failedAt: { $gte: start, $lte: new Date(end.getTime() + horizonHours * HOUR_MS) } },
+      { failedAt: 1, description: 1, component: 1 }
+    ).lean();
+    const labelled = [
+      ...storedFailures,
+      ...failures.map((f) => ({ failedAt: parseDate(f?.failedAt ?? f, 'failures[].failedAt', invalidBacktest) })),
+    ];
+
+    const timeline = [];
+    let readingCount = 0;
+
+    for await (const window of replayWindows(deviceId, start, end, { windowSize, windowTimeoutMs })) {
+      readingCount += window.length;
+
+      // The spectrum and correlation break live inference would have had at the window's last reading
+      const closedAt = window[window.length - 1].timestamp;
+      const spectral = await getSpectralFeatures(deviceId, closedAt);
+      const correlation = await getCorrelationBreak(deviceId, closedAt);
+      const prediction = await runPrediction(window, {
+        device,
+        channels,
+        profile: healthProfile,
+        chain,
+        spectral,
+        correlation,
+      });
+      if (!prediction) continue;
+
+      // Live inference runs when the window closes, i.e. at its last reading
+      timeline.push({
+        timestamp: window[window.length - 1].timestamp,
+        readings: window.length,
+        healthScore: prediction.healthScore,
+        failureRisk: prediction.failureRisk,
+        status: prediction.status,
+        reason: prediction.reason,
+        engine: prediction.engine,
+        alert: isAlertingPrediction(prediction),
+      });
+    }
+
+    const alerts = timeline
+      .filter((point) => point.alert)
+      .map(({ timestamp, healthScore, failureRisk, status, reason }) => ({
+        timestamp,
+        severity: status === 'CRITICAL' ? 'CRITICAL' : 'WARNING',
+        healthScore,
+        failureRisk,
+        reason,
+      }));
+
+    const score = scoreBacktest(timeline, labelled, horizonHours);
+
+    console.log(
+      `✓ [BACKTEST] ${deviceId}: ${readingCount} readings, ${timeline.length} predictions, ${alerts.length} alerts, ${score.detectedCount}/${score.failureCount} failures detected`
+    );
+
+    return {
+      deviceId,
+      from: start,
+      to: end,
+      config: {
+        engines: chain,
+        healthProfile: { typeId: healthProfile.typeId, version: healthProfile.version },
+        windowSize,
+        windowTimeoutMs,
+        horizonHours,
+      },
+      readingCount,
+      predictionCount: timeline.length,
+      score,
+      alerts,
+      timeline: includeTimeline ? timeline : undefined,
+    };
+  } catch (error) {
+    console.error(`✗ Backtest error for ${deviceId}:`, error.message);
+    throw error;
+  }
+};
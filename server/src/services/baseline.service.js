@@ -0,0 +1,293 @@
+// Learned baselines: rolling mean/variance per device and channel (with hour-of-day seasonality)
+// and statistical anomaly detection on every live reading
+import DeviceBaseline from '../models/DeviceBaseline.model.js';
+import AnomalyEvent from '../models/AnomalyEvent.model.js';
+import { createAlert } from './alert.service.js';
+import { emitAlert, emitSensorAnomaly } from '../sockets/realtime.socket.js';
+import { readNumber } from '../utils/env.js';
+
+// Effective sample window: older readings fade out exponentially past this count
+const BASELINE_WINDOW = Math.round(readNumber('BASELINE_WINDOW', 1000));
+// No scoring until the channel has this many samples
+const MIN_SAMPLES = Math.round(readNumber('BASELINE_MIN_SAMPLES', 30));
+// Hour-of-day statistics replace the overall ones once the hour has this many samples
+const HOURLY_MIN_SAMPLES = Math.round(readNumber('BASELINE_HOURLY_MIN_SAMPLES', 20));
+const PERSIST_MS = readNumber('BASELINE_PERSIST_MS', 60000);
+
+// Spike detection: |z| above these is WARNING / CRITICAL
+const Z_THRESHOLD = readNumber('ANOMALY_Z_THRESHOLD', 4);
+const Z_CRITICAL = readNumber('ANOMALY_Z_CRITICAL', 6);
+// Drift detection: EWMA of z-scores outside L control limits
+const EWMA_ALPHA = Math.min(readNumber('ANOMALY_EWMA_ALPHA', 0.1), 1);
+const EWMA_LIMIT = readNumber('ANOMALY_EWMA_LIMIT', 3) * Math.sqrt(EWMA_ALPHA / (2 - EWMA_ALPHA));
+// At most one ANOMALY alert per device and channel per cooldown; events are always stored
+const ALERT_COOLDOWN_MS = readNumber('ANOMALY_ALERT_COOLDOWN_MS', 5 * 60 * 1000);
+
+// deviceId -> Promise<Map<channel, baseline>>
+const baselineCache = new Map();
+const dirtyDevices = new Set();
+// `${deviceId}:${channel}` -> time of the last ANOMALY alert (ms)
+const lastAlertAt = new Map();
+
+const emptyStats = () => ({ count: 0, mean: 0, variance: 0 });
+
+const createBaseline = (deviceId, channel) => ({
+  deviceId,
+  channel,
+  overall: emptyStats(),
+  hourly: Array.from({ length: 24 }, emptyStats),
+  ewmaZ: 0,
+  drifting: false,
+  lastValueAt: null,
+});
+
+// Welford update with the count capped at the window, so old data decays instead of dominating
+const updateStats = (stats, value) => {
+  const n = Math.min(stats.count + 1, BASELINE_WINDOW);
+  const delta = value - stats.mean;
+  stats.mean += delta / n;
+  stats.variance = (1 - 1 / n) * (stats.variance + (delta * delta) / n);
+  stats.count += 1;
+};
+
+// Loaded once per device; concurrent readings share the same load
+const loadDeviceBaselines = (deviceId) => {
+  if (!baselineCache.has(deviceId)) {
+    const loading = DeviceBaseline.find({ deviceId })
+      .lean()
+      .then((docs) => {
+        const baselines = new Map();
+        for (const doc of docs) {
+          const baseline = createBaseline(deviceId, doc.channel);
+          baselines.set(doc.channel, {
+            ...baseline,
+            overall: { ...baseline.overall, ...doc.overall },
+            hourly: baseline.hourly.map((stats, hour) => ({ ...stats, ...doc.hourly?.[hour] })),
+            ewmaZ: doc.ewmaZ || 0,
+            drifting: Boolean(doc.drifting),
+            lastValueAt: doc.lastValueAt || null,
+          });
+        }
+        return baselines;
+      })
+      .catch((error) => {
+        baselineCache.delete(deviceId);
+        throw error;
+      });
+    baselineCache.set(deviceId, loading);
+  }
+  return baselineCache.get(deviceId);
+};
+
+// Channels without a spread (e.g. a constant reading) still need a usable deviation
+const getStdDevFloor = (channel, mean) => {
+  if (Number.isFinite(channel.min) && Number.isFinite(channel.max)) {
+    return (channel.max - channel.min) * 0.01;
+  }
+  return Math.abs(mean) * 0.01 || 1e-6;
+};
+
+// Expected value for the reading's hour of day (UTC), falling back to the overall baseline
+const getExpectation = (baseline, channel, hour) => {
+  const hourly = baseline.hourly[hour];
+  const seasonal = hourly.count >= HOURLY_MIN_SAMPLES;
+  const stats = seasonal ? hourly : baseline.overall;
+
+  return {
+    expected: stats.mean,
+    stdDev: Math.max(Math.sqrt(stats.variance), getStdDevFloor(channel, stats.mean)),
+    seasonal,
+  };
+};
+
+const round = (value, digits = 3) => Math.round(value * 10 ** digits) / 10 ** digits;
+
+// Store, alert and broadcast one anomaly; failures are logged, never thrown into ingestion
+const recordAnomaly = async (event) => {
+  try {
+    const saved = await AnomalyEvent.create(event);
+    emitSensorAnomaly(event.deviceId, saved.toObject());
+
+    const key = `${event.deviceId}:${event.channel}`;
+    const now = Date.now();
+    if (now - (lastAlertAt.get(key) || 0) < ALERT_COOLDOWN_MS) return;
+    lastAlertAt.set(key, now);
+
+    const message = event.method === 'DRIFT'
+      ? `Anomaly: ${event.channel} drifting from its baseline (expected ~${round(event.expected, 2)})`
+      : `Anomaly: ${event.channel} = ${round(event.value, 2)} is ${round(Math.abs(event.zScore), 1)}σ from expected ${round(event.expected, 2)}`;
+
+    const alert = await createAlert(event.deviceId, event.severity, message, 'ANOMALY', {
+      channel: event.channel,
+      value: event.value,
+      expected: event.expected,
+      zScore: event.zScore,
+    });
+    emitAlert(alert);
+  } catch (error) {
+    console.error(`✗ Error recording anomaly for ${event.deviceId}:`, error.message);
+  }
+};
+
+// Score a live reading against each channel's baseline, then learn from it.
+// Returns the anomalies found (already persisted and alerted asynchronously).
+export const scoreReading = async (deviceId, reading, channels) => {
+  try {
+    const baselines = await loadDeviceBaselines(deviceId);
+    const timestamp = new Date(reading.timestamp);
+    const hour = timestamp.getUTCHours();
+    const anomalies = [];
+
+    for (const channel of channels) {
+      const value = reading[channel.key];
+      if (!Number.isFinite(value)) continue;
+
+      if (!baselines.has(channel.key)) {
+        baselines.set(channel.key, createBaseline(deviceId, channel.key));
+      }
+      const baseline = baselines.get(channel.key);
+      let learnValue = value;
+
+      if (baseline.overall.count >= MIN_SAMPLES) {
+        const { expected, stdDev, seasonal } = getExpectation(baseline, channel, hour);
+        const zScore = (value - expected) / stdDev;
+        const base = { deviceId, channel: channel.key, timestamp, value, expected, stdDev, seasonal };
+
+        if (Math.abs(zScore) >= Z_THRESHOLD) {
+          anomalies.push({
+            ...base,
+            method: 'SPIKE',
+            severity: Math.abs(zScore) >= Z_CRITICAL ? 'CRITICAL' : 'WARNING',
+            zScore: round(zScore),
+          });
+          // Learn a clipped value so one spike can't drag the baseline, but a lasting shift still can
+          learnValue = expected + Math.sign(zScore) * Z_THRESHOLD * stdDev;
+        }
+
+        // Clipped like the learned value so a lone spike doesn't also read as drift
+        const clippedZ = Math.max(-Z_THRESHOLD, Math.min(Z_THRESHOLD, zScore));
+        baseline.ewmaZ = EWMA_ALPHA * clippedZ + (1 - EWMA_ALPHA) * baseline.ewmaZ;
+        const drifting = Math.abs(baseline.ewmaZ) > EWMA_LIMIT;
+
+        // One event when the drift starts; it clears once the EWMA is back within limits
+        if (drifting && !baseline.drifting) {
+          anomalies.push({
+            ...base,
+            method: 'DRIFT',
+            severity: 'WARNING',
+            zScore: round(zScore),
+            ewmaZ: round(baseline.ewmaZ),
+          });
+        }
+        baseline.drifting = drifting;
+      }
+
+      updateStats(baseline.overall, learnValue);
+      updateStats(baseline.hourly[hour], learnValue);
+      baseline.lastValueAt = timestamp;
+    }
+
+    dirtyDevices.add(deviceId);
+
+    for (const anomaly of anomalies) {
+      console.warn(
+        `⚠ [ANOMALY] ${deviceId} ${anomaly.channel} ${anomaly.method} (z=${anomaly.zScore}, value=${round(anomaly.value, 2)}, expected=${round(anomaly.expected, 2)})`
+      );
+      recordAnomaly(anomaly);
+    }
+
+    return anomalies;
+  } catch (error) {
+    console.error(`✗ Anomaly scoring error for ${deviceId}:`, error.message);
+    throw error;
+  }
+};
+
+// Write every baseline that changed since the last flush
+export const flushBaselines = async () => {
+  if (dirtyDevices.size === 0) return 0;
+
+  const deviceIds = Array.from(dirtyDevices);
+  dirtyDevices.clear();
+
+  try {
+    const operations = [];
+    for (const deviceId of deviceIds) {
+      const baselines = await baselineCache.get(deviceId);
+      for (const { channel, overall, hourly, ewmaZ, drifting, lastValueAt } of baselines?.values() || []) {
+        operations.push({
+          updateOne: {
+            filter: { deviceId, channel },
+            update: { $set: { overall, hourly, ewmaZ, drifting, lastValueAt } },
+            upsert: true,
+          },
+        });
+      }
+    }
+
+    if (operations.length > 0) {
+      await DeviceBaseline.bulkWrite(operations, { ordered: false });
+    }
+    return operations.length;
+  } catch (error) {
+    // Try again on the next flush
+    deviceIds.forEach((deviceId) => dirtyDevices.add(deviceId));
+    console.error('✗ Error persisting baselines:', error.message);
+    throw error;
+  }
+};
+
+// Learned expectation for one channel at a time of day, or null until the baseline has enough samples
+export const getBaselineExpectation = async (deviceId, channel, timestamp) => {
+  const baselines = await loadDeviceBaselines(deviceId);
+  const baseline = baselines.get(channel.key);
+  if (!baseline || baseline.overall.count < MIN_SAMPLES) return null;
+
+  return getExpectation(baseline, channel, new Date(timestamp).getUTCHours());
+};
+
+// Current baselines for a device, summarized for the API
+export const getDeviceBaselines = async (deviceId) => {
+  try {
+    const baselines = await loadDeviceBaselines(deviceId);
+
+    return Array.from(baselines.values()).map(({ channel, overall, hourly, ewmaZ, drifting, lastValueAt }) => ({
+      channel,
+      ready: overall.count >= MIN_SAMPLES,
+      count: overall.count,
+      mean: round(overall.mean),
+      stdDev: round(Math.sqrt(overall.variance)),
+      ewmaZ: round(ewmaZ),
+      drifting,
+      lastValueAt,
+      hourly: hourly.map((stats, hour) => ({
+        hour,
+        count: stats.count,
+        mean: round(stats.mean),
+        stdDev: round(Math.sqrt(stats.variance)),
+        seasonal: stats.count >= HOURLY_MIN_SAMPLES,
+      })),
+    }));
+  } catch (error) {
+    console.error(`✗ Error loading baselines for ${deviceId}:`, error.message);
+    throw error;
+  }
+};
+
+// Stored anomaly events for a device, newest first
+export const getAnomalyEvents = async (deviceId, { since, channel, limit = 200 } = {}) => {
+  try {
+    const query = { deviceId };
+    if (since) query.timestamp = { $gte: since };
+    if (channel) query.channel = channel;
+
+    return await AnomalyEvent.find(query).sort({ timestamp: -1 }).limit(limit).lean();
+  } catch (error) {
+    console.error(`✗ Error fetching anomalies for ${deviceId}:`, error.message);
+    throw error;
+  }
+};
+
+setInterval(() => {
+  flushBaselines().catch(() => {});
+}, PERSIST_MS).unref();
@@ -0,0 +1,129 @@
+// Sensor channel catalog: which metrics a device reports, with units and ranges
+import Device from '../models/Device.model.js';
+import DeviceType from '../models/DeviceType.model.js';
+
+// Used when neither the device nor its type declares a catalog
+export const DEFAULT_CHANNELS = [
+  { key: 'temperature', name: 'Temperature', unit: '°C', min: 60, max: 80, validMin: -50, validMax: 300, weight: 0.30, required: true },
+  { key: 'vibration', name: 'Vibration', unit: 'mm/s', min: 0, max: 0.3, validMin: 0, validMax: 50, weight: 0.35, required: true },
+  { key: 'pressure', name: 'Pressure', unit: 'bar', min: 30, max: 40, validMin: 0, validMax: 1000, weight: 0.35, required: true },
+];
+
+// Payload fields that can never be used as channel keys
+const RESERVED_KEYS = ['_id', 'deviceId', 'timestamp', 'metadata', 'sequence', 'units'];
+export const CHANNEL_KEY_PATTERN = /^[a-zA-Z][a-zA-Z0-9_]*$/;
+
+const TYPE_CACHE_TTL = 60000;
+const typeCache = new Map(); // typeId -> { channels, loadedAt }
+
+export const invalidateDeviceTypeCache = (typeId) => {
+  if (typeId) {
+    typeCache.delete(typeId);
+  } else {
+    typeCache.clear();
+  }
+};
+
+// Throws on the first invalid definition; returns plain channel objects
+export const validateChannelDefinitions = (channels) => {
+  if (!Array.isArray(channels)) {
+    throw new Error('channels must be an array');
+  }
+
+  const seen = new Set();
+
+  return channels.map((channel) => {
+    const { key, name, unit = '', min, max, validMin, validMax, weight, required = false } = channel || {};
+
+    if (!key || !CHANNEL_KEY_PATTERN.test(key)) {
+      throw new Error(`Invalid channel key: ${key}`);
+    }
+    if (RESERVED_KEYS.includes(key)) {
+      throw new Error(`Channel key "${key}" is reserved`);
+    }
+    if (seen.has(key)) {
+      throw new Error(`Duplicate channel key: ${key}`);
+    }
+    seen.add(key);
+
+    for (const [field, value] of Object.entries({ min, max, validMin, validMax, weight })) {
+      if (value !== undefined && value !== null && !Number.isFinite(value)) {
+        throw new Error(`Channel "${key}": ${field} must be a number`);
+      }
+    }
+    if (Number.isFinite(min) && Number.isFinite(max) && min >= max) {
+      throw new Error(`Channel "${key}": min must be less than max`);
+    }
+    if (Number.isFinite(validMin) && Number.isFinite(validMax) && validMin >= validMax) {
+      throw new Error(`Channel "${key}": validMin must be less than validMax`);
+    }
+    if (Number.isFinite(weight) && weight < 0) {
+      throw new Error(`Channel "${key}": weight must not be negative`);
+    }
+
+    return { key, name: name || key, unit, min, max, validMin, validMax, weight, required: Boolean(required) };
+  });
+};
+
+const getTypeChannels = async (typeId) => {
+  const cached = typeCache.get(typeId);
+  if (cached && Date.now() - cached.loadedAt < TYPE_CACHE_TTL) {
+    return cached.channels;
+  }
+
+  const deviceType = await DeviceType.findOne({ typeId }).lean();
+  const channels = deviceType?.channels?.length ? deviceType.channels : null;
+  typeCache.set(typeId, { channels, loadedAt: Date.now() });
+
+  return channels;
+};
+
+// Effective catalog: device override, then device type, then defaults
+export const getDeviceChannels = async (device) => {
+  try {
+    if (device?.channels?.length) {
+      return device.channels.map((c) => (c.toObject ? c.toObject() : c));
+    }
+
+    if (device?.deviceType) {
+      const typeChannels = await getTypeChannels(device.deviceType);
+      if (typeChannels) return typeChannels;
+    }
+
+    return DEFAULT_CHANNELS;
+  } catch (error) {
+    console.error(`✗ Error resolving channels for ${device?.deviceId}:`, error.message);
+    throw error;
+  }
+};
+
+export const getDeviceChannelsById = async (deviceId) => {
+  const device = await Device.findOne({ deviceId }, { deviceId: 1, deviceType: 1, channels: 1 });
+  return getDeviceChannels(device);
+};
+
+// Pick the declared channels out of a payload
+export const extractChannelValues = (payload, channels) => {
+  const values = {};
+  const missing = [];
+  const invalid = [];
+
+  for (const channel of channels) {
+    const raw = payload[channel.key];
+
+    if (raw === undefined || raw === null || raw === '') {
+      if (channel.required) missing.push(channel.key);
+      continue;
+    }
+
+    const value = Number(raw);
+    if (!Number.isFinite(value)) {
+      invalid.push(channel.key);
+      continue;
+    }
+
+    values[channel.key] = value;
+  }
+
+  return { values, missing, invalid };
+};
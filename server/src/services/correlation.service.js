@@ -0,0 +1,525 @@
+// Multivariate drift detection: a learned operating envelope (mean vector and covariance of a
+// device's channels) scored by Mahalanobis distance, plus rolling pairwise correlations.
+// Either one departing from normal is a "correlation break" that feeds health and alerts.
+import DeviceEnvelope from '../models/DeviceEnvelope.model.js';
+import CorrelationBreak from '../models/CorrelationBreak.model.js';
+import { createAlert } from './alert.service.js';
+import { emitAlert, emitCorrelationBreak } from '../sockets/realtime.socket.js';
+import { readNumber } from '../utils/env.js';
+
+// Effective sample window of the envelope; older readings fade out past this count
+const ENVELOPE_WINDOW = Math.round(readNumber('ENVELOPE_WINDOW', 2000));
+// No scoring until the envelope has this many samples
+const MIN_SAMPLES = Math.round(readNumber('ENVELOPE_MIN_SAMPLES', 500));
+const PERSIST_MS = readNumber('ENVELOPE_PERSIST_MS', 60000);
+
+// Readings in the rolling correlation window
+const CORRELATION_WINDOW = Math.round(readNumber('CORRELATION_WINDOW', 60));
+// A pair breaks when its recent correlation moves this far from the envelope's,
+// and at least one of the two is this strong
+const BREAK_DELTA = readNumber('CORRELATION_BREAK_DELTA', 0.8);
+const MIN_CORRELATION = readNumber('CORRELATION_MIN_STRENGTH', 0.6);
+// Pairs are only judged while one of the channels moves at least this much (recent σ / envelope σ);
+// steady readings are just noise and their correlation means nothing
+const MIN_ACTIVITY = 0.3;
+
+// Drift: EWMA of squared Mahalanobis distances above the chi-square quantile at this standard
+// normal z (2.33 = 99%). Readings are autocorrelated, so the limit is a quantile, not an EWMA control band
+const EWMA_ALPHA = Math.min(readNumber('MAHALANOBIS_EWMA_ALPHA', 0.05), 1);
+const LIMIT_Z = readNumber('MAHALANOBIS_LIMIT_Z', 2.33);
+// Readings beyond the 99.9% quantile are learned (and smoothed) clipped to it
+const CLIP_Z = 3.09;
+
+// Strength at which a break is CRITICAL, and below which an ongoing break clears
+const CRITICAL_STRENGTH = readNumber('CORRELATION_CRITICAL_STRENGTH', 2);
+const CLEAR_STRENGTH = 0.8;
+// At most one CORRELATION_BREAK alert per device per cooldown; breaks are always stored
+const ALERT_COOLDOWN_MS = readNumber('CORRELATION_ALERT_COOLDOWN_MS', 15 * 60 * 1000);
+
+// deviceId -> Promise<envelope | null>
+const envelopeCache = new Map();
+const dirtyDevices = new Set();
+// deviceId -> time of the last CORRELATION_BREAK alert (ms)
+const lastAlertAt = new Map();
+
+const round = (value, digits = 3) => Math.round(value * 10 ** digits) / 10 ** digits;
+
+const createEnvelope = (deviceId, channels) => ({
+  deviceId,
+  channels,
+  count: 0,
+  mean: channels.map(() => 0),
+  covariance: channels.map(() => channels.map(() => 0)),
+  // Expected value of a squared distance in k dimensions
+  ewmaDistance2: channels.length,
+  lastValueAt: null,
+  recent: [],
+  activeBreak: null,
+});
+
+// Loaded once per device, with any break still open when the process stopped
+const loadEnvelope = (deviceId) => {
+  if (!envelopeCache.has(deviceId)) {
+    const loading = Promise.all([
+      DeviceEnvelope.findOne({ deviceId }).lean(),
+      CorrelationBreak.findOne({ deviceId, endedAt: null }).sort({ startedAt: -1 }).lean(),
+    ])
+      .then(([doc, openBreak]) => {
+        if (!doc) return null;
+
+        const envelope = {
+          ...createEnvelope(deviceId, doc.channels),
+          count: doc.count || 0,
+          mean: doc.mean,
+          covariance: doc.covariance,
+          ewmaDistance2: doc.ewmaDistance2 || doc.channels.length,
+          lastValueAt: doc.lastValueAt || null,
+        };
+        if (openBreak) {
+          envelope.activeBreak = { ...openBreak, saved: Promise.resolve(openBreak) };
+        }
+        return envelope;
+      })
+      .catch((error) => {
+        envelopeCache.delete(deviceId);
+        throw error;
+      });
+    envelopeCache.set(deviceId, loading);
+  }
+  return envelopeCache.get(deviceId);
+};
+
+// Wilson–Hilferty approximation of the chi-square quantile with k degrees of freedom at standard normal z
+const chiSquareQuantile = (k, z) => k * (1 - 2 / (9 * k) + z * Math.sqrt(2 / (9 * k))) ** 3;
+
+const distanceLimit2 = (k) => chiSquareQuantile(k, LIMIT_Z);
+
+// Channels without a spread (e.g. a constant reading) still need a usable variance
+const getVarianceFloor = (channel, mean) => {
+  if (channel && Number.isFinite(channel.min) && Number.isFinite(channel.max)) {
+    return ((channel.max - channel.min) * 0.01) ** 2;
+  }
+  return (Math.abs(mean) * 0.01) ** 2 || 1e-12;
+};
+
+// Solve A·x = b by Gaussian elimination with partial pivoting; null if A is singular
+const solve = (matrix, vector) => {
+  const n = vector.length;
+  const a = matrix.map((row, i) => [...row, vector[i]]);
+
+  for (let col = 0; col < n; col++) {
+    let pivot = col;
+    for (let row = col + 1; row < n; row++) {
+      if (Math.abs(a[row][col]) > Math.abs(a[pivot][col])) pivot = row;
+    }
+    if (!(Math.abs(a[pivot][col]) > 0)) return null;
+    [a[col], a[pivot]] = [a[pivot], a[col]];
+
+    for (let row = col + 1; row < n; row++) {
+      const factor = a[row][col] / a[col][col];
+      for (let k = col; k <= n; k++) a[row][k] -= factor * a[col][k];
+    }
+  }
+
+  const x = new Array(n).fill(0);
+  for (let row = n - 1; row >= 0; row--) {
+    let sum = a[row][n];
+    for (let k = row + 1; k < n; k++) sum -= a[row][k] * x[k];
+    x[row] = sum / a[row][row];
+  }
+  return x;
+};
+
+const pearson = (rows, i, j) => {
+  const n = rows.length;
+  let meanI = 0;
+  let meanJ = 0;
+  for (const row of rows) {
+    meanI += row[i] / n;
+    meanJ += row[j] / n;
+  }
+
+  let sij = 0;
+  let sii = 0;
+  let sjj = 0;
+  for (const row of rows) {
+    sij += (row[i] - meanI) * (row[j] - meanJ);
+    sii += (row[i] - meanI) ** 2;
+    sjj += (row[j] - meanJ) ** 2;
+  }
+
+  return {
+    correlation: sii > 0 && sjj > 0 ? sij / Math.sqrt(sii * sjj) : null,
+    stdDevs: [Math.sqrt(sii / n), Math.sqrt(sjj / n)],
+  };
+};
+
+const envelopeCorrelation = (covariance, i, j) => {
+  const denominator = Math.sqrt(covariance[i][i] * covariance[j][j]);
+  return denominator > 0 ? covariance[i][j] / denominator : null;
+};
+
+// Welford update of mean and covariance with the count capped at the window, like the per-channel baselines
+const updateEnvelope = (envelope, values) => {
+  const n = Math.min(envelope.count + 1, ENVELOPE_WINDOW);
+  const delta = values.map((value, i) => value - envelope.mean[i]);
+  const k = values.length;
+
+  for (let i = 0; i < k; i++) {
+    envelope.mean[i] += delta[i] / n;
+  }
+  for (let i = 0; i < k; i++) {
+    for (let j = 0; j < k; j++) {
+      envelope.covariance[i][j] = (1 - 1 / n) * (envelope.covariance[i][j] + (delta[i] * delta[j]) / n);
+    }
+  }
+  envelope.count += 1;
+};
+
+// Pairs whose recent correlation departed from the envelope's, with their break strength
+const findBrokenPairs = (envelope) => {
+  if (envelope.recent.length < CORRELATION_WINDOW) return [];
+
+  const { channels, covariance, recent } = envelope;
+  const pairs = [];
+
+  for (let i = 0; i < channels.length; i++) {
+    for (let j = i + 1; j < channels.length; j++) {
+      const baseline = envelopeCorrelation(covariance, i, j);
+      const { correlation: current, stdDevs } = pearson(recent, i, j);
+      if (baseline === null || current === null) continue;
+
+      const activity = Math.max(
+        stdDevs[0] / Math.sqrt(covariance[i][i]),
+        stdDevs[1] / Math.sqrt(covariance[j][j])
+      );
+      const change = Math.abs(current - baseline);
+      if (activity < MIN_ACTIVITY || change < BREAK_DELTA) continue;
+      if (Math.max(Math.abs(current), Math.abs(baseline)) < MIN_CORRELATION) continue;
+
+      pairs.push({
+        channels: [channels[i], channels[j]],
+        baseline: round(baseline),
+        recent: round(current),
+        strength: change / BREAK_DELTA,
+      });
+    }
+  }
+
+  return pairs;
+};
+
+// Break findings are stored, broadcast and alerted without blocking ingestion
+const openBreak = (envelope, finding) => {
+  const { deviceId } = envelope;
+  const saved = CorrelationBreak.create({ deviceId, ...finding, peakStrength: finding.strength });
+  envelope.activeBreak = { ...finding, peakStrength: finding.strength, saved };
+
+  console.warn(
+    `⚠ [CORRELATION] ${deviceId} break in ${finding.channels.join(', ')} (strength=${finding.strength}, distance=${finding.distance}/${finding.distanceLimit})`
+  );
+
+  saved
+    .then(async (doc) => {
+      emitCorrelationBreak(deviceId, doc.toObject());
+
+      const now = Date.now();
+      if (now - (lastAlertAt.get(deviceId) || 0) < ALERT_COOLDOWN_MS) return;
+      lastAlertAt.set(deviceId, now);
+
+      const pairText = finding.pairs
+        .map((p) => `${p.channels.join('/')} correlation ${p.baseline} → ${p.recent}`)
+        .join('; ');
+      const message = `Correlation break: ${finding.channels.join(', ')} left the normal operating envelope` +
+        (pairText ? ` (${pairText})` : '');
+
+      const alert = await createAlert(deviceId, finding.severity, message, 'CORRELATION_BREAK', finding.values);
+      emitAlert(alert);
+    })
+    .catch((error) => {
+      console.error(`✗ Error recording correlation break for ${deviceId}:`, error.message);
+    });
+};
+
+const closeBreak = (envelope, endedAt) => {
+  const { deviceId, activeBreak } = envelope;
+  envelope.activeBreak = null;
+
+  console.log(`✓ [CORRELATION] ${deviceId} back within its operating envelope`);
+
+  activeBreak.saved
+    .then((doc) =>
+      CorrelationBreak.findByIdAndUpdate(
+        doc._id,
+        {
+          endedAt,
+          peakStrength: activeBreak.peakStrength,
+          severity: activeBreak.peakStrength >= CRITICAL_STRENGTH ? 'CRITICAL' : 'WARNING',
+        },
+        { new: true }
+      ).lean()
+    )
+    .then((doc) => {
+      if (doc) emitCorrelationBreak(deviceId, doc);
+    })
+    .catch((error) => {
+      console.error(`✗ Error closing correlation break for ${deviceId}:`, error.message);
+    });
+};
+
+// Score a live reading against the device's envelope and rolling correlations, then learn from it.
+// Returns the current strength (>= 1 is a break), or null while the envelope is still learning.
+export const scoreCorrelations = async (deviceId, reading, channels) => {
+  try {
+    const catalogKeys = channels.map((channel) => channel.key);
+    let envelope = await loadEnvelope(deviceId);
+
+    // A channel dropped from the catalog starts a new envelope
+    if (envelope && !envelope.channels.every((key) => catalogKeys.includes(key))) {
+      if (envelope.activeBreak) closeBreak(envelope, new Date(reading.timestamp));
+      envelope = null;
+    }
+    if (!envelope) {
+      const keys = catalogKeys.filter((key) => Number.isFinite(reading[key])).sort();
+      if (keys.length < 2) return null;
+      envelope = createEnvelope(deviceId, keys);
+      envelopeCache.set(deviceId, Promise.resolve(envelope));
+    }
+
+    const values = envelope.channels.map((key) => reading[key]);
+    if (!values.every(Number.isFinite)) return null;
+
+    const timestamp = new Date(reading.timestamp);
+    const k = values.length;
+    let learnValues = values;
+    let strength = null;
+
+    envelope.recent.push(values);
+    if (envelope.recent.length > CORRELATION_WINDOW) envelope.recent.shift();
+
+    if (envelope.count >= MIN_SAMPLES) {
+      const catalog = new Map(channels.map((channel) => [channel.key, channel]));
+      const regularized = envelope.covariance.map((row, i) =>
+        row.map((value, j) =>
+          i === j ? value + getVarianceFloor(catalog.get(envelope.channels[i]), envelope.mean[i]) : value
+        )
+      );
+      const delta = values.map((value, i) => value - envelope.mean[i]);
+      const weighted = solve(regularized, delta);
+
+      if (weighted) {
+        const distance2 = delta.reduce((sum, d, i) => sum + d * weighted[i], 0);
+        const clip2 = chiSquareQuantile(k, CLIP_Z);
+
+        // Clipped so a lone outlier neither drags the envelope nor reads as drift
+        if (distance2 > clip2) {
+          const scale = Math.sqrt(clip2 / distance2);
+          learnValues = envelope.mean.map((mean, i) => mean + delta[i] * scale);
+        }
+        envelope.ewmaDistance2 = EWMA_ALPHA * Math.min(distance2, clip2) + (1 - EWMA_ALPHA) * envelope.ewmaDistance2;
+
+        const limit2 = distanceLimit2(k);
+        const distanceStrength = Math.sqrt(envelope.ewmaDistance2 / limit2);
+        const pairs = findBrokenPairs(envelope);
+        strength = Math.max(distanceStrength, ...pairs.map((pair) => pair.strength));
+
+        if (strength >= 1 || (envelope.activeBreak && strength >= CLEAR_STRENGTH)) {
+          // Implicated: both channels of each broken pair, and the channels carrying most of the distance
+          const implicated = new Set(pairs.flatMap((pair) => pair.channels));
+          if (distanceStrength >= 1) {
+            delta.forEach((d, i) => {
+              if (d * weighted[i] >= distance2 / k) implicated.add(envelope.channels[i]);
+            });
+          }
+
+          const finding = {
+            severity: strength >= CRITICAL_STRENGTH ? 'CRITICAL' : 'WARNING',
+            strength: round(strength),
+            channels: Array.from(implicated),
+            pairs: pairs.map(({ strength: _strength, ...pair }) => pair),
+            distance: round(Math.sqrt(envelope.ewmaDistance2)),
+            distanceLimit: round(Math.sqrt(limit2)),
+            values: Object.fromEntries(envelope.channels.map((key, i) => [key, values[i]])),
+          };
+
+          if (!envelope.activeBreak) {
+            openBreak(envelope, { ...finding, startedAt: timestamp });
+          } else {
+            const { activeBreak } = envelope;
+            Object.assign(activeBreak, finding, {
+              startedAt: activeBreak.startedAt,
+              channels: finding.channels.length > 0 ? finding.channels : activeBreak.channels,
+              peakStrength: Math.max(activeBreak.peakStrength || 0, finding.strength),
+            });
+          }
+        } else if (envelope.activeBreak) {
+          closeBreak(envelope, timestamp);
+        }
+      }
+    }
+
+    // Frozen during a break, so a lasting change stays a break until the envelope is reset
+    if (!envelope.activeBreak) {
+      updateEnvelope(envelope, learnValues);
+    }
+    envelope.lastValueAt = timestamp;
+    dirtyDevices.add(deviceId);
+
+    return strength === null ? null : round(strength);
+  } catch (error) {
+    console.error(`✗ Correlation scoring error for ${deviceId}:`, error.message);
+    throw error;
+  }
+};
+
+const toFinding = ({ startedAt, endedAt = null, severity, strength, peakStrength, channels, pairs, distance, distanceLimit }) => ({
+  startedAt,
+  endedAt,
+  severity,
+  strength,
+  peakStrength,
+  channels,
+  pairs,
+  distance,
+  distanceLimit,
+});
+
+// Break in progress for the health formula: the live one, or the stored one open at `at` (backtests)
+export const getCorrelationBreak = async (deviceId, at) => {
+  try {
+    if (!at) {
+      const envelope = envelopeCache.has(deviceId) ? await envelopeCache.get(deviceId) : null;
+      return envelope?.activeBreak ? toFinding(envelope.activeBreak) : null;
+    }
+
+    const stored = await CorrelationBreak.findOne({
+      deviceId,
+      startedAt: { $lte: at },
+      $or: [{ endedAt: null }, { endedAt: { $gt: at } }],
+    })
+      .sort({ startedAt: -1 })
+      .lean();
+
+    // Stored breaks only keep their peak, which is what they were alerted at
+    return stored ? toFinding({ ...stored, strength: stored.peakStrength ?? stored.strength }) : null;
+  } catch (error) {
+    console.error(`✗ Error loading correlation break for ${deviceId}:`, error.message);
+    throw error;
+  }
+};
+
+// Stored correlation breaks for a device, newest first
+export const getCorrelationBreaks = async (deviceId, { since, limit = 200 } = {}) => {
+  try {
+    const query = { deviceId };
+    // Breaks still open when the range starts count too
+    if (since) query.$or = [{ startedAt: { $gte: since } }, { endedAt: null }, { endedAt: { $gte: since } }];
+
+    return await CorrelationBreak.find(query).sort({ startedAt: -1 }).limit(limit).lean();
+  } catch (error) {
+    console.error(`✗ Error fetching correlation breaks for ${deviceId}:`, error.message);
+    throw error;
+  }
+};
+
+// Write every envelope that changed since the last flush
+export const flushEnvelopes = async () => {
+  if (dirtyDevices.size === 0) return 0;
+
+  const deviceIds = Array.from(dirtyDevices);
+  dirtyDevices.clear();
+
+  try {
+    const operations = [];
+    for (const deviceId of deviceIds) {
+      const envelope = await envelopeCache.get(deviceId);
+      if (!envelope) continue;
+
+      const { channels, count, mean, covariance, ewmaDistance2, lastValueAt } = envelope;
+      operations.push({
+        updateOne: {
+          filter: { deviceId },
+          update: { $set: { channels, count, mean, covariance, ewmaDistance2, lastValueAt } },
+          upsert: true,
+        },
+      });
+    }
+
+    if (operations.length > 0) {
+      await DeviceEnvelope.bulkWrite(operations, { ordered: false });
+    }
+    return operations.length;
+  } catch (error) {
+    // Try again on the next flush
+    deviceIds.forEach((deviceId) => dirtyDevices.add(deviceId));
+    console.error('✗ Error persisting envelopes:', error.message);
+    throw error;
+  }
+};
+
+// Forget a device's envelope (e.g. after maintenance changed how it runs) and close any open break
+export const resetDeviceEnvelope = async (deviceId) => {
+  try {
+    const envelope = envelopeCache.has(deviceId) ? await envelopeCache.get(deviceId).catch(() => null) : null;
+    envelopeCache.set(deviceId, Promise.resolve(null));
+    dirtyDevices.delete(deviceId);
+
+    const now = new Date();
+    await Promise.all([
+      DeviceEnvelope.deleteOne({ deviceId }),
+      CorrelationBreak.updateMany({ deviceId, endedAt: null }, { endedAt: now }),
+    ]);
+
+    if (envelope?.activeBreak) {
+      emitCorrelationBreak(deviceId, { ...toFinding(envelope.activeBreak), deviceId, endedAt: now });
+    }
+    console.log(`✓ [CORRELATION] ${deviceId} envelope reset`);
+  } catch (error) {
+    console.error(`✗ Error resetting envelope for ${deviceId}:`, error.message);
+    throw error;
+  }
+};
+
+// Current envelope for a device, summarized for the API (correlations instead of raw covariance)
+export const getDeviceEnvelope = async (deviceId) => {
+  try {
+    const envelope = await loadEnvelope(deviceId);
+    if (!envelope) return null;
+
+    const { channels, count, mean, covariance, ewmaDistance2, lastValueAt, recent, activeBreak } = envelope;
+    const k = channels.length;
+
+    return {
+      channels,
+      ready: count >= MIN_SAMPLES,
+      count,
+      mean: mean.map((value) => round(value)),
+      stdDev: covariance.map((row, i) => round(Math.sqrt(row[i]))),
+      correlation: channels.map((_, i) =>
+        channels.map((__, j) => {
+          const value = envelopeCorrelation(covariance, i, j);
+          return value === null ? null : round(value);
+        })
+      ),
+      recentCorrelation: recent.length >= CORRELATION_WINDOW
+        ? channels.map((_, i) =>
+            channels.map((__, j) => {
+              const { correlation } = pearson(recent, i, j);
+              return correlation === null ? null : round(correlation);
+            })
+          )
+        : null,
+      distance: round(Math.sqrt(ewmaDistance2)),
+      distanceLimit: round(Math.sqrt(distanceLimit2(k))),
+      activeBreak: activeBreak ? toFinding(activeBreak) : null,
+      lastValueAt,
+    };
+  } catch (error) {
+    console.error(`✗ Error loading envelope for ${deviceId}:`, error.message);
+    throw error;
+  }
+};
+
+setInterval(() => {
+  flushEnvelopes().catch(() => {});
+}, PERSIST_MS).unref();
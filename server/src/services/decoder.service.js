@@ -0,0 +1,179 @@
+// Payload decoder registry: picks a decoder per device or topic pattern
+import Device from '../models/Device.model.js';
+import { decodeJSON } from '../decoders/json.decoder.js';
+import { decodeCBOR } from '../decoders/cbor.decoder.js';
+import { decodeCSV } from '../decoders/csv.decoder.js';
+import { decodeSparkplugB } from '../decoders/sparkplug.decoder.js';
+
+const DEFAULT_DECODER = 'json';
+
+// name -> decode(buffer, { topic }) => raw reading objects
+const decoders = new Map([
+  ['json', decodeJSON],
+  ['cbor', decodeCBOR],
+  ['csv', decodeCSV],
+  ['sparkplugb', decodeSparkplugB],
+]);
+
+// Ordered topic rules, first match wins: [{ pattern, decoder }]
+const topicRules = [{ pattern: 'spBv1.0/#', decoder: 'sparkplugb' }];
+
+// Per-device overrides (Device.payloadFormat): deviceId -> decoder name
+const deviceDecoders = new Map();
+
+// MQTT wildcard match: "+" matches one level, "#" matches the rest
+export const topicMatches = (pattern, topic) => {
+  const patternLevels = pattern.split('/');
+  const topicLevels = topic.split('/');
+
+  for (let i = 0; i < patternLevels.length; i++) {
+    if (patternLevels[i] === '#') return true;
+    if (i >= topicLevels.length) return false;
+    if (patternLevels[i] !== '+' && patternLevels[i] !== topicLevels[i]) return false;
+  }
+
+  return patternLevels.length === topicLevels.length;
+};
+
+// Device ID carried by the topic itself (iot/sensors/<id>, spBv1.0/<group>/<type>/<node>/<device>)
+export const extractDeviceIdFromTopic = (topic) => {
+  const levels = topic.split('/');
+  if (levels[0] === 'spBv1.0') {
+    return levels[4] || levels[3] || null;
+  }
+  return levels[levels.length - 1] || null;
+};
+
+export const registerDecoder = (name, decode) => {
+  if (typeof decode !== 'function') {
+    throw new Error(`Decoder "${name}" must be a function`);
+  }
+  decoders.set(name.toLowerCase(), decode);
+};
+
+export const getDecoderNames = () => Array.from(decoders.keys());
+
+export const registerTopicDecoder = (pattern, decoderName) => {
+  const name = decoderName.toLowerCase();
+  if (!decoders.has(name)) {
+    throw new Error(`Unknown payload decoder: ${decoderName}`);
+  }
+  // Later registrations take precedence over built-in rules
+  topicRules.unshift({ pattern, decoder: name });
+};
+
+export const setDeviceDecoder = (deviceId, decoderName) => {
+  if (!decoderName) {
+    deviceDecoders.delete(deviceId);
+    return;
+  }
+
+  const name = decoderName.toLowerCase();
+  if (!decoders.has(name)) {
+    throw new Error(`Unknown payload decoder: ${decoderName}`);
+  }
+  deviceDecoders.set(deviceId, name);
+};
+
+// Parse MQTT_TOPIC_DECODERS, e.g. "iot/cbor/#=cbor;plc/+/lines=csv"
+export const loadTopicDecodersFromEnv = (value = process.env.MQTT_TOPIC_DECODERS) => {
+  if (!value) return;
+
+  for (const entry of value.split(';')) {
+    const [pattern, decoderName] = entry.split('=').map((part) => part?.trim());
+    if (!pattern || !decoderName) continue;
+
+    try {
+      registerTopicDecoder(pattern, decoderName);
+      console.log(`✓ Payload decoder "${decoderName}" registered for ${pattern}`);
+    } catch (error) {
+      console.warn(`⚠ Skipping decoder rule "${entry}": ${error.message}`);
+    }
+  }
+};
+
+// Load per-device payload formats from MongoDB
+export const loadDeviceDecoders = async () => {
+  try {
+    const devices = await Device.find(
+      { payloadFormat: { $exists: true, $ne: null } },
+      { deviceId: 1, payloadFormat: 1 }
+    );
+
+    for (const device of devices) {
+      try {
+        setDeviceDecoder(device.deviceId, device.payloadFormat);
+      } catch (error) {
+        console.warn(`⚠ ${device.deviceId}: ${error.message}`);
+      }
+    }
+
+    return deviceDecoders.size;
+  } catch (error) {
+    console.error('✗ Error loading device payload formats:', error.message);
+    throw error;
+  }
+};
+
+export const resolveDecoder = (topic) => {
+  const deviceId = extractDeviceIdFromTopic(topic);
+  if (deviceId && deviceDecoders.has(deviceId)) {
+    return deviceDecoders.get(deviceId);
+  }
+
+  const rule = topicRules.find((r) => topicMatches(r.pattern, topic));
+  return rule ? rule.decoder : DEFAULT_DECODER;
+};
+
+const toNumber = (value) => {
+  if (value === undefined || value === null || value === '') return undefined;
+  const num = Number(value);
+  return Number.isNaN(num) ? value : num;
+};
+
+const toTimestamp = (value) => {
+  if (value === undefined || value === null || value === '') return undefined;
+  // Epoch seconds or milliseconds
+  if (typeof value === 'number' || /^\d+$/.test(String(value))) {
+    const num = Number(value);
+    return new Date(num < 1e12 ? num * 1000 : num).toISOString();
+  }
+  return value;
+};
+
+// Map a decoded record onto the shape saveSensorData expects.
+// Every field besides the device ID, timestamp and units is treated as a channel value.
+export const normalizeReading = (raw, topic) => {
+  const { deviceId, device_id: deviceIdSnake, deviceid, timestamp, units, ...fields } = raw;
+
+  const reading = {
+    deviceId: deviceId ?? deviceIdSnake ?? deviceid ?? extractDeviceIdFromTopic(topic),
+    timestamp: toTimestamp(timestamp),
+  };
+
+  // Optional per-message unit override, e.g. { temperature: '°F' }
+  if (units && typeof units === 'object') {
+    reading.units = units;
+  }
+
+  for (const [channel, value] of Object.entries(fields)) {
+    reading[channel] = toNumber(value);
+  }
+
+  return reading;
+};
+
+// Decode a raw MQTT message into zero or more normalized readings
+export const decodePayload = (topic, buffer) => {
+  const decoderName = resolveDecoder(topic);
+  const decode = decoders.get(decoderName);
+
+  try {
+    const records = decode(buffer, { topic });
+    return records
+      .filter((record) => record && typeof record === 'object')
+      .map((record) => normalizeReading(record, topic));
+  } catch (error) {
+    throw new Error(`${decoderName} decode failed: ${error.message}`);
+  }
+};
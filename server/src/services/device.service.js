@@ -34,3 +34,14 @@ export const ensureDeviceExists = async (deviceId) => {
     throw error;
   }
 };
+
+// Targeting shared by alert rules and escalation policies: { deviceIds, deviceTypes, assetGroups }.
+// All lists empty matches every device; otherwise any listed device, type or group matches.
+export const matchesDeviceTarget = (target, deviceId, device) => {
+  const { deviceIds = [], deviceTypes = [], assetGroups = [] } = target || {};
+  if (deviceIds.length === 0 && deviceTypes.length === 0 && assetGroups.length === 0) return true;
+
+  return deviceIds.includes(deviceId)
+    || (Boolean(device?.deviceType) && deviceTypes.includes(device.deviceType))
+    || (Boolean(device?.assetGroup) && assetGroups.includes(device.assetGroup));
+};
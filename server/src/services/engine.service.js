@@ -0,0 +1,191 @@
+// Prediction engine registry: picks an engine chain per device or device type
+import path from 'path';
+import { pathToFileURL } from 'url';
+import DeviceType from '../models/DeviceType.model.js';
+import { formulaEngine } from '../engines/formula.engine.js';
+import { rulesEngine } from '../engines/rules.engine.js';
+import { llmEngine } from '../engines/llm.engine.js';
+
+// Always tried last so every device gets a prediction
+const LAST_RESORT_ENGINE = 'formula';
+const ENGINE_TIMEOUT_MS = parseInt(process.env.PREDICTION_ENGINE_TIMEOUT_MS, 10) || 15000;
+
+// name -> { name, description, outputSchema, predict(readings, { channels, device, profile, spectral, correlation }) }
+const engines = new Map([
+  [formulaEngine.name, formulaEngine],
+  [rulesEngine.name, rulesEngine],
+  [llmEngine.name, llmEngine],
+]);
+
+const parseEngineList = (value) =>
+  String(value || '')
+    .split(',')
+    .map((name) => name.trim().toLowerCase())
+    .filter(Boolean);
+
+// Chain for devices whose device and type declare none, e.g. "llm,rules"
+const DEFAULT_ENGINE_CHAIN = parseEngineList(process.env.PREDICTION_ENGINES || LAST_RESORT_ENGINE);
+
+export const registerEngine = (engine) => {
+  const { name, predict, outputSchema } = engine || {};
+
+  if (!name || typeof predict !== 'function') {
+    throw new Error('Prediction engine needs a name and a predict function');
+  }
+  if (!outputSchema || typeof outputSchema !== 'object') {
+    throw new Error(`Prediction engine "${name}" must declare an outputSchema`);
+  }
+
+  engines.set(name.toLowerCase(), { ...engine, name: name.toLowerCase() });
+};
+
+// Load the custom engines listed in PREDICTION_ENGINE_MODULES (comma-separated paths,
+// relative to the working directory). Each module's default export is an engine or an array of them.
+export const loadEngineModules = async (modules = process.env.PREDICTION_ENGINE_MODULES) => {
+  const paths = String(modules || '')
+    .split(',')
+    .map((modulePath) => modulePath.trim())
+    .filter(Boolean);
+
+  let loaded = 0;
+  for (const modulePath of paths) {
+    try {
+      const { default: exported } = await import(pathToFileURL(path.resolve(modulePath)).href);
+      for (const engine of Array.isArray(exported) ? exported : [exported]) {
+        registerEngine(engine);
+        loaded += 1;
+      }
+    } catch (error) {
+      console.warn(`⚠ Prediction engine module ${modulePath} not loaded: ${error.message}`);
+    }
+  }
+
+  return loaded;
+};
+
+export const getEngineNames = () => Array.from(engines.keys());
+
+export const listEngines = () =>
+  Array.from(engines.values()).map(({ name, description, outputSchema }) => ({
+    name,
+    description,
+    outputSchema,
+  }));
+
+// Throws on unknown names; returns the lowercased chain
+export const validateEngineChain = (chain) => {
+  if (!Array.isArray(chain)) {
+    throw new Error('predictionEngines must be an array of engine names');
+  }
+
+  const names = chain.map((name) => String(name).toLowerCase());
+  const unknown = names.filter((name) => !engines.has(name));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown prediction engine(s): ${unknown.join(', ')}. Available: ${getEngineNames().join(', ')}`);
+  }
+
+  return names;
+};
+
+// Device chain, then device type chain, then PREDICTION_ENGINES
+export const getDeviceEngineChain = async (device) => {
+  try {
+    if (device?.predictionEngines?.length) {
+      return [...device.predictionEngines];
+    }
+
+    if (device?.deviceType) {
+      const deviceType = await DeviceType.findOne(
+        { typeId: device.deviceType },
+        { predictionEngines: 1 }
+      ).lean();
+      if (deviceType?.predictionEngines?.length) {
+        return [...deviceType.predictionEngines];
+      }
+    }
+
+    return [...DEFAULT_ENGINE_CHAIN];
+  } catch (error) {
+    console.error(`✗ Error resolving prediction engines for ${device?.deviceId}:`, error.message);
+    throw error;
+  }
+};
+
+// Check an engine's output against its declared schema; returns the problems found
+const validateOutput = (output, schema) => {
+  if (!output || typeof output !== 'object') return ['output is not an object'];
+
+  const errors = [];
+  for (const [field, rule] of Object.entries(schema)) {
+    const value = output[field];
+
+    if (value === undefined || value === null) {
+      if (rule.required) errors.push(`missing ${field}`);
+      continue;
+    }
+
+    const type = Array.isArray(value) ? 'array' : typeof value;
+    if (rule.type && type !== rule.type) {
+      errors.push(`${field} must be ${rule.type}`);
+    } else if (rule.enum && !rule.enum.includes(value)) {
+      errors.push(`${field} must be one of ${rule.enum.join('/')}`);
+    } else if (
+      (Number.isFinite(rule.min) && value < rule.min) ||
+      (Number.isFinite(rule.max) && value > rule.max)
+    ) {
+      errors.push(`${field} out of range`);
+    }
+  }
+
+  return errors;
+};
+
+const withTimeout = (promise, ms, name) => {
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => reject(new Error(`${name} timed out after ${ms}ms`)), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+};
+
+// Run the device's engine chain until one produces valid output.
+// The prediction records the engine that produced it and the engines that failed before it.
+// spectral / correlation: latest vibration spectrum features and any ongoing correlation break
+// (see spectral.service and correlation.service), for engines that use them
+export const runPrediction = async (
+  readings,
+  { device, channels, profile, chain, spectral = null, correlation = null } = {}
+) => {
+  const engineChain = chain || (await getDeviceEngineChain(device));
+  const names = [...new Set([...engineChain.map((n) => n.toLowerCase()), LAST_RESORT_ENGINE])];
+  const fallbackFrom = [];
+
+  for (const name of names) {
+    const engine = engines.get(name);
+    if (!engine) {
+      console.warn(`⚠ Unknown prediction engine "${name}" for ${device?.deviceId}`);
+      fallbackFrom.push(name);
+      continue;
+    }
+
+    try {
+      const output = await withTimeout(
+        Promise.resolve(engine.predict(readings, { channels, device, profile, spectral, correlation })),
+        ENGINE_TIMEOUT_MS,
+        name
+      );
+
+      const errors = validateOutput(output, engine.outputSchema);
+      if (errors.length > 0) {
+        throw new Error(`invalid output (${errors.join(', ')})`);
+      }
+
+      return { ...output, engine: name, fallbackFrom };
+    } catch (error) {
+      console.warn(`⚠ Prediction engine "${name}" failed for ${device?.deviceId}: ${error.message}`);
+      fallbackFrom.push(name);
+    }
+  }
+
+  return null;
+};
@@ -0,0 +1,297 @@
+// Escalation policies: attach a policy to new alerts and step unacknowledged ones up on a schedule
+import mongoose from 'mongoose';
+import Alert from '../models/Alert.model.js';
+import Device from '../models/Device.model.js';
+import EscalationPolicy from '../models/EscalationPolicy.model.js';
+import { matchesDeviceTarget } from './device.service.js';
+import { emitAlertEscalated } from '../sockets/realtime.socket.js';
+import { notifyAlertEscalated } from './notification.service.js';
+import { readNumber } from '../utils/env.js';
+import { httpError } from '../utils/errors.js';
+import { validateStringList } from '../utils/validators.js';
+import { createCachedLoader } from '../utils/cache.js';
+
+const CHECK_INTERVAL_MS = readNumber('ESCALATION_CHECK_INTERVAL_MS', 30000);
+// Enabled policies are re-read at least this often
+const POLICY_CACHE_TTL_MS = readNumber('ESCALATION_POLICY_CACHE_TTL_MS', 30000);
+const MINUTE_MS = 60 * 1000;
+// Due alerts handled per pass
+const BATCH_SIZE = 100;
+const MAX_STEPS = 10;
+const MAX_AFTER_MINUTES = 7 * 24 * 60;
+
+const SEVERITY_RANK = { INFO: 0, WARNING: 1, CRITICAL: 2 };
+const ALERT_SEVERITIES = Object.keys(SEVERITY_RANK);
+
+let schedulerTimer = null;
+let checking = false;
+
+// Bad policy definitions
+const invalidPolicy = (detail) => httpError(400, `Invalid escalation policy: ${detail}`);
+
+const policyNotFound = () => httpError(404, 'Escalation policy not found');
+
+const validateSteps = (steps) => {
+  if (!Array.isArray(steps) || steps.length === 0) throw invalidPolicy('steps must be a non-empty array');
+  if (steps.length > MAX_STEPS) throw invalidPolicy(`at most ${MAX_STEPS} steps per policy`);
+
+  return steps.map((step, i) => {
+    if (!step || typeof step !== 'object') throw invalidPolicy(`steps[${i}] must be an object`);
+
+    const { afterMinutes, raiseSeverity = null } = step;
+    if (typeof afterMinutes !== 'number' || !(afterMinutes > 0) || afterMinutes > MAX_AFTER_MINUTES) {
+      throw invalidPolicy(`steps[${i}].afterMinutes must be between 0 and ${MAX_AFTER_MINUTES}`);
+    }
+    if (i > 0 && afterMinutes <= steps[i - 1].afterMinutes) {
+      throw invalidPolicy('steps must be in increasing afterMinutes order');
+    }
+    if (raiseSeverity !== null && !['WARNING', 'CRITICAL'].includes(raiseSeverity)) {
+      throw invalidPolicy(`steps[${i}].raiseSeverity must be WARNING or CRITICAL`);
+    }
+
+    const notify = validateStringList(step.notify, `steps[${i}].notify`, invalidPolicy);
+    if (!raiseSeverity && notify.length === 0) {
+      throw invalidPolicy(`steps[${i}] must raise the severity or notify someone`);
+    }
+    return { afterMinutes, raiseSeverity, notify };
+  });
+};
+
+// Normalized policy ready to store; throws a 400 error describing the first problem
+export const validateEscalationPolicy = (policy) => {
+  if (!policy || typeof policy !== 'object' || Array.isArray(policy)) throw invalidPolicy('body must be an object');
+
+  const { name, description, enabled = true, priority = 100, match = {}, steps } = policy;
+
+  if (typeof name !== 'string' || !name.trim()) throw invalidPolicy('name is required');
+  if (description !== undefined && description !== null && typeof description !== 'string') {
+    throw invalidPolicy('description must be a string');
+  }
+  if (typeof enabled !== 'boolean') throw invalidPolicy('enabled must be true or false');
+  if (typeof priority !== 'number' || !Number.isFinite(priority)) throw invalidPolicy('priority must be a number');
+  if (!match || typeof match !== 'object' || Array.isArray(match)) throw invalidPolicy('match must be an object');
+
+  const severities = validateStringList(match.severities, 'match.severities', invalidPolicy);
+  if (severities.some((severity) => !ALERT_SEVERITIES.includes(severity))) {
+    throw invalidPolicy(`match.severities may only hold ${ALERT_SEVERITIES.join(', ')}`);
+  }
+
+  return {
+    name: name.trim(),
+    description: description || undefined,
+    enabled,
+    priority,
+    match: {
+      severities,
+      deviceIds: validateStringList(match.deviceIds, 'match.deviceIds', invalidPolicy),
+      deviceTypes: validateStringList(match.deviceTypes, 'match.deviceTypes', invalidPolicy),
+      assetGroups: validateStringList(match.assetGroups, 'match.assetGroups', invalidPolicy),
+    },
+    steps: validateSteps(steps),
+  };
+};
+
+const enabledPolicies = createCachedLoader(
+  () => EscalationPolicy.find({ enabled: true }).sort({ priority: 1, createdAt: 1 }).lean(),
+  POLICY_CACHE_TTL_MS
+);
+
+const findPolicy = async (id) => {
+  if (!mongoose.isValidObjectId(id)) throw policyNotFound();
+  const policy = await EscalationPolicy.findById(id);
+  if (!policy) throw policyNotFound();
+  return policy;
+};
+
+export const listEscalationPolicies = async () => {
+  try {
+    return await EscalationPolicy.find({}).sort({ priority: 1, createdAt: 1 }).lean();
+  } catch (error) {
+    console.error('✗ Error listing escalation policies:', error.message);
+    throw error;
+  }
+};
+
+export const getEscalationPolicy = findPolicy;
+
+export const createEscalationPolicy = async (definition) => {
+  const policy = await EscalationPolicy.create(validateEscalationPolicy(definition));
+  enabledPolicies.invalidate();
+  console.log(`✓ Escalation policy created: ${policy.name}`);
+  return policy;
+};
+
+// Partial update: fields left out keep their stored values.
+// Alerts already under the policy follow its new steps from their current level.
+export const updateEscalationPolicy = async (id, changes) => {
+  const policy = await findPolicy(id);
+  const { _id, createdAt, updatedAt, __v, ...current } = policy.toObject();
+
+  policy.set(validateEscalationPolicy({ ...current, ...changes }));
+  await policy.save();
+  enabledPolicies.invalidate();
+  console.log(`✓ Escalation policy updated: ${policy.name}`);
+  return policy;
+};
+
+// Alerts still escalating under the policy stop where they are
+export const deleteEscalationPolicy = async (id) => {
+  const policy = await findPolicy(id);
+  await policy.deleteOne();
+  enabledPolicies.invalidate();
+
+  await Alert.updateMany(
+    { 'escalation.policyId': policy._id, 'escalation.nextAt': { $ne: null } },
+    { $set: { 'escalation.nextAt': null, 'escalation.stoppedAt': new Date(), 'escalation.stopReason': 'POLICY_REMOVED' } }
+  );
+  console.log(`✓ Escalation policy deleted: ${policy.name}`);
+  return policy;
+};
+
+// Escalation state for a new alert under the first matching policy (by priority), or null
+export const planEscalation = async (deviceId, severity, raisedAt = new Date()) => {
+  const policies = (await enabledPolicies.get()).filter(
+    ({ match }) => match.severities.length === 0 || match.severities.includes(severity)
+  );
+  if (policies.length === 0) return null;
+
+  const needsDevice = policies.some(({ match }) => match.deviceTypes.length > 0 || match.assetGroups.length > 0);
+  const device = needsDevice
+    ? await Device.findOne({ deviceId }, { deviceType: 1, assetGroup: 1 }).lean()
+    : null;
+
+  const policy = policies.find(({ match }) => matchesDeviceTarget(match, deviceId, device));
+  if (!policy) return null;
+
+  return {
+    policyId: policy._id,
+    policyName: policy.name,
+    level: 0,
+    nextAt: new Date(raisedAt.getTime() + policy.steps[0].afterMinutes * MINUTE_MS),
+    steps: [],
+  };
+};
+
+// Called when an alert is acknowledged or resolved; returns the updated alert, or null if it wasn't escalating
+export const stopEscalation = async (alertId, reason) => {
+  try {
+    return await Alert.findOneAndUpdate(
+      { _id: alertId, 'escalation.nextAt': { $ne: null } },
+      { $set: { 'escalation.nextAt': null, 'escalation.stoppedAt': new Date(), 'escalation.stopReason': reason } },
+      { new: true }
+    );
+  } catch (error) {
+    console.error(`✗ Error stopping escalation for alert ${alertId}:`, error.message);
+    throw error;
+  }
+};
+
+// Take the alert's next step. The update only applies while the alert is still ACTIVE at the level read,
+// so an acknowledgement or another pass in between wins.
+const escalateAlert = async (alert, now) => {
+  const { escalation } = alert;
+  const claim = { _id: alert._id, status: 'ACTIVE', 'escalation.level': escalation.level };
+  const stop = (reason) => ({
+    $set: { 'escalation.nextAt': null, 'escalation.stoppedAt': now, 'escalation.stopReason': reason },
+  });
+
+  const policy = await EscalationPolicy.findById(escalation.policyId).lean();
+  if (!policy || !policy.enabled) {
+    await Alert.updateOne(claim, stop('POLICY_REMOVED'));
+    return false;
+  }
+
+  const step = policy.steps[escalation.level];
+  if (!step) {
+    await Alert.updateOne(claim, stop('COMPLETED'));
+    return false;
+  }
+
+  // The policy may have changed since nextAt was set
+  const raisedAt = new Date(alert.createdAt).getTime();
+  const dueAt = new Date(raisedAt + step.afterMinutes * MINUTE_MS);
+  if (dueAt > now) {
+    await Alert.updateOne(claim, { $set: { 'escalation.nextAt': dueAt } });
+    return false;
+  }
+
+  const severityTo = step.raiseSeverity && SEVERITY_RANK[step.raiseSeverity] > SEVERITY_RANK[alert.severity]
+    ? step.raiseSeverity
+    : alert.severity;
+  const level = escalation.level + 1;
+  const record = {
+    level,
+    at: now,
+    afterMinutes: step.afterMinutes,
+    severityFrom: alert.severity,
+    severityTo,
+    notify: step.notify,
+  };
+
+  const next = policy.steps[level];
+  const update = {
+    $set: {
+      severity: severityTo,
+      'escalation.level': level,
+      'escalation.nextAt': next ? new Date(raisedAt + next.afterMinutes * MINUTE_MS) : null,
+      ...(next ? {} : { 'escalation.stoppedAt': now, 'escalation.stopReason': 'COMPLETED' }),
+    },
+    $push: { 'escalation.steps': record },
+  };
+
+  const escalated = await Alert.findOneAndUpdate(claim, update, { new: true });
+  if (!escalated) return false;
+
+  const changes = [
+    severityTo !== alert.severity ? `severity ${alert.severity} → ${severityTo}` : null,
+    step.notify.length > 0 ? `notify ${step.notify.join(', ')}` : null,
+  ].filter(Boolean);
+  console.warn(
+    `⚠ [ESCALATION] Alert ${alert._id} (${alert.deviceId}) unacknowledged for ${step.afterMinutes} min, level ${level} of "${policy.name}": ${changes.join('; ')}`
+  );
+  emitAlertEscalated(escalated, record);
+  notifyAlertEscalated(escalated, record).catch(() => {});
+  return true;
+};
+
+// One scheduler pass over ACTIVE alerts whose next step is due
+export const processDueEscalations = async (now = new Date()) => {
+  if (checking) return 0;
+  checking = true;
+
+  try {
+    const due = await Alert.find({ status: 'ACTIVE', 'escalation.nextAt': { $lte: now } })
+      .sort({ 'escalation.nextAt': 1 })
+      .limit(BATCH_SIZE)
+      .lean();
+
+    let escalatedCount = 0;
+    for (const alert of due) {
+      try {
+        if (await escalateAlert(alert, now)) escalatedCount += 1;
+      } catch (alertError) {
+        console.error(`✗ Error escalating alert ${alert._id}:`, alertError.message);
+      }
+    }
+
+    return escalatedCount;
+  } catch (error) {
+    console.error('✗ Escalation check error:', error.message);
+    return 0;
+  } finally {
+    checking = false;
+  }
+};
+
+export const startEscalationScheduler = () => {
+  if (schedulerTimer) return;
+  schedulerTimer = setInterval(processDueEscalations, CHECK_INTERVAL_MS);
+  console.log(`✓ Escalation scheduler started (check every ${CHECK_INTERVAL_MS / 1000}s)`);
+};
+
+export const stopEscalationScheduler = () => {
+  if (schedulerTimer) {
+    clearInterval(schedulerTimer);
+    schedulerTimer = null;
+  }
+};
@@ -0,0 +1,180 @@
+// What-if health evaluation: score posted readings or a stored window on demand.
+// Read-only: nothing is saved, cached, alerted or broadcast, and the device's state is untouched.
+import Device from '../models/Device.model.js';
+import SensorData from '../models/SensorData.model.js';
+import { getDeviceChannels } from './channel.service.js';
+import { runPrediction, getDeviceEngineChain, validateEngineChain } from './engine.service.js';
+import { resolveHealthProfile } from './healthProfile.service.js';
+import { validateReading } from './validation.service.js';
+import { getSpectralFeatures } from './spectral.service.js';
+import { getCorrelationBreak } from './correlation.service.js';
+import { httpError } from '../utils/errors.js';
+import { parseDate } from '../utils/validators.js';
+import { readNumber } from '../utils/env.js';
+
+const MAX_READINGS = Math.round(readNumber('EVALUATION_MAX_READINGS', 10000));
+const MAX_RANGE_DAYS = readNumber('EVALUATION_MAX_RANGE_DAYS', 31);
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Reasons listed per rejected posted reading before the rest are summarised
+const MAX_REPORTED_ERRORS = 10;
+
+// Bad evaluation parameters
+const invalidEvaluation = (detail) => httpError(400, `Invalid evaluation: ${detail}`);
+
+// Posted readings go through the same schema, unit and limit checks as ingestion
+// (in the device's reporting units), except that timestamps may be anywhere in time
+const preparePostedReadings = (readings, device, channels) => {
+  if (!Array.isArray(readings) || readings.length === 0) {
+    throw invalidEvaluation('readings must be a non-empty array');
+  }
+  if (readings.length > MAX_READINGS) {
+    throw invalidEvaluation(`at most ${MAX_READINGS} readings can be evaluated at once`);
+  }
+
+  const prepared = [];
+  const errors = [];
+
+  readings.forEach((reading, index) => {
+    const { timestamp, ...payload } = reading && typeof reading === 'object' ? reading : {};
+    const result = validateReading({ ...payload, deviceId: device.deviceId }, channels, device.reportingUnits || {});
+
+    const time = timestamp === undefined || timestamp === null ? null : new Date(timestamp);
+    if (time && Number.isNaN(time.getTime())) {
+      result.errors.push(`unparseable timestamp "${timestamp}"`);
+    }
+
+    if (result.errors.length > 0) {
+      errors.push(`readings[${index}]: ${result.errors.join('; ')}`);
+      return;
+    }
+    prepared.push({ ...result.values, timestamp: time, index });
+  });
+
+  if (errors.length > 0) {
+    const more = errors.length > MAX_REPORTED_ERRORS ? ` (and ${errors.length - MAX_REPORTED_ERRORS} more)` : '';
+    throw invalidEvaluation(`${errors.slice(0, MAX_REPORTED_ERRORS).join(', ')}${more}`);
+  }
+
+  // Timestamped readings in time order; untimed ones keep their posted order
+  const timed = prepared.every((r) => r.timestamp);
+  if (timed) prepared.sort((a, b) => a.timestamp - b.timestamp || a.index - b.index);
+
+  return prepared.map(({ index: _index, timestamp, ...values }) => (timestamp ? { ...values, timestamp } : values));
+};
+
+const loadStoredWindow = async (deviceId, from, to) => {
+  const readings = await SensorData.find(
+    { deviceId, timestamp: { $gte: from, $lte: to } },
+    { _id: 0, deviceId: 0, metadata: 0, units: 0, sequence: 0, __v: 0 }
+  )
+    .sort({ timestamp: 1 })
+    .limit(MAX_READINGS + 1)
+    .lean();
+
+  if (readings.length > MAX_READINGS) {
+    throw invalidEvaluation(`the window holds more than ${MAX_READINGS} readings; narrow from/to`);
+  }
+  return readings;
+};
+
+// Score either posted readings or the stored readings between from and to.
+// options: engines (chain) and profile (inline) or profileVersion, as in backtests.
+// A stored window also gets the vibration spectrum and correlation break live inference had at its end;
+// posted readings are hypothetical and are scored on their own values only.
+export const evaluateHealth = async ({ deviceId, readings, from, to, engines, profile, profileVersion } = {}) => {
+  if (!deviceId) throw invalidEvaluation('deviceId is required');
+  if (readings !== undefined && (from !== undefined || to !== undefined)) {
+    throw invalidEvaluation('send either readings or from/to, not both');
+  }
+  if (readings === undefined && from === undefined) {
+    throw invalidEvaluation('readings or from is required');
+  }
+
+  try {
+    const device = await Device.findOne(
+      { deviceId },
+      { deviceId: 1, deviceType: 1, channels: 1, predictionEngines: 1, reportingUnits: 1 }
+    ).lean();
+    if (!device) {
+      throw httpError(404, `Device ${deviceId} not found`);
+    }
+
+    let chain;
+    try {
+      chain = engines ? validateEngineChain(engines) : await getDeviceEngineChain(device);
+    } catch (validationError) {
+      throw invalidEvaluation(validationError.message);
+    }
+
+    const channels = await getDeviceChannels(device);
+    let healthProfile;
+    try {
+      healthProfile = await resolveHealthProfile(device, { profile, profileVersion });
+    } catch (profileError) {
+      throw profileError.statusCode === 400 ? invalidEvaluation(profileError.message) : profileError;
+    }
+
+    let window;
+    let findings = { spectral: null, correlation: null };
+    let range = null;
+
+    if (readings !== undefined) {
+      window = preparePostedReadings(readings, device, channels);
+    } else {
+      const start = parseDate(from, 'from', invalidEvaluation);
+      const end = parseDate(to ?? new Date(), 'to', invalidEvaluation);
+      if (start >= end) throw invalidEvaluation('from must be before to');
+      if (end - start > MAX_RANGE_DAYS * DAY_MS) {
+        throw invalidEvaluation(`range must be at most ${MAX_RANGE_DAYS} days`);
+      }
+
+      window = await loadStoredWindow(deviceId, start, end);
+      if (window.length === 0) {
+        throw httpError(404, 'No sensor data in the requested window');
+      }
+
+      const closedAt = window[window.length - 1].timestamp;
+      findings = {
+        spectral: await getSpectralFeatures(deviceId, closedAt),
+        correlation: await getCorrelationBreak(deviceId, closedAt),
+      };
+      range = { from: start, to: end, firstReadingAt: window[0].timestamp, lastReadingAt: closedAt };
+    }
+
+    const prediction = await runPrediction(window, {
+      device,
+      channels,
+      profile: healthProfile,
+      chain,
+      ...findings,
+    });
+    if (!prediction) {
+      throw invalidEvaluation('no prediction engine could score these readings');
+    }
+
+    return {
+      deviceId,
+      source: readings !== undefined ? 'posted' : 'stored',
+      ...range,
+      readingCount: window.length,
+      config: {
+        engines: chain,
+        healthProfile: { typeId: healthProfile.typeId, version: healthProfile.version },
+      },
+      // Spectrum and correlation break applied to a stored window
+      findings: {
+        spectral: findings.spectral
+          ? { faultBand: findings.spectral.faultBand, faultEnergyRatio: findings.spectral.faultEnergyRatio }
+          : null,
+        correlation: findings.correlation
+          ? { channels: findings.correlation.channels, strength: findings.correlation.strength }
+          : null,
+      },
+      prediction,
+      evaluatedAt: new Date(),
+    };
+  } catch (error) {
+    if (!error.statusCode) console.error(`✗ Health evaluation error for ${deviceId}:`, error.message);
+    throw error;
+  }
+};
@@ -0,0 +1,239 @@
+// Fleet peer comparison: how far each device's channels sit from the devices it should resemble.
+// Readings are averaged per device into time buckets, so every device is compared with its peers
+// over the same hours (same ambient, same shift load) rather than over whatever it last reported.
+import Device from '../models/Device.model.js';
+import SensorData from '../models/SensorData.model.js';
+import { getDeviceChannels } from './channel.service.js';
+import { readNumber } from '../utils/env.js';
+import { httpError } from '../utils/errors.js';
+
+export const PEER_GROUPINGS = ['deviceType', 'assetGroup'];
+
+// A bucket is only compared when at least this many devices reported the channel in it
+const MIN_PEERS = Math.max(2, Math.round(readNumber('PEER_MIN_DEVICES', 3)));
+// Robust z-score from which a device is flagged as an outlier on a channel
+const OUTLIER_Z = readNumber('PEER_OUTLIER_Z', 3);
+// Floor on the peer spread as a fraction of the channel's normal range (max - min), so a fleet of
+// near-identical devices doesn't turn a tiny offset into a huge z-score
+const MIN_SPREAD_FRACTION = readNumber('PEER_MIN_SPREAD', 0.05);
+// Scales a median absolute deviation to a standard deviation for normal data
+const MAD_TO_SIGMA = 1.4826;
+
+const round = (value, digits = 3) =>
+  Number.isFinite(value) ? Math.round(value * 10 ** digits) / 10 ** digits : null;
+
+const median = (values) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+};
+
+const mean = (values) => values.reduce((sum, value) => sum + value, 0) / values.length;
+
+// Bad comparison parameters
+const invalidComparison = (detail) => httpError(400, `Invalid peer comparison: ${detail}`);
+
+// Union of the group's channel catalogs, in first-seen order
+const collectChannels = (members) => {
+  const channels = new Map();
+  for (const { channels: catalog } of members) {
+    for (const channel of catalog) {
+      if (!channels.has(channel.key)) channels.set(channel.key, channel);
+    }
+  }
+  return [...channels.values()];
+};
+
+// deviceId -> bucket start (ms) -> { channelKey: average }
+const loadBucketAverages = async (deviceIds, channels, { since, until, bucketMs }) => {
+  const bucketStart = {
+    $subtract: [{ $toLong: '$timestamp' }, { $mod: [{ $toLong: '$timestamp' }, bucketMs] }],
+  };
+
+  const averages = {};
+  for (const { key } of channels) {
+    averages[key] = { $avg: `$${key}` };
+  }
+
+  const rows = await SensorData.aggregate([
+    { $match: { deviceId: { $in: deviceIds }, timestamp: { $gte: since, $lte: until } } },
+    { $group: { _id: { deviceId: '$deviceId', bucket: bucketStart }, ...averages } },
+  ]);
+
+  const byDevice = new Map();
+  for (const { _id, ...values } of rows) {
+    if (!byDevice.has(_id.deviceId)) byDevice.set(_id.deviceId, new Map());
+    byDevice.get(_id.deviceId).set(Number(_id.bucket), values);
+  }
+  return byDevice;
+};
+
+// Residuals of every device against the bucket's peer median, then one robust spread for the
+// whole channel: each device's z is its average offset over that spread
+const compareChannel = (channel, deviceIds, buckets) => {
+  const perDevice = new Map(deviceIds.map((deviceId) => [deviceId, { values: [], medians: [] }]));
+  const bucketStarts = new Set();
+  for (const byBucket of buckets.values()) {
+    for (const bucket of byBucket.keys()) bucketStarts.add(bucket);
+  }
+
+  for (const bucket of bucketStarts) {
+    const reported = [];
+    for (const deviceId of deviceIds) {
+      const value = buckets.get(deviceId)?.get(bucket)?.[channel.key];
+      if (Number.isFinite(value)) reported.push({ deviceId, value });
+    }
+    if (reported.length < MIN_PEERS) continue;
+
+    const peerMedian = median(reported.map(({ value }) => value));
+    for (const { deviceId, value } of reported) {
+      perDevice.get(deviceId).values.push(value);
+      perDevice.get(deviceId).medians.push(peerMedian);
+    }
+  }
+
+  const residuals = [];
+  for (const { values, medians } of perDevice.values()) {
+    values.forEach((value, index) => residuals.push(value - medians[index]));
+  }
+  if (residuals.length === 0) return null;
+
+  const allMedians = [...perDevice.values()].flatMap(({ medians }) => medians);
+  const range = Number.isFinite(channel.min) && Number.isFinite(channel.max) ? channel.max - channel.min : null;
+  const spreadFloor = MIN_SPREAD_FRACTION * (range ?? Math.abs(median(allMedians)));
+  const spread = Math.max(MAD_TO_SIGMA * median(residuals.map(Math.abs)), spreadFloor);
+
+  const devices = {};
+  for (const [deviceId, { values, medians }] of perDevice) {
+    if (values.length === 0) continue;
+
+    const offset = mean(values) - mean(medians);
+    const z = spread > 0 ? offset / spread : 0;
+    devices[deviceId] = {
+      value: round(mean(values)),
+      peerMedian: round(mean(medians)),
+      offset: round(offset),
+      z: round(z, 2),
+      buckets: values.length,
+      outlier: Math.abs(z) >= OUTLIER_Z,
+    };
+  }
+
+  return {
+    summary: {
+      key: channel.key,
+      name: channel.name || channel.key,
+      unit: channel.unit || '',
+      peerMedian: round(median(allMedians)),
+      spread: round(spread),
+      devices: Object.keys(devices).length,
+    },
+    devices,
+  };
+};
+
+const compareGroup = async (group, members, window, channelKey) => {
+  const channels = collectChannels(members).filter((channel) => !channelKey || channel.key === channelKey);
+  const deviceIds = members.map(({ device }) => device.deviceId);
+  const buckets = channels.length > 0 ? await loadBucketAverages(deviceIds, channels, window) : new Map();
+
+  const comparisons = channels.map((channel) => compareChannel(channel, deviceIds, buckets)).filter(Boolean);
+
+  const devices = members.map(({ device }) => {
+    const deviceChannels = {};
+    let score = null;
+    let worstChannel = null;
+
+    for (const { summary, devices: byDevice } of comparisons) {
+      const comparison = byDevice[device.deviceId];
+      if (!comparison) continue;
+
+      deviceChannels[summary.key] = comparison;
+      if (score === null || Math.abs(comparison.z) > score) {
+        score = Math.abs(comparison.z);
+        worstChannel = summary.key;
+      }
+    }
+
+    return {
+      deviceId: device.deviceId,
+      name: device.name,
+      status: device.status,
+      score,
+      worstChannel,
+      outlierChannels: Object.keys(deviceChannels).filter((key) => deviceChannels[key].outlier),
+      channels: deviceChannels,
+    };
+  });
+
+  // Furthest from the peers first; devices without enough overlapping data last
+  devices.sort((a, b) => (b.score ?? -1) - (a.score ?? -1));
+
+  return {
+    group,
+    deviceCount: members.length,
+    outlierCount: devices.filter((device) => device.outlierChannels.length > 0).length,
+    channels: comparisons.map(({ summary }) => summary),
+    devices,
+  };
+};
+
+// Compare every device with the others in its device type or asset group over [since, until].
+// Devices without a type share the default catalog and form one group (group: null);
+// devices without an asset group are left out of asset-group comparisons.
+export const comparePeers = async ({ groupBy = 'deviceType', group, channel, since, until = new Date(), bucketMs }) => {
+  try {
+    if (!PEER_GROUPINGS.includes(groupBy)) {
+      throw invalidComparison(`groupBy must be one of ${PEER_GROUPINGS.join(', ')}`);
+    }
+    if (!(since < until) || !(bucketMs > 0)) {
+      throw invalidComparison('a time window and bucket size are required');
+    }
+
+    const filter = {};
+    if (group !== undefined) {
+      filter[groupBy] = group || null;
+    } else if (groupBy === 'assetGroup') {
+      filter.assetGroup = { $nin: [null, ''] };
+    }
+
+    const devices = await Device.find(filter, {
+      deviceId: 1,
+      name: 1,
+      status: 1,
+      deviceType: 1,
+      assetGroup: 1,
+      channels: 1,
+    }).lean();
+
+    const groups = new Map();
+    for (const device of devices) {
+      const key = device[groupBy] || null;
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push({ device, channels: await getDeviceChannels(device) });
+    }
+
+    const window = { since, until, bucketMs };
+    const results = [];
+    for (const [key, members] of groups) {
+      // A lone device has no peers to compare with
+      if (members.length < MIN_PEERS) continue;
+      results.push(await compareGroup(key, members, window, channel));
+    }
+
+    results.sort((a, b) => b.outlierCount - a.outlierCount || b.deviceCount - a.deviceCount);
+
+    return {
+      groupBy,
+      since,
+      until,
+      bucketMs,
+      minPeers: MIN_PEERS,
+      outlierZ: OUTLIER_Z,
+      groups: results,
+    };
+  } catch (error) {
+    if (!error.statusCode) console.error('✗ Error comparing fleet peers:', error.message);
+    throw error;
+  }
+};
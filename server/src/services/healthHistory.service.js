@@ -0,0 +1,94 @@
+// Health prediction history: store every inference and read it back as a bucketed trend
+import HealthPrediction from '../models/HealthPrediction.model.js';
+
+// Raw history requests return at most this many predictions
+const MAX_RAW_POINTS = 2000;
+
+const round = (value, digits = 1) =>
+  Number.isFinite(value) ? Math.round(value * 10 ** digits) / 10 ** digits : value;
+
+export const recordHealthPrediction = async (deviceId, prediction) => {
+  try {
+    await HealthPrediction.create({
+      deviceId,
+      timestamp: new Date(),
+      healthScore: prediction.healthScore,
+      failureRisk: prediction.failureRisk,
+      status: prediction.status,
+      reason: prediction.reason,
+      componentScores: prediction.componentScores,
+      engine: prediction.engine,
+      healthProfile: prediction.healthProfile,
+    });
+  } catch (error) {
+    console.error(`✗ Error recording health history for ${deviceId}:`, error.message);
+    throw error;
+  }
+};
+
+// Predictions between since and until, oldest first.
+// With bucketMs, predictions are grouped per bucket: score average/min/max, the bucket's
+// last risk and status, and the average of each component score.
+export const getHealthHistory = async (deviceId, { since, until = new Date(), bucketMs } = {}) => {
+  try {
+    const match = { deviceId, timestamp: { $gte: since, $lte: until } };
+
+    if (!bucketMs) {
+      const predictions = await HealthPrediction.find(match, { _id: 0 })
+        .sort({ timestamp: -1 })
+        .limit(MAX_RAW_POINTS)
+        .lean();
+      return predictions.reverse();
+    }
+
+    const bucketStart = {
+      $subtract: [{ $toLong: '$timestamp' }, { $mod: [{ $toLong: '$timestamp' }, bucketMs] }],
+    };
+
+    const [{ scores, components }] = await HealthPrediction.aggregate([
+      { $match: match },
+      { $sort: { timestamp: 1 } },
+      {
+        $facet: {
+          scores: [
+            {
+              $group: {
+                _id: bucketStart,
+                healthScore: { $avg: '$healthScore' },
+                minHealthScore: { $min: '$healthScore' },
+                maxHealthScore: { $max: '$healthScore' },
+                failureRisk: { $last: '$failureRisk' },
+                status: { $last: '$status' },
+                count: { $sum: 1 },
+              },
+            },
+            { $sort: { _id: 1 } },
+          ],
+          components: [
+            { $project: { bucket: bucketStart, component: { $objectToArray: '$componentScores' } } },
+            { $unwind: '$component' },
+            { $group: { _id: { bucket: '$bucket', key: '$component.k' }, score: { $avg: '$component.v' } } },
+          ],
+        },
+      },
+    ]);
+
+    const componentsByBucket = new Map();
+    for (const { _id, score } of components) {
+      if (!componentsByBucket.has(_id.bucket)) componentsByBucket.set(_id.bucket, {});
+      componentsByBucket.get(_id.bucket)[_id.key] = round(score);
+    }
+
+    return scores.map(({ _id, healthScore, minHealthScore, maxHealthScore, ...rest }) => ({
+      timestamp: new Date(_id),
+      healthScore: round(healthScore),
+      minHealthScore,
+      maxHealthScore,
+      ...rest,
+      componentScores: componentsByBucket.get(_id) || {},
+    }));
+  } catch (error) {
+    console.error(`✗ Error fetching health history for ${deviceId}:`, error.message);
+    throw error;
+  }
+};
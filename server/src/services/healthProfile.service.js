@@ -0,0 +1,232 @@
+// Health profiles: versioned per-device-type parameters for the scoring formula
+import HealthProfile from '../models/HealthProfile.model.js';
+
+// Penalty parameters a component may set; all numbers
+//   idealMin/idealMax          ideal range for the window average
+//   belowSlope/aboveSlope      points lost per unit the average is below/above it
+//   spikeMax/spikeSlope        points lost per unit the window maximum exceeds spikeMax
+//   varianceMax/Slope/Cap      std dev above varianceMax costs stdDev × slope, at most cap
+//   trendMax/Slope/Cap         rise (last 3 vs first 3) above trendMax costs rise × slope, at most cap
+//   spectralMax/Slope/Cap      fault-band energy share of the latest vibration spectrum above
+//                              spectralMax costs (share - max) × slope, at most cap
+//   correlationSlope/Cap       a correlation break implicating the channel costs strength × slope, at most cap
+export const COMPONENT_PARAMS = [
+  'idealMin',
+  'idealMax',
+  'belowSlope',
+  'aboveSlope',
+  'spikeMax',
+  'spikeSlope',
+  'varianceMax',
+  'varianceSlope',
+  'varianceCap',
+  'trendMax',
+  'trendSlope',
+  'trendCap',
+  'spectralMax',
+  'spectralSlope',
+  'spectralCap',
+  'correlationSlope',
+  'correlationCap',
+];
+
+const NON_NEGATIVE_PARAMS = ['belowSlope', 'aboveSlope', 'spikeSlope', 'varianceSlope', 'varianceCap', 'trendSlope', 'trendCap', 'spectralSlope', 'spectralCap', 'correlationSlope', 'correlationCap'];
+
+// Built-in formula used when a device type has no stored profile (version 0)
+export const DEFAULT_HEALTH_PROFILE = Object.freeze({
+  typeId: null,
+  version: 0,
+  components: {
+    temperature: {
+      idealMin: 60, idealMax: 80, belowSlope: 1.5, aboveSlope: 2.5,
+      varianceMax: 5, varianceSlope: 2, varianceCap: 20,
+      trendMax: 3, trendSlope: 1, trendCap: 15,
+      correlationSlope: 10, correlationCap: 20,
+    },
+    vibration: {
+      idealMax: 0.3, aboveSlope: 50,
+      spikeMax: 0.5, spikeSlope: 40,
+      varianceMax: 0.15, varianceSlope: 30, varianceCap: 25,
+      trendMax: 0.05, trendSlope: 40, trendCap: 20,
+      spectralMax: 0.2, spectralSlope: 100, spectralCap: 25,
+      correlationSlope: 10, correlationCap: 20,
+    },
+    pressure: {
+      idealMin: 30, idealMax: 40, belowSlope: 2, aboveSlope: 3,
+      spikeMax: 50, spikeSlope: 2,
+      varianceMax: 3, varianceSlope: 3, varianceCap: 20,
+      trendMax: 2, trendSlope: 2, trendCap: 15,
+      correlationSlope: 10, correlationCap: 20,
+    },
+  },
+  weights: { temperature: 0.30, vibration: 0.35, pressure: 0.35 },
+  riskCutoffs: { critical: 30, high: 50, medium: 70 },
+});
+
+const CACHE_TTL = 60000;
+const profileCache = new Map(); // typeId -> { profile, loadedAt }
+
+export const invalidateHealthProfileCache = (typeId) => {
+  if (typeId) {
+    profileCache.delete(typeId);
+  } else {
+    profileCache.clear();
+  }
+};
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// Throws on the first invalid field; returns a complete profile body ready to store.
+// Built-in channels start from the default parameters, so a partial component only overrides what it sets.
+export const validateHealthProfile = (body) => {
+  const { components = {}, weights = {}, riskCutoffs = {}, notes } = body || {};
+
+  if (!isPlainObject(components)) throw new Error('components must be an object keyed by channel');
+  if (!isPlainObject(weights)) throw new Error('weights must be an object keyed by channel');
+  if (!isPlainObject(riskCutoffs)) throw new Error('riskCutoffs must be an object');
+
+  const validComponents = {};
+  for (const [key, params] of Object.entries(components)) {
+    if (!isPlainObject(params)) {
+      throw new Error(`Component "${key}" must be an object`);
+    }
+
+    for (const [param, value] of Object.entries(params)) {
+      if (!COMPONENT_PARAMS.includes(param)) {
+        throw new Error(`Component "${key}": unknown parameter ${param}`);
+      }
+      if (!Number.isFinite(value)) {
+        throw new Error(`Component "${key}": ${param} must be a number`);
+      }
+      if (NON_NEGATIVE_PARAMS.includes(param) && value < 0) {
+        throw new Error(`Component "${key}": ${param} must not be negative`);
+      }
+    }
+
+    const merged = { ...DEFAULT_HEALTH_PROFILE.components[key], ...params };
+    if (Number.isFinite(merged.idealMin) && Number.isFinite(merged.idealMax) && merged.idealMin >= merged.idealMax) {
+      throw new Error(`Component "${key}": idealMin must be less than idealMax`);
+    }
+    validComponents[key] = merged;
+  }
+
+  for (const [key, weight] of Object.entries(weights)) {
+    if (!Number.isFinite(weight) || weight < 0) {
+      throw new Error(`Weight for "${key}" must be a non-negative number`);
+    }
+  }
+
+  const cutoffs = { ...DEFAULT_HEALTH_PROFILE.riskCutoffs, ...riskCutoffs };
+  for (const [level, value] of Object.entries(cutoffs)) {
+    if (!['critical', 'high', 'medium'].includes(level)) {
+      throw new Error(`Unknown risk cut-off: ${level}`);
+    }
+    if (!Number.isFinite(value) || value < 0 || value > 100) {
+      throw new Error(`riskCutoffs.${level} must be between 0 and 100`);
+    }
+  }
+  if (!(cutoffs.critical <= cutoffs.high && cutoffs.high <= cutoffs.medium)) {
+    throw new Error('riskCutoffs must satisfy critical <= high <= medium');
+  }
+
+  return {
+    components: validComponents,
+    weights: { ...weights },
+    riskCutoffs: cutoffs,
+    notes: notes === undefined ? undefined : String(notes),
+  };
+};
+
+// Latest stored version for a device type, or null
+export const getLatestHealthProfile = async (typeId) => {
+  if (!typeId) return null;
+
+  const cached = profileCache.get(typeId);
+  if (cached && Date.now() - cached.loadedAt < CACHE_TTL) {
+    return cached.profile;
+  }
+
+  try {
+    const profile = await HealthProfile.findOne({ typeId }).sort({ version: -1 }).lean();
+    profileCache.set(typeId, { profile, loadedAt: Date.now() });
+    return profile;
+  } catch (error) {
+    console.error(`✗ Error loading health profile for ${typeId}:`, error.message);
+    throw error;
+  }
+};
+
+// Profile applied to a device at inference time: its type's latest version, else the default
+export const getDeviceHealthProfile = async (device) =>
+  (await getLatestHealthProfile(device?.deviceType)) || DEFAULT_HEALTH_PROFILE;
+
+export const getHealthProfileVersion = async (typeId, version) => {
+  try {
+    return await HealthProfile.findOne({ typeId, version }).lean();
+  } catch (error) {
+    console.error(`✗ Error loading health profile ${typeId} v${version}:`, error.message);
+    throw error;
+  }
+};
+
+// Profile to score a what-if or replay with: an inline body, a stored version (0 = built-in default),
+// or the device's current one. Bad choices throw with statusCode 400
+export const resolveHealthProfile = async (device, { profile, profileVersion } = {}) => {
+  const invalid = (message) => Object.assign(new Error(message), { statusCode: 400 });
+
+  if (profile) {
+    try {
+      return { ...validateHealthProfile(profile), typeId: device.deviceType || null, version: null };
+    } catch (validationError) {
+      throw invalid(validationError.message);
+    }
+  }
+
+  if (profileVersion !== undefined && profileVersion !== null) {
+    const version = Number(profileVersion);
+    if (version === 0) return DEFAULT_HEALTH_PROFILE;
+
+    const stored = Number.isInteger(version) && device.deviceType
+      ? await getHealthProfileVersion(device.deviceType, version)
+      : null;
+    if (!stored) {
+      throw invalid(`health profile version ${profileVersion} not found for type ${device.deviceType}`);
+    }
+    return stored;
+  }
+
+  return getDeviceHealthProfile(device);
+};
+
+export const listHealthProfileVersions = async (typeId) => {
+  try {
+    return await HealthProfile.find({ typeId }, { typeId: 1, version: 1, notes: 1, createdAt: 1 })
+      .sort({ version: -1 })
+      .lean();
+  } catch (error) {
+    console.error(`✗ Error listing health profiles for ${typeId}:`, error.message);
+    throw error;
+  }
+};
+
+// Store a validated profile as the next version; concurrent saves retry on the version index
+export const saveHealthProfile = async (typeId, profile, attempts = 3) => {
+  try {
+    const latest = await HealthProfile.findOne({ typeId }, { version: 1 }).sort({ version: -1 }).lean();
+    const saved = await HealthProfile.create({
+      ...profile,
+      typeId,
+      version: (latest?.version || 0) + 1,
+    });
+
+    invalidateHealthProfileCache(typeId);
+    console.log(`✓ Health profile ${typeId} v${saved.version} saved`);
+    return saved;
+  } catch (error) {
+    if (error.code === 11000 && attempts > 1) {
+      return saveHealthProfile(typeId, profile, attempts - 1);
+    }
+    console.error(`✗ Error saving health profile for ${typeId}:`, error.message);
+    throw error;
+  }
+};
@@ -0,0 +1,135 @@
+// Heartbeat watchdog: marks devices OFFLINE when they stop reporting and ONLINE when data resumes
+import Device from '../models/Device.model.js';
+import Alert from '../models/Alert.model.js';
+import { createAlert, resolveAlert } from './alert.service.js';
+import {
+  emitAlert,
+  emitAlertResolved,
+  emitDeviceConnectivity,
+} from '../sockets/realtime.socket.js';
+
+// Used when a device has no reportingIntervalSec of its own
+const DEFAULT_REPORT_INTERVAL_MS = parseInt(process.env.HEARTBEAT_DEFAULT_INTERVAL_MS, 10) || 60000;
+// A device is silent after this many expected reports are missed
+const MISSED_INTERVALS = parseInt(process.env.HEARTBEAT_MISSED_INTERVALS, 10) || 3;
+const CHECK_INTERVAL_MS = parseInt(process.env.HEARTBEAT_CHECK_INTERVAL_MS, 10) || 30000;
+
+// deviceId -> time of the last accepted reading (ms); Device.lastUpdate only moves per batch
+const lastSeen = new Map();
+
+let watchdogTimer = null;
+
+export const getSilenceThresholdMs = (device) =>
+  (device?.reportingIntervalSec > 0 ? device.reportingIntervalSec * 1000 : DEFAULT_REPORT_INTERVAL_MS) *
+  MISSED_INTERVALS;
+
+const markDeviceOnline = async (deviceId) => {
+  const result = await Device.updateOne(
+    { deviceId, connectivity: 'OFFLINE' },
+    { connectivity: 'ONLINE', offlineSince: null }
+  );
+  if (result.modifiedCount === 0) return;
+
+  emitDeviceConnectivity(deviceId, { connectivity: 'ONLINE', lastSeenAt: new Date() });
+  console.log(`✓ [HEARTBEAT] ${deviceId} is reporting again`);
+
+  // The silence is over; close the alert it raised
+  const silentAlerts = await Alert.find(
+    { deviceId, triggerType: 'DEVICE_SILENT', status: { $in: ['ACTIVE', 'ACKNOWLEDGED'] } },
+    { _id: 1 }
+  );
+
+  // resolveAlert also stops any escalation still running on them
+  for (const alert of silentAlerts) {
+    await resolveAlert(alert._id);
+    emitAlertResolved(alert._id, deviceId);
+  }
+};
+
+const markDeviceOffline = async (device, lastSeenAt) => {
+  const { deviceId } = device;
+  const offlineSince = new Date();
+
+  const result = await Device.updateOne(
+    { deviceId, connectivity: { $ne: 'OFFLINE' } },
+    { connectivity: 'OFFLINE', offlineSince }
+  );
+  if (result.modifiedCount === 0) return;
+
+  emitDeviceConnectivity(deviceId, { connectivity: 'OFFLINE', lastSeenAt, offlineSince });
+
+  const silentMinutes = Math.round((offlineSince - lastSeenAt) / 60000);
+  console.warn(`⚠ [HEARTBEAT] ${deviceId} silent for ${silentMinutes} min, marked OFFLINE`);
+
+  const alert = await createAlert(
+    deviceId,
+    'WARNING',
+    `Device silent: no data for ${silentMinutes} min`,
+    'DEVICE_SILENT'
+  );
+  emitAlert(alert);
+};
+
+// Called for every accepted reading. device is the stored document, if already loaded.
+export const recordHeartbeat = async (deviceId, device = null) => {
+  lastSeen.set(deviceId, Date.now());
+
+  if (device?.connectivity !== 'OFFLINE') return;
+
+  try {
+    await markDeviceOnline(deviceId);
+  } catch (error) {
+    console.error(`✗ Error marking ${deviceId} online:`, error.message);
+  }
+};
+
+// One watchdog pass over every reporting device still considered online. Only devices an
+// operator took out of service are skipped; others (e.g. "OPERATIONAL" from /api/init-devices) are checked.
+export const checkDeviceHeartbeats = async () => {
+  try {
+    const devices = await Device.find(
+      {
+        status: { $nin: ['MAINTENANCE', 'INACTIVE'] },
+        connectivity: { $ne: 'OFFLINE' },
+        lastUpdate: { $exists: true },
+      },
+      { deviceId: 1, lastUpdate: 1, reportingIntervalSec: 1 }
+    );
+
+    const now = Date.now();
+    let offlineCount = 0;
+
+    for (const device of devices) {
+      const lastSeenMs = Math.max(lastSeen.get(device.deviceId) || 0, device.lastUpdate?.getTime() || 0);
+
+      if (now - lastSeenMs <= getSilenceThresholdMs(device)) continue;
+
+      try {
+        await markDeviceOffline(device, new Date(lastSeenMs));
+        offlineCount += 1;
+      } catch (deviceError) {
+        console.error(`✗ Error marking ${device.deviceId} offline:`, deviceError.message);
+      }
+    }
+
+    return offlineCount;
+  } catch (error) {
+    console.error('✗ Heartbeat check error:', error.message);
+    return 0;
+  }
+};
+
+export const startHeartbeatMonitor = () => {
+  if (watchdogTimer) return;
+  watchdogTimer = setInterval(checkDeviceHeartbeats, CHECK_INTERVAL_MS);
+  console.log(
+    `✓ Heartbeat monitor started (check every ${CHECK_INTERVAL_MS / 1000}s, offline after ${MISSED_INTERVALS} missed reports)`
+  );
+};
+
+export const stopHeartbeatMonitor = () => {
+  if (watchdogTimer) {
+    clearInterval(watchdogTimer);
+    watchdogTimer = null;
+  }
+};
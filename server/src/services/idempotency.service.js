@@ -0,0 +1,60 @@
+// Idempotency keys: a retried request with the same key replays the stored response
+import IdempotencyKey from '../models/IdempotencyKey.model.js';
+
+// A PROCESSING claim older than this is assumed abandoned (e.g. server crashed mid-request)
+const STALE_CLAIM_MS = 10 * 60 * 1000;
+
+// Claim a key before processing. Returns { claimed: true } for a fresh request,
+// or { claimed: false, record } when the key is completed or still in flight.
+export const claimIdempotencyKey = async (key, scope) => {
+  try {
+    const record = await IdempotencyKey.create({ key, scope });
+    return { claimed: true, record };
+  } catch (error) {
+    if (error.code !== 11000) {
+      console.error('✗ Error claiming idempotency key:', error.message);
+      throw error;
+    }
+
+    // Take over an abandoned claim
+    const takenOver = await IdempotencyKey.findOneAndUpdate(
+      { key, scope, status: 'PROCESSING', createdAt: { $lt: new Date(Date.now() - STALE_CLAIM_MS) } },
+      { createdAt: new Date(), requestHash: null },
+      { new: true }
+    );
+    if (takenOver) {
+      return { claimed: true, record: takenOver };
+    }
+
+    const record = await IdempotencyKey.findOne({ key });
+    return { claimed: false, record };
+  }
+};
+
+// requestBytes is set when only part of the body was read and hashed
+export const completeIdempotencyKey = async (
+  key,
+  requestHash,
+  responseStatus,
+  responseBody,
+  requestBytes
+) => {
+  try {
+    await IdempotencyKey.updateOne(
+      { key },
+      { status: 'COMPLETED', requestHash, requestBytes, responseStatus, responseBody }
+    );
+  } catch (error) {
+    console.error('✗ Error storing idempotent response:', error.message);
+    throw error;
+  }
+};
+
+// Processing failed outright: free the key so the client can retry
+export const releaseIdempotencyKey = async (key) => {
+  try {
+    await IdempotencyKey.deleteOne({ key, status: 'PROCESSING' });
+  } catch (error) {
+    console.error('✗ Error releasing idempotency key:', error.message);
+  }
+};
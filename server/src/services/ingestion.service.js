@@ -1,96 +1,297 @@
 // Sensor data persistence with batch processing
 import SensorData from '../models/SensorData.model.js';
 import Device from '../models/Device.model.js';
-import Alert from '../models/Alert.model.js';
+import { createAlert } from './alert.service.js';
 import { ensureDeviceExists } from './device.service.js';
 import { emitSensorUpdate, emitAlert, emitDeviceHealth } from '../sockets/realtime.socket.js';
-import { generateHealthPrediction, updateDeviceHealth } from './prediction.service.js';
+import { updateDeviceHealth, isAlertingPrediction } from './prediction.service.js';
+import { runPrediction } from './engine.service.js';
+import { getRemainingUsefulLife } from './rul.service.js';
+import { getDeviceHealthProfile } from './healthProfile.service.js';
+import {
+  appendToJournal,
+  sealJournal,
+  commitJournalSegments,
+  releaseJournalSegments,
+  readJournal,
+} from './journal.service.js';
+import { getDeviceChannels, getDeviceChannelsById } from './channel.service.js';
+import { validateReading } from './validation.service.js';
+import { quarantineMessage } from './quarantine.service.js';
+import { checkIngestionRate } from './rateLimit.service.js';
+import { recordHeartbeat } from './heartbeat.service.js';
+import { scoreReading } from './baseline.service.js';
+import { getSpectralFeatures } from './spectral.service.js';
+import { scoreCorrelations, getCorrelationBreak } from './correlation.service.js';
+import { evaluateAlertRules } from './alertRule.service.js';
+import { httpError } from '../utils/errors.js';
 
 // Timeline buffer: Map<deviceId, readings[]>
 const timelineBuffer = new Map();
-const TIMELINE_SIZE = 10; // Trigger prediction every 10 readings
-const TIMELINE_TIMEOUT = 180000; // Or every 3 minutes
+export const TIMELINE_SIZE = 10; // Trigger prediction every 10 readings
+export const TIMELINE_TIMEOUT = 180000; // Or every 3 minutes
 
 // Batch processing queue
 const sensorBatchQueue = new Map(); // deviceId -> array of readings
 const BATCH_SIZE = 10; // Process every 10 readings
 const BATCH_TIMEOUT = 30000; // Or every 30 seconds
 
-// Process and save batched sensor data
-export const saveSensorData = async (sensorPayload) => {
+// Deduplication on (deviceId, timestamp, sequence): recently seen keys per device,
+// backed by a unique index so redeliveries that slip past the cache are dropped on insert
+const DEDUP_CACHE_SIZE = 1000;
+const recentReadingKeys = new Map(); // deviceId -> Set of reading keys, oldest first
+const DUPLICATE_KEY_ERROR = 11000;
+
+// Readings older than the newest seen for the device by more than this are stored
+// but kept out of live inference and streaming
+const LATENESS_WINDOW_MS = parseInt(process.env.INGESTION_LATENESS_WINDOW_MS, 10) || 60000;
+const latestReadingTimes = new Map(); // deviceId -> newest reading timestamp (ms)
+
+// Payload rejected by validation
+const invalidPayload = (detail) => httpError(400, `Invalid sensor payload: ${detail}`);
+
+const readingKey = (reading) => `${reading.timestamp.getTime()}:${reading.sequence ?? ''}`;
+
+// True if the reading was seen recently
+const isDuplicateReading = (reading) =>
+  recentReadingKeys.get(reading.deviceId)?.has(readingKey(reading)) ?? false;
+
+// Only for readings that made it into the journal, so a failed write doesn't turn the retry into a "duplicate"
+const rememberReading = (reading) => {
+  if (!recentReadingKeys.has(reading.deviceId)) {
+    recentReadingKeys.set(reading.deviceId, new Set());
+  }
+
+  const keys = recentReadingKeys.get(reading.deviceId);
+  keys.add(readingKey(reading));
+  if (keys.size > DEDUP_CACHE_SIZE) {
+    keys.delete(keys.values().next().value);
+  }
+};
+
+// Advance the device's event-time watermark; true if the reading falls behind it
+const isLateReading = (reading) => {
+  const time = reading.timestamp.getTime();
+  const latest = latestReadingTimes.get(reading.deviceId) ?? time;
+
+  if (time > latest || !latestReadingTimes.has(reading.deviceId)) {
+    latestReadingTimes.set(reading.deviceId, time);
+  }
+  return latest - time > LATENESS_WINDOW_MS;
+};
+
+// insertMany that skips rows already stored (unique deviceId/timestamp/sequence index)
+const insertReadings = async (readings) => {
   try {
-    const { deviceId, temperature, vibration, pressure, timestamp } = sensorPayload;
+    return await SensorData.insertMany(readings, { ordered: false });
+  } catch (error) {
+    const writeErrors = error.writeErrors || [];
+    if (writeErrors.length === 0 || writeErrors.some((e) => e.code !== DUPLICATE_KEY_ERROR)) {
+      throw error;
+    }
+
+    console.warn(`⚠ Skipped ${writeErrors.length} duplicate reading(s)`);
+    return error.insertedDocs || [];
+  }
+};
+
+// Process and save batched sensor data.
+// context.source/topic/raw describe where the payload came from for the quarantine record;
+// context.quarantine = false skips quarantining (used when re-ingesting).
+// context.throttle = false bypasses rate limiting (re-ingestion).
+export const saveSensorData = async (sensorPayload, context = {}) => {
+  const { source = 'HTTP', topic, raw, quarantine = true, throttle = source !== 'REINGEST' } = context;
 
-    if (!deviceId || temperature === undefined || vibration === undefined || pressure === undefined) {
-      throw new Error('Invalid sensor payload: missing required fields');
+  try {
+    const deviceId = sensorPayload?.deviceId;
+    const timestamp = sensorPayload?.timestamp;
+    const sequence = sensorPayload?.sequence;
+
+    // Bound per-device work before touching the database. Readings without a usable
+    // deviceId are limited per topic (or source) so one bad sender can't starve the rest.
+    if (throttle) {
+      const rateKey = typeof deviceId === 'string' && deviceId ? deviceId : `unknown:${topic || source}`;
+      const { allowed } = checkIngestionRate(rateKey);
+      if (!allowed) {
+        return { queued: false, throttled: true };
+      }
     }
 
-    // Auto-register device
-    await ensureDeviceExists(deviceId);
+    // Unknown devices are validated against the default catalog
+    const existingDevice = typeof deviceId === 'string' && deviceId
+      ? await Device.findOne({ deviceId })
+      : null;
+    const channels = await getDeviceChannels(existingDevice);
 
-    // Add to batch queue
-    if (!sensorBatchQueue.has(deviceId)) {
-      sensorBatchQueue.set(deviceId, []);
-      // Schedule batch processing after timeout
-      setTimeout(() => processBatch(deviceId), BATCH_TIMEOUT);
+    const { valid, errors, values, units } = validateReading(
+      sensorPayload,
+      channels,
+      existingDevice?.reportingUnits
+    );
+
+    if (!valid) {
+      if (quarantine) {
+        await quarantineMessage({
+          deviceId,
+          source,
+          topic,
+          raw,
+          payload: sensorPayload,
+          stage: 'VALIDATION',
+          errors,
+        });
+      }
+      throw invalidPayload(errors.join('; '));
     }
 
-    const batch = sensorBatchQueue.get(deviceId);
-    batch.push({
+    // Auto-register device
+    if (!existingDevice) {
+      await ensureDeviceExists(deviceId);
+    }
+
+    await recordHeartbeat(deviceId, existingDevice);
+
+    // Values are in canonical units from here on
+    const reading = {
       deviceId,
-      temperature,
-      vibration: vibration * 100,
-      pressure,
+      ...values,
+      units,
       timestamp: timestamp ? new Date(timestamp) : new Date(),
-    });
+    };
+    if (sequence !== undefined && sequence !== null) {
+      reading.sequence = Number(sequence);
+    }
 
-    // Add to timeline buffer for health prediction
-    if (!timelineBuffer.has(deviceId)) {
-      timelineBuffer.set(deviceId, []);
-      // Schedule timeline processing after timeout
-      setTimeout(() => processTimelineInference(deviceId), TIMELINE_TIMEOUT);
+    // QoS 1 redeliveries and gateway replays
+    if (isDuplicateReading(reading)) {
+      return { queued: false, duplicate: true };
     }
 
-    const timeline = timelineBuffer.get(deviceId);
-    timeline.push({
-      timestamp: timestamp ? new Date(timestamp) : new Date(),
-      temperature,
-      vibration: vibration * 100,
-      pressure,
-    });
+    // Journal before acknowledging so a crash can't lose the reading
+    appendToJournal(reading);
+    rememberReading(reading);
 
-    // Emit to frontend immediately (for real-time display)
-    emitSensorUpdate(deviceId, {
-      temperature,
-      vibration: vibration * 100,
-      pressure,
-      timestamp: new Date().toISOString(),
-    });
+    const late = isLateReading(reading);
 
-    // Trigger health prediction when timeline reaches size
-    if (timeline.length >= TIMELINE_SIZE) {
-      await processTimelineInference(deviceId);
+    // Add to batch queue
+    if (!sensorBatchQueue.has(deviceId)) {
+      sensorBatchQueue.set(deviceId, []);
+      // Schedule batch processing after timeout (failures are logged and requeued by processBatch)
+      setTimeout(() => processBatch(deviceId).catch(() => {}), BATCH_TIMEOUT);
     }
 
-    // Process batch if size reached
-    if (batch.length >= BATCH_SIZE) {
-      await processBatch(deviceId);
-    }
+    const batch = sensorBatchQueue.get(deviceId);
+    batch.push(reading);
+
+    // Late readings are stored but would distort the live trend
+    if (late) {
+      console.warn(`⚠ Late reading for ${deviceId} at ${reading.timestamp.toISOString()} kept out of live inference`);
+    } else {
+      // Add to timeline buffer for health prediction
+      if (!timelineBuffer.has(deviceId)) {
+        timelineBuffer.set(deviceId, []);
+        // Schedule timeline processing after timeout
+        setTimeout(() => processTimelineInference(deviceId), TIMELINE_TIMEOUT);
+      }
 
-    return { queued: true, batchSize: batch.length };
+      timelineBuffer.get(deviceId).push({
+        timestamp: reading.timestamp,
+        ...values,
+      });
+
+      // Score against the learned baseline without holding up ingestion
+      scoreReading(deviceId, reading, channels).catch(() => {});
+      scoreCorrelations(deviceId, reading, channels).catch(() => {});
+      evaluateAlertRules(deviceId, reading, { device: existingDevice, channels }).catch(() => {});
+
+      // Emit to frontend immediately (for real-time display)
+      emitSensorUpdate(deviceId, {
+        ...values,
+        units,
+        timestamp: new Date().toISOString(),
+      });
+
+      // Trigger health prediction when timeline reaches size
+      if (timelineBuffer.get(deviceId).length >= TIMELINE_SIZE) {
+        await processTimelineInference(deviceId);
+      }
+    }
 
-    // Process batch if size reached
+    // Process batch if size reached. The reading is journaled and a failed insert is requeued
+    // for the scheduled retry, so the caller isn't told to send it again.
     if (batch.length >= BATCH_SIZE) {
-      await processBatch(deviceId);
+      await processBatch(deviceId).catch(() => {});
     }
 
-    return { queued: true, batchSize: batch.length };
+    return { queued: true, batchSize: batch.length, late };
   } catch (error) {
     console.error('✗ Batch queue error:', error.message);
     throw error;
   }
 };
 
+const BULK_MAX_RECORDS = parseInt(process.env.BULK_MAX_RECORDS, 10) || 50000;
+
+// Feed many readings through the normal batching path, one at a time for backpressure.
+// Every record is charged against the ingestion rate limits like a single reading.
+// entries: (async) iterable of { index, record } or { index, error } for unparseable input.
+// Reading stops at BULK_MAX_RECORDS; the summary is then marked truncated.
+export const ingestBulkReadings = async (entries, context = {}) => {
+  const results = [];
+  let acceptedCount = 0;
+  let truncated = false;
+
+  for await (const { index, record, error } of entries) {
+    if (index >= BULK_MAX_RECORDS) {
+      truncated = true;
+      break;
+    }
+
+    if (error) {
+      results.push({ index, accepted: false, error });
+      continue;
+    }
+
+    try {
+      const { duplicate, throttled } = await saveSensorData(record, { source: 'HTTP', ...context });
+      if (throttled) {
+        results.push({ index, accepted: false, error: 'Ingestion rate limit exceeded' });
+        continue;
+      }
+      results.push(duplicate ? { index, accepted: true, duplicate } : { index, accepted: true });
+      acceptedCount += 1;
+    } catch (saveError) {
+      results.push({
+        index,
+        accepted: false,
+        error: saveError.statusCode ? saveError.message : 'Failed to save sensor data',
+      });
+    }
+  }
+
+  return {
+    total: results.length,
+    acceptedCount,
+    rejectedCount: results.length - acceptedCount,
+    ...(truncated && {
+      truncated,
+      error: `Bulk limit of ${BULK_MAX_RECORDS} records reached; later records were not read`,
+    }),
+    results,
+  };
+};
+
+// Put a failed batch back at the front of the queue
+const requeueBatch = (deviceId, batch) => {
+  if (sensorBatchQueue.has(deviceId)) {
+    sensorBatchQueue.get(deviceId).unshift(...batch);
+  } else {
+    sensorBatchQueue.set(deviceId, batch);
+    // Nothing awaits the retry; a further failure requeues again instead of crashing the process
+    setTimeout(() => processBatch(deviceId).catch(() => {}), BATCH_TIMEOUT);
+  }
+};
+
 // Process batch of sensor data (bulk insert)
 export const processBatch = async (deviceId) => {
   try {
@@ -99,8 +300,22 @@ export const processBatch = async (deviceId) => {
     const batch = sensorBatchQueue.get(deviceId);
     if (batch.length === 0) return;
 
+    // Detach the batch and seal its journal so readings arriving mid-insert start a new one
+    sensorBatchQueue.delete(deviceId);
+    const segments = sealJournal(deviceId);
+
     // Bulk insert to MongoDB
-    const saved = await SensorData.insertMany(batch);
+    let saved;
+    try {
+      saved = await insertReadings(batch);
+    } catch (insertError) {
+      requeueBatch(deviceId, batch);
+      releaseJournalSegments(deviceId, segments);
+      throw insertError;
+    }
+
+    // Readings are durable in MongoDB; truncate their journal
+    commitJournalSegments(segments);
 
     // Format batch log with timestamp
     const batchTime = new Date().toLocaleString('en-US', {
@@ -112,7 +327,7 @@ export const processBatch = async (deviceId) => {
       hour12: true,
     });
 
-    console.log(`✓ [${batchTime}] Batch processed: ${deviceId} | ${batch.length} records saved`);
+    console.log(`✓ [${batchTime}] Batch processed: ${deviceId} | ${saved.length} records saved`);
 
     // Update device's last update timestamp
     await Device.updateOne(
@@ -121,9 +336,6 @@ export const processBatch = async (deviceId) => {
       { upsert: true }
     );
 
-    // Clear processed batch
-    sensorBatchQueue.delete(deviceId);
-
     return saved;
   } catch (error) {
     console.error(`✗ Batch processing error for ${deviceId}:`, error.message);
@@ -145,6 +357,31 @@ export const flushAllBatches = async () => {
   }
 };
 
+// Replay readings journaled by a previous process that never reached MongoDB
+export const replayJournal = async () => {
+  try {
+    const { readings, files } = readJournal();
+    if (readings.length === 0) {
+      commitJournalSegments(files);
+      return 0;
+    }
+
+    // Some readings may have reached MongoDB before the crash
+    await insertReadings(readings);
+
+    const deviceIds = [...new Set(readings.map((r) => r.deviceId))];
+    await Device.updateMany({ deviceId: { $in: deviceIds } }, { lastUpdate: new Date() });
+
+    commitJournalSegments(files);
+    console.log(`✓ Journal replayed: ${readings.length} readings recovered for ${deviceIds.length} device(s)`);
+
+    return readings.length;
+  } catch (error) {
+    console.error('✗ Journal replay error:', error.message);
+    throw error;
+  }
+};
+
 export const getRecentSensorData = async (deviceId, timeRangeMinutes = 15) => {
   try {
     const since = new Date(Date.now() - timeRangeMinutes * 60 * 1000);
@@ -165,9 +402,20 @@ export const getRecentSensorData = async (deviceId, timeRangeMinutes = 15) => {
   }
 };
 
+const capitalize = (key) => key.charAt(0).toUpperCase() + key.slice(1);
+
 export const calculateAggregateStats = async (deviceId, timeRangeMinutes = 15) => {
   try {
     const since = new Date(Date.now() - timeRangeMinutes * 60 * 1000);
+    const channels = await getDeviceChannelsById(deviceId);
+
+    // avg/max/min per declared channel, e.g. avgTemperature, maxRpm
+    const channelStats = {};
+    for (const { key } of channels) {
+      channelStats[`avg${capitalize(key)}`] = { $avg: `$${key}` };
+      channelStats[`max${capitalize(key)}`] = { $max: `$${key}` };
+      channelStats[`min${capitalize(key)}`] = { $min: `$${key}` };
+    }
 
     const stats = await SensorData.aggregate([
       {
@@ -179,22 +427,14 @@ export const calculateAggregateStats = async (deviceId, timeRangeMinutes = 15) =
       {
         $group: {
           _id: '$deviceId',
-          avgTemperature: { $avg: '$temperature' },
-          maxTemperature: { $max: '$temperature' },
-          minTemperature: { $min: '$temperature' },
-          avgVibration: { $avg: '$vibration' },
-          maxVibration: { $max: '$vibration' },
-          minVibration: { $min: '$vibration' },
-          avgPressure: { $avg: '$pressure' },
-          maxPressure: { $max: '$pressure' },
-          minPressure: { $min: '$pressure' },
+          ...channelStats,
           sampleCount: { $sum: 1 },
           latestTimestamp: { $max: '$timestamp' },
         },
       },
     ]);
 
-    return stats[0] || null;
+    return stats[0] ? { ...stats[0], channels } : null;
   } catch (error) {
     console.error('✗ Error calculating stats:', error.message);
     throw error;
@@ -245,6 +485,12 @@ export const getSensorHistory = async (deviceId, limit = 100) => {
   }
 };
 
+// Channel values of the newest reading in a timeline
+const latestChannelValues = (timeline) => {
+  const { timestamp, ...values } = timeline[timeline.length - 1] || {};
+  return values;
+};
+
 // Process timeline inference using mathematical formula
 export const processTimelineInference = async (deviceId) => {
   try {
@@ -253,14 +499,35 @@ export const processTimelineInference = async (deviceId) => {
     const timeline = timelineBuffer.get(deviceId);
     if (timeline.length === 0) return;
 
-    // Generate health prediction from timeline
-    const prediction = generateHealthPrediction(timeline);
+    // Readings can arrive out of order; trend checks assume chronological order
+    timeline.sort((a, b) => a.timestamp - b.timestamp);
+
+    // Generate health prediction from timeline with the device's engine chain
+    const device = await Device.findOne(
+      { deviceId },
+      { deviceId: 1, deviceType: 1, channels: 1, predictionEngines: 1 }
+    );
+    const channels = await getDeviceChannels(device);
+    const profile = await getDeviceHealthProfile(device);
+    // A missing spectrum or break only drops that penalty
+    const spectral = await getSpectralFeatures(deviceId).catch(() => null);
+    const correlation = await getCorrelationBreak(deviceId).catch(() => null);
+    const prediction = await runPrediction(timeline, { device, channels, profile, spectral, correlation });
 
     if (!prediction) {
       console.warn(`⚠ No prediction for ${deviceId}`);
       return;
     }
 
+    prediction.healthProfile = { typeId: profile.typeId, version: profile.version };
+
+    // Time-to-limit from stored history; an estimation failure must not block the prediction
+    try {
+      prediction.rul = await getRemainingUsefulLife(deviceId, channels, profile);
+    } catch (rulError) {
+      prediction.rul = null;
+    }
+
     // Update device health in database
     await updateDeviceHealth(deviceId, prediction);
 
@@ -270,35 +537,26 @@ export const processTimelineInference = async (deviceId) => {
       failureRisk: prediction.failureRisk,
       status: prediction.status,
       reason: prediction.reason,
+      engine: prediction.engine,
+      healthProfile: prediction.healthProfile,
+      explanation: prediction.explanation,
+      rul: prediction.rul,
     });
 
-    console.log(`✓ [PREDICT] ${deviceId}: Health=${prediction.healthScore}, Risk=${prediction.failureRisk}, Status=${prediction.status}`);
+    console.log(`✓ [PREDICT] ${deviceId}: Health=${prediction.healthScore}, Risk=${prediction.failureRisk}, Status=${prediction.status}, Engine=${prediction.engine}, Profile=v${profile.version}`);
 
     // Create alert if HIGH risk or CRITICAL status
-    if (prediction.failureRisk === 'HIGH' || prediction.status === 'CRITICAL') {
+    if (isAlertingPrediction(prediction)) {
       try {
-        const alert = new Alert({
+        const alert = await createAlert(
           deviceId,
-          severity: prediction.status === 'CRITICAL' ? 'CRITICAL' : 'WARNING',
-          triggerType: 'FORMULA_PREDICTION',
-          message: `Health Analysis: ${prediction.reason}`,
-          reason: prediction.reason,
-          sensorReadings: {
-            temperature: timeline[timeline.length - 1]?.temperature,
-            vibration: timeline[timeline.length - 1]?.vibration,
-            pressure: timeline[timeline.length - 1]?.pressure,
-          },
-          timestamp: new Date(),
-          status: 'ACTIVE',
-          acknowledged: false,
-        });
-
-        await alert.save();
-        emitAlert(deviceId, {
-          severity: alert.severity,
-          message: alert.message,
-          timestamp: alert.timestamp,
-        });
+          prediction.status === 'CRITICAL' ? 'CRITICAL' : 'WARNING',
+          `Health Analysis: ${prediction.reason}`,
+          'FAILURE_RISK',
+          latestChannelValues(timeline),
+          { reason: prediction.reason }
+        );
+        emitAlert(alert);
 
         console.log(`🚨 [ALERT] ${deviceId}: ${prediction.reason}`);
       } catch (alertError) {
@@ -0,0 +1,106 @@
+// Write-ahead journal for sensor readings that are queued but not yet in MongoDB
+// One append-only NDJSON file per device. processBatch seals the active file into a
+// segment before inserting, and the segment is deleted once the insert commits.
+import fs from 'fs';
+import path from 'path';
+
+const JOURNAL_DIR = path.resolve(process.env.INGESTION_JOURNAL_DIR || 'data/journal');
+const ACTIVE_EXT = '.wal';
+const SEALED_EXT = '.sealed';
+
+// Segments whose batch insert failed; the next seal for that device takes them over
+const orphanSegments = new Map(); // deviceId -> segment paths
+let segmentCounter = 0;
+
+const ensureJournalDir = () => {
+  fs.mkdirSync(JOURNAL_DIR, { recursive: true });
+};
+
+const safeFileName = (deviceId) => encodeURIComponent(deviceId);
+
+const activeFile = (deviceId) => path.join(JOURNAL_DIR, `${safeFileName(deviceId)}${ACTIVE_EXT}`);
+
+// Appends are synchronous so that a seal (rename) can never race an in-flight write
+export const appendToJournal = (reading) => {
+  try {
+    ensureJournalDir();
+    fs.appendFileSync(activeFile(reading.deviceId), `${JSON.stringify(reading)}\n`);
+  } catch (error) {
+    console.error(`✗ Journal append error for ${reading.deviceId}:`, error.message);
+    throw error;
+  }
+};
+
+// Move the device's active journal into a sealed segment.
+// Returns every segment the caller now owns and must commit or release.
+export const sealJournal = (deviceId) => {
+  const owned = orphanSegments.get(deviceId) || [];
+  orphanSegments.delete(deviceId);
+
+  const source = activeFile(deviceId);
+  if (fs.existsSync(source)) {
+    segmentCounter += 1;
+    const segment = path.join(
+      JOURNAL_DIR,
+      `${safeFileName(deviceId)}.${Date.now()}-${segmentCounter}${SEALED_EXT}`
+    );
+    fs.renameSync(source, segment);
+    owned.push(segment);
+  }
+
+  return owned;
+};
+
+// Batch committed: the readings in these segments are durable in MongoDB
+export const commitJournalSegments = (segments) => {
+  for (const segment of segments) {
+    try {
+      fs.unlinkSync(segment);
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error(`✗ Journal truncate error (${segment}):`, error.message);
+      }
+    }
+  }
+};
+
+// Batch failed: hand the segments back so the retry picks them up
+export const releaseJournalSegments = (deviceId, segments) => {
+  if (segments.length === 0) return;
+  orphanSegments.set(deviceId, [...segments, ...(orphanSegments.get(deviceId) || [])]);
+};
+
+// Read every journal file left behind by a previous process.
+// A torn final line (crash mid-write) is skipped.
+export const readJournal = () => {
+  if (!fs.existsSync(JOURNAL_DIR)) {
+    return { readings: [], files: [] };
+  }
+
+  const files = fs
+    .readdirSync(JOURNAL_DIR)
+    .filter((name) => name.endsWith(ACTIVE_EXT) || name.endsWith(SEALED_EXT))
+    .map((name) => path.join(JOURNAL_DIR, name));
+
+  const readings = [];
+  let skipped = 0;
+
+  for (const file of files) {
+    const lines = fs.readFileSync(file, 'utf8').split('\n');
+    for (const line of lines) {
+      if (!line.trim()) continue;
+      try {
+        const reading = JSON.parse(line);
+        readings.push({ ...reading, timestamp: new Date(reading.timestamp) });
+      } catch {
+        skipped += 1;
+      }
+    }
+  }
+
+  if (skipped > 0) {
+    console.warn(`⚠ Skipped ${skipped} unreadable journal line(s)`);
+  }
+
+  return { readings, files };
+};
@@ -0,0 +1,510 @@
+// Outbound notifications: subscriptions, message templates, and delivery with retries and a per-alert log
+import mongoose from 'mongoose';
+import Alert from '../models/Alert.model.js';
+import Device from '../models/Device.model.js';
+import NotificationSubscription from '../models/NotificationSubscription.model.js';
+import NotificationDelivery from '../models/NotificationDelivery.model.js';
+import { matchesDeviceTarget } from './device.service.js';
+import { sendWebhook } from '../notifiers/webhook.notifier.js';
+import { sendSlack, sendTeams } from '../notifiers/chat.notifier.js';
+import { sendEmail } from '../notifiers/email.notifier.js';
+import { readNumber } from '../utils/env.js';
+import { httpError } from '../utils/errors.js';
+import { validateStringList } from '../utils/validators.js';
+import { createCachedLoader } from '../utils/cache.js';
+
+// Per request (HTTP) or per connection phase (SMTP)
+const TIMEOUT_MS = readNumber('NOTIFICATION_TIMEOUT_MS', 10000);
+const MAX_ATTEMPTS = Math.round(readNumber('NOTIFICATION_MAX_ATTEMPTS', 5));
+// Wait before the first retry; doubles after each failed attempt
+const RETRY_BASE_MS = readNumber('NOTIFICATION_RETRY_BASE_MS', 30000);
+const RETRY_CHECK_INTERVAL_MS = readNumber('NOTIFICATION_RETRY_INTERVAL_MS', 15000);
+// An attempt that hasn't finished by then (e.g. the server stopped) is retried
+const ATTEMPT_LEASE_MS = TIMEOUT_MS * 4;
+const SUBSCRIPTION_CACHE_TTL_MS = 30000;
+// Pending deliveries retried per pass
+const BATCH_SIZE = 50;
+const MAX_SUBJECT_LENGTH = 500;
+const MAX_BODY_LENGTH = 10000;
+
+const SUBSCRIBER_NAME_PATTERN = /^[A-Za-z0-9][A-Za-z0-9_.-]{0,63}$/;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+$/;
+const PLACEHOLDER_PATTERN = /\{\{\s*(\w+)\s*\}\}/g;
+const ALERT_SEVERITIES = ['INFO', 'WARNING', 'CRITICAL'];
+
+// channel -> send(subscription, message, { timeoutMs }) => receiver's reply
+const notifiers = new Map([
+  ['WEBHOOK', sendWebhook],
+  ['EMAIL', sendEmail],
+  ['SLACK', sendSlack],
+  ['TEAMS', sendTeams],
+]);
+export const NOTIFICATION_CHANNELS = [...notifiers.keys()];
+
+export const TEMPLATE_FIELDS = [
+  'event',
+  'alertId',
+  'deviceId',
+  'deviceName',
+  'severity',
+  'message',
+  'reason',
+  'triggerType',
+  'raisedAt',
+  'level',
+  'policyName',
+  'afterMinutes',
+  'subscriber',
+];
+
+const ALERT_BODY = `{{message}}
+
+Device: {{deviceName}} ({{deviceId}})
+Severity: {{severity}}
+Trigger: {{triggerType}}
+Reason: {{reason}}
+Raised at: {{raisedAt}}
+Alert ID: {{alertId}}`;
+
+const DEFAULT_TEMPLATES = {
+  ALERT_CREATED: {
+    subject: '[{{severity}}] {{deviceId}}: {{message}}',
+    body: ALERT_BODY,
+  },
+  ALERT_ESCALATED: {
+    subject: '[{{severity}}] Escalated (level {{level}}) {{deviceId}}: {{message}}',
+    body: `Not acknowledged after {{afterMinutes}} min; escalated to level {{level}} by "{{policyName}}".\n\n${ALERT_BODY}`,
+  },
+  TEST: {
+    subject: 'Test notification for {{subscriber}}',
+    body: 'This is a test message from the predictive maintenance backend. Alerts matching this subscription will arrive here.',
+  },
+};
+
+let retryTimer = null;
+let retrying = false;
+
+// Bad subscription definitions
+const invalidSubscription = (detail) => httpError(400, `Invalid notification subscription: ${detail}`);
+
+const subscriptionNotFound = () => httpError(404, 'Notification subscription not found');
+
+const validateUrl = (value) => {
+  let url;
+  try {
+    url = new URL(value);
+  } catch {
+    throw invalidSubscription('url must be an absolute http(s) URL');
+  }
+  if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+    throw invalidSubscription('url must be an absolute http(s) URL');
+  }
+  return url.toString();
+};
+
+const validateTemplateText = (value, name, maxLength) => {
+  if (value === undefined || value === null || value === '') return undefined;
+  if (typeof value !== 'string' || value.length > maxLength) {
+    throw invalidSubscription(`template.${name} must be a string of at most ${maxLength} characters`);
+  }
+  for (const [, field] of value.matchAll(PLACEHOLDER_PATTERN)) {
+    if (!TEMPLATE_FIELDS.includes(field)) {
+      throw invalidSubscription(`template.${name} uses unknown placeholder {{${field}}}`);
+    }
+  }
+  return value;
+};
+
+// Normalized subscription ready to store; throws a 400 error describing the first problem
+export const validateSubscription = (subscription) => {
+  if (!subscription || typeof subscription !== 'object' || Array.isArray(subscription)) {
+    throw invalidSubscription('body must be an object');
+  }
+
+  const { name, enabled = true, channel, escalationOnly = false, match = {}, template = {} } = subscription;
+
+  if (typeof name !== 'string' || !SUBSCRIBER_NAME_PATTERN.test(name.trim())) {
+    throw invalidSubscription('name must be 1-64 letters, digits, "_", "-" or "."');
+  }
+  if (typeof enabled !== 'boolean') throw invalidSubscription('enabled must be true or false');
+  if (typeof escalationOnly !== 'boolean') throw invalidSubscription('escalationOnly must be true or false');
+  if (!NOTIFICATION_CHANNELS.includes(channel)) {
+    throw invalidSubscription(`channel must be one of ${NOTIFICATION_CHANNELS.join(', ')}`);
+  }
+
+  const destination = {};
+  if (channel === 'EMAIL') {
+    const to = validateStringList(subscription.to, 'to', invalidSubscription);
+    if (to.length === 0 || to.some((address) => !EMAIL_PATTERN.test(address))) {
+      throw invalidSubscription('to must list one or more email addresses');
+    }
+    destination.to = to;
+  } else {
+    destination.url = validateUrl(subscription.url);
+  }
+  if (channel === 'WEBHOOK') {
+    if (typeof subscription.secret !== 'string' || subscription.secret.length < 16) {
+      throw invalidSubscription('secret must be at least 16 characters (it signs every webhook request)');
+    }
+    destination.secret = subscription.secret;
+  }
+
+  if (!match || typeof match !== 'object' || Array.isArray(match)) throw invalidSubscription('match must be an object');
+  const severities = validateStringList(match.severities, 'match.severities', invalidSubscription);
+  if (severities.some((severity) => !ALERT_SEVERITIES.includes(severity))) {
+    throw invalidSubscription(`match.severities may only hold ${ALERT_SEVERITIES.join(', ')}`);
+  }
+  const triggerTypes = validateStringList(match.triggerTypes, 'match.triggerTypes', invalidSubscription);
+  const knownTriggers = Alert.schema.path('triggerType').enumValues;
+  if (triggerTypes.some((triggerType) => !knownTriggers.includes(triggerType))) {
+    throw invalidSubscription(`match.triggerTypes may only hold ${knownTriggers.join(', ')}`);
+  }
+
+  if (!template || typeof template !== 'object' || Array.isArray(template)) {
+    throw invalidSubscription('template must be an object');
+  }
+
+  return {
+    name: name.trim(),
+    enabled,
+    channel,
+    url: undefined,
+    secret: undefined,
+    to: undefined,
+    ...destination,
+    escalationOnly,
+    match: {
+      severities,
+      triggerTypes,
+      deviceIds: validateStringList(match.deviceIds, 'match.deviceIds', invalidSubscription),
+      deviceTypes: validateStringList(match.deviceTypes, 'match.deviceTypes', invalidSubscription),
+      assetGroups: validateStringList(match.assetGroups, 'match.assetGroups', invalidSubscription),
+    },
+    template: {
+      subject: validateTemplateText(template.subject, 'subject', MAX_SUBJECT_LENGTH),
+      body: validateTemplateText(template.body, 'body', MAX_BODY_LENGTH),
+    },
+  };
+};
+
+// API view: the webhook secret is write-only
+const toPublicSubscription = (subscription) => {
+  const { secret, ...rest } = subscription.toObject ? subscription.toObject() : subscription;
+  return { ...rest, hasSecret: Boolean(secret) };
+};
+
+const enabledSubscriptions = createCachedLoader(
+  () => NotificationSubscription.find({ enabled: true }).lean(),
+  SUBSCRIPTION_CACHE_TTL_MS
+);
+
+const findSubscription = async (id) => {
+  if (!mongoose.isValidObjectId(id)) throw subscriptionNotFound();
+  const subscription = await NotificationSubscription.findById(id);
+  if (!subscription) throw subscriptionNotFound();
+  return subscription;
+};
+
+const assertNameAvailable = async (name, exceptId = null) => {
+  const existing = await NotificationSubscription.findOne({ name }, { _id: 1 }).lean();
+  if (existing && String(existing._id) !== String(exceptId)) {
+    throw httpError(409, `A notification subscription named "${name}" already exists`);
+  }
+};
+
+export const listSubscriptions = async () => {
+  try {
+    const subscriptions = await NotificationSubscription.find({}).sort({ name: 1 }).lean();
+    return subscriptions.map(toPublicSubscription);
+  } catch (error) {
+    console.error('✗ Error listing notification subscriptions:', error.message);
+    throw error;
+  }
+};
+
+export const getSubscription = async (id) => toPublicSubscription(await findSubscription(id));
+
+export const createSubscription = async (definition) => {
+  const valid = validateSubscription(definition);
+  await assertNameAvailable(valid.name);
+
+  const subscription = await NotificationSubscription.create(valid);
+  enabledSubscriptions.invalidate();
+  console.log(`✓ Notification subscription created: ${subscription.name} (${subscription.channel})`);
+  return toPublicSubscription(subscription);
+};
+
+// Partial update: fields left out keep their stored values, including the webhook secret
+export const updateSubscription = async (id, changes) => {
+  const subscription = await findSubscription(id);
+  const { _id, createdAt, updatedAt, __v, ...current } = subscription.toObject();
+
+  const valid = validateSubscription({ ...current, ...changes });
+  await assertNameAvailable(valid.name, subscription._id);
+
+  subscription.set(valid);
+  await subscription.save();
+  enabledSubscriptions.invalidate();
+  console.log(`✓ Notification subscription updated: ${subscription.name}`);
+  return toPublicSubscription(subscription);
+};
+
+export const deleteSubscription = async (id) => {
+  const subscription = await findSubscription(id);
+  await subscription.deleteOne();
+  enabledSubscriptions.invalidate();
+  console.log(`✓ Notification subscription deleted: ${subscription.name}`);
+  return toPublicSubscription(subscription);
+};
+
+const renderTemplate = (template, fields) =>
+  template.replace(PLACEHOLDER_PATTERN, (_, field) => (fields[field] === undefined || fields[field] === null ? '' : String(fields[field])));
+
+const buildMessage = (subscription, event, { alert = null, device = null, step = null } = {}) => {
+  const fields = {
+    event,
+    subscriber: subscription.name,
+    ...(alert && {
+      alertId: String(alert._id),
+      deviceId: alert.deviceId,
+      deviceName: device?.name || alert.deviceId,
+      severity: alert.severity,
+      message: alert.message,
+      reason: alert.reason || '-',
+      triggerType: alert.triggerType,
+      raisedAt: new Date(alert.createdAt || alert.timestamp || Date.now()).toISOString(),
+    }),
+    ...(step && {
+      level: step.level,
+      policyName: alert.escalation?.policyName,
+      afterMinutes: step.afterMinutes,
+    }),
+  };
+
+  const template = DEFAULT_TEMPLATES[event];
+  const subject = renderTemplate(subscription.template?.subject || template.subject, fields);
+  const text = renderTemplate(subscription.template?.body || template.body, fields);
+
+  return {
+    subject,
+    text,
+    // Webhook receivers get the fields as data as well as the rendered text
+    payload: {
+      event,
+      subscriber: subscription.name,
+      subject,
+      text,
+      alert: alert && {
+        id: String(alert._id),
+        deviceId: alert.deviceId,
+        severity: alert.severity,
+        message: alert.message,
+        reason: alert.reason ?? null,
+        triggerType: alert.triggerType,
+        ruleId: alert.ruleId ? String(alert.ruleId) : null,
+        status: alert.status,
+        raisedAt: fields.raisedAt,
+      },
+      escalation: step && { ...step, policyName: alert.escalation?.policyName },
+    },
+  };
+};
+
+// Chat webhook URLs carry their secret in the path, so only the origin is logged
+const describeTarget = (subscription) =>
+  subscription.channel === 'EMAIL' ? subscription.to.join(', ') : `${new URL(subscription.url).origin}/…`;
+
+const finishAttempt = (delivery, update) =>
+  NotificationDelivery.findByIdAndUpdate(delivery._id, update, { new: true }).lean();
+
+// Claim a due delivery and try it once. Returns the updated delivery, or null if it wasn't due
+// (already delivered, or another attempt holds it).
+const attemptDelivery = async (deliveryId) => {
+  const now = Date.now();
+  const delivery = await NotificationDelivery.findOneAndUpdate(
+    { _id: deliveryId, status: 'PENDING', nextAttemptAt: { $lte: new Date(now) } },
+    { nextAttemptAt: new Date(now + ATTEMPT_LEASE_MS) },
+    { new: true }
+  ).lean();
+  if (!delivery) return null;
+
+  const attempts = delivery.attempts + 1;
+  const subscription = await NotificationSubscription.findById(delivery.subscriptionId).lean();
+  if (!subscription || (!subscription.enabled && delivery.event !== 'TEST')) {
+    return finishAttempt(delivery, {
+      status: 'FAILED',
+      attempts,
+      nextAttemptAt: null,
+      lastError: subscription ? 'Subscription is disabled' : 'Subscription was deleted',
+    });
+  }
+
+  try {
+    const response = await notifiers.get(subscription.channel)(
+      subscription,
+      { subject: delivery.subject, text: delivery.text, payload: delivery.payload, deliveryId: String(delivery._id) },
+      { timeoutMs: TIMEOUT_MS }
+    );
+
+    console.log(`✓ Notification delivered to ${subscription.name} (${subscription.channel}, ${delivery.event})`);
+    return finishAttempt(delivery, {
+      status: 'DELIVERED',
+      attempts,
+      nextAttemptAt: null,
+      response,
+      deliveredAt: new Date(),
+    });
+  } catch (error) {
+    const lastError = error.name === 'TimeoutError' ? `Timed out after ${TIMEOUT_MS} ms` : error.message;
+    const exhausted = attempts >= MAX_ATTEMPTS;
+
+    console.warn(
+      `⚠ Notification to ${subscription.name} failed (attempt ${attempts}/${MAX_ATTEMPTS}${exhausted ? ', giving up' : ''}): ${lastError}`
+    );
+    return finishAttempt(delivery, {
+      status: exhausted ? 'FAILED' : 'PENDING',
+      attempts,
+      nextAttemptAt: exhausted ? null : new Date(Date.now() + RETRY_BASE_MS * 2 ** (attempts - 1)),
+      lastError,
+    });
+  }
+};
+
+// Record the delivery, then make the first attempt right away; retries are left to the scheduler
+const queueDelivery = async (subscription, event, context) => {
+  const _id = new mongoose.Types.ObjectId();
+  const message = buildMessage(subscription, event, context);
+
+  await NotificationDelivery.create({
+    _id,
+    alertId: context.alert?._id ?? null,
+    subscriptionId: subscription._id,
+    subscriptionName: subscription.name,
+    channelType: subscription.channel,
+    event,
+    target: describeTarget(subscription),
+    subject: message.subject,
+    text: message.text,
+    payload: { ...message.payload, deliveryId: String(_id) },
+    nextAttemptAt: new Date(),
+  });
+
+  return attemptDelivery(_id);
+};
+
+const loadAlertDevice = (deviceId) =>
+  Device.findOne({ deviceId }, { name: 1, deviceType: 1, assetGroup: 1 }).lean();
+
+// Notify every enabled subscriber whose match covers a newly raised alert
+export const notifyAlertCreated = async (alert) => {
+  try {
+    const subscriptions = (await enabledSubscriptions.get()).filter(
+      ({ escalationOnly, match }) =>
+        !escalationOnly
+        && (match.severities.length === 0 || match.severities.includes(alert.severity))
+        && (match.triggerTypes.length === 0 || match.triggerTypes.includes(alert.triggerType))
+    );
+    if (subscriptions.length === 0) return [];
+
+    const device = await loadAlertDevice(alert.deviceId);
+    return await Promise.all(
+      subscriptions
+        .filter(({ match }) => matchesDeviceTarget(match, alert.deviceId, device))
+        .map((subscription) => queueDelivery(subscription, 'ALERT_CREATED', { alert, device }))
+    );
+  } catch (error) {
+    console.error(`✗ Error notifying subscribers of alert ${alert._id}:`, error.message);
+    throw error;
+  }
+};
+
+// Notify the subscribers an escalation step names (by subscription name), whatever their match
+export const notifyAlertEscalated = async (alert, step) => {
+  if (step.notify.length === 0) return [];
+
+  try {
+    const subscriptions = (await enabledSubscriptions.get()).filter(({ name }) => step.notify.includes(name));
+    const unknown = step.notify.filter((name) => !subscriptions.some((s) => s.name === name));
+    if (unknown.length > 0) {
+      console.warn(`⚠ Escalation of alert ${alert._id} names no enabled subscriber called: ${unknown.join(', ')}`);
+    }
+    if (subscriptions.length === 0) return [];
+
+    const device = await loadAlertDevice(alert.deviceId);
+    return await Promise.all(
+      subscriptions.map((subscription) => queueDelivery(subscription, 'ALERT_ESCALATED', { alert, device, step }))
+    );
+  } catch (error) {
+    console.error(`✗ Error notifying escalation of alert ${alert._id}:`, error.message);
+    throw error;
+  }
+};
+
+// Send a test message through a subscription (even a disabled one) and return the delivery
+export const sendTestNotification = async (id) => {
+  const subscription = await findSubscription(id);
+  return queueDelivery(subscription.toObject(), 'TEST', {});
+};
+
+// Delivery log, newest first: ?alertId, ?subscriptionId, ?status
+export const getDeliveries = async ({ alertId, subscriptionId, status, limit = 100 } = {}) => {
+  try {
+    const query = {};
+    if (alertId) query.alertId = alertId;
+    if (subscriptionId) query.subscriptionId = subscriptionId;
+    if (status) query.status = status;
+
+    return await NotificationDelivery.find(query, { payload: 0 }).sort({ createdAt: -1 }).limit(limit).lean();
+  } catch (error) {
+    console.error('✗ Error fetching notification deliveries:', error.message);
+    throw error;
+  }
+};
+
+// One retry pass over pending deliveries that are due
+export const processPendingDeliveries = async () => {
+  if (retrying) return 0;
+  retrying = true;
+
+  try {
+    const due = await NotificationDelivery.find(
+      { status: 'PENDING', nextAttemptAt: { $lte: new Date() } },
+      { _id: 1 }
+    )
+      .sort({ nextAttemptAt: 1 })
+      .limit(BATCH_SIZE)
+      .lean();
+
+    let delivered = 0;
+    for (const { _id } of due) {
+      try {
+        const result = await attemptDelivery(_id);
+        if (result?.status === 'DELIVERED') delivered += 1;
+      } catch (deliveryError) {
+        console.error(`✗ Error retrying notification ${_id}:`, deliveryError.message);
+      }
+    }
+
+    return delivered;
+  } catch (error) {
+    console.error('✗ Notification retry error:', error.message);
+    return 0;
+  } finally {
+    retrying = false;
+  }
+};
+
+export const startNotificationScheduler = () => {
+  if (retryTimer) return;
+  retryTimer = setInterval(processPendingDeliveries, RETRY_CHECK_INTERVAL_MS);
+  console.log(
+    `✓ Notification retries started (check every ${RETRY_CHECK_INTERVAL_MS / 1000}s, up to ${MAX_ATTEMPTS} attempts)`
+  );
+};
+
+export const stopNotificationScheduler = () => {
+  if (retryTimer) {
+    clearInterval(retryTimer);
+    retryTimer = null;
+  }
+};
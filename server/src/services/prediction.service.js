@@ -1,170 +1,278 @@
 // Mathematical health prediction service (formula-based, no AI)
 import Device from '../models/Device.model.js';
 import SensorData from '../models/SensorData.model.js';
+import { DEFAULT_CHANNELS } from './channel.service.js';
+import { DEFAULT_HEALTH_PROFILE } from './healthProfile.service.js';
+import { recordHealthPrediction } from './healthHistory.service.js';
 
 // ==================== HEALTH SCORING FORMULA ====================
 // Health Score = (T_Health × 0.30) + (V_Health × 0.35) + (P_Health × 0.35)
-// Each component is weighted and calculated from sensor readings
+// Each component is weighted and calculated from sensor readings.
+// Extra channels from the device catalog are scored against their
+// declared range and weighted alongside; weights are normalized.
+// Weights, penalty parameters and risk cut-offs come from the device
+// type's health profile (see healthProfile.service), defaulting to the above.
 // ================================================================
 
-// Calculate temperature component health (0-100)
-const calculateTemperatureHealth = (readings) => {
-  if (!readings || readings.length === 0) return 100;
+const DEFAULT_CHANNEL_WEIGHT = 0.2;
+// Finding penalties for catalog channels without health profile parameters
+const CHANNEL_FINDING_PARAMS = { correlationSlope: 10, correlationCap: 20 };
 
-  const temps = readings.map(r => r.temperature);
-  const avg = temps.reduce((a, b) => a + b, 0) / temps.length;
-  const stdDev = Math.sqrt(temps.reduce((sq, n) => sq + Math.pow(n - avg, 2), 0) / temps.length);
+const roundTo = (value, digits) => Math.round(value * 10 ** digits) / 10 ** digits;
 
+// Collects the penalties applied to one component so the score can be explained.
+// factor: average | spike | variance | trend | spectral | correlation; value is the measured input, limit the bound it crossed.
+const createScorer = () => {
   let score = 100;
+  const penalties = [];
 
-  // Penalty for deviation from ideal range (60-80°C)
-  const lowerBound = 60, upperBound = 80;
-  if (avg < lowerBound) {
-    score -= Math.abs(avg - lowerBound) * 1.5;
-  } else if (avg > upperBound) {
-    score -= (avg - upperBound) * 2.5;
-  }
+  return {
+    penalize: (factor, value, limit, points, capped = false) => {
+      score -= points;
+      penalties.push({
+        factor,
+        value: roundTo(value, 3),
+        limit: roundTo(limit, 3),
+        points: roundTo(points, 2),
+        ...(capped && { capped: true }),
+      });
+    },
+    result: () => ({ score: Math.max(0, Math.min(100, score)), penalties }),
+  };
+};
 
-  // Penalty for high variance (std dev > 5 indicates instability)
-  if (stdDev > 5) {
-    score -= Math.min(stdDev * 2, 20);
+// Penalties from device-level findings that concern the channel being scored:
+// spectral = latest vibration spectrum features (spectral.service),
+// correlation = a correlation break implicating the channel (correlation.service)
+const penalizeFindings = (penalize, params, { spectral, correlation } = {}) => {
+  const {
+    spectralMax, spectralSlope = 0, spectralCap = 0,
+    correlationSlope = 0, correlationCap = 0,
+  } = params;
+
+  // Penalty for energy at fault frequencies (2× running speed, bearing defects) in the spectrum
+  const faultRatio = spectral?.faultEnergyRatio;
+  if (Number.isFinite(spectralMax) && Number.isFinite(faultRatio) && faultRatio > spectralMax) {
+    const points = (faultRatio - spectralMax) * spectralSlope;
+    penalize('spectral', faultRatio, spectralMax, Math.min(points, spectralCap), points > spectralCap);
   }
 
-  // Penalty for upward trend (last 3 vs first 3)
-  if (readings.length >= 3) {
-    const first3Avg = (readings[0].temperature + readings[1].temperature + readings[2].temperature) / 3;
-    const last3Avg = (readings[readings.length - 3].temperature + readings[readings.length - 2].temperature + readings[readings.length - 1].temperature) / 3;
-    const trend = last3Avg - first3Avg;
-    if (trend > 3) score -= Math.min(trend, 15);
+  // Penalty for leaving the operating envelope together with other channels (strength >= 1)
+  if (Number.isFinite(correlation?.strength) && correlationSlope > 0) {
+    const points = correlation.strength * correlationSlope;
+    penalize('correlation', correlation.strength, 1, Math.min(points, correlationCap), points > correlationCap);
   }
-
-  return Math.max(0, Math.min(100, score));
 };
 
-// Calculate vibration component health (0-100)
-const calculateVibrationHealth = (readings) => {
-  if (!readings || readings.length === 0) return 100;
-
-  const vibrations = readings.map(r => r.vibration);
-  const avg = vibrations.reduce((a, b) => a + b, 0) / vibrations.length;
-  const max = Math.max(...vibrations);
-  const stdDev = Math.sqrt(vibrations.reduce((sq, n) => sq + Math.pow(n - avg, 2), 0) / vibrations.length);
-
-  let score = 100;
-
-  // Penalty for high average vibration (ideal: < 0.3)
-  if (avg > 0.3) {
-    score -= (avg - 0.3) * 50;
+// Calculate component health (0-100) from a profile's penalty parameters
+const calculateComponentHealth = (values, params, findings) => {
+  if (!values || values.length === 0) return { score: 100, penalties: [] };
+
+  const avg = values.reduce((a, b) => a + b, 0) / values.length;
+  const max = Math.max(...values);
+  const stdDev = Math.sqrt(values.reduce((sq, n) => sq + Math.pow(n - avg, 2), 0) / values.length);
+  const {
+    idealMin, idealMax, belowSlope = 0, aboveSlope = 0,
+    spikeMax, spikeSlope = 0,
+    varianceMax, varianceSlope = 0, varianceCap = 0,
+    trendMax, trendSlope = 0, trendCap = 0,
+  } = params;
+
+  const { penalize, result } = createScorer();
+
+  // Penalty for deviation from the ideal range (e.g. 60-80°C)
+  if (Number.isFinite(idealMin) && avg < idealMin) {
+    penalize('average', avg, idealMin, (idealMin - avg) * belowSlope);
+  } else if (Number.isFinite(idealMax) && avg > idealMax) {
+    penalize('average', avg, idealMax, (avg - idealMax) * aboveSlope);
   }
 
-  // Penalty for vibration spikes (max > 0.5 is dangerous)
-  if (max > 0.5) {
-    score -= (max - 0.5) * 40;
+  // Penalty for spikes (e.g. vibration max > 0.5 is dangerous)
+  if (Number.isFinite(spikeMax) && max > spikeMax) {
+    penalize('spike', max, spikeMax, (max - spikeMax) * spikeSlope);
   }
 
   // Penalty for high variance (indicates instability)
-  if (stdDev > 0.15) {
-    score -= Math.min(stdDev * 30, 25);
+  if (Number.isFinite(varianceMax) && stdDev > varianceMax) {
+    penalize('variance', stdDev, varianceMax, Math.min(stdDev * varianceSlope, varianceCap), stdDev * varianceSlope > varianceCap);
   }
 
-  // Penalty for upward trend (increasing vibration = deterioration)
-  if (readings.length >= 3) {
-    const first3Avg = (readings[0].vibration + readings[1].vibration + readings[2].vibration) / 3;
-    const last3Avg = (readings[readings.length - 3].vibration + readings[readings.length - 2].vibration + readings[readings.length - 1].vibration) / 3;
+  // Penalty for upward trend (last 3 vs first 3 = deterioration)
+  if (Number.isFinite(trendMax) && values.length >= 3) {
+    const first3Avg = (values[0] + values[1] + values[2]) / 3;
+    const last3Avg = (values[values.length - 3] + values[values.length - 2] + values[values.length - 1]) / 3;
     const trend = last3Avg - first3Avg;
-    if (trend > 0.05) score -= Math.min(trend * 40, 20);
+    if (trend > trendMax) {
+      penalize('trend', trend, trendMax, Math.min(trend * trendSlope, trendCap), trend * trendSlope > trendCap);
+    }
   }
 
-  return Math.max(0, Math.min(100, score));
+  penalizeFindings(penalize, params, findings);
+
+  return result();
 };
 
-// Calculate pressure component health (0-100)
-const calculatePressureHealth = (readings) => {
-  if (!readings || readings.length === 0) return 100;
+// Calculate health (0-100) for a catalog channel without a dedicated formula
+const calculateChannelHealth = (readings, channel, findings) => {
+  const values = readings.map(r => r[channel.key]);
+  if (values.length === 0) return { score: 100, penalties: [] };
 
-  const pressures = readings.map(r => r.pressure);
-  const avg = pressures.reduce((a, b) => a + b, 0) / pressures.length;
-  const max = Math.max(...pressures);
-  const stdDev = Math.sqrt(pressures.reduce((sq, n) => sq + Math.pow(n - avg, 2), 0) / pressures.length);
+  const avg = values.reduce((a, b) => a + b, 0) / values.length;
+  const stdDev = Math.sqrt(values.reduce((sq, n) => sq + Math.pow(n - avg, 2), 0) / values.length);
 
-  let score = 100;
+  const hasMin = Number.isFinite(channel.min);
+  const hasMax = Number.isFinite(channel.max);
+  // Penalties scale with the width of the normal range
+  const span = hasMin && hasMax ? channel.max - channel.min : Math.abs(avg) || 1;
 
-  // Penalty for deviation from ideal range (30-40 bar)
-  const lowerBound = 30, upperBound = 40;
-  if (avg < lowerBound) {
-    score -= Math.abs(avg - lowerBound) * 2;
-  } else if (avg > upperBound) {
-    score -= (avg - upperBound) * 3;
+  const { penalize, result } = createScorer();
+
+  // Penalty for average outside the declared range
+  if (hasMin && avg < channel.min) {
+    penalize('average', avg, channel.min, ((channel.min - avg) / span) * 50);
+  } else if (hasMax && avg > channel.max) {
+    penalize('average', avg, channel.max, ((avg - channel.max) / span) * 50);
   }
 
-  // Penalty for pressure spikes (max > 50 is critical)
-  if (max > 50) {
-    score -= (max - 50) * 2;
+  // Penalty for high variance (std dev > 10% of the range)
+  if (stdDev > span * 0.1) {
+    penalize('variance', stdDev, span * 0.1, Math.min((stdDev / span) * 100, 20), (stdDev / span) * 100 > 20);
   }
 
-  // Penalty for high variance (std dev > 3 indicates instability)
-  if (stdDev > 3) {
-    score -= Math.min(stdDev * 3, 20);
+  // Penalty for drift in either direction (last 3 vs first 3)
+  if (values.length >= 3) {
+    const first3Avg = (values[0] + values[1] + values[2]) / 3;
+    const last3Avg = (values[values.length - 3] + values[values.length - 2] + values[values.length - 1]) / 3;
+    const trend = Math.abs(last3Avg - first3Avg);
+    if (trend > span * 0.1) {
+      penalize('trend', trend, span * 0.1, Math.min((trend / span) * 50, 15), (trend / span) * 50 > 15);
+    }
   }
 
-  // Penalty for upward trend (increasing pressure = leak/blockage)
-  if (readings.length >= 3) {
-    const first3Avg = (pressures[0] + pressures[1] + pressures[2]) / 3;
-    const last3Avg = (pressures[pressures.length - 3] + pressures[pressures.length - 2] + pressures[pressures.length - 1]) / 3;
-    const trend = last3Avg - first3Avg;
-    if (trend > 2) score -= Math.min(trend * 2, 15);
+  penalizeFindings(penalize, CHANNEL_FINDING_PARAMS, findings);
+
+  return result();
+};
+
+// Failure risk & status thresholds for a 0-100 health score
+export const classifyHealthScore = (healthScore, riskCutoffs = DEFAULT_HEALTH_PROFILE.riskCutoffs) => {
+  const { critical, high, medium } = { ...DEFAULT_HEALTH_PROFILE.riskCutoffs, ...riskCutoffs };
+
+  if (healthScore < critical) return { failureRisk: 'HIGH', status: 'CRITICAL' };
+  if (healthScore < high) return { failureRisk: 'HIGH', status: 'DEGRADING' };
+  if (healthScore < medium) return { failureRisk: 'MEDIUM', status: 'DEGRADING' };
+  return { failureRisk: 'LOW', status: 'STABLE' };
+};
+
+// Breakdown of the drop from 100 to healthScore.
+// Each penalty's impact is its points scaled by the component's share of the total weight;
+// a component floored at 0 has its penalties scaled down to the points it could actually lose.
+// The waterfall lists the impacts, largest first, and ends with the rounding remainder.
+const explainHealthScore = (components, totalWeight, healthScore) => {
+  const waterfall = [];
+
+  for (const [channel, component] of Object.entries(components)) {
+    const share = totalWeight > 0 ? component.weight / totalWeight : 0;
+    const totalPoints = component.penalties.reduce((sum, p) => sum + p.points, 0);
+    const scale = totalPoints > 0 ? Math.min(1, (100 - component.score) / totalPoints) : 0;
+
+    component.share = roundTo(share, 4);
+    for (const penalty of component.penalties) {
+      penalty.impact = roundTo(penalty.points * scale * share, 2);
+      waterfall.push({ channel, factor: penalty.factor, impact: penalty.impact });
+    }
+  }
+
+  waterfall.sort((a, b) => b.impact - a.impact);
+
+  const explained = waterfall.reduce((sum, step) => sum + step.impact, 0);
+  const rounding = roundTo(100 - healthScore - explained, 2);
+  if (rounding !== 0) {
+    waterfall.push({ channel: null, factor: 'rounding', impact: rounding });
   }
 
-  return Math.max(0, Math.min(100, score));
+  return { baseline: 100, healthScore, components, waterfall };
 };
 
-// Main health score calculation using weighted formula
-export const calculateHealthScoreFormula = (readings) => {
+// Predictions that raise an alert after inference
+export const isAlertingPrediction = (prediction) =>
+  prediction?.failureRisk === 'HIGH' || prediction?.status === 'CRITICAL';
+
+// Main health score calculation using weighted formula.
+// findings (optional): { spectral, correlation } add fault-band and correlation-break penalties.
+export const calculateHealthScoreFormula = (
+  readings,
+  channels = DEFAULT_CHANNELS,
+  profile = DEFAULT_HEALTH_PROFILE,
+  findings = {}
+) => {
+  const { spectral = null, correlation = null } = findings || {};
+
   if (!readings || readings.length === 0) {
     return { healthScore: 100, failureRisk: 'LOW', status: 'STABLE' };
   }
 
-  const tempHealth = calculateTemperatureHealth(readings);
-  const vibHealth = calculateVibrationHealth(readings);
-  const pressHealth = calculatePressureHealth(readings);
-
-  // Weighted formula: T(30%) + V(35%) + P(35%)
-  const healthScore = Math.round(
-    (tempHealth * 0.30) + (vibHealth * 0.35) + (pressHealth * 0.35)
-  );
-
-  // Determine failure risk & status based on thresholds
-  let failureRisk = 'LOW';
-  let status = 'STABLE';
-
-  if (healthScore < 30) {
-    failureRisk = 'HIGH';
-    status = 'CRITICAL';
-  } else if (healthScore < 50) {
-    failureRisk = 'HIGH';
-    status = 'DEGRADING';
-  } else if (healthScore < 70) {
-    failureRisk = 'MEDIUM';
-    status = 'DEGRADING';
-  } else {
-    failureRisk = 'LOW';
-    status = 'STABLE';
+  // Trend checks compare first vs last readings, so score in chronological order
+  const ordered = [...readings].sort((a, b) => new Date(a.timestamp || 0) - new Date(b.timestamp || 0));
+
+  const componentScores = {};
+  const components = {};
+  let weightedSum = 0;
+  let totalWeight = 0;
+
+  for (const channel of channels) {
+    // Only readings that actually carry this channel
+    const channelReadings = ordered.filter(r => Number.isFinite(r[channel.key]));
+    if (channelReadings.length === 0) continue;
+
+    // Profile parameters first, then the built-in ones for temperature/vibration/pressure
+    const params = profile.components?.[channel.key] || DEFAULT_HEALTH_PROFILE.components[channel.key];
+    const channelFindings = {
+      spectral,
+      correlation: correlation?.channels?.includes(channel.key) ? correlation : null,
+    };
+    const { score, penalties } = params
+      ? calculateComponentHealth(channelReadings.map(r => r[channel.key]), params, channelFindings)
+      : calculateChannelHealth(channelReadings, channel, channelFindings);
+    const weight = profile.weights?.[channel.key]
+      ?? channel.weight
+      ?? DEFAULT_HEALTH_PROFILE.weights[channel.key]
+      ?? DEFAULT_CHANNEL_WEIGHT;
+
+    componentScores[channel.key] = score;
+    components[channel.key] = { score, weight, penalties };
+    weightedSum += score * weight;
+    totalWeight += weight;
   }
 
+  // Weighted formula, e.g. T(30%) + V(35%) + P(35%)
+  const healthScore = totalWeight > 0 ? Math.round(weightedSum / totalWeight) : 100;
+
+  const { failureRisk, status } = classifyHealthScore(healthScore, profile.riskCutoffs);
+
   return {
     healthScore,
     failureRisk,
     status,
-    componentScores: {
-      temperature: tempHealth,
-      vibration: vibHealth,
-      pressure: pressHealth,
-    },
+    componentScores,
+    explanation: explainHealthScore(components, totalWeight, healthScore),
   };
 };
 
+// Reason phrases for the default channels: [critical (< 60), concern (< 70)]
+const BUILTIN_REASONS = {
+  temperature: ['Temperature critical.', 'Temperature concerns.'],
+  vibration: ['High vibration levels.', 'Vibration rising.'],
+  pressure: ['Pressure instability.', 'Pressure fluctuations.'],
+};
+
 // Generate health prediction for a device
-export const generateHealthPrediction = (readings) => {
+export const generateHealthPrediction = (
+  readings,
+  channels = DEFAULT_CHANNELS,
+  profile = DEFAULT_HEALTH_PROFILE,
+  findings = {}
+) => {
   try {
     if (!readings || readings.length === 0) {
       return {
@@ -175,28 +283,31 @@ export const generateHealthPrediction = (readings) => {
       };
     }
 
-    const prediction = calculateHealthScoreFormula(readings);
+    const prediction = calculateHealthScoreFormula(readings, channels, profile, findings);
 
     // Generate reason based on component scores
     let reason = '';
     const components = prediction.componentScores;
 
-    if (components.temperature < 60) {
-      reason += 'Temperature critical. ';
-    } else if (components.temperature < 70) {
-      reason += 'Temperature concerns. ';
-    }
+    for (const channel of channels) {
+      const score = components[channel.key];
+      if (score === undefined || score >= 70) continue;
 
-    if (components.vibration < 60) {
-      reason += 'High vibration levels. ';
-    } else if (components.vibration < 70) {
-      reason += 'Vibration rising. ';
+      const [critical, concern] = BUILTIN_REASONS[channel.key] || [
+        `${channel.name} out of range.`,
+        `${channel.name} drifting.`,
+      ];
+      reason += `${score < 60 ? critical : concern} `;
     }
 
-    if (components.pressure < 60) {
-      reason += 'Pressure instability. ';
-    } else if (components.pressure < 70) {
-      reason += 'Pressure fluctuations. ';
+    const penaltyFactors = new Set(
+      Object.values(prediction.explanation.components).flatMap(({ penalties }) => penalties.map((p) => p.factor))
+    );
+    if (penaltyFactors.has('spectral')) {
+      reason += `Vibration spectrum shows ${findings.spectral.faultBand} fault energy. `;
+    }
+    if (penaltyFactors.has('correlation')) {
+      reason += `Correlation break: ${findings.correlation.channels.join(', ')} no longer move together. `;
     }
 
     if (!reason) {
@@ -209,6 +320,7 @@ export const generateHealthPrediction = (readings) => {
       status: prediction.status,
       reason: reason.trim(),
       componentScores: components,
+      explanation: prediction.explanation,
     };
   } catch (error) {
     console.error(`✗ Prediction error:`, error.message);
@@ -221,7 +333,7 @@ export const generateHealthPrediction = (readings) => {
   }
 };
 
-// Update device health in database
+// Update device health in database and append it to the health history
 export const updateDeviceHealth = async (deviceId, prediction) => {
   try {
     await Device.findOneAndUpdate(
@@ -231,14 +343,24 @@ export const updateDeviceHealth = async (deviceId, prediction) => {
         failureRisk: prediction.failureRisk,
         lastPrediction: {
           timestamp: new Date(),
+          healthScore: prediction.healthScore,
+          failureRisk: prediction.failureRisk,
           reason: prediction.reason,
           status: prediction.status,
           componentScores: prediction.componentScores,
+          engine: prediction.engine,
+          fallbackFrom: prediction.fallbackFrom,
+          rul: prediction.rul,
+          healthProfile: prediction.healthProfile,
+          explanation: prediction.explanation,
         },
         lastUpdate: new Date(),
       },
       { upsert: true, new: true }
     );
+
+    // Every prediction is also kept in the history; a failed write doesn't undo the update above
+    await recordHealthPrediction(deviceId, prediction).catch(() => {});
     return true;
   } catch (error) {
     console.error(`✗ Database update error:`, error.message);
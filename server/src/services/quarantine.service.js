@@ -0,0 +1,115 @@
+// Quarantine for rejected telemetry: record, browse and re-ingest
+import QuarantinedMessage from '../models/QuarantinedMessage.model.js';
+import { saveSensorData } from './ingestion.service.js';
+import { decodePayload } from './decoder.service.js';
+
+const toBase64 = (raw) => {
+  if (raw === undefined || raw === null) return undefined;
+  if (Buffer.isBuffer(raw)) return raw.toString('base64');
+  return Buffer.from(typeof raw === 'string' ? raw : JSON.stringify(raw)).toString('base64');
+};
+
+// Never throws: a quarantine write failure must not take down ingestion
+export const quarantineMessage = async ({ deviceId, source, topic, raw, payload, stage, errors }) => {
+  try {
+    const reason = errors.join('; ');
+
+    const message = await QuarantinedMessage.create({
+      deviceId: deviceId || null,
+      source,
+      topic,
+      rawPayload: toBase64(raw ?? payload),
+      payload,
+      stage,
+      reason,
+      validationErrors: errors,
+    });
+
+    console.warn(`⚠ Quarantined ${source} message from ${deviceId || topic || 'unknown'}: ${reason}`);
+    return message;
+  } catch (error) {
+    console.error('✗ Error quarantining message:', error.message);
+    return null;
+  }
+};
+
+export const getQuarantinedMessages = async ({ deviceId, status, stage, source, limit = 50 } = {}) => {
+  try {
+    const filter = {};
+    if (deviceId) filter.deviceId = deviceId;
+    if (status) filter.status = status;
+    if (stage) filter.stage = stage;
+    if (source) filter.source = source;
+
+    return await QuarantinedMessage.find(filter, null, {
+      sort: { receivedAt: -1 },
+      limit,
+    });
+  } catch (error) {
+    console.error('✗ Error fetching quarantined messages:', error.message);
+    throw error;
+  }
+};
+
+// Payloads to replay: an explicit correction, the decoded payload, or the raw bytes re-decoded
+const resolveReingestPayloads = (message, payloadOverride) => {
+  if (payloadOverride) {
+    return Array.isArray(payloadOverride) ? payloadOverride : [payloadOverride];
+  }
+  if (message.payload) {
+    return [message.payload];
+  }
+  return decodePayload(message.topic, Buffer.from(message.rawPayload || '', 'base64'));
+};
+
+// Re-run a quarantined message through ingestion after a catalog, decoder or payload fix
+export const reingestQuarantinedMessage = async (id, payloadOverride = null) => {
+  try {
+    const message = await QuarantinedMessage.findById(id);
+    if (!message) return null;
+
+    if (message.status === 'REINGESTED') {
+      return { message, reingested: false, error: 'Message was already re-ingested' };
+    }
+
+    message.reingestAttempts += 1;
+
+    try {
+      const payloads = resolveReingestPayloads(message, payloadOverride);
+      if (payloads.length === 0) {
+        throw new Error('No readings in payload');
+      }
+
+      // Readings are saved in order; a retry skips the ones an earlier attempt already saved
+      for (const payload of payloads.slice(message.reingestedReadings)) {
+        await saveSensorData(payload, { source: 'REINGEST', quarantine: false });
+        message.reingestedReadings += 1;
+      }
+
+      message.status = 'REINGESTED';
+      message.reingestedAt = new Date();
+      if (payloadOverride) message.payload = payloadOverride;
+      await message.save();
+
+      console.log(`✓ Quarantined message re-ingested: ${id}`);
+      return { message, reingested: true };
+    } catch (reingestError) {
+      message.reason = reingestError.message;
+      await message.save();
+      return { message, reingested: false, error: reingestError.message };
+    }
+  } catch (error) {
+    console.error('✗ Error re-ingesting quarantined message:', error.message);
+    throw error;
+  }
+};
+
+export const deleteQuarantinedMessage = async (id) => {
+  try {
+    const result = await QuarantinedMessage.deleteOne({ _id: id });
+    return result.deletedCount > 0;
+  } catch (error) {
+    console.error('✗ Error deleting quarantined message:', error.message);
+    throw error;
+  }
+};
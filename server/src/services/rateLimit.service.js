@@ -0,0 +1,149 @@
+// Ingestion rate limiting: per-device and global token buckets with drop or sample overload handling
+import { createAlert } from './alert.service.js';
+import { emitAlert } from '../sockets/realtime.socket.js';
+import { readNumber } from '../utils/env.js';
+
+// Messages per second and burst size
+const DEVICE_RATE = readNumber('INGESTION_DEVICE_RATE', 5);
+const DEVICE_BURST = readNumber('INGESTION_DEVICE_BURST', 20);
+const GLOBAL_RATE = readNumber('INGESTION_GLOBAL_RATE', 500);
+const GLOBAL_BURST = readNumber('INGESTION_GLOBAL_BURST', 1000);
+
+// "drop" discards excess messages; "sample" lets 1 in INGESTION_SAMPLE_EVERY through
+const OVERLOAD_MODE = process.env.INGESTION_OVERLOAD_MODE === 'sample' ? 'sample' : 'drop';
+const SAMPLE_EVERY = Math.round(readNumber('INGESTION_SAMPLE_EVERY', 10));
+
+const ALERT_COOLDOWN_MS = 5 * 60 * 1000;
+const IDLE_BUCKET_TTL_MS = 10 * 60 * 1000;
+
+const createBucket = (rate, burst) => ({
+  rate,
+  burst,
+  tokens: burst,
+  updatedAt: Date.now(),
+});
+
+// Top the bucket up for the time elapsed; true when it holds a whole token
+const refillBucket = (bucket, now = Date.now()) => {
+  const elapsed = (now - bucket.updatedAt) / 1000;
+  bucket.tokens = Math.min(bucket.burst, bucket.tokens + elapsed * bucket.rate);
+  bucket.updatedAt = now;
+  return bucket.tokens >= 1;
+};
+
+const globalBucket = createBucket(GLOBAL_RATE, GLOBAL_BURST);
+const globalCounters = { accepted: 0, dropped: 0, sampled: 0 };
+
+// deviceId -> { bucket, accepted, dropped, sampled, excess, throttledSince, lastAlertAt }
+const deviceLimits = new Map();
+
+const getDeviceLimit = (deviceId) => {
+  if (!deviceLimits.has(deviceId)) {
+    deviceLimits.set(deviceId, {
+      bucket: createBucket(DEVICE_RATE, DEVICE_BURST),
+      accepted: 0,
+      dropped: 0,
+      sampled: 0,
+      excess: 0,
+      throttledSince: null,
+      lastAlertAt: 0,
+    });
+  }
+  return deviceLimits.get(deviceId);
+};
+
+// Raised at most once per cooldown so the alert itself can't add to the overload
+const raiseThrottlingAlert = (deviceId, limit, scope) => {
+  const now = Date.now();
+  if (now - limit.lastAlertAt < ALERT_COOLDOWN_MS) return;
+  limit.lastAlertAt = now;
+
+  const message = scope === 'global'
+    ? `Ingestion throttled: global limit of ${GLOBAL_RATE} msg/s exceeded`
+    : `Ingestion throttled: ${deviceId} exceeded ${DEVICE_RATE} msg/s`;
+
+  createAlert(deviceId, 'WARNING', message, 'THROTTLING', {
+    dropped: limit.dropped,
+    sampled: limit.sampled,
+  })
+    .then((alert) => emitAlert(alert))
+    .catch((error) => {
+      console.error(`✗ Throttling alert error for ${deviceId}:`, error.message);
+    });
+};
+
+// Decide whether a message from deviceId may be ingested.
+// Returns { allowed, sampled, scope } where scope is "device" or "global" when over a limit.
+export const checkIngestionRate = (deviceId) => {
+  const now = Date.now();
+  const limit = getDeviceLimit(deviceId);
+
+  // Both buckets are checked before either is charged, so a global rejection
+  // doesn't also cost the device a token
+  let scope = null;
+  if (!refillBucket(limit.bucket, now)) {
+    scope = 'device';
+  } else if (!refillBucket(globalBucket, now)) {
+    scope = 'global';
+  }
+
+  if (!scope) {
+    limit.bucket.tokens -= 1;
+    globalBucket.tokens -= 1;
+    limit.accepted += 1;
+    limit.throttledSince = null;
+    globalCounters.accepted += 1;
+    return { allowed: true, sampled: false, scope };
+  }
+
+  if (!limit.throttledSince) {
+    limit.throttledSince = new Date(now);
+    console.warn(`⚠ Throttling ingestion for ${deviceId} (${scope} limit, mode=${OVERLOAD_MODE})`);
+  }
+  raiseThrottlingAlert(deviceId, limit, scope);
+
+  limit.excess += 1;
+  if (OVERLOAD_MODE === 'sample' && limit.excess % SAMPLE_EVERY === 0) {
+    limit.sampled += 1;
+    globalCounters.sampled += 1;
+    return { allowed: true, sampled: true, scope };
+  }
+
+  limit.dropped += 1;
+  globalCounters.dropped += 1;
+  return { allowed: false, sampled: false, scope };
+};
+
+export const getRateLimitStats = () => ({
+  config: {
+    deviceRate: DEVICE_RATE,
+    deviceBurst: DEVICE_BURST,
+    globalRate: GLOBAL_RATE,
+    globalBurst: GLOBAL_BURST,
+    overloadMode: OVERLOAD_MODE,
+    sampleEvery: SAMPLE_EVERY,
+  },
+  global: { ...globalCounters },
+  devices: Array.from(deviceLimits.entries())
+    .filter(([, limit]) => limit.dropped > 0 || limit.sampled > 0)
+    .map(([deviceId, { accepted, dropped, sampled, throttledSince }]) => ({
+      deviceId,
+      accepted,
+      dropped,
+      sampled,
+      throttled: Boolean(throttledSince),
+      throttledSince,
+    })),
+});
+
+// Forget devices that have been quiet long enough for their bucket to refill
+const pruneIdleDevices = () => {
+  const cutoff = Date.now() - IDLE_BUCKET_TTL_MS;
+  for (const [deviceId, limit] of deviceLimits) {
+    if (limit.bucket.updatedAt < cutoff) {
+      deviceLimits.delete(deviceId);
+    }
+  }
+};
+
+setInterval(pruneIdleDevices, IDLE_BUCKET_TTL_MS).unref();
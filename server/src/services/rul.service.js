@@ -0,0 +1,223 @@
+// Remaining Useful Life (RUL): extrapolate degradation trends to the time a limit is crossed
+import SensorData from '../models/SensorData.model.js';
+import { getHealthHistory } from './healthHistory.service.js';
+import { DEFAULT_HEALTH_PROFILE } from './healthProfile.service.js';
+
+// Trend window and resolution: readings are averaged into buckets before fitting
+const WINDOW_HOURS = parseFloat(process.env.RUL_WINDOW_HOURS) || 24;
+const BUCKET_COUNT = 48;
+const MIN_BUCKETS = 6;
+// Estimates beyond this are reported as "no degradation in sight"
+const MAX_HORIZON_HOURS = 24 * 365;
+// Two-sided 95% interval on the slope
+const Z_95 = 1.96;
+const REFRESH_MS = parseInt(process.env.RUL_REFRESH_MS, 10) || 10 * 60 * 1000;
+
+const rulCache = new Map(); // deviceId -> { rul, computedAt }
+
+// Ordinary least squares over [{ x, y }]; x in hours
+export const fitLinearTrend = (points) => {
+  const n = points.length;
+  if (n < 3) return null;
+
+  const meanX = points.reduce((sum, p) => sum + p.x, 0) / n;
+  const meanY = points.reduce((sum, p) => sum + p.y, 0) / n;
+
+  let sxx = 0;
+  let sxy = 0;
+  let syy = 0;
+  for (const { x, y } of points) {
+    sxx += (x - meanX) ** 2;
+    sxy += (x - meanX) * (y - meanY);
+    syy += (y - meanY) ** 2;
+  }
+  if (sxx === 0) return null;
+
+  const slope = sxy / sxx;
+  const intercept = meanY - slope * meanX;
+  const residual = points.reduce((sum, p) => sum + (p.y - (intercept + slope * p.x)) ** 2, 0);
+
+  return {
+    slope,
+    intercept,
+    slopeStdErr: Math.sqrt(residual / (n - 2) / sxx),
+    r2: syy === 0 ? 1 : 1 - residual / syy,
+    n,
+  };
+};
+
+const hoursToThreshold = (current, threshold, slope) => {
+  const hours = (threshold - current) / slope;
+  return hours > 0 && hours <= MAX_HORIZON_HOURS ? hours : null;
+};
+
+// Time for a fitted trend to reach threshold from now (x = 0), with a 95% interval.
+// direction: 1 when the limit is crossed going up, -1 going down.
+export const extrapolateToThreshold = (trend, threshold, direction) => {
+  const current = trend.intercept;
+
+  if ((threshold - current) * direction <= 0) {
+    return { hours: 0, lower: 0, upper: 0, current };
+  }
+
+  // Not moving toward the limit
+  if (trend.slope * direction <= 0) return null;
+
+  const margin = Z_95 * trend.slopeStdErr;
+  const fastSlope = trend.slope + direction * margin;
+  const slowSlope = trend.slope - direction * margin;
+
+  const hours = hoursToThreshold(current, threshold, trend.slope);
+  if (hours === null) return null;
+
+  return {
+    hours,
+    lower: hoursToThreshold(current, threshold, fastSlope) ?? 0,
+    // A slope that could be flat leaves the upper bound open
+    upper: slowSlope * direction > 0 ? hoursToThreshold(current, threshold, slowSlope) : null,
+    current,
+  };
+};
+
+const round = (value, digits = 1) =>
+  value === null || value === undefined ? value : Math.round(value * 10 ** digits) / 10 ** digits;
+
+// x: hours relative to now (negative = past), at the bucket midpoint
+const bucketOffsetHours = (start, bucketMs, now) => (start + bucketMs / 2 - now) / 3600000;
+
+// Average every channel per time bucket in MongoDB so the fit never loads raw readings
+const loadBuckets = async (deviceId, channels, since, bucketMs, now) => {
+  const averages = {};
+  for (const { key } of channels) {
+    averages[key] = { $avg: `$${key}` };
+  }
+
+  const buckets = await SensorData.aggregate([
+    { $match: { deviceId, timestamp: { $gte: since } } },
+    {
+      $group: {
+        _id: {
+          $subtract: [{ $toLong: '$timestamp' }, { $mod: [{ $toLong: '$timestamp' }, bucketMs] }],
+        },
+        ...averages,
+        count: { $sum: 1 },
+      },
+    },
+    { $sort: { _id: 1 } },
+  ]);
+
+  return buckets.map((bucket) => ({ ...bucket, x: bucketOffsetHours(bucket._id, bucketMs, now) }));
+};
+
+// Fit the health score and every bounded channel; the earliest crossing is the RUL.
+// The device is considered failed at its health profile's CRITICAL cut-off.
+export const estimateRemainingUsefulLife = async (
+  deviceId,
+  channels,
+  { windowHours = WINDOW_HOURS, profile = DEFAULT_HEALTH_PROFILE } = {}
+) => {
+  try {
+    const now = Date.now();
+    const since = new Date(now - windowHours * 3600000);
+    const bucketMs = Math.max(60000, Math.round((windowHours * 3600000) / BUCKET_COUNT));
+
+    const buckets = await loadBuckets(deviceId, channels, since, bucketMs, now);
+    const sampleCount = buckets.reduce((sum, b) => sum + b.count, 0);
+
+    const base = {
+      method: 'linear-trend',
+      confidenceLevel: 0.95,
+      windowHours,
+      sampleCount,
+      computedAt: new Date(),
+    };
+
+    if (buckets.length < MIN_BUCKETS) {
+      return { ...base, status: 'INSUFFICIENT_DATA', rulHours: null, trends: [] };
+    }
+
+    // Health trend from the stored predictions, which carry every penalty of their reading window
+    // (spikes, variance, trends, spectrum, correlation) rather than just the bucket averages
+    const history = await getHealthHistory(deviceId, { since, until: new Date(now), bucketMs });
+    const targets = [
+      {
+        target: 'healthScore',
+        threshold: profile.riskCutoffs?.critical ?? DEFAULT_HEALTH_PROFILE.riskCutoffs.critical,
+        direction: -1,
+        points: history
+          .filter((h) => Number.isFinite(h.healthScore))
+          .map((h) => ({ x: bucketOffsetHours(h.timestamp.getTime(), bucketMs, now), y: h.healthScore })),
+      },
+    ];
+
+    for (const channel of channels) {
+      const points = buckets
+        .filter((b) => Number.isFinite(b[channel.key]))
+        .map((b) => ({ x: b.x, y: b[channel.key] }));
+
+      if (Number.isFinite(channel.max)) {
+        targets.push({ target: channel.key, threshold: channel.max, direction: 1, points });
+      }
+      // A lower limit at the physical floor (e.g. vibration 0) is not a failure mode
+      if (Number.isFinite(channel.min) && !(channel.min <= channel.validMin)) {
+        targets.push({ target: channel.key, threshold: channel.min, direction: -1, points });
+      }
+    }
+
+    const trends = [];
+    for (const { target, threshold, direction, points } of targets) {
+      if (points.length < MIN_BUCKETS) continue;
+
+      const trend = fitLinearTrend(points);
+      if (!trend) continue;
+
+      const crossing = extrapolateToThreshold(trend, threshold, direction);
+      trends.push({
+        target,
+        threshold,
+        limit: direction > 0 ? 'max' : 'min',
+        slopePerHour: round(trend.slope, 4),
+        r2: round(trend.r2, 3),
+        current: round(trend.intercept, 3),
+        rulHours: round(crossing?.hours),
+        lowerHours: round(crossing?.lower),
+        upperHours: round(crossing?.upper),
+      });
+    }
+
+    const crossing = trends
+      .filter((t) => t.rulHours !== null && t.rulHours !== undefined)
+      .sort((a, b) => a.rulHours - b.rulHours)[0];
+
+    if (!crossing) {
+      return { ...base, status: 'NO_DEGRADATION', rulHours: null, trends };
+    }
+
+    return {
+      ...base,
+      status: crossing.rulHours === 0 ? 'LIMIT_EXCEEDED' : 'DEGRADING',
+      rulHours: crossing.rulHours,
+      lowerHours: crossing.lowerHours,
+      upperHours: crossing.upperHours,
+      limitingFactor: crossing.target,
+      threshold: crossing.threshold,
+      estimatedFailureAt: new Date(Date.now() + crossing.rulHours * 3600000),
+      trends,
+    };
+  } catch (error) {
+    console.error(`✗ RUL estimation error for ${deviceId}:`, error.message);
+    throw error;
+  }
+};
+
+// Cached estimate for the live pipeline; refreshed at most every RUL_REFRESH_MS
+export const getRemainingUsefulLife = async (deviceId, channels, profile) => {
+  const cached = rulCache.get(deviceId);
+  if (cached && Date.now() - cached.computedAt < REFRESH_MS) {
+    return cached.rul;
+  }
+
+  const rul = await estimateRemainingUsefulLife(deviceId, channels, { profile });
+  rulCache.set(deviceId, { rul, computedAt: Date.now() });
+  return rul;
+};
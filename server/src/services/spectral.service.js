@@ -0,0 +1,371 @@
+// Vibration spectral analysis: FFT of raw waveform frames, band energies at running-speed
+// harmonics and bearing defect frequencies, and the features the health formula scores
+import VibrationSpectrum from '../models/VibrationSpectrum.model.js';
+import { ensureDeviceExists } from './device.service.js';
+import { checkIngestionRate } from './rateLimit.service.js';
+import { emitVibrationSpectrum } from '../sockets/realtime.socket.js';
+import { readNumber } from '../utils/env.js';
+import { httpError } from '../utils/errors.js';
+
+const MIN_SAMPLES = 64;
+const MAX_SAMPLES = Math.round(readNumber('WAVEFORM_MAX_SAMPLES', 65536));
+const MAX_SAMPLE_RATE = readNumber('WAVEFORM_MAX_SAMPLE_RATE', 100000);
+// Bins kept per stored spectrum (peak-preserving downsampling)
+const SPECTRUM_MAX_BINS = Math.round(readNumber('SPECTRUM_MAX_BINS', 512));
+// A spectrum older than this no longer feeds the health formula
+const SPECTRAL_MAX_AGE_MS = readNumber('SPECTRAL_MAX_AGE_MS', 60 * 60 * 1000);
+// Half-width of a band window: at least 2 bins, or this fraction of its centre frequency
+const BAND_TOLERANCE = readNumber('SPECTRAL_BAND_TOLERANCE', 0.03);
+
+// deviceId -> features of the newest frame, so live inference skips the database
+const latestFeatures = new Map();
+
+const roundTo = (value, digits) => Math.round(value * 10 ** digits) / 10 ** digits;
+
+// Bad frames
+const invalidWaveform = (detail) => httpError(400, `Invalid waveform: ${detail}`);
+
+const nextPowerOfTwo = (n) => 2 ** Math.ceil(Math.log2(n));
+
+// In-place iterative radix-2 FFT; re/im length must be a power of two
+const fft = (re, im) => {
+  const n = re.length;
+
+  // Bit-reversal permutation
+  for (let i = 1, j = 0; i < n; i++) {
+    let bit = n >> 1;
+    for (; j & bit; bit >>= 1) j ^= bit;
+    j ^= bit;
+    if (i < j) {
+      [re[i], re[j]] = [re[j], re[i]];
+      [im[i], im[j]] = [im[j], im[i]];
+    }
+  }
+
+  for (let size = 2; size <= n; size <<= 1) {
+    const half = size / 2;
+    const angle = (-2 * Math.PI) / size;
+    const stepRe = Math.cos(angle);
+    const stepIm = Math.sin(angle);
+
+    for (let start = 0; start < n; start += size) {
+      let wRe = 1;
+      let wIm = 0;
+      for (let k = 0; k < half; k++) {
+        const a = start + k;
+        const b = a + half;
+        const tRe = re[b] * wRe - im[b] * wIm;
+        const tIm = re[b] * wIm + im[b] * wRe;
+        re[b] = re[a] - tRe;
+        im[b] = im[a] - tIm;
+        re[a] += tRe;
+        im[a] += tIm;
+
+        const nextRe = wRe * stepRe - wIm * stepIm;
+        wIm = wRe * stepIm + wIm * stepRe;
+        wRe = nextRe;
+      }
+    }
+  }
+};
+
+// One-sided amplitude spectrum of a Hann-windowed, mean-removed frame zero-padded to a power of two.
+// A pure sine of amplitude A shows as a peak of about A at its frequency.
+export const computeSpectrum = (samples, sampleRate) => {
+  const count = samples.length;
+  const size = nextPowerOfTwo(count);
+  const mean = samples.reduce((a, b) => a + b, 0) / count;
+
+  const re = new Float64Array(size);
+  const im = new Float64Array(size);
+  let windowSum = 0;
+  for (let i = 0; i < count; i++) {
+    const w = 0.5 * (1 - Math.cos((2 * Math.PI * i) / (count - 1)));
+    re[i] = (samples[i] - mean) * w;
+    windowSum += w;
+  }
+
+  fft(re, im);
+
+  const bins = size / 2;
+  const frequencies = new Float64Array(bins);
+  const magnitudes = new Float64Array(bins);
+  for (let k = 0; k < bins; k++) {
+    frequencies[k] = (k * sampleRate) / size;
+    magnitudes[k] = ((k === 0 ? 1 : 2) * Math.hypot(re[k], im[k])) / windowSum;
+  }
+
+  return { frequencies, magnitudes, resolution: sampleRate / size };
+};
+
+// Rolling-element bearing defect frequencies (Hz) from shaft speed and geometry.
+// bearing: { balls, ballDiameter, pitchDiameter, contactAngle (degrees) }
+export const bearingDefectFrequencies = (shaftHz, { balls, ballDiameter, pitchDiameter, contactAngle = 0 }) => {
+  const ratio = (ballDiameter / pitchDiameter) * Math.cos((contactAngle * Math.PI) / 180);
+  return {
+    BPFO: (balls / 2) * shaftHz * (1 - ratio),
+    BPFI: (balls / 2) * shaftHz * (1 + ratio),
+    BSF: (pitchDiameter / (2 * ballDiameter)) * shaftHz * (1 - ratio ** 2),
+    FTF: (shaftHz / 2) * (1 - ratio),
+  };
+};
+
+const isValidBearing = (bearing) =>
+  Boolean(bearing) &&
+  Number.isInteger(bearing.balls) &&
+  bearing.balls > 0 &&
+  bearing.ballDiameter > 0 &&
+  bearing.pitchDiameter > bearing.ballDiameter &&
+  (bearing.contactAngle === undefined || bearing.contactAngle === null ||
+    (bearing.contactAngle >= 0 && bearing.contactAngle < 90));
+
+// Throws on an invalid device drivetrain ({ runningSpeedRpm, bearing }); used by the device routes
+export const validateDrivetrain = (drivetrain) => {
+  if (drivetrain === undefined || drivetrain === null) return;
+  if (typeof drivetrain !== 'object' || Array.isArray(drivetrain)) {
+    throw new Error('drivetrain must be an object');
+  }
+
+  const { runningSpeedRpm, bearing } = drivetrain;
+  if (runningSpeedRpm !== undefined && runningSpeedRpm !== null && !(runningSpeedRpm > 0)) {
+    throw new Error('drivetrain.runningSpeedRpm must be a positive number');
+  }
+  if (bearing !== undefined && bearing !== null && !isValidBearing(bearing)) {
+    throw new Error(
+      'drivetrain.bearing needs integer balls, ballDiameter < pitchDiameter and a contactAngle of 0-90 degrees'
+    );
+  }
+};
+
+// Centre frequencies to measure: running-speed harmonics, plus bearing defects when the geometry is known
+const bandCentres = (runningSpeedHz, bearing) => {
+  if (!(runningSpeedHz > 0)) return [];
+
+  const centres = [
+    { name: 'ONE_X', frequency: runningSpeedHz },
+    { name: 'TWO_X', frequency: 2 * runningSpeedHz },
+  ];
+
+  if (isValidBearing(bearing)) {
+    for (const [name, frequency] of Object.entries(bearingDefectFrequencies(runningSpeedHz, bearing))) {
+      centres.push({ name, frequency });
+    }
+  }
+
+  return centres;
+};
+
+// Energy (sum of squared amplitudes) around each centre and its share of the total
+const measureBands = ({ frequencies, magnitudes, resolution }, centres, nyquist) => {
+  let total = 0;
+  for (let k = 1; k < magnitudes.length; k++) total += magnitudes[k] ** 2;
+
+  return centres
+    .filter(({ frequency }) => frequency < nyquist)
+    .map(({ name, frequency }) => {
+      const halfWidth = Math.max(2 * resolution, BAND_TOLERANCE * frequency);
+      const low = Math.max(frequency - halfWidth, resolution);
+      const high = Math.min(frequency + halfWidth, nyquist);
+
+      let energy = 0;
+      for (let k = Math.ceil(low / resolution); k < magnitudes.length && frequencies[k] <= high; k++) {
+        energy += magnitudes[k] ** 2;
+      }
+
+      return {
+        name,
+        frequency: roundTo(frequency, 3),
+        low: roundTo(low, 3),
+        high: roundTo(high, 3),
+        energy: roundTo(energy, 9),
+        ratio: total > 0 ? roundTo(energy / total, 4) : 0,
+      };
+    });
+};
+
+// Keep at most maxBins points, taking the largest magnitude in each group so peaks survive
+const downsampleSpectrum = ({ frequencies, magnitudes }, maxBins) => {
+  const group = Math.max(1, Math.ceil(magnitudes.length / maxBins));
+  const result = { frequencies: [], magnitudes: [] };
+
+  for (let start = 0; start < magnitudes.length; start += group) {
+    let peak = start;
+    for (let k = start + 1; k < Math.min(start + group, magnitudes.length); k++) {
+      if (magnitudes[k] > magnitudes[peak]) peak = k;
+    }
+    result.frequencies.push(roundTo(frequencies[peak], 3));
+    result.magnitudes.push(roundTo(magnitudes[peak], 6));
+  }
+
+  return result;
+};
+
+// Time- and frequency-domain features of one frame
+export const analyzeWaveform = (samples, sampleRate, { runningSpeedHz = null, bearing } = {}) => {
+  const spectrum = computeSpectrum(samples, sampleRate);
+  const mean = samples.reduce((a, b) => a + b, 0) / samples.length;
+
+  let sumSquares = 0;
+  let peak = 0;
+  for (const sample of samples) {
+    const value = sample - mean;
+    sumSquares += value * value;
+    peak = Math.max(peak, Math.abs(value));
+  }
+  const rms = Math.sqrt(sumSquares / samples.length);
+
+  let dominant = 1;
+  for (let k = 2; k < spectrum.magnitudes.length; k++) {
+    if (spectrum.magnitudes[k] > spectrum.magnitudes[dominant]) dominant = k;
+  }
+
+  const bands = measureBands(spectrum, bandCentres(runningSpeedHz, bearing), sampleRate / 2);
+  // 1× is ordinary running energy; everything else points at a fault (misalignment, bearing wear)
+  const faultBands = bands.filter((band) => band.name !== 'ONE_X');
+  const worst = faultBands.reduce((max, band) => (!max || band.ratio > max.ratio ? band : max), null);
+
+  return {
+    runningSpeedHz: runningSpeedHz > 0 ? roundTo(runningSpeedHz, 3) : null,
+    rms: roundTo(rms, 6),
+    peak: roundTo(peak, 6),
+    crestFactor: rms > 0 ? roundTo(peak / rms, 3) : null,
+    dominantFrequency: roundTo(spectrum.frequencies[dominant], 3),
+    bands,
+    faultEnergyRatio: worst ? worst.ratio : null,
+    faultBand: worst ? worst.name : null,
+    spectrum: downsampleSpectrum(spectrum, SPECTRUM_MAX_BINS),
+  };
+};
+
+// Throws on the first problem; returns the parsed frame
+const validateFrame = (frame) => {
+  const { deviceId, timestamp, sampleRate, samples, rpm } = frame || {};
+
+  if (typeof deviceId !== 'string' || !deviceId) throw invalidWaveform('deviceId is required');
+  if (!Number.isFinite(sampleRate) || sampleRate <= 0 || sampleRate > MAX_SAMPLE_RATE) {
+    throw invalidWaveform(`sampleRate must be between 0 and ${MAX_SAMPLE_RATE} Hz`);
+  }
+  if (!Array.isArray(samples) || samples.length < MIN_SAMPLES || samples.length > MAX_SAMPLES) {
+    throw invalidWaveform(`samples must be an array of ${MIN_SAMPLES}-${MAX_SAMPLES} numbers`);
+  }
+  if (!samples.every(Number.isFinite)) throw invalidWaveform('samples must all be finite numbers');
+  if (rpm !== undefined && rpm !== null && !(Number.isFinite(rpm) && rpm > 0)) {
+    throw invalidWaveform('rpm must be a positive number');
+  }
+
+  const time = timestamp ? new Date(timestamp) : new Date();
+  if (Number.isNaN(time.getTime())) throw invalidWaveform('timestamp must be a valid date');
+
+  return { deviceId, timestamp: time, sampleRate, samples, rpm };
+};
+
+// Features the health formula scores (no spectrum arrays)
+const toScoringFeatures = (doc) => ({
+  timestamp: doc.timestamp,
+  runningSpeedHz: doc.runningSpeedHz,
+  rms: doc.rms,
+  faultEnergyRatio: doc.faultEnergyRatio,
+  faultBand: doc.faultBand,
+  bands: doc.bands,
+});
+
+// Analyse and store one waveform frame: { deviceId, timestamp?, sampleRate, samples[], rpm? }.
+// rpm overrides the device's drivetrain.runningSpeedRpm for this frame.
+export const ingestWaveform = async (frame, context = {}) => {
+  const { throttle = true } = context;
+
+  try {
+    const { deviceId, timestamp, sampleRate, samples, rpm } = validateFrame(frame);
+
+    if (throttle) {
+      const { allowed } = checkIngestionRate(deviceId);
+      if (!allowed) {
+        return { throttled: true };
+      }
+    }
+
+    const device = await ensureDeviceExists(deviceId);
+    const drivetrain = device?.drivetrain || {};
+    const runningSpeedRpm = rpm ?? drivetrain.runningSpeedRpm;
+
+    const features = analyzeWaveform(samples, sampleRate, {
+      runningSpeedHz: runningSpeedRpm > 0 ? runningSpeedRpm / 60 : null,
+      bearing: drivetrain.bearing,
+    });
+
+    const spectrum = await VibrationSpectrum.create({
+      deviceId,
+      timestamp,
+      sampleRate,
+      sampleCount: samples.length,
+      ...features,
+    });
+
+    const current = latestFeatures.get(deviceId);
+    if (!current || current.timestamp <= timestamp) {
+      latestFeatures.set(deviceId, toScoringFeatures(spectrum));
+    }
+
+    emitVibrationSpectrum(deviceId, spectrum.toObject());
+
+    console.log(
+      `✓ [SPECTRUM] ${deviceId}: ${samples.length} samples @ ${sampleRate} Hz, RMS=${features.rms}, dominant=${features.dominantFrequency} Hz` +
+        (features.faultBand ? `, ${features.faultBand}=${features.faultEnergyRatio}` : '')
+    );
+
+    return spectrum;
+  } catch (error) {
+    console.error('✗ Waveform ingestion error:', error.message);
+    throw error;
+  }
+};
+
+// Scoring features of the newest frame at or before `at` that is still fresh, or null
+export const getSpectralFeatures = async (deviceId, at = new Date()) => {
+  const cached = latestFeatures.get(deviceId);
+  if (cached && cached.timestamp <= at) {
+    return at - cached.timestamp <= SPECTRAL_MAX_AGE_MS ? cached : null;
+  }
+
+  try {
+    const doc = await VibrationSpectrum.findOne(
+      { deviceId, timestamp: { $lte: at, $gte: new Date(at.getTime() - SPECTRAL_MAX_AGE_MS) } },
+      { spectrum: 0 }
+    )
+      .sort({ timestamp: -1 })
+      .lean();
+
+    return doc ? toScoringFeatures(doc) : null;
+  } catch (error) {
+    console.error(`✗ Error loading spectral features for ${deviceId}:`, error.message);
+    throw error;
+  }
+};
+
+// Newest stored spectrum plus the feature trend since `since`, oldest first
+export const getSpectra = async (deviceId, { since, limit = 500 } = {}) => {
+  try {
+    const latest = await VibrationSpectrum.findOne({ deviceId }).sort({ timestamp: -1 }).lean();
+
+    const query = { deviceId };
+    if (since) query.timestamp = { $gte: since };
+    const history = await VibrationSpectrum.find(query, {
+      _id: 0,
+      timestamp: 1,
+      rms: 1,
+      peak: 1,
+      crestFactor: 1,
+      dominantFrequency: 1,
+      faultEnergyRatio: 1,
+      faultBand: 1,
+    })
+      .sort({ timestamp: -1 })
+      .limit(limit)
+      .lean();
+
+    return { latest, history: history.reverse() };
+  } catch (error) {
+    console.error(`✗ Error fetching spectra for ${deviceId}:`, error.message);
+    throw error;
+  }
+};
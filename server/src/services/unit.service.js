@@ -0,0 +1,116 @@
+// Unit normalization: convert reported values into each channel's canonical unit
+// The canonical unit is the channel's catalog unit (e.g. temperature °C, pressure bar,
+// vibration mm/s). Devices declare the units they actually report in (Device.reportingUnits).
+
+const STANDARD_GRAVITY_MM_S2 = 9806.65;
+
+// canonical unit -> reported unit -> (value, options) => canonical value
+const CONVERSIONS = {
+  '°C': {
+    '°C': (v) => v,
+    C: (v) => v,
+    degC: (v) => v,
+    '°F': (v) => ((v - 32) * 5) / 9,
+    F: (v) => ((v - 32) * 5) / 9,
+    degF: (v) => ((v - 32) * 5) / 9,
+    K: (v) => v - 273.15,
+  },
+  bar: {
+    bar: (v) => v,
+    mbar: (v) => v / 1000,
+    psi: (v) => v * 0.0689476,
+    kPa: (v) => v / 100,
+    Pa: (v) => v / 100000,
+    MPa: (v) => v * 10,
+    atm: (v) => v * 1.01325,
+  },
+  'mm/s': {
+    'mm/s': (v) => v,
+    'm/s': (v) => v * 1000,
+    'in/s': (v) => v * 25.4,
+    // Acceleration to velocity at a single dominant frequency: v = a / (2πf)
+    g: (v, { frequencyHz }) => (v * STANDARD_GRAVITY_MM_S2) / (2 * Math.PI * frequencyHz),
+    'm/s²': (v, { frequencyHz }) => (v * 1000) / (2 * Math.PI * frequencyHz),
+  },
+  A: {
+    A: (v) => v,
+    mA: (v) => v / 1000,
+  },
+  rpm: {
+    rpm: (v) => v,
+    Hz: (v) => v * 60,
+  },
+  '%RH': {
+    '%RH': (v) => v,
+    '%': (v) => v,
+  },
+};
+
+// Reported units that need the dominant vibration frequency to convert
+const FREQUENCY_UNITS = ['g', 'm/s²'];
+
+const KNOWN_UNITS = new Set(Object.values(CONVERSIONS).flatMap((table) => Object.keys(table)));
+
+// A reported unit is either "psi" or { unit: 'g', frequencyHz: 29.5 }
+const parseUnitSpec = (spec) => (typeof spec === 'string' ? { unit: spec } : spec || {});
+
+// Validate a device's reportingUnits declaration; throws on the first problem
+export const validateReportingUnits = (reportingUnits) => {
+  if (reportingUnits === null || reportingUnits === undefined) return null;
+  if (typeof reportingUnits !== 'object' || Array.isArray(reportingUnits)) {
+    throw new Error('reportingUnits must be an object of channel -> unit');
+  }
+
+  for (const [channel, spec] of Object.entries(reportingUnits)) {
+    const { unit, frequencyHz } = parseUnitSpec(spec);
+
+    if (!unit || !KNOWN_UNITS.has(unit)) {
+      throw new Error(`Unknown unit for ${channel}: ${unit}`);
+    }
+    if (FREQUENCY_UNITS.includes(unit) && !(Number.isFinite(frequencyHz) && frequencyHz > 0)) {
+      throw new Error(`Unit ${unit} for ${channel} requires a positive frequencyHz`);
+    }
+  }
+
+  return reportingUnits;
+};
+
+export const convertToCanonical = (value, reportedSpec, canonicalUnit) => {
+  const { unit, ...options } = parseUnitSpec(reportedSpec);
+
+  if (!unit || !canonicalUnit || unit === canonicalUnit) return value;
+
+  const convert = CONVERSIONS[canonicalUnit]?.[unit];
+  if (!convert) {
+    throw new Error(`cannot convert ${unit} to ${canonicalUnit}`);
+  }
+  if (FREQUENCY_UNITS.includes(unit) && !(options.frequencyHz > 0)) {
+    throw new Error(`converting ${unit} requires frequencyHz`);
+  }
+
+  return convert(value, options);
+};
+
+// Convert every channel value; payload-level units override the device declaration.
+// Returns canonical values, the canonical unit per channel and any conversion errors.
+export const normalizeChannelValues = (values, channels, reportingUnits = {}, payloadUnits = {}) => {
+  const normalized = {};
+  const units = {};
+  const errors = [];
+
+  for (const channel of channels) {
+    const value = values[channel.key];
+    if (value === undefined) continue;
+
+    const reported = payloadUnits?.[channel.key] ?? reportingUnits?.[channel.key];
+
+    try {
+      normalized[channel.key] = convertToCanonical(value, reported, channel.unit);
+      if (channel.unit) units[channel.key] = channel.unit;
+    } catch (error) {
+      errors.push(`${channel.key}: ${error.message}`);
+    }
+  }
+
+  return { values: normalized, units, errors };
+};
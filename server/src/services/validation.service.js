@@ -0,0 +1,85 @@
+// Telemetry schema validation: types, channel limits and timestamp sanity
+import { extractChannelValues } from './channel.service.js';
+import { normalizeChannelValues } from './unit.service.js';
+
+// Readings stamped further ahead than this are rejected (device clock drift)
+const MAX_FUTURE_SKEW_MS = parseInt(process.env.VALIDATION_MAX_FUTURE_SKEW_MS, 10) || 5 * 60 * 1000;
+// Readings older than this are rejected (gateways may upload buffered data, so be generous)
+const MAX_READING_AGE_MS = parseInt(process.env.VALIDATION_MAX_AGE_MS, 10) || 30 * 24 * 60 * 60 * 1000;
+
+const validateTimestamp = (timestamp, now = Date.now()) => {
+  if (timestamp === undefined || timestamp === null || timestamp === '') return null;
+
+  const time = new Date(timestamp).getTime();
+  if (Number.isNaN(time)) {
+    return `unparseable timestamp "${timestamp}"`;
+  }
+  if (time - now > MAX_FUTURE_SKEW_MS) {
+    return `timestamp ${new Date(time).toISOString()} is in the future`;
+  }
+  if (now - time > MAX_READING_AGE_MS) {
+    return `timestamp ${new Date(time).toISOString()} is too old`;
+  }
+
+  return null;
+};
+
+// Validate a decoded payload against the device's channel catalog.
+// Values are converted to canonical units before the limit checks.
+// Returns the canonical channel values and units plus every problem found.
+export const validateReading = (payload, channels, reportingUnits = {}) => {
+  const errors = [];
+
+  if (!payload || typeof payload !== 'object' || Array.isArray(payload)) {
+    return { valid: false, errors: ['payload is not an object'], values: {}, units: {} };
+  }
+
+  if (typeof payload.deviceId !== 'string' || !payload.deviceId.trim()) {
+    errors.push('missing deviceId');
+  }
+
+  const extracted = extractChannelValues(payload, channels);
+  const { missing, invalid } = extracted;
+
+  if (missing.length > 0) {
+    errors.push(`missing required fields (${missing.join(', ')})`);
+  }
+  if (invalid.length > 0) {
+    errors.push(`non-numeric values (${invalid.join(', ')})`);
+  }
+  if (missing.length === 0 && invalid.length === 0 && Object.keys(extracted.values).length === 0) {
+    errors.push('no declared channels present');
+  }
+
+  const { values, units, errors: unitErrors } = normalizeChannelValues(
+    extracted.values,
+    channels,
+    reportingUnits,
+    payload.units
+  );
+  errors.push(...unitErrors);
+
+  for (const channel of channels) {
+    const value = values[channel.key];
+    if (value === undefined) continue;
+
+    if (Number.isFinite(channel.validMin) && value < channel.validMin) {
+      errors.push(`${channel.key}=${value} below valid minimum ${channel.validMin}`);
+    } else if (Number.isFinite(channel.validMax) && value > channel.validMax) {
+      errors.push(`${channel.key}=${value} above valid maximum ${channel.validMax}`);
+    }
+  }
+
+  // Optional per-device message counter used for deduplication
+  const { sequence } = payload;
+  if (sequence !== undefined && sequence !== null && !(Number.isInteger(Number(sequence)) && Number(sequence) >= 0)) {
+    errors.push('sequence must be a non-negative integer');
+  }
+
+  const timestampError = validateTimestamp(payload.timestamp);
+  if (timestampError) {
+    errors.push(timestampError);
+  }
+
+  return { valid: errors.length === 0, errors, values, units };
+};
@@ -1,6 +1,7 @@
 // IoT device simulator publishing mock data to MQTT
 import mqtt from 'mqtt';
 import dotenv from 'dotenv';
+import { isEmbeddedBrokerEnabled, getEmbeddedBrokerUrl } from '../config/broker.js';
 
 dotenv.config();
 
@@ -9,9 +10,13 @@ const isDirectExecution = process.argv[1].endsWith('deviceSimulator.js');
 if (isDirectExecution) {
   console.log('\n🚀 Starting IoT Device Simulator...\n');
 
-  if (!process.env.MQTT_BROKER_URL || !process.env.MQTT_USERNAME || !process.env.MQTT_PASSWORD) {
+  // Against the embedded broker, the server's local listener is the default
+  const brokerUrl =
+    process.env.MQTT_BROKER_URL || (isEmbeddedBrokerEnabled ? getEmbeddedBrokerUrl() : null);
+
+  if (!brokerUrl || !process.env.MQTT_USERNAME || !process.env.MQTT_PASSWORD) {
     console.error('\n✗ Missing MQTT configuration');
-    console.error('  Required: MQTT_BROKER_URL, MQTT_USERNAME, MQTT_PASSWORD');
+    console.error('  Required: MQTT_BROKER_URL (or MQTT_EMBEDDED_BROKER=true), MQTT_USERNAME, MQTT_PASSWORD');
     process.exit(1);
   }
 
@@ -19,7 +24,7 @@ if (isDirectExecution) {
   const PUBLISH_INTERVAL = 3000;
   const FAILURE_TIME = 60000;
 
-  const client = mqtt.connect(process.env.MQTT_BROKER_URL, {
+  const client = mqtt.connect(brokerUrl, {
     username: process.env.MQTT_USERNAME,
     password: process.env.MQTT_PASSWORD,
     clientId: `simulator-${Date.now()}`,
@@ -30,8 +35,8 @@ if (isDirectExecution) {
   const deviceStartTimes = new Map();
 
   client.on('connect', () => {
-    console.log('✓ Simulator connected to HiveMQ Cloud');
-    console.log(`Publishing to: ${process.env.MQTT_BROKER_URL}`);
+    console.log('✓ Simulator connected to MQTT broker');
+    console.log(`Publishing to: ${brokerUrl}`);
     console.log(`Devices: ${DEVICE_IDS.join(', ')}`);
     console.log(`Interval: ${PUBLISH_INTERVAL}ms`);
     console.log(`Device failure simulation after: ${FAILURE_TIME}ms\n`);
@@ -67,6 +72,13 @@ if (isDirectExecution) {
           timestamp: new Date().toISOString()
         };
 
+        // Motors also report current draw, shaft speed and winding humidity
+        if (deviceId.startsWith('MOTOR')) {
+          payload.current = parseFloat((10 + Math.random() * 2).toFixed(2));
+          payload.rpm = Math.round(1460 + Math.random() * 30);
+          payload.windingHumidity = parseFloat((35 + Math.random() * 10).toFixed(1));
+        }
+
         const topic = `iot/sensors/${deviceId}`;
         client.publish(topic, JSON.stringify(payload), { qos: 0 }, (err) => {
           if (!err) {
@@ -80,9 +92,9 @@ if (isDirectExecution) {
   client.on('error', (err) => {
     const errorMsg = err?.message || err?.toString() || 'Unknown error';
     console.error('\n✗ Simulator MQTT error:', errorMsg);
-    console.error('  Broker URL:', process.env.MQTT_BROKER_URL);
+    console.error('  Broker URL:', brokerUrl);
     console.error('  Username:', process.env.MQTT_USERNAME);
-    console.error('\n⚠️  Check your HiveMQ credentials in .env\n');
+    console.error('\n⚠️  Check your MQTT credentials in .env\n');
     process.exit(1);
   });
 
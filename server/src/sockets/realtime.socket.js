@@ -51,6 +51,36 @@ export const emitSensorUpdate = (deviceId, sensorData) => {
   }
 };
 
+export const emitSensorAnomaly = (deviceId, anomaly) => {
+  if (io) {
+    io.to(`device:${deviceId}`).emit('sensor:anomaly', {
+      deviceId,
+      timestamp: new Date(),
+      anomaly,
+    });
+  }
+};
+
+export const emitCorrelationBreak = (deviceId, correlationBreak) => {
+  if (io) {
+    io.to(`device:${deviceId}`).emit('sensor:correlation', {
+      deviceId,
+      timestamp: new Date(),
+      correlationBreak,
+    });
+  }
+};
+
+export const emitVibrationSpectrum = (deviceId, spectrum) => {
+  if (io) {
+    io.to(`device:${deviceId}`).emit('vibration:spectrum', {
+      deviceId,
+      timestamp: new Date(),
+      spectrum,
+    });
+  }
+};
+
 export const emitDeviceHealth = (deviceId, healthData) => {
   if (io) {
     io.to(`device:${deviceId}`).emit('device:health', {
@@ -71,6 +101,17 @@ export const emitDeviceHealthBroadcast = (deviceId, healthData) => {
   }
 };
 
+// Broadcast so fleet views see devices going silent without subscribing to each one
+export const emitDeviceConnectivity = (deviceId, connectivityData) => {
+  if (io) {
+    io.emit('device:connectivity', {
+      deviceId,
+      timestamp: new Date(),
+      ...connectivityData,
+    });
+  }
+};
+
 export const emitAlert = (alert) => {
   if (io) {
     io.to('alerts').emit('alert:new', {
@@ -80,6 +121,7 @@ export const emitAlert = (alert) => {
       message: alert.message,
       timestamp: alert.timestamp,
       triggerType: alert.triggerType,
+      ruleId: alert.ruleId,
     });
 
     io.to(`device:${alert.deviceId}`).emit('alert:new', {
@@ -89,10 +131,29 @@ export const emitAlert = (alert) => {
       message: alert.message,
       timestamp: alert.timestamp,
       triggerType: alert.triggerType,
+      ruleId: alert.ruleId,
     });
   }
 };
 
+// step: the escalation step just taken ({ level, severityFrom, severityTo, notify, ... })
+export const emitAlertEscalated = (alert, step) => {
+  if (io) {
+    const payload = {
+      _id: alert._id,
+      deviceId: alert.deviceId,
+      severity: alert.severity,
+      message: alert.message,
+      level: step.level,
+      step,
+      timestamp: new Date(),
+    };
+
+    io.to('alerts').emit('alert:escalated', payload);
+    io.to(`device:${alert.deviceId}`).emit('alert:escalated', payload);
+  }
+};
+
 export const emitAlertAcknowledged = (alertId, deviceId) => {
   if (io) {
     io.to('alerts').emit('alert:acknowledged', {
@@ -0,0 +1,32 @@
+// In-memory caching for small collections read on hot paths
+
+// Caches what load() resolves to for ttlMs; concurrent callers share one load.
+// invalidate() makes the next get() reload, and a load already running when it is called
+// is not cached, so changes made through the API apply at once.
+export const createCachedLoader = (load, ttlMs) => {
+  let cache = null; // { value, loadedAt }
+  let pending = null;
+
+  return {
+    get: () => {
+      if (cache && Date.now() - cache.loadedAt < ttlMs) return cache.value;
+
+      if (!pending) {
+        const current = Promise.resolve(load())
+          .then((value) => {
+            if (pending === current) cache = { value, loadedAt: Date.now() };
+            return value;
+          })
+          .finally(() => {
+            if (pending === current) pending = null;
+          });
+        pending = current;
+      }
+      return pending;
+    },
+    invalidate: () => {
+      cache = null;
+      pending = null;
+    },
+  };
+};
@@ -0,0 +1,13 @@
+// Query-string durations such as ?range=7d&bucket=1h
+
+export const DURATION_UNITS_MS = { m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
+
+// "15m", "6h", "30d" -> milliseconds; null if malformed
+export const parseDurationMs = (value) => {
+  const match = /^(\d+)([mhd])$/.exec(String(value));
+  return match ? parseInt(match[1], 10) * DURATION_UNITS_MS[match[2]] : null;
+};
+
+// Bucket that splits rangeMs into about `count` buckets, in whole minutes
+export const defaultBucketMs = (rangeMs, count) =>
+  Math.max(DURATION_UNITS_MS.m, Math.ceil(rangeMs / count / DURATION_UNITS_MS.m) * DURATION_UNITS_MS.m);
@@ -0,0 +1,7 @@
+// Environment variable parsing for tunables
+
+// Positive number from the environment; fallback when unset, unparseable or not above 0
+export const readNumber = (name, fallback) => {
+  const value = parseFloat(process.env[name]);
+  return Number.isFinite(value) && value > 0 ? value : fallback;
+};
@@ -0,0 +1,10 @@
+// Errors with an HTTP status. Routes answer error.statusCode with the error's message;
+// errors without one are logged and answered with a generic 500.
+
+// extra: more fields for the route, e.g. { retryAfterMs }
+export const httpError = (statusCode, message, extra = {}) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  Object.assign(error, extra);
+  return error;
+};
@@ -0,0 +1,20 @@
+// Input checks shared by the request body validators
+
+// Trimmed, de-duplicated list of non-empty strings ([] when missing).
+// invalid(detail) builds the error thrown for anything else.
+export const validateStringList = (value, name, invalid) => {
+  if (value === undefined || value === null) return [];
+  if (!Array.isArray(value) || value.some((item) => typeof item !== 'string' || !item.trim())) {
+    throw invalid(`${name} must be an array of non-empty strings`);
+  }
+  return [...new Set(value.map((item) => item.trim()))];
+};
+
+// Date from a Date, ISO string or epoch milliseconds; invalid(detail) builds the error for anything else
+export const parseDate = (value, name, invalid) => {
+  const date = value instanceof Date ? value : new Date(value);
+  if (value === undefined || value === null || Number.isNaN(date.getTime())) {
+    throw invalid(`${name} must be a valid date`);
+  }
+  return date;
+};